@@ -0,0 +1,154 @@
+/**
+ * Mock seat inventory service for local development.
+ *
+ * Implements the hold API used by the HTTP hold store in src/utils/holdStore.js
+ * so the checkout flow can be exercised against a "real" backend:
+ *
+ *   POST   /holds                 { seatId, holderId, durationMs } -> 201 hold
+ *   GET    /holds/:id             -> 200 hold
+ *   DELETE /holds/:id             -> 204
+ *   POST   /holds/:id/purchase    -> 200 { seatId, purchasedAt }
+ *
+ * Errors are returned as { error, code } with the codes from HOLD_ERRORS.
+ * State is kept in memory and lost when the server stops.
+ *
+ * Usage: npm run mock-inventory, then start the app with
+ *   REACT_APP_INVENTORY_URL=http://localhost:4000 npm start
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 4000;
+const DEFAULT_HOLD_DURATION_MS = 10 * 60 * 1000;
+
+// holdId -> { id, seatId, holderId, expiresAt }
+const holds = new Map();
+// seatId -> purchase timestamp
+const sold = new Map();
+
+const dropExpiredHolds = () => {
+  const now = Date.now();
+  holds.forEach((hold, holdId) => {
+    if (hold.expiresAt <= now) {
+      holds.delete(holdId);
+    }
+  });
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const sendError = (res, status, code, error) => send(res, status, { code, error });
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+const placeHold = async (req, res) => {
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    return sendError(res, 400, 'BAD_REQUEST', 'Request body must be JSON');
+  }
+
+  const { seatId, holderId, durationMs = DEFAULT_HOLD_DURATION_MS } = body;
+  if (!seatId || !holderId) {
+    return sendError(res, 400, 'BAD_REQUEST', 'seatId and holderId are required');
+  }
+  if (sold.has(seatId)) {
+    return sendError(res, 409, 'SEAT_SOLD', 'This seat has already been sold.');
+  }
+
+  const existing = [...holds.values()].find(hold => hold.seatId === seatId);
+  if (existing && existing.holderId !== holderId) {
+    return sendError(res, 409, 'SEAT_HELD', 'This seat is being held by another buyer.');
+  }
+  if (existing) {
+    holds.delete(existing.id);
+  }
+
+  const hold = {
+    id: `hold-${crypto.randomUUID()}`,
+    seatId,
+    holderId,
+    expiresAt: Date.now() + durationMs
+  };
+  holds.set(hold.id, hold);
+  console.log(`Held seat ${seatId} for ${holderId} until ${new Date(hold.expiresAt).toISOString()}`);
+
+  return send(res, 201, hold);
+};
+
+const purchase = (res, holdId) => {
+  const hold = holds.get(holdId);
+  if (!hold) {
+    return sendError(res, 404, 'HOLD_NOT_FOUND', 'Your hold on this seat could not be found.');
+  }
+  if (hold.expiresAt <= Date.now()) {
+    holds.delete(holdId);
+    return sendError(res, 410, 'HOLD_EXPIRED', 'Your hold on this seat has expired.');
+  }
+
+  const purchasedAt = Date.now();
+  holds.delete(holdId);
+  sold.set(hold.seatId, purchasedAt);
+  console.log(`Sold seat ${hold.seatId} to ${hold.holderId}`);
+
+  return send(res, 200, { seatId: hold.seatId, purchasedAt });
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (req.method === 'OPTIONS') {
+    return send(res, 204);
+  }
+
+  if (parts[0] !== 'holds') {
+    return sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${pathname}`);
+  }
+  if (parts.length === 1 && req.method === 'POST') {
+    dropExpiredHolds();
+    return placeHold(req, res);
+  }
+  // Purchase checks expiry itself so it can answer HOLD_EXPIRED
+  if (parts.length === 3 && parts[2] === 'purchase' && req.method === 'POST') {
+    return purchase(res, parts[1]);
+  }
+
+  // Expired holds are never returned
+  dropExpiredHolds();
+  if (parts.length === 2 && req.method === 'GET') {
+    const hold = holds.get(parts[1]);
+    return hold
+      ? send(res, 200, hold)
+      : sendError(res, 404, 'HOLD_NOT_FOUND', 'Hold not found or expired.');
+  }
+  if (parts.length === 2 && req.method === 'DELETE') {
+    holds.delete(parts[1]);
+    return send(res, 204);
+  }
+
+  return sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${pathname}`);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock inventory service listening on http://localhost:${PORT}`);
+});
@@ -5,13 +5,24 @@ import Header from './components/Header';
 import StadiumMap from './components/StadiumMap';
 import SeatView from './components/SeatView';
 import MiniSeatView from './components/MiniSeatView';
+import SeatComparison from './components/SeatComparison';
 import TicketForm from './components/TicketForm';
 import CoordinateImporter from './components/CoordinateImporter';
 import ModelUploader from './components/ModelUploader';
 import SettingsPanel from './components/SettingsPanel';
 import { preloadModels } from './utils/modelLoader';
 import { ModelProvider } from './utils/ModelContext';
+import { VenueProvider } from './utils/VenueContext';
+import { ViewScoreProvider } from './utils/ViewScoreContext';
 import { loadSeatsFromFile } from './utils/coordinateLoader';
+import { formatImportError } from './utils/venueManifest';
+import { SEAT_STATUS, isSeatAvailable } from './utils/seatStatus';
+import { useSeatHolds } from './utils/useSeatHolds';
+import { useSeatHistory } from './utils/useSeatHistory';
+import { applyPricing } from './utils/pricingEngine';
+import { getRowLabel } from './utils/rowInference';
+import { checkCompanionSeats } from './utils/seatAttributes';
+import { DEFAULT_MIN_C_VALUE } from './utils/sightlines';
 
 /**
  * @typedef {Object} SeatCoordinates
@@ -27,7 +38,10 @@ import { loadSeatsFromFile } from './utils/coordinateLoader';
  * @property {number} row - Row number
  * @property {number} number - Seat number
  * @property {number} price - Seat price
+ * @property {'available'|'held'|'sold'|'blocked'} [status] - Availability, defaults to available
  * @property {SeatCoordinates} coordinates - 3D coordinates for the seat view
+ * @property {SeatCoordinates} [facing] - Horizontal direction the seat faces, in the model's frame
+ * @property {string[]} [attributes] - Seat attributes, such as the accessibility ones in SEAT_ATTRIBUTES, declared by the venue manifest
  */
 
 /** @type {Seat[]} */
@@ -83,9 +97,31 @@ const DEFAULT_SEATS = [
 ];
 
 const App = () => {
-  const [availableSeats, setAvailableSeats] = useState(DEFAULT_SEATS);
+  // Seat data with an undo/redo history of imports and edits
+  const {
+    seats: availableSeats,
+    revisions: seatRevisions,
+    revisionIndex,
+    canUndo,
+    canRedo,
+    commitSeats,
+    seedSeats,
+    updateSeats,
+    goToRevision
+  } = useSeatHistory(DEFAULT_SEATS);
+  // The seat currently shown in the 3D previews
   const [selectedSeat, setSelectedSeat] = useState(null);
+  // Every seat in the buyer's cart, in the order they were picked
+  const [selectedSeats, setSelectedSeats] = useState([]);
+  const [purchasedSeats, setPurchasedSeats] = useState([]);
   const [viewingMode, setViewingMode] = useState(false);
+  // IDs of the seats picked for the side-by-side comparison, and whether it is showing
+  const [comparedSeatIds, setComparedSeatIds] = useState([]);
+  const [compareMode, setCompareMode] = useState(false);
+  // Placing seats by clicking on the 3D model
+  const [authoringMode, setAuthoringMode] = useState(false);
+  // Eye height preset of the seat views; null uses each seat's default
+  const [eyeHeightPreset, setEyeHeightPreset] = useState(null);
   const [purchaseComplete, setPurchaseComplete] = useState(false);
   const [viewKey, setViewKey] = useState(0); // Add a key to force re-render
   const [showImporter, setShowImporter] = useState(false);
@@ -93,21 +129,41 @@ const App = () => {
   const [isLoadingSeats, setIsLoadingSeats] = useState(false);
   const [fileSeatsLoaded, setFileSeatsLoaded] = useState(false);
   const [customModelUrl, setCustomModelUrl] = useState(null);
+  const [venueManifest, setVenueManifest] = useState(null);
+  // Pricing rules applied from the settings panel, replacing the venue's own
+  const [pricingRules, setPricingRules] = useState(null);
+  // Lowest acceptable sightline C-value in millimeters, for the report and the map
+  const [minCValue, setMinCValue] = useState(DEFAULT_MIN_C_VALUE);
+  const [seatLoadErrors, setSeatLoadErrors] = useState([]);
+  const [purchaseError, setPurchaseError] = useState(null);
+  const {
+    holds,
+    holdErrors,
+    holdSeat,
+    releaseHold,
+    releaseAllHolds,
+    expireHold,
+    purchaseHolds,
+    clearHoldErrors
+  } = useSeatHolds();
 
   // We don't need to preload models here anymore as it's handled by the ModelProvider
   // But we'll keep the modelLoaded state for compatibility
   const [modelLoaded, setModelLoaded] = useState(true);
 
-  // Load seats from coordinates.txt file when the app mounts
+  // Load seats from the venue manifest (or coordinates.txt) when the app mounts
   useEffect(() => {
     const loadSeats = async () => {
       setIsLoadingSeats(true);
       try {
-        const seats = await loadSeatsFromFile();
+        const { seats, errors, manifest } = await loadSeatsFromFile();
+        setSeatLoadErrors(errors);
         if (seats && seats.length > 0) {
-          setAvailableSeats(seats);
+          // The base of the history; seats applied or edited in the last session stay current
+          seedSeats(seats, manifest ? 'Loaded venue.json' : 'Loaded coordinates.txt');
+          setVenueManifest(manifest);
           setFileSeatsLoaded(true);
-          console.log(`Loaded ${seats.length} seats from coordinates.txt file`);
+          console.log(`Loaded ${seats.length} seats from ${manifest ? 'the venue manifest' : 'coordinates.txt file'}`);
         }
       } catch (error) {
         console.error('Failed to load seats from file:', error);
@@ -117,42 +173,194 @@ const App = () => {
     };
     
     loadSeats();
-  }, []);
+  }, [seedSeats]);
 
   /**
    * Handle seat selection
    * @param {Seat} seat - The selected seat
+   * @param {Object} [options]
+   * @param {boolean} [options.toggle] - Add the seat to (or remove it from) the cart
+   *   instead of replacing the cart
    */
-  const handleSeatSelect = (seat) => {
+  const handleSeatSelect = (seat, { toggle = false } = {}) => {
+    setPurchaseError(null);
+    
+    if (toggle) {
+      const inCart = selectedSeats.some(s => s.id === seat.id);
+      if (inCart) {
+        const remaining = selectedSeats.filter(s => s.id !== seat.id);
+        setSelectedSeats(remaining);
+        releaseHold(seat.id);
+        if (selectedSeat?.id === seat.id) {
+          setSelectedSeat(remaining.length > 0 ? remaining[remaining.length - 1] : null);
+        }
+      } else {
+        setSelectedSeats([...selectedSeats, seat]);
+        setSelectedSeat(seat);
+        // Reserve the seat while the buyer checks out
+        holdSeat(seat);
+      }
+      return;
+    }
+    
+    // A plain click starts a new cart with just this seat
+    selectedSeats
+      .filter(s => s.id !== seat.id)
+      .forEach(s => releaseHold(s.id));
+    setSelectedSeats([seat]);
     setSelectedSeat(seat);
+    if (!holds[seat.id]) {
+      holdSeat(seat);
+    }
     // Reset view key when selecting a new seat
     setViewKey(prevKey => prevKey + 1);
   };
 
+  /**
+   * Replace the cart with a block of seats, e.g. from the best-available finder
+   * @param {Seat[]} seats - The seats to select
+   */
+  const handleBlockSelect = (seats) => {
+    if (!seats || seats.length === 0) return;
+    setPurchaseError(null);
+    
+    const blockIds = new Set(seats.map(seat => seat.id));
+    selectedSeats
+      .filter(seat => !blockIds.has(seat.id))
+      .forEach(seat => releaseHold(seat.id));
+    seats
+      .filter(seat => !holds[seat.id])
+      .forEach(seat => holdSeat(seat));
+    
+    setSelectedSeats(seats);
+    setSelectedSeat(seats[0]);
+    setViewKey(prevKey => prevKey + 1);
+  };
+
+  /**
+   * Remove a seat from the cart
+   * @param {string} seatId - The seat to remove
+   */
+  const handleRemoveSeat = (seatId) => {
+    const seat = selectedSeats.find(s => s.id === seatId);
+    if (seat) {
+      handleSeatSelect(seat, { toggle: true });
+    }
+  };
+
+  /**
+   * Try again to hold every seat in the cart that isn't held
+   */
+  const handleRetryHolds = () => {
+    setPurchaseError(null);
+    selectedSeats
+      .filter(seat => !holds[seat.id])
+      .forEach(seat => holdSeat(seat));
+  };
+
+  // Show a purchase failure first, otherwise the first seat we couldn't hold
+  const failedHoldId = selectedSeats.map(seat => seat.id).find(id => holdErrors[id]);
+  const checkoutError = purchaseError || (failedHoldId
+    ? (selectedSeats.length > 1 ? `Seat ${failedHoldId}: ${holdErrors[failedHoldId].message}` : holdErrors[failedHoldId].message)
+    : null);
+
+  /**
+   * Empty the cart and release every hold
+   */
+  const clearSelection = () => {
+    releaseAllHolds();
+    setSelectedSeats([]);
+    setSelectedSeat(null);
+  };
+
   /**
    * Toggle viewing mode between map and expanded 3D view
    */
   const handleViewToggle = () => {
     setViewingMode(!viewingMode);
+    setAuthoringMode(false);
+    setCompareMode(false);
     // Reset view key when toggling view
     setViewKey(prevKey => prevKey + 1);
   };
 
+  /**
+   * Toggle between the map and the side-by-side comparison of seats
+   */
+  const handleCompareToggle = () => {
+    setCompareMode(!compareMode);
+    setViewingMode(false);
+    setAuthoringMode(false);
+    setViewKey(prevKey => prevKey + 1);
+  };
+
   /**
    * Handle ticket purchase
    */
-  const handlePurchase = () => {
-    if (selectedSeat) {
-      setPurchaseComplete(true);
+  const handlePurchase = async () => {
+    if (selectedSeats.length === 0) return;
+    
+    // Check the seats' current status, not the one captured when they were selected
+    const unavailable = selectedSeats.filter(selected => (
+      !isSeatAvailable(availableSeats.find(seat => seat.id === selected.id))
+    ));
+    if (unavailable.length > 0) {
+      const ids = unavailable.map(seat => seat.id).join(', ');
+      setPurchaseError(unavailable.length === 1
+        ? `Seat ${ids} is no longer available. Remove it from your selection to continue.`
+        : `Seats ${ids} are no longer available. Remove them from your selection to continue.`);
+      return;
+    }
+    
+    // Companion seats are only sold together with a wheelchair space
+    const companionError = checkCompanionSeats(selectedSeats);
+    if (companionError) {
+      console.warn(`Refusing to purchase seats: ${companionError}`);
+      setPurchaseError(companionError);
+      return;
+    }
+    
+    // Mark purchased seats as sold so they can't be bought again
+    const markSold = (receipts) => {
+      const soldIds = new Set(receipts.map(receipt => receipt.seatId));
+      updateSeats(prevSeats => prevSeats.map(seat => (
+        soldIds.has(seat.id) ? { ...seat, status: SEAT_STATUS.SOLD } : seat
+      )));
+    };
+    
+    // The purchase only goes through while our holds on the seats are still valid
+    setPurchaseError(null);
+    try {
+      const receipts = await purchaseHolds(selectedSeats.map(seat => seat.id));
+      markSold(receipts);
+    } catch (error) {
+      console.error('Purchase failed:', error);
+      if (error.receipts && error.receipts.length > 0) {
+        // Some seats went through before the failure - keep them out of the cart
+        markSold(error.receipts);
+        const soldIds = new Set(error.receipts.map(receipt => receipt.seatId));
+        setSelectedSeats(prev => prev.filter(seat => !soldIds.has(seat.id)));
+        setPurchaseError(`${error.message} Seats ${[...soldIds].join(', ')} were purchased.`);
+      } else {
+        setPurchaseError(error.message);
+      }
+      return;
     }
+    
+    setPurchasedSeats(selectedSeats);
+    setPurchaseComplete(true);
   };
 
   /**
    * Reset the application state
    */
   const handleReset = () => {
-    setSelectedSeat(null);
+    clearSelection();
+    clearHoldErrors();
+    setPurchaseError(null);
+    setPurchasedSeats([]);
     setViewingMode(false);
+    setCompareMode(false);
     setPurchaseComplete(false);
     setViewKey(prevKey => prevKey + 1);
   };
@@ -160,15 +368,33 @@ const App = () => {
   /**
    * Handle imported seat coordinates
    * @param {Array} seats - Array of seat objects generated from coordinates
+   * @param {Object|null} manifest - Venue manifest, if one was imported
+   * @param {string} [label] - Describes the import in the seat history
    */
-  const handleSeatsImported = (seats) => {
+  const handleSeatsImported = (seats, manifest = null, label = 'Imported seats') => {
     if (seats && seats.length > 0) {
-      setAvailableSeats(seats);
-      setSelectedSeat(null);
+      commitSeats(seats, label);
+      if (manifest) {
+        setVenueManifest(manifest);
+        setPricingRules(null);
+      }
+      clearSelection();
       setShowImporter(false);
     }
   };
 
+  /**
+   * Reprice every seat, including the ones already in the cart. Seats with a
+   * fixed price of their own keep it.
+   * @param {Object} rules - Pricing rules to apply
+   */
+  const handlePricingApplied = (rules) => {
+    setPricingRules(rules);
+    commitSeats(applyPricing(availableSeats, rules), 'Applied pricing rules');
+    setSelectedSeats(prevSeats => applyPricing(prevSeats, rules));
+    setSelectedSeat(prevSeat => (prevSeat ? applyPricing([prevSeat], rules)[0] : prevSeat));
+  };
+
   /**
    * Toggle the coordinate importer visibility
    */
@@ -202,10 +428,13 @@ const App = () => {
   const resetToFileSeats = async () => {
     setIsLoadingSeats(true);
     try {
-      const seats = await loadSeatsFromFile();
+      const { seats, errors, manifest } = await loadSeatsFromFile();
+      setSeatLoadErrors(errors);
       if (seats && seats.length > 0) {
-        setAvailableSeats(seats);
-        setSelectedSeat(null);
+        commitSeats(seats, manifest ? 'Reloaded venue.json' : 'Reloaded coordinates.txt');
+        setVenueManifest(manifest);
+        setPricingRules(null);
+        clearSelection();
       }
     } catch (error) {
       console.error('Failed to reload seats from file:', error);
@@ -214,6 +443,36 @@ const App = () => {
     }
   };
 
+  /**
+   * Move through the seat history. The cart is cleared because its seats may
+   * not exist in the restored revision.
+   * @param {number} index - Revision to restore
+   */
+  const handleRevisionSelected = (index) => {
+    clearSelection();
+    goToRevision(index);
+  };
+
+  /**
+   * Save seats changed in the map's seat editor as a new revision
+   * @param {Seat[]} seats - The edited seat list
+   * @param {string} label - Describes the edit in the seat history
+   */
+  const handleSeatsEdited = (seats, label) => {
+    clearSelection();
+    commitSeats(seats, label);
+  };
+
+  /**
+   * Switch between the seat map and placing seats on the 3D model
+   */
+  const toggleAuthoringMode = () => {
+    setAuthoringMode(!authoringMode);
+    setViewingMode(false);
+    setCompareMode(false);
+    setViewKey(prevKey => prevKey + 1);
+  };
+
   // Create a settings panel with all the admin functions
   const settingsPanelElement = (
     <SettingsPanel
@@ -221,75 +480,171 @@ const App = () => {
       toggleImporter={toggleImporter}
       showModelUploader={showModelUploader}
       toggleModelUploader={toggleModelUploader}
+      authoringMode={authoringMode}
+      toggleAuthoringMode={toggleAuthoringMode}
       handleSeatsImported={handleSeatsImported}
       handleModelUploaded={handleModelUploaded}
       resetToFileSeats={resetToFileSeats}
-      resetToDefaultSeats={() => setAvailableSeats(DEFAULT_SEATS)}
+      resetToDefaultSeats={() => {
+        commitSeats(DEFAULT_SEATS, 'Reset to default seats');
+        clearSelection();
+      }}
       resetToDefaultModel={() => {
         setCustomModelUrl(null);
         setViewKey(prevKey => prevKey + 1);
       }}
       fileSeatsLoaded={fileSeatsLoaded}
       customModelUrl={customModelUrl}
+      seats={availableSeats}
+      seatRevisions={seatRevisions}
+      revisionIndex={revisionIndex}
+      canUndo={canUndo}
+      canRedo={canRedo}
+      onUndo={() => handleRevisionSelected(revisionIndex - 1)}
+      onRedo={() => handleRevisionSelected(revisionIndex + 1)}
+      onRevisionSelected={handleRevisionSelected}
+      pricingRules={pricingRules || venueManifest?.pricing}
+      onPricingApplied={handlePricingApplied}
+      onSeatsEdited={handleSeatsEdited}
+      minCValue={minCValue}
+      onMinCValueChange={setMinCValue}
     />
   );
 
   return (
-    <ModelProvider customModelUrl={customModelUrl}>
-      <AppContainer>
-        <Header settingsPanel={settingsPanelElement} />
-        <MainContent>
-          {purchaseComplete ? (
-            <PurchaseConfirmation>
-              <h2>Thank you for your purchase!</h2>
-              <p>You have successfully purchased a ticket for seat {selectedSeat?.id}.</p>
-              <p>Section: {selectedSeat?.section}, Row: {selectedSeat?.row}, Seat: {selectedSeat?.number}</p>
-              <p>Price: ${selectedSeat?.price}</p>
-              <Button onClick={handleReset}>Buy Another Ticket</Button>
-            </PurchaseConfirmation>
-          ) : (
-            <>
-              <LeftPanel>
-                {isLoadingSeats ? (
-                  <LoadingContainer>
-                    <LoadingMessage>Loading seats from coordinates.txt file...</LoadingMessage>
-                  </LoadingContainer>
-                ) : viewingMode ? (
-                  <ExpandedViewContainer key={`expanded-view-${viewKey}`}>
-                    <ExpandedViewHeader>
-                      <ExpandedViewTitle>View from Seat {selectedSeat?.id}</ExpandedViewTitle>
-                      <CloseButton onClick={handleViewToggle}>×</CloseButton>
-                    </ExpandedViewHeader>
-                    <SeatView 
-                      seatCoordinates={selectedSeat?.coordinates} 
-                      seat={selectedSeat}
-                      onBack={handleViewToggle} 
+    <VenueProvider manifest={venueManifest}>
+      <ModelProvider customModelUrl={customModelUrl}>
+        <ViewScoreProvider seats={availableSeats}>
+          <AppContainer>
+            <Header settingsPanel={settingsPanelElement} />
+            {seatLoadErrors.length > 0 && (
+              <LoadErrorBanner>
+                <LoadErrorTitle>
+                  {seatLoadErrors.length} problem{seatLoadErrors.length === 1 ? '' : 's'} found while loading seats
+                  <DismissButton onClick={() => setSeatLoadErrors([])}>×</DismissButton>
+                </LoadErrorTitle>
+                <LoadErrorList>
+                  {seatLoadErrors.slice(0, 5).map((error, index) => (
+                    <li key={index}>{formatImportError(error)}</li>
+                  ))}
+                </LoadErrorList>
+              </LoadErrorBanner>
+            )}
+            <MainContent>
+              {purchaseComplete ? (
+                <PurchaseConfirmation>
+                  <h2>Thank you for your purchase!</h2>
+                  <p>
+                    You have successfully purchased {purchasedSeats.length === 1 ? 'a ticket' : `${purchasedSeats.length} tickets`}.
+                  </p>
+                  <PurchasedSeatList>
+                    {purchasedSeats.map(seat => (
+                      <li key={seat.id}>
+                        <span>Section: {seat.section}, Row: {getRowLabel(seat)}, Seat: {seat.number}</span>
+                        <span>${seat.price}</span>
+                      </li>
+                    ))}
+                  </PurchasedSeatList>
+                  <p>Total: ${purchasedSeats.reduce((sum, seat) => sum + (Number(seat.price) || 0), 0)}</p>
+                  <Button onClick={handleReset}>Buy More Tickets</Button>
+                </PurchaseConfirmation>
+              ) : (
+                <>
+                  <LeftPanel>
+                    {isLoadingSeats ? (
+                      <LoadingContainer>
+                        <LoadingMessage>Loading venue seats...</LoadingMessage>
+                      </LoadingContainer>
+                    ) : authoringMode ? (
+                      <ExpandedViewContainer key={`authoring-view-${viewKey}`}>
+                        <ExpandedViewHeader>
+                          <ExpandedViewTitle>Place Seats on the Model</ExpandedViewTitle>
+                          <CloseButton onClick={toggleAuthoringMode}>×</CloseButton>
+                        </ExpandedViewHeader>
+                        <SeatView
+                          authoring
+                          seats={availableSeats}
+                          onSeatsAuthored={handleSeatsEdited}
+                          onUndo={() => handleRevisionSelected(revisionIndex - 1)}
+                          canUndo={canUndo}
+                          pricingRules={pricingRules || venueManifest?.pricing}
+                          onBack={toggleAuthoringMode}
+                        />
+                      </ExpandedViewContainer>
+                    ) : compareMode ? (
+                      <ExpandedViewContainer key={`compare-view-${viewKey}`}>
+                        <ExpandedViewHeader>
+                          <ExpandedViewTitle>Compare Seats</ExpandedViewTitle>
+                          <CloseButton onClick={handleCompareToggle}>×</CloseButton>
+                        </ExpandedViewHeader>
+                        <SeatComparison
+                          seats={availableSeats}
+                          comparedIds={comparedSeatIds}
+                          eyeHeightPreset={eyeHeightPreset}
+                          onRemoveSeat={id => setComparedSeatIds(prev => prev.filter(comparedId => comparedId !== id))}
+                        />
+                      </ExpandedViewContainer>
+                    ) : viewingMode ? (
+                      <ExpandedViewContainer key={`expanded-view-${viewKey}`}>
+                        <ExpandedViewHeader>
+                          <ExpandedViewTitle>View from Seat {selectedSeat?.id}</ExpandedViewTitle>
+                          <CloseButton onClick={handleViewToggle}>×</CloseButton>
+                        </ExpandedViewHeader>
+                        <SeatView 
+                          seatCoordinates={selectedSeat?.coordinates} 
+                          seat={selectedSeat}
+                          seats={availableSeats}
+                          eyeHeightPreset={eyeHeightPreset}
+                          onEyeHeightPresetChange={setEyeHeightPreset}
+                          onBack={handleViewToggle} 
+                        />
+                      </ExpandedViewContainer>
+                    ) : (
+                      <StadiumMap 
+                        key={`stadium-map-${viewKey}`}
+                        seats={availableSeats} 
+                        selectedSeat={selectedSeat} 
+                        selectedSeats={selectedSeats}
+                        onSeatSelect={handleSeatSelect} 
+                        onBlockSelect={handleBlockSelect}
+                        onSeatsEdited={handleSeatsEdited}
+                        onUndo={() => handleRevisionSelected(revisionIndex - 1)}
+                        onRedo={() => handleRevisionSelected(revisionIndex + 1)}
+                        canUndo={canUndo}
+                        canRedo={canRedo}
+                        pricingRules={pricingRules || venueManifest?.pricing}
+                        minCValue={minCValue}
+                        comparedSeatIds={comparedSeatIds}
+                        onComparedSeatsChange={setComparedSeatIds}
+                        onCompareOpen={handleCompareToggle}
+                      />
+                    )}
+                  </LeftPanel>
+                  <RightPanel>
+                    <TicketForm 
+                      key={`ticket-form-${viewKey}`}
+                      selectedSeat={selectedSeat} 
+                      selectedSeats={selectedSeats}
+                      seats={availableSeats}
+                      eyeHeightPreset={eyeHeightPreset}
+                      holds={holds}
+                      checkoutError={checkoutError}
+                      onHoldExpired={expireHold}
+                      onRetryHold={handleRetryHolds}
+                      onRemoveSeat={handleRemoveSeat}
+                      onPurchase={handlePurchase} 
+                      viewingMode={viewingMode}
+                      onViewToggle={handleViewToggle}
+                      modelLoaded={true}
                     />
-                  </ExpandedViewContainer>
-                ) : (
-                  <StadiumMap 
-                    key={`stadium-map-${viewKey}`}
-                    seats={availableSeats} 
-                    selectedSeat={selectedSeat} 
-                    onSeatSelect={handleSeatSelect} 
-                  />
-                )}
-              </LeftPanel>
-              <RightPanel>
-                <TicketForm 
-                  key={`ticket-form-${viewKey}`}
-                  selectedSeat={selectedSeat} 
-                  onPurchase={handlePurchase} 
-                  viewingMode={viewingMode}
-                  onViewToggle={handleViewToggle}
-                  modelLoaded={true}
-                />
-              </RightPanel>
-            </>
-          )}
-        </MainContent>
-      </AppContainer>
-    </ModelProvider>
+                  </RightPanel>
+                </>
+              )}
+            </MainContent>
+          </AppContainer>
+        </ViewScoreProvider>
+      </ModelProvider>
+    </VenueProvider>
   );
 };
 
@@ -309,6 +664,38 @@ const MainContent = styled.main`
   }
 `;
 
+const LoadErrorBanner = styled.div`
+  margin: 20px 20px 0 20px;
+  padding: 12px 16px;
+  background-color: #fff3e0;
+  border-left: 3px solid #ef6c00;
+  border-radius: 8px;
+`;
+
+const LoadErrorTitle = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-weight: 500;
+  color: #e65100;
+`;
+
+const DismissButton = styled.button`
+  background: none;
+  border: none;
+  color: #e65100;
+  font-size: 20px;
+  cursor: pointer;
+`;
+
+const LoadErrorList = styled.ul`
+  margin: 8px 0 0 0;
+  padding-left: 20px;
+  font-family: monospace;
+  font-size: 12px;
+  color: #bf360c;
+`;
+
 const LeftPanel = styled.div`
   flex: 2;
   margin-right: 20px;
@@ -385,6 +772,23 @@ const RightPanel = styled.div`
   padding: 20px;
 `;
 
+const PurchasedSeatList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0 0 10px 0;
+  width: 100%;
+  max-width: 360px;
+  
+  li {
+    display: flex;
+    justify-content: space-between;
+    padding: 6px 0;
+    border-bottom: 1px solid #eee;
+    font-size: 14px;
+    color: #333;
+  }
+`;
+
 const PurchaseConfirmation = styled.div`
   flex: 1;
   display: flex;
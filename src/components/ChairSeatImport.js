@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { detectChairs, seatsFromChairs } from '../utils/chairDetection';
+import { prepareModelForRaycast } from '../utils/modelRaycast';
+import { DEFAULT_EYE_HEIGHT_M } from '../utils/coordinateFrame';
+import { useModel } from '../utils/ModelContext';
+import { useVenue } from '../utils/VenueContext';
+
+// Derives seats from the chairs modelled in the loaded stadium model
+const ChairSeatImport = ({ rowInference, onSeatsGenerated }) => {
+  const { model } = useModel();
+  const venue = useVenue();
+  const [eyeHeight, setEyeHeight] = useState(String(DEFAULT_EYE_HEIGHT_M));
+  // What the last scan found, shown under the button
+  const [summary, setSummary] = useState(null);
+
+  const handleDetect = () => {
+    const object = prepareModelForRaycast(model);
+    if (!object) {
+      setSummary({ error: true, text: 'The loaded model has no scene to scan.' });
+      return;
+    }
+
+    const chairs = detectChairs(object, venue.model);
+    console.log(`Found ${chairs.length} chairs in the model`);
+
+    if (chairs.length === 0) {
+      setSummary({
+        error: true,
+        text: 'No chairs found. Chairs need "chair" or "seat" in their name, or in the name of the group holding them.'
+      });
+      return;
+    }
+
+    const { seats, errors } = seatsFromChairs(chairs, venue, {
+      eyeHeight: eyeHeight === '' ? DEFAULT_EYE_HEIGHT_M : Number(eyeHeight),
+      rowInference
+    });
+    setSummary({
+      error: false,
+      text: `Found ${chairs.length} chairs${errors.length > 0 ? `, ${errors.length} outside every venue section` : ''}.`
+    });
+    onSeatsGenerated(seats, null, `Derived ${seats.length} seats from chairs in the model`);
+  };
+
+  return (
+    <ChairImportContainer>
+      <ChairImportRow>
+        <DetectButton onClick={handleDetect} disabled={!model}>
+          Find Chairs in Model
+        </DetectButton>
+        <label>
+          Eye height
+          <EyeHeightInput
+            type="number"
+            min="0"
+            step="0.05"
+            value={eyeHeight}
+            onChange={e => setEyeHeight(e.target.value)}
+          />
+          m
+        </label>
+      </ChairImportRow>
+      {!model && <ChairImportHint>Load a 3D model to find its chairs.</ChairImportHint>}
+      {summary && <ChairImportSummary $error={summary.error}>{summary.text}</ChairImportSummary>}
+    </ChairImportContainer>
+  );
+};
+
+const ChairImportContainer = styled.div`
+  margin-bottom: 15px;
+`;
+
+const ChairImportRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    font-size: 13px;
+    color: #555;
+  }
+`;
+
+const DetectButton = styled.button`
+  background-color: #1976d2;
+  color: white;
+  border: none;
+  padding: 6px 14px;
+  border-radius: 4px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: #1565c0;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const EyeHeightInput = styled.input`
+  width: 60px;
+  padding: 4px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const ChairImportHint = styled.p`
+  margin: 8px 0 0 0;
+  font-size: 12px;
+  color: #666;
+`;
+
+const ChairImportSummary = styled.p`
+  margin: 8px 0 0 0;
+  font-size: 13px;
+  color: ${props => props.$error ? '#c62828' : '#2e7d32'};
+`;
+
+export default ChairSeatImport;
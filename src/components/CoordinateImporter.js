@@ -1,23 +1,123 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
 import styled from 'styled-components';
-import { parseAndGenerateSeats } from '../utils/seatCoordinateParser';
+import { parseSeatsFromText } from '../utils/coordinateLoader';
+import { formatImportError } from '../utils/venueManifest';
+import { useVenue } from '../utils/VenueContext';
+import { NUMBERING_CONVENTIONS, ROW_LABEL_STYLES } from '../utils/rowInference';
+import { FRAME_PRESETS, UP_AXES, HANDEDNESS, UNITS, findFramePreset } from '../utils/coordinateFrame';
+import SeatFileImport from './SeatFileImport';
+import ChairSeatImport from './ChairSeatImport';
+import FramePreview from './FramePreview';
+import SeatDiffSummary from './SeatDiffSummary';
+import SeatValidationPanel from './SeatValidationPanel';
+import SeatGroundingPanel from './SeatGroundingPanel';
 
-const CoordinateImporter = ({ onSeatsGenerated }) => {
+// Maximum number of errors listed before collapsing the rest into a summary
+const MAX_LISTED_ERRORS = 20;
+
+const PRESET_LABELS = {
+  blender: 'Blender / CAD (Z up, right-handed)',
+  three: 'Three.js / glTF (Y up, right-handed)',
+  unity: 'Unity (Y up, left-handed)',
+  unreal: 'Unreal (Z up, left-handed)'
+};
+
+const UNIT_LABELS = {
+  model: 'Model units',
+  m: 'Meters',
+  cm: 'Centimeters',
+  mm: 'Millimeters',
+  ft: 'Feet',
+  in: 'Inches'
+};
+
+const CoordinateImporter = ({ currentSeats = [], onSeatsGenerated }) => {
+  const venue = useVenue();
   const [coordinates, setCoordinates] = useState('');
   const [isImporting, setIsImporting] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
+  const [importSummary, setImportSummary] = useState(null);
+  // Row and seat numbering for imported coordinates
+  const [inferRows, setInferRows] = useState(true);
+  const [numbering, setNumbering] = useState(NUMBERING_CONVENTIONS.LEFT_TO_RIGHT);
+  const [rowLabels, setRowLabels] = useState(ROW_LABEL_STYLES.NUMBERS);
+  
+  const rowInference = useMemo(() => (
+    inferRows ? { numbering, rowLabels } : null
+  ), [inferRows, numbering, rowLabels]);
+  // Frame of the imported coordinates, starting from the venue's
+  const [frame, setFrame] = useState(venue.frame);
+  
+  // Start again from the new venue's frame when another venue is loaded
+  useEffect(() => {
+    setFrame(venue.frame);
+  }, [venue.frame]);
+  const [showPreview, setShowPreview] = useState(false);
+  // Seats parsed from a dropped file, waiting to be imported
+  const [fileSeats, setFileSeats] = useState(null);
+  // An import waiting to be reviewed against the current seats and applied
+  const [staged, setStaged] = useState(null);
+  
+  const handleFilePreviewChange = useCallback((seats) => setFileSeats(seats), []);
+  
+  // Seats drawn over the model: the dropped file, or else the pasted text
+  const previewSeats = useMemo(() => {
+    if (!showPreview) return [];
+    if (fileSeats) return fileSeats;
+    if (!coordinates.trim()) return [];
+    return parseSeatsFromText(coordinates, venue, { frame }).seats;
+  }, [showPreview, fileSeats, coordinates, venue, frame]);
+  
+  const updateFrame = (changes) => {
+    setFrame(prev => ({ ...prev, ...changes }));
+  };
+  
+  const handlePresetChange = (preset) => {
+    const { upAxis, handedness } = FRAME_PRESETS[preset];
+    updateFrame({ upAxis, handedness });
+  };
+  
+  /**
+   * Hold imported seats for review instead of replacing the current seats
+   * @param {Array} seats - Imported seats
+   * @param {Object|null} manifest - Venue manifest, if one was imported
+   * @param {string} label - Describes the import in the seat history
+   */
+  const stageSeats = (seats, manifest, label) => {
+    setStaged({ seats, manifest, label });
+  };
+  
+  const handleApply = () => {
+    onSeatsGenerated(staged.seats, staged.manifest, staged.label);
+    setStaged(null);
+  };
   
   const handleImport = () => {
     if (!coordinates.trim()) return;
     
     setIsImporting(true);
+    setImportErrors([]);
+    setImportSummary(null);
     
     try {
-      const seats = parseAndGenerateSeats(coordinates);
+      const { seats, errors, manifest } = parseSeatsFromText(coordinates, venue, { rowInference, frame });
+      setImportErrors(errors);
+      
       if (seats && seats.length > 0) {
-        onSeatsGenerated(seats);
+        stageSeats(seats, manifest, manifest ? 'Imported venue manifest' : 'Imported pasted coordinates');
+        const lineErrors = errors.filter(error => error.line !== undefined).length;
+        const sectionErrors = errors.length - lineErrors;
+        setImportSummary([
+          `Read ${seats.length} seats`,
+          lineErrors > 0 ? `skipped ${lineErrors} invalid lines` : null,
+          sectionErrors > 0 ? `${sectionErrors} seats are outside every section` : null
+        ].filter(Boolean).join(', ') + '.');
+      } else if (errors.length === 0) {
+        setImportErrors([{ message: 'No seats found in the pasted text' }]);
       }
     } catch (error) {
       console.error('Error parsing coordinates:', error);
+      setImportErrors([{ message: error.message }]);
     } finally {
       setIsImporting(false);
     }
@@ -27,9 +127,119 @@ const CoordinateImporter = ({ onSeatsGenerated }) => {
     <ImporterContainer>
       <ImportTitle>Import Seat Coordinates</ImportTitle>
       <ImportDescription>
-        Paste coordinates in the format <code>&lt;Vector (x, y, z)&gt;</code>, one per line.
+        Drop a CSV, JSON or PLY file of seat positions, or paste coordinates in the
+        format <code>&lt;Vector (x, y, z)&gt;</code> (one per line) or a complete venue manifest (JSON).
+        Sections, rows, seat numbers and prices in a file are kept.
+        {venue.sections.length > 0 && ` Seats are placed in the ${venue.sections.length} sections defined by the venue.`}
       </ImportDescription>
       
+      <NumberingOptions>
+        <CheckboxLabel>
+          <input
+            type="checkbox"
+            checked={inferRows}
+            onChange={e => setInferRows(e.target.checked)}
+          />
+          Work out rows and seat numbers from the seat positions
+        </CheckboxLabel>
+        
+        {inferRows && (
+          <OptionRow>
+            <label>
+              Seat numbers
+              <Select value={numbering} onChange={e => setNumbering(e.target.value)}>
+                <option value={NUMBERING_CONVENTIONS.LEFT_TO_RIGHT}>Left to right</option>
+                <option value={NUMBERING_CONVENTIONS.RIGHT_TO_LEFT}>Right to left</option>
+                <option value={NUMBERING_CONVENTIONS.ODD_LEFT}>Odd left, even right</option>
+                <option value={NUMBERING_CONVENTIONS.ODD_RIGHT}>Even left, odd right</option>
+              </Select>
+            </label>
+            <label>
+              Rows
+              <Select value={rowLabels} onChange={e => setRowLabels(e.target.value)}>
+                <option value={ROW_LABEL_STYLES.NUMBERS}>1, 2, 3…</option>
+                <option value={ROW_LABEL_STYLES.LETTERS}>A, B, C…</option>
+              </Select>
+            </label>
+          </OptionRow>
+        )}
+      </NumberingOptions>
+      
+      <FrameOptions>
+        <OptionRow>
+          <label>
+            Source frame
+            <Select
+              value={findFramePreset(frame) || ''}
+              onChange={e => handlePresetChange(e.target.value)}
+            >
+              {Object.keys(FRAME_PRESETS).map(preset => (
+                <option key={preset} value={preset}>{PRESET_LABELS[preset]}</option>
+              ))}
+            </Select>
+          </label>
+          <label>
+            Up axis
+            <Select value={frame.upAxis} onChange={e => updateFrame({ upAxis: e.target.value })}>
+              <option value={UP_AXES.Y}>Y</option>
+              <option value={UP_AXES.Z}>Z</option>
+            </Select>
+          </label>
+          <label>
+            Handedness
+            <Select value={frame.handedness} onChange={e => updateFrame({ handedness: e.target.value })}>
+              <option value={HANDEDNESS.RIGHT}>Right</option>
+              <option value={HANDEDNESS.LEFT}>Left</option>
+            </Select>
+          </label>
+          <label>
+            Units
+            <Select value={frame.units} onChange={e => updateFrame({ units: e.target.value })}>
+              {Object.keys(UNITS).map(unit => (
+                <option key={unit} value={unit}>{UNIT_LABELS[unit]}</option>
+              ))}
+            </Select>
+          </label>
+          <label>
+            Scale
+            <ScaleInput
+              type="number"
+              min="0"
+              step="any"
+              value={frame.scale}
+              onChange={e => {
+                const scale = Number(e.target.value);
+                if (scale > 0) updateFrame({ scale });
+              }}
+            />
+          </label>
+        </OptionRow>
+        <CheckboxLabel>
+          <input
+            type="checkbox"
+            checked={showPreview}
+            onChange={e => setShowPreview(e.target.checked)}
+          />
+          Preview the seats on the model before importing
+        </CheckboxLabel>
+      </FrameOptions>
+      
+      {showPreview && <FramePreview seats={previewSeats} />}
+      
+      <SeatFileImport
+        rowInference={rowInference}
+        frame={frame}
+        onPreviewChange={handleFilePreviewChange}
+        onSeatsGenerated={stageSeats}
+        onTextLoaded={text => {
+          setCoordinates(text);
+          setImportErrors([]);
+          setImportSummary(null);
+        }}
+      />
+      
+      <ChairSeatImport rowInference={rowInference} onSeatsGenerated={stageSeats} />
+      
       <TextArea 
         value={coordinates}
         onChange={e => setCoordinates(e.target.value)}
@@ -49,12 +259,54 @@ const CoordinateImporter = ({ onSeatsGenerated }) => {
         </ImportButton>
         
         <ClearButton
-          onClick={() => setCoordinates('')}
+          onClick={() => {
+            setCoordinates('');
+            setImportErrors([]);
+            setImportSummary(null);
+          }}
           disabled={isImporting || !coordinates.trim()}
         >
           Clear
         </ClearButton>
       </ButtonRow>
+      
+      {importSummary && (
+        <ImportSummary>{importSummary}</ImportSummary>
+      )}
+      
+      {staged && (
+        <StagedImport>
+          <StagedTitle>Review changes before applying</StagedTitle>
+          <SeatValidationPanel
+            seats={staged.seats}
+            onSeatsChange={seats => setStaged(prev => ({ ...prev, seats }))}
+          />
+          <SeatGroundingPanel
+            seats={staged.seats}
+            onSeatsChange={seats => setStaged(prev => ({ ...prev, seats }))}
+          />
+          <SeatDiffSummary currentSeats={currentSeats} nextSeats={staged.seats} />
+          <ButtonRow>
+            <ImportButton onClick={handleApply}>
+              Apply {staged.seats.length} Seats
+            </ImportButton>
+            <ClearButton onClick={() => setStaged(null)}>
+              Discard
+            </ClearButton>
+          </ButtonRow>
+        </StagedImport>
+      )}
+      
+      {importErrors.length > 0 && (
+        <ErrorList>
+          {importErrors.slice(0, MAX_LISTED_ERRORS).map((error, index) => (
+            <ErrorItem key={index}>{formatImportError(error)}</ErrorItem>
+          ))}
+          {importErrors.length > MAX_LISTED_ERRORS && (
+            <ErrorItem>…and {importErrors.length - MAX_LISTED_ERRORS} more errors</ErrorItem>
+          )}
+        </ErrorList>
+      )}
     </ImporterContainer>
   );
 };
@@ -86,6 +338,59 @@ const ImportDescription = styled.p`
   }
 `;
 
+const NumberingOptions = styled.div`
+  margin-bottom: 15px;
+  font-size: 13px;
+  color: #555;
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  cursor: pointer;
+`;
+
+const OptionRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 15px;
+  margin-top: 8px;
+  padding-left: 24px;
+  
+  label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+`;
+
+const FrameOptions = styled.div`
+  margin-bottom: 15px;
+  font-size: 13px;
+  color: #555;
+  
+  ${OptionRow} {
+    margin: 0 0 8px 0;
+    padding-left: 0;
+  }
+`;
+
+const ScaleInput = styled.input`
+  width: 70px;
+  padding: 4px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const Select = styled.select`
+  padding: 4px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
 const TextArea = styled.textarea`
   width: 100%;
   padding: 10px;
@@ -142,4 +447,40 @@ const ClearButton = styled(Button)`
   }
 `;
 
+const StagedImport = styled.div`
+  margin-top: 15px;
+  padding-top: 15px;
+  border-top: 1px solid #eee;
+`;
+
+const StagedTitle = styled.h3`
+  font-size: 15px;
+  font-weight: 500;
+  margin: 0 0 10px 0;
+  color: #333;
+`;
+
+const ImportSummary = styled.p`
+  margin: 15px 0 0 0;
+  font-size: 13px;
+  color: #2e7d32;
+`;
+
+const ErrorList = styled.ul`
+  margin: 15px 0 0 0;
+  padding: 10px 10px 10px 28px;
+  max-height: 160px;
+  overflow-y: auto;
+  background-color: #ffebee;
+  border: 1px solid #ffcdd2;
+  border-radius: 4px;
+`;
+
+const ErrorItem = styled.li`
+  font-family: monospace;
+  font-size: 12px;
+  color: #c62828;
+  margin-bottom: 4px;
+`;
+
 export default CoordinateImporter; 
\ No newline at end of file
@@ -0,0 +1,123 @@
+// @ts-nocheck
+import React, { useMemo } from 'react';
+import styled from 'styled-components';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import { useModel } from '../utils/ModelContext';
+import { useVenue } from '../utils/VenueContext';
+import { applyModelTransform } from '../utils/modelLoader';
+import { seatToWorld } from '../utils/coordinateFrame';
+
+// Seats drawn in the preview, so very large imports stay responsive
+const MAX_PREVIEW_SEATS = 5000;
+
+// Imported seats drawn as points over the venue model, so the coordinate
+// frame can be checked before the seats are imported
+const FramePreview = ({ seats }) => {
+  const venue = useVenue();
+  const { model } = useModel();
+
+  // Render a copy of the model with the venue's transform, as the seat views do
+  const scene = useMemo(() => {
+    if (!model || !model.scene) return null;
+    const copy = model.scene.clone();
+    applyModelTransform(copy, venue.model);
+    return copy;
+  }, [model, venue.model]);
+
+  const { positions, center, radius } = useMemo(() => {
+    const shown = seats.slice(0, MAX_PREVIEW_SEATS);
+    const points = new Float32Array(shown.length * 3);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    shown.forEach((seat, index) => {
+      const { x, y, z } = seatToWorld(seat, venue.model);
+      [x, y, z].forEach((value, axis) => {
+        points[index * 3 + axis] = value;
+        min[axis] = Math.min(min[axis], value);
+        max[axis] = Math.max(max[axis], value);
+      });
+    });
+
+    if (shown.length === 0) {
+      return { positions: points, center: [0, 0, 0], radius: 10 };
+    }
+    return {
+      positions: points,
+      center: min.map((value, axis) => (value + max[axis]) / 2),
+      radius: Math.max(Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2, 1)
+    };
+  }, [seats, venue.model]);
+
+  return (
+    <PreviewContainer>
+      <Canvas
+        camera={{
+          position: [center[0] + radius * 1.5, center[1] + radius * 1.5, center[2] + radius * 1.5],
+          fov: 50,
+          near: 0.01,
+          far: radius * 100
+        }}
+      >
+        <ambientLight intensity={0.7} />
+        <directionalLight position={[10, 20, 10]} intensity={0.8} />
+        {scene && <primitive object={scene} />}
+        <points>
+          <bufferGeometry>
+            <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+          </bufferGeometry>
+          <pointsMaterial color="#d32f2f" size={5} sizeAttenuation={false} depthTest={false} />
+        </points>
+        <axesHelper args={[radius]} />
+        <OrbitControls target={center} />
+      </Canvas>
+      <PreviewLegend>
+        <span><Swatch $color="#d32f2f" /> Imported seats</span>
+        <span><Swatch $color="#ff0000" /> x</span>
+        <span><Swatch $color="#00ff00" /> y (up)</span>
+        <span><Swatch $color="#0000ff" /> z</span>
+        {!scene && <span>Model not loaded</span>}
+        {seats.length > MAX_PREVIEW_SEATS && <span>Showing {MAX_PREVIEW_SEATS} of {seats.length} seats</span>}
+      </PreviewLegend>
+    </PreviewContainer>
+  );
+};
+
+const PreviewContainer = styled.div`
+  position: relative;
+  height: 260px;
+  margin-bottom: 15px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  overflow: hidden;
+  background-color: #263238;
+`;
+
+const PreviewLegend = styled.div`
+  position: absolute;
+  left: 8px;
+  bottom: 6px;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  font-size: 11px;
+  color: #eceff1;
+  pointer-events: none;
+
+  span {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+`;
+
+const Swatch = styled.span`
+  display: inline-block;
+  width: 8px;
+  height: 8px;
+  border-radius: 50%;
+  background-color: ${props => props.$color};
+`;
+
+export default FramePreview;
@@ -0,0 +1,108 @@
+import React from 'react';
+import styled from 'styled-components';
+import { HEATMAP_MODES, HEATMAP_STYLES } from '../utils/seatHeatmap';
+
+// Switches the seat map's heatmap and shows its gradient legend
+const HeatmapControls = ({ mode, onModeChange, min, max, note = null }) => {
+  const style = HEATMAP_STYLES[mode];
+
+  return (
+    <HeatmapContainer>
+      <HeatmapLabel>Color by</HeatmapLabel>
+      <ModeButtons>
+        <ModeButton
+          type="button"
+          $active={mode === HEATMAP_MODES.NONE}
+          onClick={() => onModeChange(HEATMAP_MODES.NONE)}
+        >
+          Status
+        </ModeButton>
+        {Object.keys(HEATMAP_STYLES).map(heatmapMode => (
+          <ModeButton
+            key={heatmapMode}
+            type="button"
+            $active={mode === heatmapMode}
+            onClick={() => onModeChange(heatmapMode)}
+          >
+            {HEATMAP_STYLES[heatmapMode].label}
+          </ModeButton>
+        ))}
+      </ModeButtons>
+
+      {style && (
+        <GradientLegend>
+          <GradientValue>{style.format(min)}</GradientValue>
+          <GradientBar $colors={style.colors} />
+          <GradientValue>{style.format(max)}</GradientValue>
+        </GradientLegend>
+      )}
+
+      {note && <HeatmapNote>{note}</HeatmapNote>}
+    </HeatmapContainer>
+  );
+};
+
+const HeatmapContainer = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 10px;
+  margin-top: 12px;
+`;
+
+const HeatmapLabel = styled.span`
+  font-size: 13px;
+  font-weight: 500;
+  color: #555;
+`;
+
+const ModeButtons = styled.div`
+  display: flex;
+`;
+
+const ModeButton = styled.button`
+  background-color: ${props => props.$active ? '#1976d2' : '#fff'};
+  color: ${props => props.$active ? 'white' : '#333'};
+  border: 1px solid ${props => props.$active ? '#1976d2' : '#ddd'};
+  padding: 5px 12px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:first-child {
+    border-radius: 4px 0 0 4px;
+  }
+
+  &:last-child {
+    border-radius: 0 4px 4px 0;
+  }
+
+  &:not(:first-child) {
+    margin-left: -1px;
+  }
+`;
+
+const GradientLegend = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`;
+
+const GradientBar = styled.div`
+  width: 160px;
+  height: 12px;
+  border-radius: 6px;
+  background: linear-gradient(to right, ${props => props.$colors.join(', ')});
+  border: 1px solid rgba(0, 0, 0, 0.1);
+`;
+
+const GradientValue = styled.span`
+  font-size: 12px;
+  color: #555;
+`;
+
+const HeatmapNote = styled.span`
+  font-size: 12px;
+  color: #666;
+`;
+
+export default HeatmapControls;
@@ -1,5 +1,5 @@
 // @ts-nocheck
-import React, { Suspense, useState, useEffect, useRef } from 'react';
+import React, { Suspense, useState, useEffect, useRef, useMemo } from 'react';
 import styled from 'styled-components';
 import { Canvas, useFrame, useThree, useLoader } from '@react-three/fiber';
 import { Environment, useAnimations } from '@react-three/drei';
@@ -7,10 +7,13 @@ import { positionCameraAtSeat } from '../utils/modelLoader';
 import { useModel } from '../utils/ModelContext';
 import * as THREE from 'three';
 import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader';
-import { getStadiumModelPath } from '../utils/modelLoader';
+import { getStadiumModelPath, applyModelTransform } from '../utils/modelLoader';
+import { useVenue } from '../utils/VenueContext';
+import { seatToWorld } from '../utils/coordinateFrame';
+import { getSeatViewpoint, getDefaultEyeHeightPreset } from '../utils/seatViewpoint';
 
 // Custom first-person camera controls
-const FirstPersonControls = ({ seatCoordinates, mini = true }) => {
+const FirstPersonControls = ({ seatCoordinates, lookAtTarget, mini = true }) => {
   const { camera, gl } = useThree();
   const isDragging = useRef(false);
   const lastMouseX = useRef(0);
@@ -18,20 +21,18 @@ const FirstPersonControls = ({ seatCoordinates, mini = true }) => {
   const rotationX = useRef(0);
   const rotationY = useRef(0);
   
-  // Set initial camera position
+  // Set initial camera position and direction
   useEffect(() => {
     if (camera && seatCoordinates) {
-      // Position the camera exactly at the seat coordinates
-      camera.position.set(
-        seatCoordinates.x || 0,
-        seatCoordinates.y || 2,
-        seatCoordinates.z || 10
-      );
+      // Position the camera exactly at the seat coordinates, looking the way the seat faces
+      positionCameraAtSeat(camera, seatCoordinates, lookAtTarget);
       
-      // Look at the center of the stadium initially
-      camera.lookAt(0, 0, 0);
+      // Start looking around from the initial direction instead of jumping back to straight ahead
+      const initial = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+      rotationX.current = initial.x;
+      rotationY.current = initial.y;
     }
-  }, [camera, seatCoordinates]);
+  }, [camera, seatCoordinates, lookAtTarget]);
   
   // Lock camera position on each frame
   useFrame(() => {
@@ -103,6 +104,7 @@ const FirstPersonControls = ({ seatCoordinates, mini = true }) => {
 // Stadium NeRF model component - using shared model context
 const StadiumModel = ({ seatCoordinates }) => {
   const { model, error, isLoading } = useModel();
+  const venue = useVenue();
   const group = useRef();
   
   console.log('[MiniSeatView] Model status:', { isLoading, hasModel: !!model, hasError: !!error });
@@ -140,12 +142,8 @@ const StadiumModel = ({ seatCoordinates }) => {
       if (modelObject) {
         console.log('[MiniSeatView] Setting up DAE model');
         
-        // Scale the model appropriately for DAE files
-        // Using a larger scale since we're no longer scaling the camera position
-        modelObject.scale.set(10, 10, 10);
-        
-        // Position the model centered at the origin
-        modelObject.position.set(0, -3, 0);
+        // Scale and position the model as declared by the venue
+        applyModelTransform(modelObject, venue.model);
         
         // Add materials to meshes if they appear black or have no material
         modelObject.traverse((child) => {
@@ -206,7 +204,7 @@ const StadiumModel = ({ seatCoordinates }) => {
           }
         });
       }
-    }, [daeModel]);
+    }, [daeModel, venue.model]);
     
     return (
       <group ref={group}>
@@ -265,11 +263,8 @@ const StadiumModel = ({ seatCoordinates }) => {
     if (model?.scene) {
       console.log('[MiniSeatView] Setting up model scene');
       
-      // Scale the model appropriately - use larger scale for better visibility
-      model.scene.scale.set(10, 10, 10);
-      
-      // Position the model centered at the origin
-      model.scene.position.set(0, -3, 0);
+      // Scale and position the model as declared by the venue
+      applyModelTransform(model.scene, venue.model);
       
       // Play any animations if they exist
       if (actions && Object.keys(actions).length > 0) {
@@ -278,7 +273,7 @@ const StadiumModel = ({ seatCoordinates }) => {
         actions[actionName]?.play();
       }
     }
-  }, [model, actions]);
+  }, [model, actions, venue.model]);
   
   // Return the loaded model
   return (
@@ -385,8 +380,22 @@ const FallbackModel = () => {
   );
 };
 
-const MiniSeatView = ({ seatCoordinates, seat, mini = true }) => {
+const MiniSeatView = ({ seatCoordinates, seat, seats = [], eyeHeightPreset = null, mini = true }) => {
   const { isLoading, error } = useModel();
+  const venue = useVenue();
+  
+  // Seat coordinates are in the model's frame; place the camera where the
+  // seat ends up once the model is scaled and positioned, at the chosen eye
+  // height and looking the way the seat faces
+  const viewpoint = useMemo(() => (
+    seat && seatCoordinates
+      ? getSeatViewpoint(seat, seats, venue.model, eyeHeightPreset || getDefaultEyeHeightPreset(seat))
+      : null
+  ), [seat, seatCoordinates, seats, venue.model, eyeHeightPreset]);
+  const cameraPosition = useMemo(() => {
+    if (viewpoint) return viewpoint.position;
+    return seatCoordinates ? seatToWorld(seatCoordinates, venue.model) : null;
+  }, [viewpoint, seatCoordinates, venue.model]);
   
   return (
     <ViewContainer $mini={mini}>
@@ -396,12 +405,12 @@ const MiniSeatView = ({ seatCoordinates, seat, mini = true }) => {
         </LoadingOverlay>
       ) : (
         <Canvas 
-          key={`mini-view-${seatCoordinates?.x}-${seatCoordinates?.y}-${seatCoordinates?.z}`} 
+          key={`mini-view-${cameraPosition?.x}-${cameraPosition?.y}-${cameraPosition?.z}`} 
           camera={{ 
             position: [
-              seatCoordinates?.x || 0, 
-              seatCoordinates?.y || 2, 
-              seatCoordinates?.z || 10
+              cameraPosition?.x || 0, 
+              cameraPosition?.y || 2, 
+              cameraPosition?.z || 10
             ], 
             fov: 75 
           }}
@@ -412,10 +421,14 @@ const MiniSeatView = ({ seatCoordinates, seat, mini = true }) => {
           <ambientLight intensity={0.5} />
           <pointLight position={[10, 10, 10]} intensity={1} />
           <Suspense fallback={null}>
-            <StadiumModel seatCoordinates={seatCoordinates} />
+            <StadiumModel seatCoordinates={cameraPosition} />
             <Environment preset="sunset" />
           </Suspense>
-          <FirstPersonControls seatCoordinates={seatCoordinates} mini={mini} />
+          <FirstPersonControls
+            seatCoordinates={cameraPosition}
+            lookAtTarget={viewpoint?.target}
+            mini={mini}
+          />
         </Canvas>
       )}
       
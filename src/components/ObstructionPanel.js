@@ -0,0 +1,190 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import { prepareModelForRaycast } from '../utils/modelRaycast';
+import {
+  DEFAULT_OBSTRUCTION_OPTIONS,
+  findObstructedViews,
+  markObstructedSeats
+} from '../utils/obstructedViews';
+import { useModel } from '../utils/ModelContext';
+import { useVenue } from '../utils/VenueContext';
+
+// Seats listed in the report before collapsing the rest into a count
+const MAX_LISTED_SEATS = 5;
+
+// Checks every seat's view of the field against the loaded model and marks
+// the seats that can't see enough of it as having an obstructed view
+const ObstructionPanel = ({ seats, onSeatsChange }) => {
+  const { model } = useModel();
+  const venue = useVenue();
+  const [threshold, setThreshold] = useState(String(DEFAULT_OBSTRUCTION_OPTIONS.threshold * 100));
+  // Seats checked so far while a check is running
+  const [progress, setProgress] = useState(null);
+  // Outcome of the last run, worst views first
+  const [report, setReport] = useState(null);
+  // Stops a running check when the panel closes
+  const isMounted = useRef(true);
+
+  const raycastModel = useMemo(() => prepareModelForRaycast(model), [model]);
+  const thresholdIsValid = threshold !== '' && Number(threshold) >= 0 && Number(threshold) < 100;
+
+  useEffect(() => {
+    isMounted.current = true;
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+
+  const handleFind = async () => {
+    setReport(null);
+    setProgress({ done: 0, total: seats.length });
+
+    try {
+      const result = await findObstructedViews(seats, raycastModel, venue.model, {
+        threshold: Number(threshold) / 100,
+        onProgress: (done, total) => {
+          if (isMounted.current) setProgress({ done, total });
+        },
+        shouldStop: () => !isMounted.current
+      });
+      if (!result || !isMounted.current) return;
+
+      const { seats: markedSeats, marked } = markObstructedSeats(seats, result.obstructed);
+      console.log(`Found ${result.obstructed.length} seats with obstructed views, ${marked} newly marked`);
+
+      setReport({
+        obstructed: result.obstructed
+          .map(index => ({ id: seats[index].id, blocked: result.blockedFractions[index] }))
+          .sort((a, b) => b.blocked - a.blocked),
+        marked
+      });
+      if (marked > 0) {
+        onSeatsChange(markedSeats, `Marked ${marked} seats with obstructed views`);
+      }
+    } catch (error) {
+      console.error('Error checking seats for obstructed views:', error);
+    } finally {
+      if (isMounted.current) setProgress(null);
+    }
+  };
+
+  return (
+    <ObstructionContainer>
+      <OptionsRow>
+        <label>
+          Obstructed above
+          <OptionInput
+            type="number"
+            min="0"
+            max="99"
+            step="5"
+            value={threshold}
+            onChange={e => setThreshold(e.target.value)}
+          />
+          % of the field blocked
+        </label>
+        <FindButton
+          onClick={handleFind}
+          disabled={!raycastModel || seats.length === 0 || !thresholdIsValid || progress !== null}
+        >
+          {progress ? `Checking ${progress.done}/${progress.total}…` : 'Find Obstructed Views'}
+        </FindButton>
+      </OptionsRow>
+
+      {!raycastModel && (
+        <ObstructionHint>Load a 3D model to check seats for obstructed views.</ObstructionHint>
+      )}
+
+      {report && (
+        <ObstructionReport $found={report.obstructed.length > 0}>
+          <div>
+            {report.obstructed.length === 0
+              ? 'No seats have an obstructed view.'
+              : `${report.obstructed.length} seats have an obstructed view; ${report.marked} were newly marked.`}
+          </div>
+          {report.obstructed.length > 0 && (
+            <ul>
+              {report.obstructed.slice(0, MAX_LISTED_SEATS).map(({ id, blocked }, index) => (
+                <li key={`${id}-${index}`}>{id}: {Math.round(blocked * 100)}% blocked</li>
+              ))}
+              {report.obstructed.length > MAX_LISTED_SEATS && (
+                <li>…and {report.obstructed.length - MAX_LISTED_SEATS} more</li>
+              )}
+            </ul>
+          )}
+        </ObstructionReport>
+      )}
+    </ObstructionContainer>
+  );
+};
+
+const ObstructionContainer = styled.div`
+  margin-bottom: 15px;
+  padding: 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+  color: #333;
+`;
+
+const OptionsRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    color: #555;
+  }
+`;
+
+const OptionInput = styled.input`
+  width: 60px;
+  padding: 4px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const FindButton = styled.button`
+  background-color: #2196f3;
+  color: white;
+  border: none;
+  padding: 6px 12px;
+  border-radius: 4px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: #1976d2;
+  }
+
+  &:disabled {
+    background-color: #90caf9;
+    cursor: not-allowed;
+  }
+`;
+
+const ObstructionHint = styled.p`
+  margin: 8px 0 0 0;
+  font-size: 12px;
+  color: #666;
+`;
+
+const ObstructionReport = styled.div`
+  margin-top: 10px;
+  color: ${props => props.$found ? '#8d6e00' : '#2e7d32'};
+
+  ul {
+    margin: 4px 0 0 0;
+    padding-left: 20px;
+    font-family: monospace;
+    font-size: 12px;
+    color: #555;
+  }
+`;
+
+export default ObstructionPanel;
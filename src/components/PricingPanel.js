@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import {
+  DEFAULT_PRICING_RULES,
+  validatePricingRules,
+  applyPricing,
+  summarizePrices
+} from '../utils/pricingEngine';
+
+// Number of bars in the price histogram
+const HISTOGRAM_BUCKETS = 8;
+
+const formatPrice = (price) => `$${Math.round(price).toLocaleString()}`;
+
+const PricingPanel = ({ seats, rules, onApply }) => {
+  const [rulesText, setRulesText] = useState(() => JSON.stringify(rules || DEFAULT_PRICING_RULES, null, 2));
+  const [errors, setErrors] = useState([]);
+  // Rules and price summary from the last successful preview
+  const [preview, setPreview] = useState(null);
+  const [applied, setApplied] = useState(false);
+
+  const handleTextChange = (e) => {
+    setRulesText(e.target.value);
+    setPreview(null);
+    setApplied(false);
+  };
+
+  const handlePreview = () => {
+    setErrors([]);
+    setPreview(null);
+    setApplied(false);
+
+    let parsedRules;
+    try {
+      parsedRules = JSON.parse(rulesText);
+    } catch (error) {
+      setErrors([{ message: `Invalid JSON: ${error.message}` }]);
+      return;
+    }
+
+    const { valid, errors: ruleErrors } = validatePricingRules(parsedRules);
+    if (!valid) {
+      setErrors(ruleErrors);
+      return;
+    }
+
+    const pricedSeats = applyPricing(seats, parsedRules);
+    const changedCount = pricedSeats.filter((seat, index) => seat.price !== seats[index].price).length;
+
+    setPreview({
+      rules: parsedRules,
+      changedCount,
+      fixedCount: seats.filter(seat => seat.fixedPrice).length,
+      current: summarizePrices(seats.map(seat => Number(seat.price) || 0), HISTOGRAM_BUCKETS),
+      next: summarizePrices(pricedSeats.map(seat => seat.price), HISTOGRAM_BUCKETS)
+    });
+  };
+
+  const handleApply = () => {
+    if (!preview) return;
+    onApply(preview.rules);
+    setApplied(true);
+  };
+
+  const handleResetRules = () => {
+    setRulesText(JSON.stringify(DEFAULT_PRICING_RULES, null, 2));
+    setErrors([]);
+    setPreview(null);
+    setApplied(false);
+  };
+
+  const largestBucket = preview
+    ? Math.max(...preview.next.buckets.map(bucket => bucket.count), 1)
+    : 1;
+
+  return (
+    <PricingContainer>
+      <PricingTitle>Pricing Rules</PricingTitle>
+      <PricingDescription>
+        Set base prices per <code>sections</code> or distance <code>zones</code>, adjust them
+        with row, attribute and event <code>modifiers</code>, and fix individual seats
+        with <code>overrides</code>. Preview the new prices before applying them.
+      </PricingDescription>
+
+      <TextArea
+        value={rulesText}
+        onChange={handleTextChange}
+        rows={12}
+        spellCheck={false}
+      />
+
+      <ButtonRow>
+        <PreviewButton onClick={handlePreview} disabled={!rulesText.trim()}>
+          Preview Prices
+        </PreviewButton>
+        <ApplyButton onClick={handleApply} disabled={!preview || applied}>
+          {applied ? 'Applied' : 'Apply'}
+        </ApplyButton>
+        <ResetButton onClick={handleResetRules}>
+          Default Rules
+        </ResetButton>
+      </ButtonRow>
+
+      {errors.length > 0 && (
+        <ErrorList>
+          {errors.map((error, index) => (
+            <ErrorItem key={index}>{error.path ? `${error.path}: ${error.message}` : error.message}</ErrorItem>
+          ))}
+        </ErrorList>
+      )}
+
+      {preview && (
+        <PreviewContainer>
+          <SummaryGrid>
+            <SummaryItem>
+              <SummaryLabel>Lowest</SummaryLabel>
+              <SummaryValue>{formatPrice(preview.next.min)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Average</SummaryLabel>
+              <SummaryValue>{formatPrice(preview.next.average)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Highest</SummaryLabel>
+              <SummaryValue>{formatPrice(preview.next.max)}</SummaryValue>
+            </SummaryItem>
+            <SummaryItem>
+              <SummaryLabel>Sell-out revenue</SummaryLabel>
+              <SummaryValue>{formatPrice(preview.next.total)}</SummaryValue>
+            </SummaryItem>
+          </SummaryGrid>
+
+          <Histogram>
+            {preview.next.buckets.map((bucket, index) => (
+              <HistogramColumn key={index} title={`${formatPrice(bucket.from)}–${formatPrice(bucket.to)}: ${bucket.count} seats`}>
+                <HistogramCount>{bucket.count || ''}</HistogramCount>
+                <HistogramBar style={{ height: `${(bucket.count / largestBucket) * 100}%` }} />
+                <HistogramLabel>{formatPrice(bucket.from)}</HistogramLabel>
+              </HistogramColumn>
+            ))}
+          </Histogram>
+
+          <PreviewNote>
+            {preview.changedCount} of {seats.length} seat prices change. Sell-out revenue
+            goes from {formatPrice(preview.current.total)} to {formatPrice(preview.next.total)}.
+            {preview.fixedCount > 0 && ` ${preview.fixedCount} seats keep their own fixed price.`}
+          </PreviewNote>
+        </PreviewContainer>
+      )}
+    </PricingContainer>
+  );
+};
+
+const PricingContainer = styled.div`
+  background-color: white;
+  border-radius: 8px;
+  padding: 20px;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+  margin-bottom: 20px;
+`;
+
+const PricingTitle = styled.h2`
+  font-size: 18px;
+  margin: 0 0 10px 0;
+  color: #333;
+`;
+
+const PricingDescription = styled.p`
+  font-size: 14px;
+  margin: 0 0 15px 0;
+  color: #666;
+
+  code {
+    background-color: #f5f5f5;
+    padding: 2px 4px;
+    border-radius: 3px;
+    font-family: monospace;
+  }
+`;
+
+const TextArea = styled.textarea`
+  width: 100%;
+  padding: 10px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-family: monospace;
+  font-size: 12px;
+  resize: vertical;
+  margin-bottom: 15px;
+
+  &:focus {
+    outline: none;
+    border-color: #1976d2;
+    box-shadow: 0 0 0 2px rgba(25, 118, 210, 0.1);
+  }
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
+const Button = styled.button`
+  padding: 10px 16px;
+  border-radius: 4px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const PreviewButton = styled(Button)`
+  background-color: #1976d2;
+  color: white;
+  border: none;
+
+  &:hover:not(:disabled) {
+    background-color: #1565c0;
+  }
+`;
+
+const ApplyButton = styled(Button)`
+  background-color: #2e7d32;
+  color: white;
+  border: none;
+
+  &:hover:not(:disabled) {
+    background-color: #1b5e20;
+  }
+`;
+
+const ResetButton = styled(Button)`
+  background-color: white;
+  color: #666;
+  border: 1px solid #ddd;
+
+  &:hover:not(:disabled) {
+    background-color: #f5f5f5;
+  }
+`;
+
+const ErrorList = styled.ul`
+  margin: 15px 0 0 0;
+  padding: 10px 10px 10px 28px;
+  max-height: 160px;
+  overflow-y: auto;
+  background-color: #ffebee;
+  border: 1px solid #ffcdd2;
+  border-radius: 4px;
+`;
+
+const ErrorItem = styled.li`
+  font-family: monospace;
+  font-size: 12px;
+  color: #c62828;
+  margin-bottom: 4px;
+`;
+
+const PreviewContainer = styled.div`
+  margin-top: 15px;
+`;
+
+const SummaryGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(4, 1fr);
+  gap: 8px;
+  margin-bottom: 15px;
+`;
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+  padding: 8px;
+  background-color: #f5f5f5;
+  border-radius: 4px;
+`;
+
+const SummaryLabel = styled.span`
+  font-size: 11px;
+  color: #666;
+`;
+
+const SummaryValue = styled.span`
+  font-size: 14px;
+  font-weight: 600;
+  color: #333;
+`;
+
+const Histogram = styled.div`
+  display: flex;
+  align-items: flex-end;
+  gap: 4px;
+  height: 120px;
+  padding-bottom: 18px;
+  border-bottom: 1px solid #ddd;
+`;
+
+const HistogramColumn = styled.div`
+  flex: 1;
+  height: 100%;
+  display: flex;
+  flex-direction: column;
+  justify-content: flex-end;
+  align-items: center;
+  position: relative;
+`;
+
+const HistogramBar = styled.div`
+  width: 100%;
+  min-height: 1px;
+  background-color: #1976d2;
+  border-radius: 2px 2px 0 0;
+`;
+
+const HistogramCount = styled.span`
+  font-size: 10px;
+  color: #666;
+  margin-bottom: 2px;
+`;
+
+const HistogramLabel = styled.span`
+  position: absolute;
+  bottom: -16px;
+  font-size: 10px;
+  color: #666;
+  white-space: nowrap;
+`;
+
+const PreviewNote = styled.p`
+  margin: 10px 0 0 0;
+  font-size: 13px;
+  color: #555;
+`;
+
+export default PricingPanel;
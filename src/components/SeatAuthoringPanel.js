@@ -0,0 +1,151 @@
+import React from 'react';
+import styled from 'styled-components';
+import { parseRowInput } from '../utils/seatEditing';
+
+// Overlay of the 3D seat authoring mode: the section, row and eye height
+// given to the next picked seat, and the seats picked so far
+const SeatAuthoringPanel = ({
+  fields,
+  onFieldChange,
+  sectionNames = [],
+  placedSeats = [],
+  onUndo,
+  canUndo
+}) => {
+  const rowIsValid = fields.row.trim() === '' || !!parseRowInput(fields.row);
+  const lastSeat = placedSeats[placedSeats.length - 1];
+
+  return (
+    <PanelContainer>
+      <PanelTitle>Place Seats</PanelTitle>
+      <FieldRow>
+        <label>
+          Section
+          <FieldInput
+            list="seat-authoring-sections"
+            value={fields.section}
+            placeholder="Auto"
+            onChange={e => onFieldChange('section', e.target.value)}
+          />
+          <datalist id="seat-authoring-sections">
+            {sectionNames.map(name => <option key={name} value={name} />)}
+          </datalist>
+        </label>
+        <label>
+          Row
+          <FieldInput
+            value={fields.row}
+            placeholder="Auto"
+            $invalid={!rowIsValid}
+            onChange={e => onFieldChange('row', e.target.value)}
+          />
+        </label>
+        <label>
+          Eye height (m)
+          <FieldInput
+            type="number"
+            min="0"
+            step="0.05"
+            value={fields.eyeHeight}
+            onChange={e => onFieldChange('eyeHeight', e.target.value)}
+          />
+        </label>
+      </FieldRow>
+      {!rowIsValid && <FieldError>Row must be a number or letters</FieldError>}
+      <PanelHint>
+        Click the floor of a row to place a seat there. It is raised to eye height and
+        numbered after the last seat of its row. Blank fields are taken from the nearest seat.
+      </PanelHint>
+      <PanelFooter>
+        <span>
+          {placedSeats.length === 0
+            ? 'No seats placed yet'
+            : `${placedSeats.length} placed, last ${lastSeat.id}`}
+        </span>
+        <UndoButton onClick={onUndo} disabled={!canUndo}>Undo</UndoButton>
+      </PanelFooter>
+    </PanelContainer>
+  );
+};
+
+const PanelContainer = styled.div`
+  position: absolute;
+  top: 12px;
+  left: 12px;
+  width: 280px;
+  padding: 12px 14px;
+  background-color: rgba(255, 255, 255, 0.95);
+  border-radius: 8px;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+  font-size: 13px;
+  color: #333;
+  z-index: 5;
+`;
+
+const PanelTitle = styled.div`
+  font-weight: 600;
+  font-size: 14px;
+  margin-bottom: 8px;
+`;
+
+const FieldRow = styled.div`
+  display: flex;
+  gap: 8px;
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+    font-size: 12px;
+    color: #555;
+  }
+`;
+
+const FieldInput = styled.input`
+  width: 70px;
+  padding: 5px 6px;
+  border: 1px solid ${props => props.$invalid ? '#e53935' : '#ddd'};
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const FieldError = styled.div`
+  margin-top: 4px;
+  font-size: 12px;
+  color: #c62828;
+`;
+
+const PanelHint = styled.p`
+  margin: 8px 0 0 0;
+  font-size: 12px;
+  color: #666;
+`;
+
+const PanelFooter = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-top: 10px;
+  padding-top: 8px;
+  border-top: 1px solid #eee;
+`;
+
+const UndoButton = styled.button`
+  background-color: #fff;
+  border: 1px solid #ddd;
+  padding: 4px 12px;
+  border-radius: 4px;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: #f5f5f5;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+export default SeatAuthoringPanel;
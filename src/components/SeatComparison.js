@@ -0,0 +1,188 @@
+import React, { useMemo, useRef } from 'react';
+import styled from 'styled-components';
+import SeatView from './SeatView';
+import { compareSeats } from '../utils/seatComparison';
+import { getRowLabel } from '../utils/rowInference';
+import { useVenue } from '../utils/VenueContext';
+import { useViewScores } from '../utils/ViewScoreContext';
+
+// Rows of the comparison table: label, the value to show and the value the best seat is picked by
+const COMPARISON_ROWS = [
+  { label: 'Section', format: entry => entry.seat.section },
+  { label: 'Row', format: entry => getRowLabel(entry.seat) },
+  { label: 'Seat', format: entry => entry.seat.number },
+  { label: 'Price', field: 'price', format: entry => (entry.price === null ? '—' : `$${entry.price}`) },
+  { label: 'Distance to field', field: 'distance', format: entry => (entry.distance === null ? '—' : `${entry.distance.toFixed(1)} m`) },
+  { label: 'View score', field: 'viewScore', format: entry => (entry.viewScore === null ? '—' : `${entry.viewScore}/100`) }
+];
+
+// Views from the compared seats side by side, turning together, above a
+// table of what sets the seats apart
+const SeatComparison = ({ seats, comparedIds, eyeHeightPreset = null, onRemoveSeat }) => {
+  const venue = useVenue();
+  const { scores: viewScores } = useViewScores();
+  // Point the views look at, shared so looking around in one turns them all
+  const lookSync = useRef({ target: null, version: 0 });
+
+  const compared = useMemo(() => (
+    compareSeats(seats, comparedIds, venue.model, viewScores)
+  ), [seats, comparedIds, venue.model, viewScores]);
+
+  if (compared.length < 2) {
+    return (
+      <EmptyComparison>
+        Add at least two seats to the comparison from the seat map popup to compare them here.
+      </EmptyComparison>
+    );
+  }
+
+  return (
+    <ComparisonContainer>
+      <ViewGrid $columns={compared.length === 4 ? 2 : compared.length}>
+        {compared.map(({ seat }) => (
+          <ViewCell key={seat.id}>
+            <ViewCellHeader>
+              <span>Seat {seat.id}</span>
+              <RemoveButton onClick={() => onRemoveSeat(seat.id)} title={`Remove seat ${seat.id} from the comparison`}>
+                ×
+              </RemoveButton>
+            </ViewCellHeader>
+            <ViewCellBody>
+              <SeatView
+                seatCoordinates={seat.coordinates}
+                seat={seat}
+                seats={seats}
+                eyeHeightPreset={eyeHeightPreset}
+                lookSync={lookSync}
+                compact
+              />
+            </ViewCellBody>
+          </ViewCell>
+        ))}
+      </ViewGrid>
+
+      <ComparisonFooter>
+        <ControlsText>
+          <strong>Controls:</strong> Drag any view to look around; the other views turn to look at the same point.
+        </ControlsText>
+        <ComparisonTable>
+          <thead>
+            <tr>
+              <th />
+              {compared.map(({ seat }) => <th key={seat.id}>{seat.id}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARISON_ROWS.map(row => (
+              <tr key={row.label}>
+                <th>{row.label}</th>
+                {compared.map(entry => (
+                  <ComparisonCell key={entry.seat.id} $best={row.field && entry.isBest[row.field]}>
+                    {row.format(entry)}
+                  </ComparisonCell>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </ComparisonTable>
+      </ComparisonFooter>
+    </ComparisonContainer>
+  );
+};
+
+const ComparisonContainer = styled.div`
+  flex: 1;
+  min-height: 0;
+  display: flex;
+  flex-direction: column;
+`;
+
+const ViewGrid = styled.div`
+  flex: 1;
+  min-height: 0;
+  display: grid;
+  grid-template-columns: repeat(${props => props.$columns}, 1fr);
+  grid-auto-rows: 1fr;
+  gap: 2px;
+  background-color: #ddd;
+`;
+
+const ViewCell = styled.div`
+  min-height: 200px;
+  display: flex;
+  flex-direction: column;
+  background-color: #f5f5f5;
+`;
+
+const ViewCellHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 6px 12px;
+  background-color: #e3f2fd;
+  color: #0d47a1;
+  font-size: 14px;
+  font-weight: 500;
+`;
+
+const ViewCellBody = styled.div`
+  flex: 1;
+  min-height: 0;
+  position: relative;
+`;
+
+const RemoveButton = styled.button`
+  background: none;
+  border: none;
+  color: #0d47a1;
+  font-size: 18px;
+  line-height: 1;
+  cursor: pointer;
+
+  &:hover {
+    color: #d32f2f;
+  }
+`;
+
+const ComparisonFooter = styled.div`
+  padding: 15px 20px;
+  background-color: #f9f9f9;
+  border-top: 1px solid #eee;
+`;
+
+const ControlsText = styled.p`
+  margin: 0 0 10px 0;
+  font-size: 14px;
+  color: #333;
+`;
+
+const ComparisonTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+
+  th, td {
+    padding: 5px 8px;
+    border-bottom: 1px solid #eee;
+    text-align: left;
+  }
+
+  th {
+    color: #666;
+    font-weight: 500;
+  }
+`;
+
+const ComparisonCell = styled.td`
+  color: ${props => props.$best ? '#2e7d32' : '#333'};
+  font-weight: ${props => props.$best ? 600 : 'normal'};
+`;
+
+const EmptyComparison = styled.p`
+  margin: 40px 20px;
+  font-size: 15px;
+  color: #666;
+  text-align: center;
+`;
+
+export default SeatComparison;
@@ -0,0 +1,145 @@
+import React, { useMemo } from 'react';
+import styled from 'styled-components';
+import { diffSeats, isEmptyDiff } from '../utils/seatDiff';
+import { DEFAULT_METERS_PER_UNIT } from '../utils/coordinateFrame';
+import { useVenue } from '../utils/VenueContext';
+import { getRowLabel } from '../utils/rowInference';
+
+// Seats listed under each heading before collapsing the rest into a count
+const MAX_LISTED_SEATS = 5;
+
+const describeSeat = (seat) => `${seat.id} (section ${seat.section}, row ${getRowLabel(seat)}, seat ${seat.number})`;
+
+const formatPriceChange = (change) => `${change > 0 ? '+' : '-'}$${Math.abs(change)}`;
+
+// Lists a few entries of one kind of change, with a count of the rest
+const ChangeList = ({ title, items, renderItem }) => {
+  if (items.length === 0) return null;
+
+  return (
+    <ChangeGroup>
+      <ChangeTitle>{title} ({items.length})</ChangeTitle>
+      <ul>
+        {items.slice(0, MAX_LISTED_SEATS).map((item, index) => (
+          <li key={index}>{renderItem(item)}</li>
+        ))}
+        {items.length > MAX_LISTED_SEATS && (
+          <li>…and {items.length - MAX_LISTED_SEATS} more</li>
+        )}
+      </ul>
+    </ChangeGroup>
+  );
+};
+
+// Shows what applying an import would change in the current seat list
+const SeatDiffSummary = ({ currentSeats, nextSeats }) => {
+  const venue = useVenue();
+  const diff = useMemo(() => diffSeats(currentSeats, nextSeats), [currentSeats, nextSeats]);
+  const metersPerUnit = venue.model.metersPerUnit || DEFAULT_METERS_PER_UNIT;
+
+  return (
+    <DiffContainer>
+      <DiffCounts>
+        <span><strong>{diff.added.length}</strong> added</span>
+        <span><strong>{diff.removed.length}</strong> removed</span>
+        <span><strong>{diff.moved.length}</strong> moved</span>
+        <span><strong>{diff.repriced.length}</strong> re-priced</span>
+        <span><strong>{diff.changed.length}</strong> renumbered</span>
+        <span><strong>{diff.unchanged}</strong> unchanged</span>
+      </DiffCounts>
+
+      {isEmptyDiff(diff) && (
+        <NoChanges>The imported seats are the same as the current seats.</NoChanges>
+      )}
+
+      {diff.duplicateIds.length > 0 && (
+        <DuplicateWarning>
+          {diff.duplicateIds.length} seat IDs are used more than once:{' '}
+          {diff.duplicateIds.slice(0, MAX_LISTED_SEATS).map(({ id, count }) => `${id} (×${count})`).join(', ')}
+          {diff.duplicateIds.length > MAX_LISTED_SEATS && ', …'}
+          . Only the first seat with each ID is compared, and the others can't be told apart when booking.
+        </DuplicateWarning>
+      )}
+
+      <ChangeList
+        title="Moved"
+        items={diff.moved}
+        renderItem={({ seat, distance }) => (
+          `${seat.id}: ${distance.toFixed(3)} units (${(distance * metersPerUnit).toFixed(2)} m)`
+        )}
+      />
+      <ChangeList
+        title="Re-priced"
+        items={diff.repriced}
+        renderItem={({ seat, previous, change }) => (
+          `${seat.id}: $${previous.price} → $${seat.price} (${formatPriceChange(change)})`
+        )}
+      />
+      <ChangeList
+        title="Added"
+        items={diff.added}
+        renderItem={describeSeat}
+      />
+      <ChangeList
+        title="Removed"
+        items={diff.removed}
+        renderItem={describeSeat}
+      />
+      <ChangeList
+        title="Renumbered or changed"
+        items={diff.changed}
+        renderItem={({ seat, fields }) => `${seat.id}: ${fields.join(', ')}`}
+      />
+    </DiffContainer>
+  );
+};
+
+const DiffContainer = styled.div`
+  margin-bottom: 15px;
+  padding: 12px;
+  border: 1px solid #bbdefb;
+  border-radius: 4px;
+  background-color: #f5f9ff;
+  font-size: 13px;
+  color: #333;
+`;
+
+const DiffCounts = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 12px;
+  margin-bottom: 8px;
+`;
+
+const NoChanges = styled.p`
+  margin: 0;
+  color: #666;
+  font-style: italic;
+`;
+
+const DuplicateWarning = styled.p`
+  margin: 0 0 8px 0;
+  padding: 8px;
+  background-color: #fff8e1;
+  border: 1px solid #ffe082;
+  border-radius: 4px;
+  color: #8d6e00;
+`;
+
+const ChangeGroup = styled.div`
+  margin-top: 8px;
+
+  ul {
+    margin: 4px 0 0 0;
+    padding-left: 20px;
+    font-family: monospace;
+    font-size: 12px;
+    color: #555;
+  }
+`;
+
+const ChangeTitle = styled.div`
+  font-weight: 500;
+`;
+
+export default SeatDiffSummary;
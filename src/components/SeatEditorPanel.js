@@ -0,0 +1,360 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { EDITOR_TOOLS, validateSeatChanges } from '../utils/seatEditing';
+import { getRowLabel } from '../utils/rowInference';
+import { SEAT_ATTRIBUTES, SEAT_ATTRIBUTE_STYLES, getKnownAttributes } from '../utils/seatAttributes';
+
+const TOOL_LABELS = {
+  [EDITOR_TOOLS.SELECT]: 'Select & Move',
+  [EDITOR_TOOLS.ADD]: 'Add Seats',
+  [EDITOR_TOOLS.LASSO]: 'Lasso'
+};
+
+const TOOL_HINTS = {
+  [EDITOR_TOOLS.SELECT]: 'Click a seat to select it, Shift + Click to select several, and drag to move them.',
+  [EDITOR_TOOLS.ADD]: 'Click on the map to add a seat. It joins the row of the nearest seat.',
+  [EDITOR_TOOLS.LASSO]: 'Drag around seats to select them. Hold Shift to add to the selection.'
+};
+
+// Value shown for a field: the seats' shared value, or blank when they differ
+const sharedValue = (seats, getValue) => {
+  const values = new Set(seats.map(seat => String(getValue(seat))));
+  return values.size === 1 ? [...values][0] : '';
+};
+
+// State of a checkbox: true or false when every seat agrees, null when they differ
+const sharedFlag = (seats, isSet) => {
+  const count = seats.filter(isSet).length;
+  return count === 0 ? false : count === seats.length ? true : null;
+};
+
+const getFieldValues = (seats) => ({
+  id: sharedValue(seats, seat => seat.id),
+  section: sharedValue(seats, seat => seat.section),
+  row: sharedValue(seats, getRowLabel),
+  number: sharedValue(seats, seat => seat.number),
+  price: sharedValue(seats, seat => seat.price),
+  // true or false when every seat agrees, null when they differ
+  fixedPrice: sharedFlag(seats, seat => !!seat.fixedPrice),
+  attributes: Object.fromEntries(Object.values(SEAT_ATTRIBUTES).map(attribute => [
+    attribute,
+    sharedFlag(seats, seat => getKnownAttributes(seat).includes(attribute))
+  ]))
+});
+
+// Inline editor for the selected seats. It is keyed by the selection, so
+// selecting other seats starts again from their values.
+const SelectedSeatsForm = ({ seats, selection, onApply, onDelete, onClearSelection }) => {
+  const selectedSeats = selection.map(index => seats[index]).filter(Boolean);
+  const single = selectedSeats.length === 1;
+  const [fields, setFields] = useState(() => getFieldValues(selectedSeats));
+  const [errors, setErrors] = useState([]);
+
+  const handleFieldChange = (field, value) => {
+    setFields(prev => ({ ...prev, [field]: value }));
+  };
+
+  // A price typed in the editor is a fixed price
+  const handlePriceChange = (value) => {
+    setFields(prev => ({ ...prev, price: value, fixedPrice: value !== '' ? true : prev.fixedPrice }));
+  };
+
+  const handleAttributeChange = (attribute, enabled) => {
+    setFields(prev => ({ ...prev, attributes: { ...prev.attributes, [attribute]: enabled } }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+
+    // Only send fields that were changed; blank fields of a multi-seat edit stay as they are
+    const initial = getFieldValues(selectedSeats);
+    const editable = single ? ['id', 'section', 'row', 'number', 'price'] : ['section', 'row', 'price'];
+    const changes = {};
+    editable.forEach(field => {
+      if (fields[field] !== initial[field] && (single || fields[field] !== '')) {
+        changes[field] = fields[field];
+      }
+    });
+    const attributes = Object.fromEntries(
+      Object.entries(fields.attributes).filter(([attribute, enabled]) => enabled !== initial.attributes[attribute])
+    );
+    if (Object.keys(attributes).length > 0) {
+      changes.attributes = attributes;
+    }
+    if (fields.fixedPrice !== null && fields.fixedPrice !== initial.fixedPrice) {
+      changes.fixedPrice = fields.fixedPrice;
+    }
+    if (Object.keys(changes).length === 0) return;
+
+    const problems = validateSeatChanges(seats, selection, changes);
+    setErrors(problems);
+    if (problems.length === 0) {
+      onApply(changes);
+    }
+  };
+
+  if (selectedSeats.length === 0) return null;
+
+  return (
+    <SeatForm onSubmit={handleApply}>
+      <FormTitle>
+        {single ? `Seat ${selectedSeats[0].id}` : `${selectedSeats.length} seats selected`}
+      </FormTitle>
+      <FieldRow>
+        {single && (
+          <label>
+            ID
+            <FieldInput value={fields.id} onChange={e => handleFieldChange('id', e.target.value)} />
+          </label>
+        )}
+        <label>
+          Section
+          <FieldInput
+            value={fields.section}
+            placeholder={single ? '' : 'Mixed'}
+            onChange={e => handleFieldChange('section', e.target.value)}
+          />
+        </label>
+        <label>
+          Row
+          <FieldInput
+            value={fields.row}
+            placeholder={single ? '' : 'Mixed'}
+            onChange={e => handleFieldChange('row', e.target.value)}
+          />
+        </label>
+        {single && (
+          <label>
+            Seat
+            <FieldInput
+              type="number"
+              min="1"
+              value={fields.number}
+              onChange={e => handleFieldChange('number', e.target.value)}
+            />
+          </label>
+        )}
+        <label>
+          Price
+          <FieldInput
+            type="number"
+            min="0"
+            step="any"
+            value={fields.price}
+            placeholder={single ? '' : 'Mixed'}
+            onChange={e => handlePriceChange(e.target.value)}
+          />
+        </label>
+        <CheckboxLabel title="Keep this price when pricing rules are applied">
+          <input
+            type="checkbox"
+            checked={fields.fixedPrice === true}
+            ref={input => { if (input) input.indeterminate = fields.fixedPrice === null; }}
+            onChange={e => handleFieldChange('fixedPrice', e.target.checked)}
+          />
+          Fixed price
+        </CheckboxLabel>
+      </FieldRow>
+      <AttributeRow>
+        {Object.values(SEAT_ATTRIBUTES).map(attribute => (
+          <label key={attribute}>
+            <input
+              type="checkbox"
+              checked={fields.attributes[attribute] === true}
+              ref={input => { if (input) input.indeterminate = fields.attributes[attribute] === null; }}
+              onChange={e => handleAttributeChange(attribute, e.target.checked)}
+            />
+            {SEAT_ATTRIBUTE_STYLES[attribute].icon} {SEAT_ATTRIBUTE_STYLES[attribute].label}
+          </label>
+        ))}
+      </AttributeRow>
+      {errors.length > 0 && (
+        <FormErrors>
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </FormErrors>
+      )}
+      <FormButtons>
+        <ApplyButton type="submit">Apply</ApplyButton>
+        <ToolButton type="button" onClick={onDelete}>
+          Delete {single ? 'Seat' : `${selectedSeats.length} Seats`}
+        </ToolButton>
+        <ToolButton type="button" onClick={onClearSelection}>Deselect</ToolButton>
+      </FormButtons>
+    </SeatForm>
+  );
+};
+
+// Toolbar of the seat map editor, with the inline editor for selected seats
+const SeatEditorPanel = ({
+  seats,
+  selection,
+  tool,
+  onToolChange,
+  onApply,
+  onDelete,
+  onClearSelection,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo
+}) => (
+  <EditorContainer>
+    <Toolbar>
+      {Object.values(EDITOR_TOOLS).map(editorTool => (
+        <ToolButton
+          key={editorTool}
+          $active={tool === editorTool}
+          onClick={() => onToolChange(editorTool)}
+        >
+          {TOOL_LABELS[editorTool]}
+        </ToolButton>
+      ))}
+      <ToolbarSpacer />
+      <ToolButton onClick={onUndo} disabled={!canUndo} title="Ctrl + Z">Undo</ToolButton>
+      <ToolButton onClick={onRedo} disabled={!canRedo} title="Ctrl + Shift + Z">Redo</ToolButton>
+    </Toolbar>
+    <ToolHint>{TOOL_HINTS[tool]}</ToolHint>
+
+    <SelectedSeatsForm
+      key={selection.join(',')}
+      seats={seats}
+      selection={selection}
+      onApply={onApply}
+      onDelete={onDelete}
+      onClearSelection={onClearSelection}
+    />
+  </EditorContainer>
+);
+
+const EditorContainer = styled.div`
+  margin-bottom: 15px;
+  padding: 12px 15px;
+  background-color: #fff8e1;
+  border: 1px solid #ffe082;
+  border-radius: 8px;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+`;
+
+const ToolbarSpacer = styled.div`
+  flex: 1;
+`;
+
+const ToolButton = styled.button`
+  background-color: ${props => props.$active ? '#ff9800' : '#fff'};
+  color: ${props => props.$active ? 'white' : '#333'};
+  border: 1px solid ${props => props.$active ? '#ff9800' : '#ddd'};
+  padding: 6px 12px;
+  border-radius: 4px;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: ${props => props.$active ? '#fb8c00' : '#f5f5f5'};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const ToolHint = styled.p`
+  margin: 8px 0 0 0;
+  font-size: 13px;
+  color: #666;
+`;
+
+const SeatForm = styled.form`
+  margin-top: 12px;
+  padding-top: 12px;
+  border-top: 1px solid #ffe082;
+`;
+
+const FormTitle = styled.div`
+  font-weight: 600;
+  font-size: 14px;
+  color: #333;
+  margin-bottom: 8px;
+`;
+
+const FieldRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+    font-size: 12px;
+    color: #555;
+  }
+`;
+
+const CheckboxLabel = styled.label`
+  && {
+    flex-direction: row;
+    align-items: center;
+    align-self: flex-end;
+    gap: 4px;
+    padding-bottom: 6px;
+  }
+`;
+
+const AttributeRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px 14px;
+  margin-top: 10px;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    font-size: 12px;
+    color: #555;
+  }
+`;
+
+const FieldInput = styled.input`
+  width: 90px;
+  padding: 5px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const FormErrors = styled.div`
+  margin-top: 8px;
+  font-size: 13px;
+  color: #c62828;
+`;
+
+const FormButtons = styled.div`
+  display: flex;
+  gap: 8px;
+  margin-top: 10px;
+`;
+
+const ApplyButton = styled.button`
+  background-color: #2196f3;
+  color: white;
+  border: none;
+  padding: 6px 16px;
+  border-radius: 4px;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #1976d2;
+  }
+`;
+
+export default SeatEditorPanel;
@@ -0,0 +1,425 @@
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import styled from 'styled-components';
+import {
+  SEAT_FILE_FORMATS,
+  SEAT_FILE_EXTENSIONS,
+  SEAT_FIELDS,
+  detectSeatFileFormat,
+  parseCsv,
+  guessColumnMapping,
+  recordsFromCsv,
+  recordsFromJson,
+  recordsFromPly
+} from '../utils/seatFileParsers';
+import { seatsFromRecords } from '../utils/coordinateLoader';
+import { formatImportError } from '../utils/venueManifest';
+import { useVenue } from '../utils/VenueContext';
+import { getRowLabel } from '../utils/rowInference';
+
+// Number of parsed seats shown in the preview table
+const PREVIEW_ROWS = 8;
+
+// Maximum number of errors listed before collapsing the rest into a summary
+const MAX_LISTED_ERRORS = 20;
+
+const FIELD_LABELS = {
+  x: 'X',
+  y: 'Y',
+  z: 'Z',
+  id: 'Seat ID',
+  section: 'Section',
+  row: 'Row',
+  number: 'Seat number',
+  price: 'Price',
+  status: 'Status',
+  attributes: 'Attributes'
+};
+
+const SeatFileImport = ({ rowInference, frame, onSeatsGenerated, onTextLoaded, onPreviewChange }) => {
+  const venue = useVenue();
+  const [dragActive, setDragActive] = useState(false);
+  // The loaded file: its name, format and parsed contents
+  const [file, setFile] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [importSummary, setImportSummary] = useState(null);
+  // Error from reading or parsing the file, when it couldn't be read at all
+  const [loadError, setLoadError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Records from the file, re-read from the CSV table whenever the mapping changes
+  const parsed = useMemo(() => {
+    if (!file) return null;
+    return file.format === SEAT_FILE_FORMATS.CSV
+      ? recordsFromCsv(file.table, columnMapping)
+      : file.parsed;
+  }, [file, columnMapping]);
+
+  const preview = useMemo(() => {
+    if (!parsed || parsed.records.length === 0) return null;
+    return seatsFromRecords(parsed.records, venue, { rowInference, frame });
+  }, [parsed, venue, rowInference, frame]);
+
+  // Let the importer show the parsed seats on the model
+  useEffect(() => {
+    onPreviewChange(preview ? preview.seats : null);
+  }, [preview, onPreviewChange]);
+
+  const loadFile = async (selected) => {
+    setImportSummary(null);
+    setLoadError(null);
+
+    try {
+      const format = detectSeatFileFormat(selected.name, await selected.slice(0, 256).text());
+
+      // Vector lists and manifests go through the paste box
+      if (format === SEAT_FILE_FORMATS.VECTOR || format === SEAT_FILE_FORMATS.MANIFEST) {
+        setFile(null);
+        onTextLoaded(await selected.text());
+        return;
+      }
+
+      if (format === SEAT_FILE_FORMATS.CSV) {
+        const table = parseCsv(await selected.text());
+        setColumnMapping(guessColumnMapping(table.headers, table.hasHeader));
+        setFile({ name: selected.name, format, table });
+      } else if (format === SEAT_FILE_FORMATS.PLY) {
+        setFile({ name: selected.name, format, parsed: recordsFromPly(await selected.arrayBuffer()) });
+      } else {
+        setFile({ name: selected.name, format, parsed: recordsFromJson(await selected.text()) });
+      }
+    } catch (error) {
+      // Unreadable files and PLY files the parser can't handle
+      console.error(`Error reading ${selected.name}:`, error);
+      setFile(null);
+      setLoadError({ message: `Couldn't read ${selected.name}: ${error.message}` });
+    }
+  };
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.type === 'dragenter' || e.type === 'dragover') {
+      setDragActive(true);
+    } else if (e.type === 'dragleave') {
+      setDragActive(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+
+    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
+      loadFile(e.dataTransfer.files[0]);
+    }
+  };
+
+  const handleChange = (e) => {
+    if (e.target.files && e.target.files[0]) {
+      loadFile(e.target.files[0]);
+    }
+    // Let the same file be picked again after clearing
+    e.target.value = '';
+  };
+
+  const handleMappingChange = (field, value) => {
+    setColumnMapping(prev => ({ ...prev, [field]: value === '' ? null : Number(value) }));
+  };
+
+  const handleImport = () => {
+    if (!preview) return;
+
+    onSeatsGenerated(preview.seats, null, `Imported ${file.name}`);
+    const skipped = parsed.errors.length;
+    const outside = preview.errors.length;
+    setImportSummary([
+      `Read ${preview.seats.length} seats from ${file.name}`,
+      skipped > 0 ? `${skipped} problems in the file` : null,
+      outside > 0 ? `${outside} seats are outside every section` : null
+    ].filter(Boolean).join(', ') + '.');
+  };
+
+  const handleClear = () => {
+    setFile(null);
+    setColumnMapping(null);
+    setImportSummary(null);
+    setLoadError(null);
+  };
+
+  const errors = [
+    ...(loadError ? [loadError] : []),
+    ...(parsed ? parsed.errors : []),
+    ...(preview ? preview.errors : [])
+  ];
+
+  return (
+    <FileImportContainer>
+      <DropzoneContainer
+        $active={dragActive}
+        onDragEnter={handleDrag}
+        onDragLeave={handleDrag}
+        onDragOver={handleDrag}
+        onDrop={handleDrop}
+      >
+        <DropzoneText>
+          Drop a <strong>CSV</strong>, <strong>JSON</strong> or <strong>PLY</strong> file of seat positions here
+        </DropzoneText>
+        <FileInput
+          ref={fileInputRef}
+          type="file"
+          accept={SEAT_FILE_EXTENSIONS.join(',')}
+          onChange={handleChange}
+        />
+        <BrowseButton type="button" onClick={() => fileInputRef.current.click()}>
+          Browse Files
+        </BrowseButton>
+      </DropzoneContainer>
+
+      {file && (
+        <FileDetails>
+          <FileName>{file.name}</FileName>
+
+          {file.format === SEAT_FILE_FORMATS.CSV && (
+            <MappingGrid>
+              {SEAT_FIELDS.map(field => (
+                <label key={field}>
+                  {FIELD_LABELS[field]}
+                  <Select
+                    value={columnMapping[field] === null ? '' : columnMapping[field]}
+                    onChange={e => handleMappingChange(field, e.target.value)}
+                  >
+                    <option value="">{['x', 'y', 'z'].includes(field) ? 'Choose column' : 'Not in file'}</option>
+                    {file.table.headers.map((header, index) => (
+                      <option key={index} value={index}>{header}</option>
+                    ))}
+                  </Select>
+                </label>
+              ))}
+            </MappingGrid>
+          )}
+
+          {preview && (
+            <PreviewTable>
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Section</th>
+                  <th>Row</th>
+                  <th>Seat</th>
+                  <th>Price</th>
+                  <th>x</th>
+                  <th>y</th>
+                  <th>z</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.seats.slice(0, PREVIEW_ROWS).map((seat, index) => (
+                  <tr key={index}>
+                    <td>{seat.id}</td>
+                    <td>{seat.section}</td>
+                    <td>{getRowLabel(seat)}</td>
+                    <td>{seat.number}</td>
+                    <td>${seat.price}</td>
+                    <td>{seat.coordinates.x.toFixed(3)}</td>
+                    <td>{seat.coordinates.y.toFixed(3)}</td>
+                    <td>{seat.coordinates.z.toFixed(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              {preview.seats.length > PREVIEW_ROWS && (
+                <tfoot>
+                  <tr>
+                    <td colSpan={8}>…and {preview.seats.length - PREVIEW_ROWS} more seats</td>
+                  </tr>
+                </tfoot>
+              )}
+            </PreviewTable>
+          )}
+
+          <ButtonRow>
+            <ImportButton onClick={handleImport} disabled={!preview}>
+              {preview ? `Import ${preview.seats.length} Seats` : 'No Seats Found'}
+            </ImportButton>
+            <ClearButton onClick={handleClear}>
+              Clear
+            </ClearButton>
+          </ButtonRow>
+        </FileDetails>
+      )}
+
+      {importSummary && (
+        <ImportSummary>{importSummary}</ImportSummary>
+      )}
+
+      {errors.length > 0 && (
+        <ErrorList>
+          {errors.slice(0, MAX_LISTED_ERRORS).map((error, index) => (
+            <ErrorItem key={index}>{formatImportError(error)}</ErrorItem>
+          ))}
+          {errors.length > MAX_LISTED_ERRORS && (
+            <ErrorItem>…and {errors.length - MAX_LISTED_ERRORS} more errors</ErrorItem>
+          )}
+        </ErrorList>
+      )}
+    </FileImportContainer>
+  );
+};
+
+const FileImportContainer = styled.div`
+  margin-bottom: 15px;
+`;
+
+const DropzoneContainer = styled.div`
+  border: 2px dashed ${props => props.$active ? '#1976d2' : '#ccc'};
+  border-radius: 8px;
+  padding: 16px;
+  text-align: center;
+  background-color: ${props => props.$active ? 'rgba(25, 118, 210, 0.05)' : '#fafafa'};
+  transition: all 0.3s ease;
+`;
+
+const DropzoneText = styled.p`
+  margin: 0 0 10px 0;
+  font-size: 14px;
+  color: #555;
+`;
+
+const FileInput = styled.input`
+  display: none;
+`;
+
+const BrowseButton = styled.button`
+  background-color: #1976d2;
+  color: white;
+  border: none;
+  padding: 6px 14px;
+  border-radius: 4px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #1565c0;
+  }
+`;
+
+const FileDetails = styled.div`
+  margin-top: 15px;
+`;
+
+const FileName = styled.div`
+  font-size: 14px;
+  font-weight: 500;
+  color: #333;
+  margin-bottom: 10px;
+`;
+
+const MappingGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: 8px;
+  margin-bottom: 10px;
+  font-size: 12px;
+  color: #555;
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+  }
+`;
+
+const Select = styled.select`
+  padding: 4px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const PreviewTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-bottom: 15px;
+  font-size: 12px;
+
+  th, td {
+    padding: 4px 6px;
+    border-bottom: 1px solid #eee;
+    text-align: left;
+  }
+
+  th {
+    color: #666;
+    font-weight: 500;
+  }
+
+  tfoot td {
+    color: #666;
+    font-style: italic;
+  }
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
+const Button = styled.button`
+  padding: 10px 16px;
+  border-radius: 4px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const ImportButton = styled(Button)`
+  background-color: #1976d2;
+  color: white;
+  border: none;
+
+  &:hover:not(:disabled) {
+    background-color: #1565c0;
+  }
+`;
+
+const ClearButton = styled(Button)`
+  background-color: white;
+  color: #666;
+  border: 1px solid #ddd;
+
+  &:hover:not(:disabled) {
+    background-color: #f5f5f5;
+  }
+`;
+
+const ImportSummary = styled.p`
+  margin: 15px 0 0 0;
+  font-size: 13px;
+  color: #2e7d32;
+`;
+
+const ErrorList = styled.ul`
+  margin: 15px 0 0 0;
+  padding: 10px 10px 10px 28px;
+  max-height: 160px;
+  overflow-y: auto;
+  background-color: #ffebee;
+  border: 1px solid #ffcdd2;
+  border-radius: 4px;
+`;
+
+const ErrorItem = styled.li`
+  font-family: monospace;
+  font-size: 12px;
+  color: #c62828;
+  margin-bottom: 4px;
+`;
+
+export default SeatFileImport;
@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import {
+  AVAILABILITY_FILTERS,
+  DEFAULT_SEAT_FILTERS,
+  getPriceRange,
+  matchesSeatFilters,
+  hasActiveFilters
+} from '../utils/seatFilters';
+import { SEAT_ATTRIBUTE_STYLES, getKnownAttributes } from '../utils/seatAttributes';
+
+// Filters for the seat map, and a search box that jumps to a seat by ID.
+// onSeatSearch returns a message to show, or null once it has found the seat.
+const SeatFilterPanel = ({ seats, viewScores = {}, filters, onFiltersChange, onSeatSearch }) => {
+  const [query, setQuery] = useState('');
+  const [searchMessage, setSearchMessage] = useState(null);
+
+  const priceRange = getPriceRange(seats);
+  const minPrice = filters.minPrice !== null ? filters.minPrice : priceRange.min;
+  const maxPrice = filters.maxPrice !== null ? filters.maxPrice : priceRange.max;
+  const sections = [...new Set(seats.map(seat => String(seat.section)))].sort();
+
+  // Only offer filters for attributes some seat in the venue has
+  const seatAttributes = seats.map(getKnownAttributes);
+  const filterableAttributes = Object.keys(SEAT_ATTRIBUTE_STYLES).filter(attribute => (
+    SEAT_ATTRIBUTE_STYLES[attribute].filterLabel &&
+    seatAttributes.some(attributes => attributes.includes(attribute))
+  ));
+
+  const matchCount = seats.filter(seat => matchesSeatFilters(seat, filters, viewScores[seat.id])).length;
+  const active = hasActiveFilters(filters);
+
+  const updateFilters = (changes) => {
+    onFiltersChange({ ...filters, ...changes });
+  };
+
+  // Prices at the ends of the slider mean no limit, so newly priced seats aren't hidden
+  const handleMinPriceChange = (e) => {
+    const value = Math.min(Number(e.target.value), maxPrice);
+    updateFilters({ minPrice: value <= priceRange.min ? null : value });
+  };
+
+  const handleMaxPriceChange = (e) => {
+    const value = Math.max(Number(e.target.value), minPrice);
+    updateFilters({ maxPrice: value >= priceRange.max ? null : value });
+  };
+
+  const toggleListFilter = (field, value) => {
+    const current = filters[field];
+    updateFilters({
+      [field]: current.includes(value)
+        ? current.filter(item => item !== value)
+        : [...current, value]
+    });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setSearchMessage(onSeatSearch(query));
+  };
+
+  return (
+    <FilterContainer>
+      <FilterRow as="form" onSubmit={handleSearch}>
+        <FilterLabel htmlFor="seat-search">Find seat</FilterLabel>
+        <SearchInput
+          id="seat-search"
+          type="search"
+          placeholder="e.g. B3-4"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSearchMessage(null);
+          }}
+        />
+        <SearchButton type="submit" disabled={!query.trim()}>Go</SearchButton>
+        {searchMessage && <SearchMessage>{searchMessage}</SearchMessage>}
+      </FilterRow>
+
+      {priceRange.max > priceRange.min && (
+        <FilterRow>
+          <FilterLabel as="span">Price</FilterLabel>
+          <RangeSlider
+            type="range"
+            min={priceRange.min}
+            max={priceRange.max}
+            step="1"
+            value={minPrice}
+            onChange={handleMinPriceChange}
+            aria-label="Lowest price"
+          />
+          <RangeSlider
+            type="range"
+            min={priceRange.min}
+            max={priceRange.max}
+            step="1"
+            value={maxPrice}
+            onChange={handleMaxPriceChange}
+            aria-label="Highest price"
+          />
+          <RangeValue>${minPrice} – ${maxPrice}</RangeValue>
+        </FilterRow>
+      )}
+
+      <FilterRow>
+        <FilterLabel htmlFor="seat-filter-view">View score</FilterLabel>
+        <RangeSlider
+          id="seat-filter-view"
+          type="range"
+          min="0"
+          max="100"
+          step="5"
+          value={filters.minViewScore !== null ? filters.minViewScore : 0}
+          onChange={(e) => updateFilters({ minViewScore: Number(e.target.value) > 0 ? Number(e.target.value) : null })}
+        />
+        <RangeValue>{filters.minViewScore !== null ? `${filters.minViewScore}+` : 'Any'}</RangeValue>
+      </FilterRow>
+
+      {sections.length > 1 && (
+        <FilterRow>
+          <FilterLabel as="span">Sections</FilterLabel>
+          {sections.map(section => (
+            <FilterChip
+              key={section}
+              type="button"
+              $active={filters.sections.includes(section)}
+              onClick={() => toggleListFilter('sections', section)}
+            >
+              {section}
+            </FilterChip>
+          ))}
+        </FilterRow>
+      )}
+
+      <FilterRow>
+        <FilterLabel as="span">Show</FilterLabel>
+        <FilterChip
+          type="button"
+          $active={filters.availability === AVAILABILITY_FILTERS.AVAILABLE}
+          onClick={() => updateFilters({
+            availability: filters.availability === AVAILABILITY_FILTERS.AVAILABLE
+              ? AVAILABILITY_FILTERS.ALL
+              : AVAILABILITY_FILTERS.AVAILABLE
+          })}
+        >
+          Available only
+        </FilterChip>
+        {filterableAttributes.map(attribute => (
+          <FilterChip
+            key={attribute}
+            type="button"
+            $active={filters.attributes.includes(attribute)}
+            onClick={() => toggleListFilter('attributes', attribute)}
+          >
+            {SEAT_ATTRIBUTE_STYLES[attribute].icon} {SEAT_ATTRIBUTE_STYLES[attribute].filterLabel}
+          </FilterChip>
+        ))}
+      </FilterRow>
+
+      {active && (
+        <FilterSummary>
+          <span>{matchCount} of {seats.length} seats match. Other seats are dimmed.</span>
+          <ClearButton type="button" onClick={() => onFiltersChange(DEFAULT_SEAT_FILTERS)}>
+            Clear Filters
+          </ClearButton>
+        </FilterSummary>
+      )}
+    </FilterContainer>
+  );
+};
+
+const FilterContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  margin-bottom: 12px;
+  padding: 12px;
+  background-color: #f5f5f5;
+  border-radius: 8px;
+`;
+
+const FilterRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+`;
+
+const FilterLabel = styled.label`
+  min-width: 60px;
+  font-size: 13px;
+  font-weight: 500;
+  color: #555;
+`;
+
+const SearchInput = styled.input`
+  width: 120px;
+  padding: 6px 8px;
+  border: 1px solid #e0e0e0;
+  border-radius: 4px;
+  font-size: 13px;
+
+  &:focus {
+    outline: none;
+    border-color: #1976d2;
+  }
+`;
+
+const SearchButton = styled.button`
+  background-color: #1976d2;
+  color: white;
+  border: none;
+  padding: 6px 14px;
+  border-radius: 4px;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: #1565c0;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const SearchMessage = styled.span`
+  font-size: 13px;
+  color: #ef6c00;
+`;
+
+const RangeSlider = styled.input`
+  width: 120px;
+`;
+
+const RangeValue = styled.span`
+  font-size: 13px;
+  color: #333;
+`;
+
+const FilterChip = styled.button`
+  padding: 4px 10px;
+  border-radius: 12px;
+  border: 1px solid ${props => props.$active ? '#1976d2' : '#ccc'};
+  background-color: ${props => props.$active ? '#e3f2fd' : '#fff'};
+  color: ${props => props.$active ? '#0d47a1' : '#555'};
+  font-size: 12px;
+  cursor: pointer;
+`;
+
+const FilterSummary = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  gap: 8px;
+  font-size: 13px;
+  color: #333;
+`;
+
+const ClearButton = styled.button`
+  background: none;
+  border: 1px solid #ccc;
+  padding: 5px 12px;
+  border-radius: 4px;
+  font-size: 13px;
+  color: #555;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #eee;
+  }
+`;
+
+export default SeatFilterPanel;
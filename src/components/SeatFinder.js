@@ -0,0 +1,241 @@
+// @ts-nocheck
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { BLOCK_SORT_ORDERS, findBestAvailableBlock } from '../utils/seatFinder';
+import { getRowLabel } from '../utils/rowInference';
+import { useViewScores } from '../utils/ViewScoreContext';
+
+// Largest group the finder searches for
+const MAX_QUANTITY = 10;
+
+const SORT_LABELS = {
+  [BLOCK_SORT_ORDERS.POSITION]: 'Closest to the action',
+  [BLOCK_SORT_ORDERS.VIEW]: 'Best view',
+  [BLOCK_SORT_ORDERS.PRICE]: 'Lowest price'
+};
+
+const SeatFinder = ({ seats, block, onBlockFound, onBlockSelect }) => {
+  const [quantity, setQuantity] = useState(2);
+  const [maxPrice, setMaxPrice] = useState('');
+  // Preferred sections, in the order they were picked
+  const [preferredSections, setPreferredSections] = useState([]);
+  const [sortBy, setSortBy] = useState(BLOCK_SORT_ORDERS.POSITION);
+  const [searched, setSearched] = useState(false);
+  const { scores: viewScores } = useViewScores();
+
+  const sections = [...new Set(seats.map(seat => String(seat.section)))].sort();
+
+  const toggleSection = (section) => {
+    setPreferredSections(prev => (
+      prev.includes(section)
+        ? prev.filter(s => s !== section)
+        : [...prev, section]
+    ));
+  };
+
+  const handleFind = (e) => {
+    e.preventDefault();
+
+    const result = findBestAvailableBlock(seats, {
+      quantity: Number(quantity),
+      maxPrice: maxPrice === '' ? null : Number(maxPrice),
+      sections: preferredSections,
+      sortBy,
+      viewScores
+    });
+
+    console.log('Best available block:', result ? result.seats.map(seat => seat.id) : 'none');
+    setSearched(true);
+    onBlockFound(result);
+  };
+
+  const handleClear = () => {
+    setSearched(false);
+    onBlockFound(null);
+  };
+
+  return (
+    <FinderContainer onSubmit={handleFind}>
+      <FinderRow>
+        <FinderLabel htmlFor="finder-quantity">Seats together</FinderLabel>
+        <NumberInput
+          id="finder-quantity"
+          type="number"
+          min="1"
+          max={MAX_QUANTITY}
+          value={quantity}
+          onChange={(e) => setQuantity(Math.max(1, Math.min(MAX_QUANTITY, Number(e.target.value) || 1)))}
+        />
+
+        <FinderLabel htmlFor="finder-max-price">Max price</FinderLabel>
+        <NumberInput
+          id="finder-max-price"
+          type="number"
+          min="0"
+          placeholder="Any"
+          value={maxPrice}
+          onChange={(e) => setMaxPrice(e.target.value)}
+        />
+
+        <FinderLabel htmlFor="finder-sort">Sort by</FinderLabel>
+        <SortSelect id="finder-sort" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+          {Object.values(BLOCK_SORT_ORDERS).map(order => (
+            <option key={order} value={order}>{SORT_LABELS[order]}</option>
+          ))}
+        </SortSelect>
+
+        <FindButton type="submit">Find Seats</FindButton>
+      </FinderRow>
+
+      {sections.length > 1 && (
+        <FinderRow>
+          <FinderLabel as="span">Sections</FinderLabel>
+          {sections.map(section => {
+            const rank = preferredSections.indexOf(section);
+            return (
+              <SectionChip
+                key={section}
+                type="button"
+                $active={rank !== -1}
+                onClick={() => toggleSection(section)}
+                title={rank !== -1 ? `Preference ${rank + 1}` : 'Any section'}
+              >
+                {section}{rank !== -1 && preferredSections.length > 1 ? ` (${rank + 1})` : ''}
+              </SectionChip>
+            );
+          })}
+        </FinderRow>
+      )}
+
+      {searched && block && (
+        <FinderResult>
+          <span>
+            Section {block.section}, Row {getRowLabel(block.seats[0])}, Seats {block.seats[0].number}–{block.seats[block.seats.length - 1].number} · ${block.totalPrice} total
+          </span>
+          <ResultActions>
+            <FindButton type="button" onClick={() => onBlockSelect(block.seats)}>
+              Select {block.seats.length === 1 ? 'Seat' : `These ${block.seats.length} Seats`}
+            </FindButton>
+            <ClearButton type="button" onClick={handleClear}>Clear</ClearButton>
+          </ResultActions>
+        </FinderResult>
+      )}
+
+      {searched && !block && (
+        <FinderResult $empty>
+          <span>No {quantity} adjacent seats match your search. Try fewer seats, a higher price or more sections.</span>
+          <ClearButton type="button" onClick={handleClear}>Clear</ClearButton>
+        </FinderResult>
+      )}
+    </FinderContainer>
+  );
+};
+
+const FinderContainer = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  margin-bottom: 12px;
+  padding: 12px;
+  background-color: #f5f5f5;
+  border-radius: 8px;
+`;
+
+const FinderRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+`;
+
+const FinderLabel = styled.label`
+  font-size: 13px;
+  font-weight: 500;
+  color: #555;
+`;
+
+const NumberInput = styled.input`
+  width: 70px;
+  padding: 6px 8px;
+  border: 1px solid #e0e0e0;
+  border-radius: 4px;
+  font-size: 13px;
+
+  &:focus {
+    outline: none;
+    border-color: #1976d2;
+  }
+`;
+
+const SortSelect = styled.select`
+  padding: 6px 8px;
+  border: 1px solid #e0e0e0;
+  border-radius: 4px;
+  font-size: 13px;
+  background-color: #fff;
+
+  &:focus {
+    outline: none;
+    border-color: #1976d2;
+  }
+`;
+
+const FindButton = styled.button`
+  background-color: #1976d2;
+  color: white;
+  border: none;
+  padding: 6px 14px;
+  border-radius: 4px;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #1565c0;
+  }
+`;
+
+const ClearButton = styled.button`
+  background: none;
+  border: 1px solid #ccc;
+  padding: 5px 12px;
+  border-radius: 4px;
+  font-size: 13px;
+  color: #555;
+  cursor: pointer;
+
+  &:hover {
+    background-color: #eee;
+  }
+`;
+
+const SectionChip = styled.button`
+  padding: 4px 10px;
+  border-radius: 12px;
+  border: 1px solid ${props => props.$active ? '#43a047' : '#ccc'};
+  background-color: ${props => props.$active ? '#e8f5e9' : '#fff'};
+  color: ${props => props.$active ? '#2e7d32' : '#555'};
+  font-size: 12px;
+  cursor: pointer;
+`;
+
+const FinderResult = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  gap: 8px;
+  padding: 8px 10px;
+  border-left: 3px solid ${props => props.$empty ? '#ef6c00' : '#43a047'};
+  background-color: ${props => props.$empty ? '#fff3e0' : '#e8f5e9'};
+  border-radius: 4px;
+  font-size: 13px;
+  color: #333;
+`;
+
+const ResultActions = styled.div`
+  display: flex;
+  gap: 8px;
+`;
+
+export default SeatFinder;
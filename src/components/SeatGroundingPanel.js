@@ -0,0 +1,182 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import {
+  DEFAULT_GROUNDING_OPTIONS,
+  prepareModelForRaycast,
+  groundSeatsToModel
+} from '../utils/modelRaycast';
+import { DEFAULT_METERS_PER_UNIT } from '../utils/coordinateFrame';
+import { useModel } from '../utils/ModelContext';
+import { useVenue } from '../utils/VenueContext';
+
+// Seats listed as missed before collapsing the rest into a count
+const MAX_LISTED_SEATS = 5;
+
+// Snaps seats onto the loaded model at eye height and reports the seats
+// that have no surface under them
+const SeatGroundingPanel = ({ seats, onSeatsChange }) => {
+  const { model } = useModel();
+  const venue = useVenue();
+  const metersPerUnit = venue.model.metersPerUnit || DEFAULT_METERS_PER_UNIT;
+  const [eyeHeight, setEyeHeight] = useState(String(DEFAULT_GROUNDING_OPTIONS.eyeHeight));
+  const [searchDistance, setSearchDistance] = useState(String(DEFAULT_GROUNDING_OPTIONS.searchDistance));
+  // Outcome of the last run, with the IDs of the seats it missed
+  const [report, setReport] = useState(null);
+
+  const raycastModel = useMemo(() => prepareModelForRaycast(model), [model]);
+  const optionsAreValid = Number(eyeHeight) >= 0 && Number(searchDistance) > 0 && eyeHeight !== '';
+
+  const handleGround = () => {
+    const result = groundSeatsToModel(seats, raycastModel, venue.model, {
+      eyeHeight: Number(eyeHeight),
+      searchDistance: Number(searchDistance)
+    });
+    const largestShift = result.grounded.reduce((largest, { shift }) => Math.max(largest, Math.abs(shift)), 0);
+    console.log(`Grounded ${result.grounded.length} seats, ${result.missed.length} without a surface`);
+
+    setReport({
+      grounded: result.grounded.length,
+      largestShift: largestShift * metersPerUnit,
+      missed: result.missed.map(index => seats[index].id)
+    });
+    if (result.grounded.length > 0) {
+      onSeatsChange(result.seats, `Grounded ${result.grounded.length} seats to the model`);
+    }
+  };
+
+  return (
+    <GroundingContainer>
+      <OptionsRow>
+        <label>
+          Eye height
+          <OptionInput
+            type="number"
+            min="0"
+            step="0.05"
+            value={eyeHeight}
+            onChange={e => setEyeHeight(e.target.value)}
+          />
+          m
+        </label>
+        <label>
+          Search within
+          <OptionInput
+            type="number"
+            min="0"
+            step="any"
+            value={searchDistance}
+            onChange={e => setSearchDistance(e.target.value)}
+          />
+          m
+        </label>
+        <GroundButton
+          onClick={handleGround}
+          disabled={!raycastModel || seats.length === 0 || !optionsAreValid}
+        >
+          Ground Seats to Model
+        </GroundButton>
+      </OptionsRow>
+
+      {!raycastModel && (
+        <GroundingHint>Load a 3D model to ground seats on it.</GroundingHint>
+      )}
+
+      {report && (
+        <GroundingReport>
+          <div>
+            {report.grounded === 0
+              ? 'No seats needed moving.'
+              : `Moved ${report.grounded} seats onto the model, by up to ${report.largestShift.toFixed(2)} m.`}
+          </div>
+          {report.missed.length > 0 && (
+            <MissedSeats>
+              {report.missed.length} seats have no surface within {searchDistance} m and were left as they are:
+              <ul>
+                {report.missed.slice(0, MAX_LISTED_SEATS).map((id, index) => <li key={`${id}-${index}`}>{id}</li>)}
+                {report.missed.length > MAX_LISTED_SEATS && (
+                  <li>…and {report.missed.length - MAX_LISTED_SEATS} more</li>
+                )}
+              </ul>
+            </MissedSeats>
+          )}
+        </GroundingReport>
+      )}
+    </GroundingContainer>
+  );
+};
+
+const GroundingContainer = styled.div`
+  margin-bottom: 15px;
+  padding: 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+  color: #333;
+`;
+
+const OptionsRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    color: #555;
+  }
+`;
+
+const OptionInput = styled.input`
+  width: 60px;
+  padding: 4px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const GroundButton = styled.button`
+  background-color: #2196f3;
+  color: white;
+  border: none;
+  padding: 6px 12px;
+  border-radius: 4px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: #1976d2;
+  }
+
+  &:disabled {
+    background-color: #90caf9;
+    cursor: not-allowed;
+  }
+`;
+
+const GroundingHint = styled.p`
+  margin: 8px 0 0 0;
+  font-size: 12px;
+  color: #666;
+`;
+
+const GroundingReport = styled.div`
+  margin-top: 10px;
+  color: #2e7d32;
+`;
+
+const MissedSeats = styled.div`
+  margin-top: 6px;
+  color: #8d6e00;
+
+  ul {
+    margin: 4px 0 0 0;
+    padding-left: 20px;
+    font-family: monospace;
+    font-size: 12px;
+    color: #555;
+  }
+`;
+
+export default SeatGroundingPanel;
@@ -0,0 +1,222 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import {
+  OUTLIER_REASONS,
+  validateSeats,
+  isValidSeatList,
+  mergeSeatGroups,
+  discardSeats
+} from '../utils/seatValidation';
+import { DEFAULT_METERS_PER_UNIT } from '../utils/coordinateFrame';
+import { useVenue } from '../utils/VenueContext';
+
+// Problems listed under each heading before collapsing the rest into a count
+const MAX_LISTED_PROBLEMS = 5;
+
+const OUTLIER_LABELS = {
+  [OUTLIER_REASONS.ISOLATED]: 'no seat nearby',
+  [OUTLIER_REASONS.OFF_SURFACE]: 'off the seating surface'
+};
+
+// Flags near-duplicate seats, outliers and duplicate IDs in an import and
+// offers to merge or discard them
+const SeatValidationPanel = ({ seats, onSeatsChange }) => {
+  const venue = useVenue();
+  const metersPerUnit = venue.model.metersPerUnit || DEFAULT_METERS_PER_UNIT;
+  // Near-duplicate tolerance in meters, or blank to work it out from the seat spacing
+  const [toleranceMeters, setToleranceMeters] = useState('');
+
+  const validation = useMemo(() => validateSeats(seats, {
+    duplicateTolerance: toleranceMeters === '' ? null : Number(toleranceMeters) / metersPerUnit
+  }), [seats, toleranceMeters, metersPerUnit]);
+
+  const toMeters = (distance) => `${(distance * metersPerUnit).toFixed(2)} m`;
+  const describe = (index) => `#${index + 1} ${seats[index].id}`;
+
+  const handleMergeDuplicates = () => {
+    onSeatsChange(mergeSeatGroups(seats, validation.nearDuplicates));
+  };
+
+  const handleDiscardOutliers = (outliers) => {
+    onSeatsChange(discardSeats(seats, outliers.map(outlier => outlier.index)));
+  };
+
+  // Keep the first seat with each ID
+  const handleDiscardDuplicateIds = () => {
+    onSeatsChange(discardSeats(seats, validation.duplicateIds.flatMap(({ indices }) => indices.slice(1))));
+  };
+
+  const { nearDuplicates, outliers, duplicateIds } = validation;
+
+  return (
+    <ValidationContainer>
+      <ToleranceLabel>
+        Treat seats closer than
+        <ToleranceInput
+          type="number"
+          min="0"
+          step="any"
+          value={toleranceMeters}
+          placeholder={(validation.tolerance * metersPerUnit).toFixed(2)}
+          onChange={e => setToleranceMeters(e.target.value)}
+        />
+        m as duplicates
+      </ToleranceLabel>
+
+      {isValidSeatList(validation) && (
+        <NoProblems>No duplicate or outlying seats found.</NoProblems>
+      )}
+
+      {nearDuplicates.length > 0 && (
+        <ProblemGroup>
+          <ProblemHeader>
+            <span>{nearDuplicates.length} groups of seats nearly on top of each other</span>
+            <FixButton onClick={handleMergeDuplicates}>Merge</FixButton>
+          </ProblemHeader>
+          <ul>
+            {nearDuplicates.slice(0, MAX_LISTED_PROBLEMS).map(group => (
+              <li key={group.indices[0]}>
+                {group.indices.map(describe).join(', ')} within {toMeters(group.spread)}
+              </li>
+            ))}
+            {nearDuplicates.length > MAX_LISTED_PROBLEMS && (
+              <li>…and {nearDuplicates.length - MAX_LISTED_PROBLEMS} more</li>
+            )}
+          </ul>
+        </ProblemGroup>
+      )}
+
+      {outliers.length > 0 && (
+        <ProblemGroup>
+          <ProblemHeader>
+            <span>{outliers.length} seats away from the stands</span>
+            <FixButton onClick={() => handleDiscardOutliers(outliers)}>Discard All</FixButton>
+          </ProblemHeader>
+          <ul>
+            {outliers.slice(0, MAX_LISTED_PROBLEMS).map(outlier => (
+              <li key={outlier.index}>
+                {describe(outlier.index)}: {OUTLIER_LABELS[outlier.reason]}, {toMeters(outlier.distance)} out
+                <InlineButton onClick={() => handleDiscardOutliers([outlier])}>Discard</InlineButton>
+              </li>
+            ))}
+            {outliers.length > MAX_LISTED_PROBLEMS && (
+              <li>…and {outliers.length - MAX_LISTED_PROBLEMS} more</li>
+            )}
+          </ul>
+        </ProblemGroup>
+      )}
+
+      {duplicateIds.length > 0 && (
+        <ProblemGroup>
+          <ProblemHeader>
+            <span>{duplicateIds.length} seat IDs used more than once</span>
+            <FixButton onClick={handleDiscardDuplicateIds}>Keep First of Each</FixButton>
+          </ProblemHeader>
+          <ul>
+            {duplicateIds.slice(0, MAX_LISTED_PROBLEMS).map(({ id, indices }) => (
+              <li key={id}>{id}: seats {indices.map(index => `#${index + 1}`).join(', ')}</li>
+            ))}
+            {duplicateIds.length > MAX_LISTED_PROBLEMS && (
+              <li>…and {duplicateIds.length - MAX_LISTED_PROBLEMS} more</li>
+            )}
+          </ul>
+          <ProblemHint>
+            Working out rows and seat numbers from the seat positions usually gives every seat its own ID.
+          </ProblemHint>
+        </ProblemGroup>
+      )}
+    </ValidationContainer>
+  );
+};
+
+const ValidationContainer = styled.div`
+  margin-bottom: 15px;
+  padding: 12px;
+  border: 1px solid #ffe082;
+  border-radius: 4px;
+  background-color: #fffdf5;
+  font-size: 13px;
+  color: #333;
+`;
+
+const ToleranceLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  color: #555;
+`;
+
+const ToleranceInput = styled.input`
+  width: 70px;
+  padding: 4px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const NoProblems = styled.p`
+  margin: 8px 0 0 0;
+  color: #2e7d32;
+`;
+
+const ProblemGroup = styled.div`
+  margin-top: 10px;
+
+  ul {
+    margin: 4px 0 0 0;
+    padding-left: 20px;
+    font-family: monospace;
+    font-size: 12px;
+    color: #555;
+  }
+
+  li {
+    margin-bottom: 2px;
+  }
+`;
+
+const ProblemHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 10px;
+  font-weight: 500;
+  color: #8d6e00;
+`;
+
+const ProblemHint = styled.p`
+  margin: 4px 0 0 0;
+  font-size: 12px;
+  color: #666;
+`;
+
+const FixButton = styled.button`
+  background-color: white;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  padding: 4px 10px;
+  font-size: 12px;
+  color: #333;
+  cursor: pointer;
+  white-space: nowrap;
+
+  &:hover {
+    background-color: #f5f5f5;
+  }
+`;
+
+const InlineButton = styled.button`
+  margin-left: 8px;
+  background: none;
+  border: none;
+  padding: 0;
+  font-size: 12px;
+  color: #1976d2;
+  cursor: pointer;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+export default SeatValidationPanel;
@@ -1,37 +1,144 @@
 // @ts-nocheck
-import React, { Suspense, useState, useEffect, useRef } from 'react';
+import React, { Suspense, useState, useEffect, useRef, useMemo } from 'react';
 import styled from 'styled-components';
 import { Canvas, useFrame, useThree, useLoader } from '@react-three/fiber';
-import { PerspectiveCamera, Environment, useAnimations } from '@react-three/drei';
+import { PerspectiveCamera, Environment, OrbitControls, useAnimations } from '@react-three/drei';
 import { positionCameraAtSeat } from '../utils/modelLoader';
 import { useModel } from '../utils/ModelContext';
 import * as THREE from 'three';
 import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader';
-import { getStadiumModelPath } from '../utils/modelLoader';
+import { getStadiumModelPath, applyModelTransform } from '../utils/modelLoader';
+import { useVenue } from '../utils/VenueContext';
+import { seatToWorld, modelToWorld, worldToModel, surfaceToSeatPosition, DEFAULT_EYE_HEIGHT_M } from '../utils/coordinateFrame';
+import { createSeat, parseRowInput } from '../utils/seatEditing';
+import { EYE_HEIGHT_PRESETS, getSeatViewpoint, getDefaultEyeHeightPreset } from '../utils/seatViewpoint';
+import { DEFAULT_PRICING_RULES } from '../utils/pricingEngine';
+import { prepareModelForRaycast } from '../utils/modelRaycast';
+import { getObstructionTargets, traceObstruction } from '../utils/obstructedViews';
+import SeatAuthoringPanel from './SeatAuthoringPanel';
 
-// Custom first-person camera controls
-const FirstPersonControls = ({ seatCoordinates }) => {
+// Pointer movement in pixels up to which a click on the model places a seat;
+// anything further was a drag to orbit the camera
+const CLICK_DRAG_TOLERANCE = 4;
+
+const EYE_HEIGHT_LABELS = {
+  seated: 'Seated',
+  standing: 'Standing',
+  wheelchair: 'Wheelchair user'
+};
+
+const SEAT_MARKER_COLOR = '#1976d2';
+const PLACED_SEAT_COLOR = '#ff9800';
+const CLEAR_TARGET_COLOR = '#43a047';
+const BLOCKED_TARGET_COLOR = '#e53935';
+
+// Distance to the shared look target of synchronized views when the seat has
+// no target of its own
+const SYNC_FOCUS_DISTANCE = 50;
+
+// Camera target and distance that show every seat while placing seats
+const getSeatOverview = (seats, modelSettings) => {
+  if (seats.length === 0) {
+    return { center: [0, 0, 0], radius: 120 };
+  }
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  seats.forEach(seat => {
+    const { x, y, z } = seatToWorld(seat, modelSettings);
+    [x, y, z].forEach((value, axis) => {
+      min[axis] = Math.min(min[axis], value);
+      max[axis] = Math.max(max[axis], value);
+    });
+  });
+
+  return {
+    center: min.map((value, axis) => (value + max[axis]) / 2),
+    radius: Math.max(Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2, 5)
+  };
+};
+
+// Seats drawn as points while placing seats. They ignore the pointer, so
+// clicks always reach the model surface behind them.
+const SeatMarkers = ({ seats, color, size }) => {
+  const venue = useVenue();
+  const positions = useMemo(() => {
+    const points = new Float32Array(seats.length * 3);
+    seats.forEach((seat, index) => {
+      const { x, y, z } = seatToWorld(seat, venue.model);
+      points.set([x, y, z], index * 3);
+    });
+    return points;
+  }, [seats, venue.model]);
+
+  if (seats.length === 0) return null;
+
+  return (
+    <points key={seats.length} raycast={() => null}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+      </bufferGeometry>
+      <pointsMaterial color={color} size={size} sizeAttenuation={false} depthTest={false} />
+    </points>
+  );
+};
+
+// Field points checked for an obstructed view, green where the seat can see
+// them and red where the model blocks the line of sight
+const ObstructionMarkers = ({ obstruction }) => {
+  const venue = useVenue();
+  const { positions, colors } = useMemo(() => {
+    const points = new Float32Array(obstruction.targets.length * 3);
+    const pointColors = new Float32Array(obstruction.targets.length * 3);
+    const clear = new THREE.Color(CLEAR_TARGET_COLOR);
+    const blocked = new THREE.Color(BLOCKED_TARGET_COLOR);
+    obstruction.targets.forEach((target, index) => {
+      const { x, y, z } = modelToWorld(target, venue.model);
+      points.set([x, y, z], index * 3);
+      const color = obstruction.blocked[index] ? blocked : clear;
+      pointColors.set([color.r, color.g, color.b], index * 3);
+    });
+    return { positions: points, colors: pointColors };
+  }, [obstruction, venue.model]);
+  
+  if (obstruction.targets.length === 0) return null;
+  
+  return (
+    <points key={obstruction.targets.length} raycast={() => null}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+        <bufferAttribute attach="attributes-color" args={[colors, 3]} />
+      </bufferGeometry>
+      <pointsMaterial vertexColors size={10} sizeAttenuation={false} depthTest={false} />
+    </points>
+  );
+};
+
+// Custom first-person camera controls. Views given the same lookSync ref
+// follow each other: looking around in one turns the others towards the
+// same point.
+const FirstPersonControls = ({ seatCoordinates, lookAtTarget, lookSync = null }) => {
   const { camera, gl } = useThree();
   const isDragging = useRef(false);
   const lastMouseX = useRef(0);
   const lastMouseY = useRef(0);
   const rotationX = useRef(0);
   const rotationY = useRef(0);
+  // Last change to the shared look target this view has followed
+  const syncVersion = useRef(0);
   
-  // Set initial camera position
+  // Set initial camera position and direction
   useEffect(() => {
     if (camera && seatCoordinates) {
-      // Position the camera exactly at the seat coordinates
-      camera.position.set(
-        seatCoordinates.x || 0,
-        seatCoordinates.y || 2,
-        seatCoordinates.z || 10
-      );
+      // Position the camera exactly at the seat coordinates, looking the way the seat faces
+      positionCameraAtSeat(camera, seatCoordinates, lookAtTarget);
       
-      // Look at the center of the stadium initially
-      camera.lookAt(0, 0, 0);
+      // Start looking around from the initial direction instead of jumping back to straight ahead
+      const initial = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+      rotationX.current = initial.x;
+      rotationY.current = initial.y;
     }
-  }, [camera, seatCoordinates]);
+  }, [camera, seatCoordinates, lookAtTarget]);
   
   // Lock camera position on each frame
   useFrame(() => {
@@ -43,6 +150,15 @@ const FirstPersonControls = ({ seatCoordinates }) => {
         seatCoordinates.z || 10
       );
     }
+    
+    // Look at the point another view has turned to
+    if (lookSync && lookSync.current.version !== syncVersion.current) {
+      syncVersion.current = lookSync.current.version;
+      camera.lookAt(lookSync.current.target);
+      const synced = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+      rotationX.current = synced.x;
+      rotationY.current = synced.y;
+    }
   });
   
   // Set up mouse event listeners for camera rotation
@@ -80,6 +196,19 @@ const FirstPersonControls = ({ seatCoordinates }) => {
       camera.quaternion.setFromEuler(
         new THREE.Euler(rotationX.current, rotationY.current, 0, 'YXZ')
       );
+      
+      // Share the point this view looks at, as far away as the seat's own target
+      if (lookSync) {
+        const focusDistance = lookAtTarget
+          ? camera.position.distanceTo(new THREE.Vector3(lookAtTarget.x, lookAtTarget.y, lookAtTarget.z))
+          : SYNC_FOCUS_DISTANCE;
+        const direction = camera.getWorldDirection(new THREE.Vector3());
+        syncVersion.current = lookSync.current.version + 1;
+        lookSync.current = {
+          target: camera.position.clone().addScaledVector(direction, focusDistance),
+          version: syncVersion.current
+        };
+      }
     };
     
     // Add event listeners
@@ -93,7 +222,7 @@ const FirstPersonControls = ({ seatCoordinates }) => {
       window.removeEventListener('mouseup', handleMouseUp);
       window.removeEventListener('mousemove', handleMouseMove);
     };
-  }, [gl]);
+  }, [gl, camera, lookSync, lookAtTarget]);
   
   return null;
 };
@@ -102,6 +231,7 @@ const FirstPersonControls = ({ seatCoordinates }) => {
 // This component loads the single stadium model and positions the camera at the seat location
 const StadiumModel = ({ seatCoordinates }) => {
   const { model, error, isLoading } = useModel();
+  const venue = useVenue();
   const group = useRef();
   
   console.log('[SeatView] Model status:', { isLoading, hasModel: !!model, hasError: !!error });
@@ -139,12 +269,8 @@ const StadiumModel = ({ seatCoordinates }) => {
       if (modelObject) {
         console.log('[SeatView] Setting up DAE model');
         
-        // Scale the model appropriately for DAE files
-        // Using a larger scale since we're no longer scaling the camera position
-        modelObject.scale.set(10, 10, 10);
-        
-        // Position the model centered at the origin
-        modelObject.position.set(0, -3, 0);
+        // Scale and position the model as declared by the venue
+        applyModelTransform(modelObject, venue.model);
         
         // Add materials to meshes if they appear black or have no material
         modelObject.traverse((child) => {
@@ -205,7 +331,7 @@ const StadiumModel = ({ seatCoordinates }) => {
           }
         });
       }
-    }, [daeModel]);
+    }, [daeModel, venue.model]);
     
     return (
       <group ref={group}>
@@ -264,11 +390,8 @@ const StadiumModel = ({ seatCoordinates }) => {
     if (model?.scene) {
       console.log('[SeatView] Setting up model scene');
       
-      // Scale the model appropriately - use larger scale for better visibility
-      model.scene.scale.set(10, 10, 10);
-      
-      // Position the model centered at the origin
-      model.scene.position.set(0, -3, 0);
+      // Scale and position the model as declared by the venue
+      applyModelTransform(model.scene, venue.model);
       
       // Play any animations if they exist
       if (actions && Object.keys(actions).length > 0) {
@@ -277,7 +400,7 @@ const StadiumModel = ({ seatCoordinates }) => {
         actions[actionName]?.play();
       }
     }
-  }, [model, actions]);
+  }, [model, actions, venue.model]);
   
   // Return the loaded model
   return (
@@ -394,9 +517,98 @@ const FallbackModel = () => {
   );
 };
 
-// We keep the seat prop for TypeScript compatibility, even though we don't use it directly
-const SeatView = ({ seatCoordinates, onBack, seat }) => {
-  const { isLoading, error } = useModel();
+// We keep the seat prop for TypeScript compatibility, even though we don't use it directly.
+// With authoring set, the view orbits the whole model instead and clicks on
+// the model add seats to the seat list. Compact views leave out the footer,
+// for showing several seats side by side.
+const SeatView = ({
+  seatCoordinates,
+  onBack,
+  seat,
+  authoring = false,
+  seats = [],
+  eyeHeightPreset = null,
+  onEyeHeightPresetChange,
+  onSeatsAuthored,
+  onUndo,
+  canUndo,
+  pricingRules,
+  lookSync = null,
+  compact = false
+}) => {
+  const { model, isLoading, error } = useModel();
+  const venue = useVenue();
+  const [showObstruction, setShowObstruction] = useState(false);
+  const [authoringFields, setAuthoringFields] = useState({
+    section: '',
+    row: '',
+    eyeHeight: String(DEFAULT_EYE_HEIGHT_M)
+  });
+  // IDs of the seats placed since authoring started
+  const [placedIds, setPlacedIds] = useState([]);
+  // Frame the seats as they were when authoring started, so placing seats doesn't move the camera
+  const [overview] = useState(() => getSeatOverview(seats, venue.model));
+  
+  // Seat coordinates are in the model's frame; place the camera where the
+  // seat ends up once the model is scaled and positioned, at the chosen eye
+  // height and looking the way the seat faces
+  const eyeHeight = eyeHeightPreset || getDefaultEyeHeightPreset(seat);
+  const viewpoint = useMemo(() => (
+    seat && seatCoordinates && !authoring
+      ? getSeatViewpoint(seat, seats, venue.model, eyeHeight)
+      : null
+  ), [seat, seatCoordinates, seats, venue.model, eyeHeight, authoring]);
+  const cameraPosition = useMemo(() => {
+    if (viewpoint) return viewpoint.position;
+    return seatCoordinates ? seatToWorld(seatCoordinates, venue.model) : null;
+  }, [viewpoint, seatCoordinates, venue.model]);
+  
+  // Which parts of the field the model hides from this seat's eyes
+  const raycastModel = useMemo(() => prepareModelForRaycast(model), [model]);
+  const obstruction = useMemo(() => {
+    if (!showObstruction || !raycastModel || !viewpoint) return null;
+    const eye = worldToModel(viewpoint.position, venue.model);
+    const targets = getObstructionTargets(seats, venue.model);
+    return traceObstruction(new THREE.Raycaster(), raycastModel, eye, targets, venue.model);
+  }, [showObstruction, raycastModel, viewpoint, seats, venue.model]);
+  
+  const placedSeats = useMemo(() => {
+    const placed = new Set(placedIds);
+    return seats.filter(candidate => placed.has(candidate.id));
+  }, [seats, placedIds]);
+  
+  const sectionNames = useMemo(() => (
+    [...new Set([...venue.sections.map(section => section.name), ...seats.map(candidate => candidate.section)])]
+      .filter(Boolean)
+      .sort()
+  ), [venue.sections, seats]);
+  
+  const handleAuthoringFieldChange = (field, value) => {
+    setAuthoringFields(prev => ({ ...prev, [field]: value }));
+  };
+  
+  // Drop a seat at eye height above the clicked point of the model
+  const handleSurfaceClick = (e) => {
+    // Ignore the click that ends an orbit drag
+    if (e.delta > CLICK_DRAG_TOLERANCE) return;
+    e.stopPropagation();
+    
+    const { section, row } = authoringFields;
+    if (row.trim() !== '' && !parseRowInput(row)) return;
+    const eyeHeight = authoringFields.eyeHeight === '' ? DEFAULT_EYE_HEIGHT_M : Number(authoringFields.eyeHeight);
+    
+    const position = surfaceToSeatPosition(e.point, venue.model, eyeHeight);
+    const newSeat = createSeat(seats, position, {
+      sections: venue.sections,
+      pricingRules: pricingRules || venue.pricing || DEFAULT_PRICING_RULES,
+      section,
+      row
+    });
+    console.log('[SeatView] Placed seat', newSeat.id, 'at', newSeat.coordinates);
+    
+    setPlacedIds(prev => [...prev, newSeat.id]);
+    onSeatsAuthored([...seats, newSeat], `Placed seat ${newSeat.id} on the model`);
+  };
   
   return (
     <ViewContainer>
@@ -405,15 +617,55 @@ const SeatView = ({ seatCoordinates, onBack, seat }) => {
           <LoadingText>Loading 3D View...</LoadingText>
           <LoadingSpinner />
         </LoadingOverlay>
+      ) : authoring ? (
+        <CanvasContainer>
+          <Canvas 
+            key="seat-authoring"
+            camera={{ 
+              position: [
+                overview.center[0],
+                overview.center[1] + overview.radius,
+                overview.center[2] + overview.radius * 1.5
+              ], 
+              fov: 60,
+              near: 0.05,
+              far: overview.radius * 50
+            }}
+            onCreated={({ gl }) => {
+              gl.domElement.style.touchAction = 'none';
+            }}
+          >
+            <ambientLight intensity={0.5} />
+            <pointLight position={[10, 10, 10]} intensity={1} />
+            <Suspense fallback={null}>
+              <group onClick={handleSurfaceClick}>
+                <StadiumModel />
+              </group>
+              <Environment preset="sunset" />
+            </Suspense>
+            <SeatMarkers seats={seats} color={SEAT_MARKER_COLOR} size={4} />
+            <SeatMarkers seats={placedSeats} color={PLACED_SEAT_COLOR} size={8} />
+            <OrbitControls target={overview.center} makeDefault />
+          </Canvas>
+          
+          <SeatAuthoringPanel
+            fields={authoringFields}
+            onFieldChange={handleAuthoringFieldChange}
+            sectionNames={sectionNames}
+            placedSeats={placedSeats}
+            onUndo={onUndo}
+            canUndo={canUndo}
+          />
+        </CanvasContainer>
       ) : (
         <CanvasContainer>
           <Canvas 
-            key={`seat-view-${seatCoordinates?.x}-${seatCoordinates?.y}-${seatCoordinates?.z}`}
+            key={`seat-view-${cameraPosition?.x}-${cameraPosition?.y}-${cameraPosition?.z}`}
             camera={{ 
               position: [
-                seatCoordinates?.x || 0, 
-                seatCoordinates?.y || 2, 
-                seatCoordinates?.z || 10
+                cameraPosition?.x || 0, 
+                cameraPosition?.y || 2, 
+                cameraPosition?.z || 10
               ], 
               fov: 75 
             }}
@@ -424,12 +676,25 @@ const SeatView = ({ seatCoordinates, onBack, seat }) => {
             <ambientLight intensity={0.5} />
             <pointLight position={[10, 10, 10]} intensity={1} />
             <Suspense fallback={null}>
-              <StadiumModel seatCoordinates={seatCoordinates} />
+              <StadiumModel seatCoordinates={cameraPosition} />
               <Environment preset="sunset" />
             </Suspense>
-            <FirstPersonControls seatCoordinates={seatCoordinates} />
+            {obstruction && <ObstructionMarkers obstruction={obstruction} />}
+            <FirstPersonControls
+              seatCoordinates={cameraPosition}
+              lookAtTarget={viewpoint?.target}
+              lookSync={lookSync}
+            />
           </Canvas>
           
+          {obstruction && (
+            <ObstructionNote>
+              {obstruction.targets.length === 0
+                ? 'There are no field points to check from this seat.'
+                : `${Math.round(obstruction.blockedFraction * 100)}% of the field is blocked from this seat. Red points are hidden, green points are in view.`}
+            </ObstructionNote>
+          )}
+          
           {error && (
             <ErrorOverlay>
               <ErrorMessage>
@@ -440,16 +705,48 @@ const SeatView = ({ seatCoordinates, onBack, seat }) => {
         </CanvasContainer>
       )}
       
-      <ViewFooter>
-        <ViewNote>
-          Note: This is a simulated view using NeRF technology. The actual view may vary slightly.
-        </ViewNote>
-        <ViewControls>
-          <ControlsText>
-            <strong>Controls:</strong> Click and drag to look around.
-          </ControlsText>
-        </ViewControls>
-      </ViewFooter>
+      {!compact && (
+        <ViewFooter>
+          {authoring ? (
+            <ViewNote>
+              Seats are placed on the loaded model and added to the seat list, so they line up with the model by construction.
+            </ViewNote>
+          ) : (
+            <ViewNote>
+              Note: This is a simulated view using NeRF technology. The actual view may vary slightly.
+            </ViewNote>
+          )}
+          <ViewControls>
+            <ControlsText>
+              <strong>Controls:</strong> {authoring
+                ? 'Drag to orbit, scroll to zoom, right-drag to pan and click the model to place a seat.'
+                : 'Click and drag to look around.'}
+            </ControlsText>
+            {!authoring && raycastModel && viewpoint && (
+              <ObstructionToggle>
+                <input
+                  type="checkbox"
+                  checked={showObstruction}
+                  onChange={e => setShowObstruction(e.target.checked)}
+                />
+                Show blocked field
+              </ObstructionToggle>
+            )}
+            {!authoring && onEyeHeightPresetChange && (
+              <EyeHeightLabel>
+                Eye height
+                <EyeHeightSelect value={eyeHeight} onChange={e => onEyeHeightPresetChange(e.target.value)}>
+                  {Object.entries(EYE_HEIGHT_PRESETS).map(([preset, height]) => (
+                    <option key={preset} value={preset}>
+                      {EYE_HEIGHT_LABELS[preset]} ({height} m)
+                    </option>
+                  ))}
+                </EyeHeightSelect>
+              </EyeHeightLabel>
+            )}
+          </ViewControls>
+        </ViewFooter>
+      )}
     </ViewContainer>
   );
 };
@@ -489,6 +786,36 @@ const ControlsText = styled.p`
   color: #333;
 `;
 
+const ObstructionToggle = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  margin-left: auto;
+  font-size: 14px;
+  color: #333;
+  cursor: pointer;
+`;
+
+const EyeHeightLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-left: auto;
+  font-size: 14px;
+  color: #333;
+  
+  label + & {
+    margin-left: 20px;
+  }
+`;
+
+const EyeHeightSelect = styled.select`
+  padding: 4px 8px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 14px;
+`;
+
 const LoadingOverlay = styled.div`
   position: absolute;
   top: 0;
@@ -524,6 +851,21 @@ const LoadingSpinner = styled.div`
   }
 `;
 
+const ObstructionNote = styled.div`
+  position: absolute;
+  top: 20px;
+  left: 50%;
+  transform: translateX(-50%);
+  max-width: 80%;
+  background-color: rgba(0, 0, 0, 0.7);
+  color: white;
+  padding: 8px 16px;
+  border-radius: 4px;
+  font-size: 14px;
+  text-align: center;
+  pointer-events: none;
+`;
+
 const ErrorOverlay = styled.div`
   position: absolute;
   bottom: 20px;
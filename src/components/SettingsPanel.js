@@ -2,6 +2,13 @@ import React, { useState } from 'react';
 import styled from 'styled-components';
 import CoordinateImporter from './CoordinateImporter';
 import ModelUploader from './ModelUploader';
+import PricingPanel from './PricingPanel';
+import SeatGroundingPanel from './SeatGroundingPanel';
+import ObstructionPanel from './ObstructionPanel';
+import SightlinePanel from './SightlinePanel';
+import { useVenue } from '../utils/VenueContext';
+import { EXPORT_FORMATS, exportSeats } from '../utils/seatExport';
+import { formatImportError } from '../utils/venueManifest';
 
 /**
  * A settings panel component that contains admin tools
@@ -11,20 +18,51 @@ const SettingsPanel = ({
   toggleImporter,
   showModelUploader,
   toggleModelUploader,
+  authoringMode,
+  toggleAuthoringMode,
   handleSeatsImported,
   handleModelUploaded,
   resetToFileSeats,
   resetToDefaultSeats,
   resetToDefaultModel,
   fileSeatsLoaded,
-  customModelUrl
+  customModelUrl,
+  seats = [],
+  seatRevisions = [],
+  revisionIndex = 0,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+  onRevisionSelected,
+  pricingRules,
+  onPricingApplied,
+  onSeatsEdited,
+  minCValue,
+  onMinCValueChange
 }) => {
   const [isOpen, setIsOpen] = useState(false);
+  const [showPricing, setShowPricing] = useState(false);
+  const [showGrounding, setShowGrounding] = useState(false);
+  const [showObstructions, setShowObstructions] = useState(false);
+  const [showSightlines, setShowSightlines] = useState(false);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.MANIFEST);
+  // Result of the last export: the file written, or the problems that stopped it
+  const [exportResult, setExportResult] = useState(null);
+  const venue = useVenue();
   
   const togglePanel = () => {
     setIsOpen(!isOpen);
   };
   
+  const handleExport = () => {
+    const result = exportSeats(seats, exportFormat, venue, pricingRules);
+    if (result.fileName) {
+      console.log(`Exported ${seats.length} seats to ${result.fileName}`);
+    }
+    setExportResult(result);
+  };
+  
   return (
     <SettingsContainer>
       <SettingsButton onClick={togglePanel}>
@@ -57,9 +95,44 @@ const SettingsPanel = ({
               </SettingsActionButton>
             </SettingsButtonGroup>
             
+            <SettingsButtonGroup>
+              <SettingsActionButton
+                onClick={onUndo}
+                disabled={!canUndo}
+                title={canUndo ? `Undo "${seatRevisions[revisionIndex].label}"` : undefined}
+              >
+                Undo
+              </SettingsActionButton>
+              <SettingsActionButton
+                onClick={onRedo}
+                disabled={!canRedo}
+                title={canRedo ? `Redo "${seatRevisions[revisionIndex + 1].label}"` : undefined}
+              >
+                Redo
+              </SettingsActionButton>
+            </SettingsButtonGroup>
+            
+            {seatRevisions.length > 1 && (
+              <RevisionList>
+                {seatRevisions.map((revision, index) => (
+                  <RevisionItem
+                    key={revision.createdAt + '-' + index}
+                    $current={index === revisionIndex}
+                    $undone={index > revisionIndex}
+                    onClick={() => onRevisionSelected(index)}
+                  >
+                    <span>{revision.label}</span>
+                    <RevisionMeta>
+                      {revision.seats.length} seats · {new Date(revision.createdAt).toLocaleTimeString()}
+                    </RevisionMeta>
+                  </RevisionItem>
+                ))}
+              </RevisionList>
+            )}
+            
             {showImporter && (
               <ImporterWrapper>
-                <CoordinateImporter onSeatsGenerated={handleSeatsImported} />
+                <CoordinateImporter currentSeats={seats} onSeatsGenerated={handleSeatsImported} />
               </ImporterWrapper>
             )}
           </SettingsSection>
@@ -71,6 +144,18 @@ const SettingsPanel = ({
                 {showModelUploader ? 'Hide Model Uploader' : 'Upload 3D Model'}
               </SettingsActionButton>
               
+              <SettingsActionButton onClick={toggleAuthoringMode}>
+                {authoringMode ? 'Back to Seat Map' : 'Place Seats on Model'}
+              </SettingsActionButton>
+              
+              <SettingsActionButton onClick={() => setShowGrounding(!showGrounding)}>
+                {showGrounding ? 'Hide Seat Grounding' : 'Ground Seats to Model'}
+              </SettingsActionButton>
+              
+              <SettingsActionButton onClick={() => setShowObstructions(!showObstructions)}>
+                {showObstructions ? 'Hide Obstructed Views' : 'Find Obstructed Views'}
+              </SettingsActionButton>
+              
               {customModelUrl && (
                 <SettingsActionButton onClick={resetToDefaultModel}>
                   Reset to Default Model
@@ -83,6 +168,91 @@ const SettingsPanel = ({
                 <ModelUploader onModelUploaded={handleModelUploaded} />
               </ImporterWrapper>
             )}
+            
+            {showGrounding && (
+              <ImporterWrapper>
+                <SeatGroundingPanel seats={seats} onSeatsChange={onSeatsEdited} />
+              </ImporterWrapper>
+            )}
+            
+            {showObstructions && (
+              <ImporterWrapper>
+                <ObstructionPanel seats={seats} onSeatsChange={onSeatsEdited} />
+              </ImporterWrapper>
+            )}
+          </SettingsSection>
+          
+          <SettingsSection>
+            <SectionTitle>Pricing</SectionTitle>
+            <SettingsButtonGroup>
+              <SettingsActionButton onClick={() => setShowPricing(!showPricing)}>
+                {showPricing ? 'Hide Pricing Rules' : 'Edit Pricing Rules'}
+              </SettingsActionButton>
+            </SettingsButtonGroup>
+            
+            {showPricing && (
+              <ImporterWrapper>
+                <PricingPanel
+                  seats={seats}
+                  rules={pricingRules}
+                  onApply={onPricingApplied}
+                />
+              </ImporterWrapper>
+            )}
+          </SettingsSection>
+          
+          <SettingsSection>
+            <SectionTitle>Sightlines</SectionTitle>
+            <SettingsButtonGroup>
+              <SettingsActionButton onClick={() => setShowSightlines(!showSightlines)}>
+                {showSightlines ? 'Hide C-Value Report' : 'Show C-Value Report'}
+              </SettingsActionButton>
+            </SettingsButtonGroup>
+            
+            {showSightlines && (
+              <ImporterWrapper>
+                <SightlinePanel
+                  seats={seats}
+                  minimum={minCValue}
+                  onMinimumChange={onMinCValueChange}
+                />
+              </ImporterWrapper>
+            )}
+          </SettingsSection>
+          
+          <SettingsSection>
+            <SectionTitle>Export</SectionTitle>
+            <SettingsButtonGroup>
+              <ExportSelect
+                value={exportFormat}
+                onChange={e => {
+                  setExportFormat(e.target.value);
+                  setExportResult(null);
+                }}
+              >
+                <option value={EXPORT_FORMATS.MANIFEST}>Venue manifest (venue.json)</option>
+                <option value={EXPORT_FORMATS.CSV}>CSV</option>
+                <option value={EXPORT_FORMATS.JSON}>JSON</option>
+              </ExportSelect>
+              <SettingsActionButton onClick={handleExport} disabled={seats.length === 0}>
+                Export {seats.length} Seats
+              </SettingsActionButton>
+            </SettingsButtonGroup>
+            
+            {exportResult && exportResult.fileName && (
+              <ExportMessage>
+                Saved {exportResult.fileName}.
+                {exportResult.fileName === 'venue.json' && ' Copy it to public/ to load this layout on startup.'}
+              </ExportMessage>
+            )}
+            {exportResult && exportResult.errors.length > 0 && (
+              <ExportMessage $error>
+                The seats can't be saved as a manifest:
+                {exportResult.errors.slice(0, 5).map((error, index) => (
+                  <div key={index}>{formatImportError(error)}</div>
+                ))}
+              </ExportMessage>
+            )}
           </SettingsSection>
         </SettingsContent>
       )}
@@ -129,7 +299,9 @@ const SettingsContent = styled.div`
   border-radius: 8px;
   box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
   margin-top: 10px;
-  overflow: hidden;
+  max-height: calc(100vh - 100px);
+  overflow-x: hidden;
+  overflow-y: auto;
   z-index: 10;
 `;
 
@@ -200,9 +372,64 @@ const SettingsActionButton = styled.button`
   cursor: pointer;
   transition: all 0.2s ease;
   
-  &:hover {
+  &:hover:not(:disabled) {
     background-color: #e0e0e0;
   }
+  
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const ExportSelect = styled.select`
+  padding: 8px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const ExportMessage = styled.div`
+  font-size: 13px;
+  color: ${props => props.$error ? '#c62828' : '#2e7d32'};
+  
+  div {
+    font-family: monospace;
+    font-size: 12px;
+    margin-top: 4px;
+  }
+`;
+
+const RevisionList = styled.ol`
+  list-style: none;
+  margin: 0 0 15px 0;
+  padding: 0;
+  max-height: 150px;
+  overflow-y: auto;
+  border: 1px solid #eee;
+  border-radius: 4px;
+`;
+
+const RevisionItem = styled.li`
+  display: flex;
+  justify-content: space-between;
+  gap: 10px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+  color: ${props => props.$undone ? '#999' : '#333'};
+  background-color: ${props => props.$current ? '#e3f2fd' : 'transparent'};
+  font-weight: ${props => props.$current ? 500 : 'normal'};
+  
+  &:hover {
+    background-color: ${props => props.$current ? '#e3f2fd' : '#f5f5f5'};
+  }
+`;
+
+const RevisionMeta = styled.span`
+  color: #888;
+  font-size: 12px;
+  white-space: nowrap;
 `;
 
 const ImporterWrapper = styled.div`
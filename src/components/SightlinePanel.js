@@ -0,0 +1,163 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import { calculateCValues, getRowCValues } from '../utils/sightlines';
+import { useVenue } from '../utils/VenueContext';
+
+// Format a C-value in millimeters for the report
+const formatCValue = (value) => (value === null ? '—' : `${Math.round(value)} mm`);
+
+// Report of the sightline C-value of every row, flagging the rows whose
+// spectators can't see over the heads of the row in front
+const SightlinePanel = ({ seats, minimum, onMinimumChange }) => {
+  const venue = useVenue();
+  const [minimumInput, setMinimumInput] = useState(String(minimum));
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+  const rows = useMemo(() => (
+    getRowCValues(seats, calculateCValues(seats, venue.model), minimum)
+  ), [seats, venue.model, minimum]);
+  const flaggedCount = rows.filter(row => row.belowMinimum).length;
+  const shownRows = flaggedOnly ? rows.filter(row => row.belowMinimum) : rows;
+
+  const handleMinimumChange = (e) => {
+    setMinimumInput(e.target.value);
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && value >= 0) onMinimumChange(value);
+  };
+
+  return (
+    <SightlineContainer>
+      <OptionsRow>
+        <label>
+          Minimum C-value
+          <OptionInput
+            type="number"
+            min="0"
+            step="5"
+            value={minimumInput}
+            onChange={handleMinimumChange}
+          />
+          mm
+        </label>
+        <label>
+          <input type="checkbox" checked={flaggedOnly} onChange={e => setFlaggedOnly(e.target.checked)} />
+          Only rows below the minimum
+        </label>
+      </OptionsRow>
+
+      <SightlineSummary $flagged={flaggedCount > 0}>
+        {rows.length === 0
+          ? 'No seats to check.'
+          : flaggedCount === 0
+            ? `All ${rows.length} rows clear the ${minimum} mm minimum.`
+            : `${flaggedCount} of ${rows.length} rows are below the ${minimum} mm minimum.`}
+      </SightlineSummary>
+
+      {shownRows.length > 0 && (
+        <TableWrapper>
+          <ReportTable>
+            <thead>
+              <tr>
+                <th>Section</th>
+                <th>Row</th>
+                <th>Seats</th>
+                <th>C-value</th>
+                <th>Lowest</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shownRows.map(row => (
+                <ReportRow key={`${row.section}-${row.row}`} $flagged={row.belowMinimum}>
+                  <td>{row.section}</td>
+                  <td>{row.rowLabel}</td>
+                  <td>{row.seatCount}</td>
+                  <td>{row.cValue === null ? 'Front row' : formatCValue(row.cValue)}</td>
+                  <td>{formatCValue(row.lowest)}</td>
+                </ReportRow>
+              ))}
+            </tbody>
+          </ReportTable>
+        </TableWrapper>
+      )}
+
+      <SightlineHint>
+        Pick <strong>Sightlines</strong> under the seat map to see every seat's C-value on the map.
+      </SightlineHint>
+    </SightlineContainer>
+  );
+};
+
+const SightlineContainer = styled.div`
+  margin-bottom: 15px;
+  padding: 12px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+  color: #333;
+`;
+
+const OptionsRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    color: #555;
+  }
+`;
+
+const OptionInput = styled.input`
+  width: 60px;
+  padding: 4px 6px;
+  border: 1px solid #ddd;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const SightlineSummary = styled.div`
+  margin-top: 10px;
+  color: ${props => props.$flagged ? '#8d6e00' : '#2e7d32'};
+`;
+
+const TableWrapper = styled.div`
+  max-height: 240px;
+  overflow-y: auto;
+  margin-top: 8px;
+`;
+
+const ReportTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 12px;
+
+  th, td {
+    padding: 4px 6px;
+    border-bottom: 1px solid #eee;
+    text-align: left;
+  }
+
+  th {
+    position: sticky;
+    top: 0;
+    background-color: white;
+    color: #666;
+    font-weight: 500;
+  }
+`;
+
+const ReportRow = styled.tr`
+  background-color: ${props => props.$flagged ? '#fff3e0' : 'transparent'};
+  color: ${props => props.$flagged ? '#bf360c' : 'inherit'};
+`;
+
+const SightlineHint = styled.p`
+  margin: 8px 0 0 0;
+  font-size: 12px;
+  color: #666;
+`;
+
+export default SightlinePanel;
@@ -1,9 +1,72 @@
 // @ts-nocheck
-import React, { useState, useEffect, Suspense, useRef } from 'react';
+import React, { useState, useEffect, useMemo, Suspense, useRef } from 'react';
 import styled from 'styled-components';
 import { Canvas, useThree, useFrame } from '@react-three/fiber';
-import { OrbitControls, Html, Text } from '@react-three/drei';
+import * as THREE from 'three';
+import { OrbitControls, Html, Text, Line } from '@react-three/drei';
 import { useModel } from '../utils/ModelContext';
+import { useVenue } from '../utils/VenueContext';
+import { SEAT_STATUS, SEAT_STATUS_STYLES, getSeatStatus, isSeatAvailable, getUnavailableReason } from '../utils/seatStatus';
+import SeatFinder from './SeatFinder';
+import SeatFilterPanel from './SeatFilterPanel';
+import HeatmapControls from './HeatmapControls';
+import SeatEditorPanel from './SeatEditorPanel';
+import { getRowLabel } from '../utils/rowInference';
+import { calcScalingFactors, getMapPosition, getSeatPosition } from '../utils/mapTransforms';
+import {
+  EDITOR_TOOLS,
+  createSeat,
+  moveSeats,
+  editSeats,
+  findSeatsInPolygon
+} from '../utils/seatEditing';
+import { discardSeats } from '../utils/seatValidation';
+import { DEFAULT_PRICING_RULES } from '../utils/pricingEngine';
+import { SEAT_ATTRIBUTE_STYLES, getKnownAttributes } from '../utils/seatAttributes';
+import { DEFAULT_SEAT_FILTERS, matchesSeatFilters, hasActiveFilters, findSeatById } from '../utils/seatFilters';
+import {
+  HEATMAP_MODES,
+  HEATMAP_STYLES,
+  getHeatmapValues,
+  getHeatColor,
+  buildHeatLayer
+} from '../utils/seatHeatmap';
+import { useViewScores } from '../utils/ViewScoreContext';
+import { DEFAULT_MIN_C_VALUE, calculateCValues, getRowCValues } from '../utils/sightlines';
+import { MAX_COMPARED_SEATS, toggleComparedSeat } from '../utils/seatComparison';
+
+// Color for seats suggested by the best-available finder
+const SUGGESTED_COLOR = '#43a047';
+
+// Color for seats selected in the seat editor
+const EDITOR_SELECTED_COLOR = '#ff9800';
+
+// Rows below the minimum C-value listed under the sightline heatmap before
+// collapsing the rest into a count
+const MAX_NOTED_ROWS = 6;
+
+// Opacity of seats that don't match the seat filters
+const DIMMED_SEAT_OPACITY = 0.2;
+
+// Height of the heatmap's heat layer, under the seats and the editor plane
+const HEAT_LAYER_HEIGHT = 0.8;
+
+// Smallest drag, in map units, that moves seats rather than just selecting them
+const MIN_DRAG_DISTANCE = 0.05;
+
+// Distance between lasso points, in map units
+const LASSO_POINT_SPACING = 0.1;
+
+// Height of the plane the seat editor measures pointer positions on
+const EDITOR_SURFACE_HEIGHT = 0.9;
+const editorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -EDITOR_SURFACE_HEIGHT);
+
+// Point on the editor plane under the pointer, the same whether the pointer is
+// over a seat or the empty map
+const getEditorPoint = (e) => {
+  const point = e.ray.intersectPlane(editorPlane, new THREE.Vector3());
+  return point ? { x: point.x, z: point.z } : { x: e.point.x, z: e.point.z };
+};
 
 // Background image component - replaces 3D model with a 2D image
 const ArenaBackground = () => {
@@ -30,47 +93,6 @@ const ArenaBackground = () => {
   );
 };
 
-// Find the coordinate bounds to calculate scaling factors
-const calcScalingFactors = (coordinates) => {
-  if (!coordinates || coordinates.length === 0) {
-    return { xScale: 1, zScale: 1, xOffset: 0, zOffset: 0 };
-  }
-  
-  // Find the min/max of all coordinates
-  let minX = Infinity;
-  let maxX = -Infinity;
-  let minZ = Infinity;
-  let maxZ = -Infinity;
-  
-  coordinates.forEach(coord => {
-    minX = Math.min(minX, coord.x);
-    maxX = Math.max(maxX, coord.x);
-    minZ = Math.min(minZ, coord.z);
-    maxZ = Math.max(maxZ, coord.z);
-  });
-  
-  // Calculate width and height of the data
-  const width = maxX - minX;
-  const height = maxZ - minZ;
-  
-  // Calculate scaling factors to fit within -10 to 10 range (20 units total)
-  const xScale = width > 0 ? 20 / width : 1;
-  const zScale = height > 0 ? 20 / height : 1;
-  
-  // Use the smaller scale to maintain aspect ratio
-  const scale = Math.min(xScale, zScale) * 0.95; // 95% to add some margin
-  
-  // Calculate the center point of the data
-  const centerX = (minX + maxX) / 2;
-  const centerZ = (minZ + maxZ) / 2;
-  
-  return { 
-    scale, 
-    xOffset: -centerX, 
-    zOffset: -centerZ 
-  };
-};
-
 // Enhanced Camera Controls for smoother transitions
 const CameraController = ({ target }) => {
   const { camera, controls } = useThree();
@@ -105,47 +127,42 @@ const CameraController = ({ target }) => {
 };
 
 // Seat component - positioned relative to transformations
-const Seat = ({ position, isSelected, onClick, seatId, uniqueKey, section, row, number, price, transformations }) => {
+const Seat = ({ position, isSelected, isSuggested = false, isEditorSelected = false, editing = false, onClick, onEditorPointerDown, seatId, uniqueKey, section, row, number, price, status, attributes = [], viewScore = null, dimmed = false, heatColor = null, isCompared = false, canCompare = false, onCompareToggle = null, transformations }) => {
   const [hovered, setHovered] = useState(false);
   const meshRef = useRef();
   const clickTimeoutRef = useRef(null);
   
   // Apply all transformations (initial scaling + user adjustments)
-  const angle = transformations.rotation * (Math.PI / 180); // Convert degrees to radians
-  
-  // First apply the base scaling and centering
-  const basePosition = [
-    (position[0] + transformations.baseOffset.x) * transformations.baseScale,
-    1, // Fixed height above the model
-    (position[2] + transformations.baseOffset.z) * transformations.baseScale
-  ];
-  
-  // Apply the modified flip - keep Z flipped but now preserve X direction
-  // This creates a mirror effect along the Z axis (horizontal flip)
-  const flippedX = basePosition[0]; // Keep X direction (no flip)
-  const flippedZ = -basePosition[2]; // Flip Z (up/down)
-  
-  // Then apply user transformations (rotation and scale)
-  const rotatedX = flippedX * Math.cos(angle) - flippedZ * Math.sin(angle);
-  const rotatedZ = flippedX * Math.sin(angle) + flippedZ * Math.cos(angle);
-  
-  const transformedPosition = [
-    rotatedX * transformations.scale + transformations.translateX,
-    basePosition[1],
-    rotatedZ * transformations.scale + transformations.translateY
-  ];
+  const transformedPosition = getMapPosition({ x: position[0], z: position[2] }, transformations);
   
   // Larger size for better visibility - increased from 0.2 to 0.35
   const size = 0.35 * transformations.scale;
   
-  // Dark blue color for all seats
-  const baseColor = "#0d47a1"; // Dark blue
+  // Color by availability - available seats are dark blue
+  const isAvailable = status === SEAT_STATUS.AVAILABLE;
+  const baseColor = isEditorSelected
+    ? EDITOR_SELECTED_COLOR
+    : isSuggested ? SUGGESTED_COLOR : heatColor || SEAT_STATUS_STYLES[status].color;
   const seatHeight = isSelected ? 0.3 : hovered ? 0.2 : 0.1;
+  const hoverColor = isAvailable ? '#2196f3' : baseColor;
   
   // More robust click handler with debounce to prevent multiple selections
   const handlePointerDown = (e) => {
     e.stopPropagation();
     
+    // The seat editor selects and drags seats of any status
+    if (editing) {
+      onEditorPointerDown(uniqueKey, e);
+      return;
+    }
+    
+    // Unavailable seats cannot be selected
+    if (!isAvailable) return;
+    
+    // Shift, Ctrl or Cmd click adds the seat to (or removes it from) the cart
+    const nativeEvent = e.nativeEvent || e;
+    const toggle = !!(nativeEvent.shiftKey || nativeEvent.ctrlKey || nativeEvent.metaKey);
+    
     // Clear any pending click timeout
     if (clickTimeoutRef.current) {
       clearTimeout(clickTimeoutRef.current);
@@ -154,7 +171,7 @@ const Seat = ({ position, isSelected, onClick, seatId, uniqueKey, section, row,
     // Set a small timeout to debounce clicks (prevents double clicks)
     clickTimeoutRef.current = setTimeout(() => {
       console.log('Seat clicked:', seatId, 'with unique key:', uniqueKey);
-      onClick(uniqueKey);
+      onClick(uniqueKey, toggle);
       clickTimeoutRef.current = null;
     }, 50);
   };
@@ -163,7 +180,7 @@ const Seat = ({ position, isSelected, onClick, seatId, uniqueKey, section, row,
   const handlePointerOver = (e) => {
     e.stopPropagation();
     setHovered(true);
-    document.body.style.cursor = 'pointer';
+    document.body.style.cursor = editing ? 'move' : isAvailable ? 'pointer' : 'not-allowed';
   };
   
   const handlePointerOut = (e) => {
@@ -195,11 +212,13 @@ const Seat = ({ position, isSelected, onClick, seatId, uniqueKey, section, row,
       >
         <cylinderGeometry args={[size, size, seatHeight, 12]} />
         <meshStandardMaterial 
-          color={isSelected ? '#f44336' : hovered ? '#2196f3' : baseColor} 
-          emissive={isSelected ? '#ff9e80' : hovered ? '#64b5f6' : baseColor}
+          color={isSelected ? '#f44336' : hovered ? hoverColor : baseColor} 
+          emissive={isSelected ? '#ff9e80' : hovered && isAvailable ? '#64b5f6' : baseColor}
           emissiveIntensity={isSelected ? 0.5 : hovered ? 0.3 : 0.1}
           metalness={0.3}
           roughness={0.7}
+          transparent={dimmed && !hovered}
+          opacity={dimmed && !hovered ? DIMMED_SEAT_OPACITY : 1}
         />
       </mesh>
       
@@ -219,6 +238,21 @@ const Seat = ({ position, isSelected, onClick, seatId, uniqueKey, section, row,
         </Text>
       )}
       
+      {/* Attribute icons stay on the map; the popup takes over while it's open */}
+      {attributes.length > 0 && !hovered && !isSelected && !dimmed && (
+        <Html
+          center
+          position={[0, seatHeight + 0.15, 0]}
+          style={{ pointerEvents: 'none' }}
+          zIndexRange={[50, 51]}
+          distanceFactor={4}
+        >
+          <AttributeBadge>
+            {attributes.map(attribute => SEAT_ATTRIBUTE_STYLES[attribute].icon).join('')}
+          </AttributeBadge>
+        </Html>
+      )}
+      
       {/* Improved seat popup with better positioning and transitions */}
       {(hovered || isSelected) && (
         <Html
@@ -238,6 +272,24 @@ const Seat = ({ position, isSelected, onClick, seatId, uniqueKey, section, row,
             <div><strong>Row:</strong> {row}</div>
             <div><strong>Seat:</strong> {number}</div>
             <div><strong>Price:</strong> ${price}</div>
+            {viewScore && <div><strong>View:</strong> {viewScore.score}/100</div>}
+            {!isAvailable && (
+              <div><strong>Status:</strong> {SEAT_STATUS_STYLES[status].label}</div>
+            )}
+            {attributes.map(attribute => (
+              <div key={attribute}>
+                {SEAT_ATTRIBUTE_STYLES[attribute].icon} {SEAT_ATTRIBUTE_STYLES[attribute].label}
+              </div>
+            ))}
+            {isSelected && onCompareToggle && (
+              <CompareButton
+                onClick={() => onCompareToggle(uniqueKey)}
+                disabled={!isCompared && !canCompare}
+                title={!isCompared && !canCompare ? `Up to ${MAX_COMPARED_SEATS} seats can be compared` : undefined}
+              >
+                {isCompared ? 'Remove from Comparison' : 'Add to Comparison'}
+              </CompareButton>
+            )}
             {isSelected && (
               <>
                 <div><strong>Pos:</strong> ({position[0].toFixed(1)}, {position[2].toFixed(1)})</div>
@@ -251,6 +303,70 @@ const Seat = ({ position, isSelected, onClick, seatId, uniqueKey, section, row,
   );
 };
 
+// Invisible ground under the seats that receives the seat editor's clicks and drags
+const EditorSurface = ({ onPointerDown, onPointerMove }) => (
+  <mesh
+    position={[0, EDITOR_SURFACE_HEIGHT, 0]}
+    rotation={[-Math.PI / 2, 0, 0]}
+    onPointerDown={onPointerDown}
+    onPointerMove={onPointerMove}
+  >
+    <planeGeometry args={[1000, 1000]} />
+    <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+  </mesh>
+);
+
+// Heat layer of the heatmap. It is built in the map's base frame, so it only
+// needs rebuilding when the seats change, and follows the user's
+// transformations the same way the seats do.
+const HeatLayer = ({ layer, transformations }) => {
+  const texture = useMemo(() => {
+    const dataTexture = new THREE.DataTexture(layer.data, layer.width, layer.height, THREE.RGBAFormat);
+    dataTexture.colorSpace = THREE.SRGBColorSpace;
+    dataTexture.magFilter = THREE.LinearFilter;
+    dataTexture.needsUpdate = true;
+    return dataTexture;
+  }, [layer]);
+  
+  useEffect(() => () => texture.dispose(), [texture]);
+  
+  const { bounds } = layer;
+  const angle = transformations.rotation * (Math.PI / 180);
+  
+  return (
+    <group
+      position={[transformations.translateX, HEAT_LAYER_HEIGHT, transformations.translateY]}
+      rotation={[0, -angle, 0]}
+      scale={[transformations.scale, 1, transformations.scale]}
+    >
+      <mesh
+        position={[(bounds.minX + bounds.maxX) / 2, 0, (bounds.minZ + bounds.maxZ) / 2]}
+        rotation={[-Math.PI / 2, 0, 0]}
+        raycast={() => null}
+      >
+        <planeGeometry args={[bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ]} />
+        <meshBasicMaterial map={texture} transparent depthWrite={false} />
+      </mesh>
+    </group>
+  );
+};
+
+// Outline of a lasso being drawn, closed back to its first point
+const LassoOutline = ({ points }) => {
+  if (points.length < 2) return null;
+  
+  return (
+    <Line
+      points={[...points, points[0]].map(([x, z]) => [x, 1.2, z])}
+      color={EDITOR_SELECTED_COLOR}
+      lineWidth={2}
+      dashed
+      dashSize={0.2}
+      gapSize={0.1}
+    />
+  );
+};
+
 // Storage keys for saved transformations
 const STORAGE_KEYS = {
   EDIT_MODE: 'stadium_edit_mode',
@@ -260,7 +376,25 @@ const STORAGE_KEYS = {
   TRANSLATE_Y: 'stadium_translate_y',
 };
 
-const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
+const StadiumMap = ({
+  seats,
+  selectedSeat,
+  selectedSeats = [],
+  onSeatSelect,
+  onBlockSelect,
+  onSeatsEdited,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  pricingRules,
+  minCValue = DEFAULT_MIN_C_VALUE,
+  comparedSeatIds = [],
+  onComparedSeatsChange,
+  onCompareOpen
+}) => {
+  const venue = useVenue();
+  
   // Load saved values from localStorage
   const loadSavedValue = (key, defaultValue) => {
     try {
@@ -278,10 +412,10 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
   );
   
   const [transformations, setTransformations] = useState({
-    scale: loadSavedValue(STORAGE_KEYS.SCALE, 1.0),
-    rotation: loadSavedValue(STORAGE_KEYS.ROTATION, 0),
-    translateX: loadSavedValue(STORAGE_KEYS.TRANSLATE_X, 0),
-    translateY: loadSavedValue(STORAGE_KEYS.TRANSLATE_Y, 0),
+    scale: loadSavedValue(STORAGE_KEYS.SCALE, venue.transforms.scale),
+    rotation: loadSavedValue(STORAGE_KEYS.ROTATION, venue.transforms.rotation),
+    translateX: loadSavedValue(STORAGE_KEYS.TRANSLATE_X, venue.transforms.translateX),
+    translateY: loadSavedValue(STORAGE_KEYS.TRANSLATE_Y, venue.transforms.translateY),
     // Initial base transformations
     baseScale: 1,
     baseOffset: { x: 0, z: 0 }
@@ -290,6 +424,9 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
   // Keep track of selected seat by index to avoid ID conflicts
   const [selectedSeatIndex, setSelectedSeatIndex] = useState(null);
   
+  // Block of seats suggested by the best-available finder
+  const [suggestedBlock, setSuggestedBlock] = useState(null);
+  
   // Track whether we're currently transitioning between seats
   const [isTransitioning, setIsTransitioning] = useState(false);
   
@@ -300,6 +437,15 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
   const transitionTimeoutRef = useRef(null);
   const selectTimeoutRef = useRef(null);
   
+  // Seat editor: the active tool, the selected seats (by index), a drag in
+  // progress and a lasso being drawn, all in map coordinates
+  const [seatEditing, setSeatEditing] = useState(false);
+  const [editorTool, setEditorTool] = useState(EDITOR_TOOLS.SELECT);
+  const [editorSelection, setEditorSelection] = useState([]);
+  const [drag, setDrag] = useState(null);
+  const [lasso, setLasso] = useState(null);
+  const editorKeyHandlerRef = useRef(null);
+  
   // Calculate base scaling factors based on all seat coordinates
   useEffect(() => {
     const coordinates = seats.map(seat => ({ 
@@ -329,9 +475,25 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
       if (index !== -1) {
         setSelectedSeatIndex(index);
       }
+    } else {
+      setSelectedSeatIndex(null);
     }
   }, [selectedSeat]);
   
+  // Indexes of the suggested seats, so they can be highlighted
+  const suggestedIndexes = new Set(
+    (suggestedBlock ? suggestedBlock.seats : [])
+      .map(seat => findSeatIndexById(seat.id))
+      .filter(index => index !== null && index !== -1)
+  );
+  
+  // Indexes of every seat in the cart, so they all stay highlighted
+  const cartIndexes = new Set(
+    selectedSeats
+      .map(seat => findSeatIndexById(seat.id))
+      .filter(index => index !== null && index !== -1)
+  );
+  
   // Clean up all timeouts when component unmounts
   useEffect(() => {
     return () => {
@@ -345,13 +507,29 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
   }, []);
   
   // More robust seat selection with transition handling
-  const handleSeatSelect = (index) => {
+  const handleSeatSelect = (index, toggle = false) => {
     // Prevent selection during transitions
     if (isTransitioning) {
       console.log('Ignoring click during transition');
       return;
     }
     
+    // Get the selected seat
+    const seat = seats[index];
+    
+    // Sold, held and blocked seats cannot be selected
+    if (!isSeatAvailable(seat)) {
+      console.log('Ignoring click on unavailable seat:', seat.id, getSeatStatus(seat));
+      return;
+    }
+    
+    // Adding or removing a seat from the cart keeps the camera where it is
+    if (toggle) {
+      console.log('Seat toggled:', seat.id, 'at index:', index);
+      onSeatSelect(seat, { toggle: true });
+      return;
+    }
+    
     // Clear any existing timeouts to prevent state conflicts
     if (transitionTimeoutRef.current) {
       clearTimeout(transitionTimeoutRef.current);
@@ -363,29 +541,10 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
     // Start transition
     setIsTransitioning(true);
     
-    // Get the selected seat
-    const seat = seats[index];
     console.log("Seat selected:", seat.id, "at index:", index);
     
     // Apply transformations to get the seat's position in world space
-    const basePosition = [
-      (seat.coordinates.x + transformations.baseOffset.x) * transformations.baseScale,
-      1,
-      (seat.coordinates.z + transformations.baseOffset.z) * transformations.baseScale
-    ];
-    
-    const flippedX = basePosition[0];
-    const flippedZ = -basePosition[2];
-    
-    const angle = transformations.rotation * (Math.PI / 180);
-    const rotatedX = flippedX * Math.cos(angle) - flippedZ * Math.sin(angle);
-    const rotatedZ = flippedX * Math.sin(angle) + flippedZ * Math.cos(angle);
-    
-    const transformedPosition = [
-      rotatedX * transformations.scale + transformations.translateX,
-      basePosition[1],
-      rotatedZ * transformations.scale + transformations.translateY
-    ];
+    const transformedPosition = getMapPosition(seat.coordinates, transformations);
     
     // First reset the camera target to null to ensure it will update
     setCameraTarget(null);
@@ -412,6 +571,25 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
     }, 200);
   };
   
+  // Highlight a suggested block and pan the map to it
+  const handleBlockFound = (block) => {
+    setSuggestedBlock(block);
+    if (!block) return;
+    
+    const positions = block.seats.map(seat => getMapPosition(seat.coordinates, transformations));
+    const centerX = positions.reduce((sum, position) => sum + position[0], 0) / positions.length;
+    const centerZ = positions.reduce((sum, position) => sum + position[2], 0) / positions.length;
+    setCameraTarget([centerX, 0, centerZ]);
+  };
+  
+  // Select every seat in the suggested block in one go
+  const handleBlockSelect = (blockSeats) => {
+    setSuggestedBlock(null);
+    if (onBlockSelect) {
+      onBlockSelect(blockSeats);
+    }
+  };
+  
   // Save transformations and exit edit mode
   const saveTransformations = () => {
     // Save to localStorage
@@ -425,15 +603,15 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
     setEditMode(false);
   };
   
-  // Reset to default transformations
+  // Reset to the venue's default transformations
   const resetTransformations = () => {
     // Reset the transformations to default values
     setTransformations(prev => ({
       ...prev,
-      scale: 1.0,
-      rotation: 0,
-      translateX: 0,
-      translateY: 0
+      scale: venue.transforms.scale,
+      rotation: venue.transforms.rotation,
+      translateX: venue.transforms.translateX,
+      translateY: venue.transforms.translateY
     }));
   };
   
@@ -460,6 +638,161 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
     setTransformations(prev => ({ ...prev, translateY: parseFloat(e.target.value) }));
   };
   
+  // Coordinates of a seat moved by an offset on the map; its height is kept
+  const moveOnMap = (coordinates, offset) => {
+    const [mapX, , mapZ] = getMapPosition(coordinates, transformations);
+    const { x, z } = getSeatPosition({ x: mapX + offset.x, z: mapZ + offset.z }, transformations);
+    return { ...coordinates, x, z };
+  };
+  
+  const dragOffset = drag ? { x: drag.current.x - drag.start.x, z: drag.current.z - drag.start.z } : null;
+  const draggedIndexes = new Set(drag ? drag.indices : []);
+  const editorSelectedIndexes = new Set(editorSelection);
+  
+  const describeEdit = (verb, indices) => (
+    indices.length === 1 ? `${verb} seat ${seats[indices[0]].id}` : `${verb} ${indices.length} seats`
+  );
+  
+  const toggleSeatEditing = () => {
+    setSeatEditing(!seatEditing);
+    setEditorSelection([]);
+    setDrag(null);
+    setLasso(null);
+  };
+  
+  // Clicking a seat selects it; Shift, Ctrl or Cmd adds it to the selection instead.
+  // With the select tool, pressing on a selected seat starts dragging the selection.
+  const handleEditorSeatPointerDown = (index, e) => {
+    const nativeEvent = e.nativeEvent || e;
+    if (nativeEvent.button !== 0) return;
+    const additive = !!(nativeEvent.shiftKey || nativeEvent.ctrlKey || nativeEvent.metaKey);
+    
+    let nextSelection;
+    if (additive) {
+      nextSelection = editorSelectedIndexes.has(index)
+        ? editorSelection.filter(selected => selected !== index)
+        : [...editorSelection, index];
+    } else {
+      nextSelection = editorSelectedIndexes.has(index) ? editorSelection : [index];
+    }
+    setEditorSelection(nextSelection);
+    
+    if (editorTool === EDITOR_TOOLS.SELECT && nextSelection.includes(index)) {
+      const start = getEditorPoint(e);
+      setDrag({ indices: nextSelection, start, current: start });
+    }
+  };
+  
+  const handleSurfacePointerDown = (e) => {
+    const nativeEvent = e.nativeEvent || e;
+    if (nativeEvent.button !== 0) return;
+    const additive = !!(nativeEvent.shiftKey || nativeEvent.ctrlKey || nativeEvent.metaKey);
+    const point = getEditorPoint(e);
+    
+    if (editorTool === EDITOR_TOOLS.ADD) {
+      const seat = createSeat(seats, getSeatPosition(point, transformations), {
+        sections: venue.sections,
+        pricingRules: pricingRules || venue.pricing || DEFAULT_PRICING_RULES
+      });
+      onSeatsEdited([...seats, seat], `Added seat ${seat.id}`);
+      setEditorSelection([seats.length]);
+    } else if (editorTool === EDITOR_TOOLS.LASSO) {
+      setLasso({ points: [[point.x, point.z]], additive });
+    } else if (!additive) {
+      setEditorSelection([]);
+    }
+  };
+  
+  const handleSurfacePointerMove = (e) => {
+    if (!drag && !lasso) return;
+    const point = getEditorPoint(e);
+    
+    if (drag) {
+      setDrag(prev => ({ ...prev, current: point }));
+    } else {
+      const [lastX, lastZ] = lasso.points[lasso.points.length - 1];
+      if (Math.hypot(point.x - lastX, point.z - lastZ) >= LASSO_POINT_SPACING) {
+        setLasso(prev => ({ ...prev, points: [...prev.points, [point.x, point.z]] }));
+      }
+    }
+  };
+  
+  // Finish a drag or lasso when the button is released or the pointer leaves the map
+  const handleEditorPointerUp = () => {
+    if (drag) {
+      if (Math.hypot(dragOffset.x, dragOffset.z) >= MIN_DRAG_DISTANCE) {
+        onSeatsEdited(
+          moveSeats(seats, drag.indices, coordinates => moveOnMap(coordinates, dragOffset)),
+          describeEdit('Moved', drag.indices)
+        );
+      }
+      setDrag(null);
+    }
+    if (lasso) {
+      const inside = findSeatsInPolygon(seats, lasso.points, seat => {
+        const [x, , z] = getMapPosition(seat.coordinates, transformations);
+        return { x, z };
+      });
+      setEditorSelection(prev => (lasso.additive ? [...new Set([...prev, ...inside])] : inside));
+      setLasso(null);
+    }
+  };
+  
+  const handleEditorApply = (changes) => {
+    const edited = editSeats(seats, editorSelection, changes, {
+      pricingRules: pricingRules || venue.pricing || DEFAULT_PRICING_RULES
+    });
+    onSeatsEdited(edited, describeEdit('Edited', editorSelection));
+  };
+  
+  const handleEditorDelete = () => {
+    if (editorSelection.length === 0) return;
+    onSeatsEdited(discardSeats(seats, editorSelection), describeEdit('Deleted', editorSelection));
+    setEditorSelection([]);
+  };
+  
+  // Seat indexes may not match after undoing, so the selection is dropped
+  const handleEditorUndo = () => {
+    setEditorSelection([]);
+    onUndo();
+  };
+  
+  const handleEditorRedo = () => {
+    setEditorSelection([]);
+    onRedo();
+  };
+  
+  // Keyboard shortcuts while editing; kept in a ref so the listener always sees the latest state
+  editorKeyHandlerRef.current = (e) => {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const modifier = e.ctrlKey || e.metaKey;
+    
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      handleEditorDelete();
+    } else if (e.key === 'Escape') {
+      setEditorSelection([]);
+    } else if (modifier && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        if (canRedo) handleEditorRedo();
+      } else if (canUndo) {
+        handleEditorUndo();
+      }
+    } else if (modifier && e.key.toLowerCase() === 'y') {
+      e.preventDefault();
+      if (canRedo) handleEditorRedo();
+    }
+  };
+  
+  useEffect(() => {
+    if (!seatEditing) return;
+    
+    const handleKeyDown = (e) => editorKeyHandlerRef.current(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [seatEditing]);
+  
   // Count seats by section for the summary
   const [sectionCounts, setSectionCounts] = useState({});
   
@@ -472,13 +805,155 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
     setSectionCounts(counts);
   }, [seats]);
   
+  const availableCount = seats.filter(isSeatAvailable).length;
+  
+  // Filters from the filter panel; seats that don't match are dimmed
+  const [seatFilters, setSeatFilters] = useState(DEFAULT_SEAT_FILTERS);
+  const { scores: viewScores, progress: viewScoreProgress } = useViewScores();
+  
+  // Jump to a seat typed into the search box. Available seats are selected;
+  // others are only panned to, with the reason they can't be bought.
+  const handleSeatSearch = (query) => {
+    const index = findSeatById(seats, query);
+    if (index === -1) return `No seat ${query.trim()} on this map.`;
+    
+    const seat = seats[index];
+    if (isSeatAvailable(seat)) {
+      handleSeatSelect(index);
+      return null;
+    }
+    
+    const transformedPosition = getMapPosition(seat.coordinates, transformations);
+    setCameraTarget([transformedPosition[0], 0, transformedPosition[2]]);
+    return `Seat ${seat.id}: ${getUnavailableReason(seat)}`;
+  };
+  
+  const seatAttributes = seats.map(getKnownAttributes);
+  
+  // Seats picked for the side-by-side comparison, in the order they were added
+  const comparedSeats = comparedSeatIds.filter(id => seats.some(seat => seat.id === id));
+  const handleCompareToggle = (index) => {
+    onComparedSeatsChange(toggleComparedSeat(comparedSeats, seats[index].id));
+  };
+  
+  // Heatmap coloring the seats; the seat editor always shows seat status
+  const [heatmapMode, setHeatmapMode] = useState(HEATMAP_MODES.NONE);
+  const activeHeatmap = seatEditing ? HEATMAP_MODES.NONE : heatmapMode;
+  const heatmapStyle = HEATMAP_STYLES[activeHeatmap];
+  
+  // Sightline C-values by seat ID and the rows below the minimum, only worked
+  // out while the sightline heatmap is on
+  const sightlines = useMemo(() => {
+    if (activeHeatmap !== HEATMAP_MODES.C_VALUE) return { cValues: {}, flaggedRows: [] };
+    const seatCValues = calculateCValues(seats, venue.model);
+    return {
+      cValues: Object.fromEntries(seats.map((seat, index) => [seat.id, seatCValues[index]])),
+      flaggedRows: getRowCValues(seats, seatCValues, minCValue).filter(row => row.belowMinimum)
+    };
+  }, [seats, activeHeatmap, venue.model, minCValue]);
+  
+  const heatmap = useMemo(() => (
+    getHeatmapValues(seats, activeHeatmap, { viewScores, cValues: sightlines.cValues, minCValue })
+  ), [seats, activeHeatmap, viewScores, sightlines, minCValue]);
+  
+  let heatmapNote = null;
+  if (activeHeatmap === HEATMAP_MODES.VIEW_QUALITY && viewScoreProgress) {
+    heatmapNote = `Checking sightlines against the model: ${viewScoreProgress.done} of ${viewScoreProgress.total} seats`;
+  } else if (activeHeatmap === HEATMAP_MODES.C_VALUE) {
+    const { flaggedRows } = sightlines;
+    heatmapNote = flaggedRows.length === 0
+      ? `Every row clears the ${minCValue} mm minimum C-value.`
+      : `${flaggedRows.length} rows below the ${minCValue} mm minimum C-value: ` +
+        flaggedRows.slice(0, MAX_NOTED_ROWS).map(row => `${row.section} row ${row.rowLabel}`).join(', ') +
+        (flaggedRows.length > MAX_NOTED_ROWS ? ` and ${flaggedRows.length - MAX_NOTED_ROWS} more` : '');
+  }
+  
+  const { baseScale, baseOffset } = transformations;
+  const heatLayer = useMemo(() => {
+    if (!heatmapStyle) return null;
+    const points = seats
+      .map((seat, index) => ({
+        x: (seat.coordinates.x + baseOffset.x) * baseScale,
+        z: (seat.coordinates.z + baseOffset.z) * baseScale,
+        value: heatmap.values[index]
+      }))
+      .filter(point => point.value !== null && point.value !== undefined);
+    return buildHeatLayer(points, { min: heatmap.min, max: heatmap.max, colors: heatmapStyle.colors });
+  }, [seats, heatmap, heatmapStyle, baseScale, baseOffset]);
+  const shownAttributes = Object.keys(SEAT_ATTRIBUTE_STYLES).filter(attribute => (
+    seatAttributes.some(attributes => attributes.includes(attribute))
+  ));
+  
   return (
     <MapContainer>
       <Title>Select Your Seat</Title>
       <Description>
-        Click on a seat to view more details. {seats.length} seats available in {Object.keys(sectionCounts).length} sections.
+        Click on a seat to view more details, or Shift + Click to select several seats. {availableCount} of {seats.length} seats available in {Object.keys(sectionCounts).length} sections.
       </Description>
       
+      {!seatEditing && (
+        <SeatFilterPanel
+          seats={seats}
+          viewScores={viewScores}
+          filters={seatFilters}
+          onFiltersChange={setSeatFilters}
+          onSeatSearch={handleSeatSearch}
+        />
+      )}
+      
+      {onSeatsEdited && (
+        <MapToolbar>
+          <EditModeButton onClick={toggleSeatEditing}>
+            {seatEditing ? 'Done Editing Seats' : 'Edit Seats'}
+          </EditModeButton>
+        </MapToolbar>
+      )}
+      
+      {seatEditing && (
+        <SeatEditorPanel
+          seats={seats}
+          selection={editorSelection}
+          tool={editorTool}
+          onToolChange={setEditorTool}
+          onApply={handleEditorApply}
+          onDelete={handleEditorDelete}
+          onClearSelection={() => setEditorSelection([])}
+          onUndo={handleEditorUndo}
+          onRedo={handleEditorRedo}
+          canUndo={canUndo}
+          canRedo={canRedo}
+        />
+      )}
+      
+      {onBlockSelect && !seatEditing && (
+        <SeatFinder
+          seats={seats}
+          block={suggestedBlock}
+          onBlockFound={handleBlockFound}
+          onBlockSelect={handleBlockSelect}
+        />
+      )}
+      
+      {onComparedSeatsChange && !seatEditing && comparedSeats.length > 0 && (
+        <CompareBar>
+          <CompareLabel>Comparing</CompareLabel>
+          {comparedSeats.map(id => (
+            <ComparedSeatChip key={id}>
+              {id}
+              <button
+                onClick={() => onComparedSeatsChange(comparedSeats.filter(comparedId => comparedId !== id))}
+                title={`Remove seat ${id} from the comparison`}
+              >
+                ×
+              </button>
+            </ComparedSeatChip>
+          ))}
+          <CompareOpenButton onClick={onCompareOpen} disabled={comparedSeats.length < 2}>
+            {comparedSeats.length < 2 ? 'Add another seat to compare' : `Compare ${comparedSeats.length} Seats`}
+          </CompareOpenButton>
+        </CompareBar>
+      )}
+      
       {editMode && (
         <TransformControls>
           <ControlGroup>
@@ -544,17 +1019,20 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
         </TransformControls>
       )}
       
-      <CanvasContainer>
+      <CanvasContainer
+        onPointerUp={seatEditing ? handleEditorPointerUp : undefined}
+        onPointerLeave={seatEditing ? handleEditorPointerUp : undefined}
+      >
         {/* Background image displayed beneath the canvas for better clicking */}
         <BackgroundImageContainer>
           <img 
-            src={`${process.env.PUBLIC_URL}/arena_outline.png`}
+            src={`${process.env.PUBLIC_URL}${venue.outline.image}`}
             alt="Arena Layout"
             style={{ 
               width: '100%', 
               height: '100%', 
               objectFit: 'contain',
-              opacity: 0.5,
+              opacity: venue.outline.opacity,
               pointerEvents: 'none'
             }}
           />
@@ -577,22 +1055,55 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
           {/* Custom camera controller for smooth transitions */}
           <CameraController target={cameraTarget} />
           
-          {/* Render seats as circles from a top-down view */}
-          {seats.map((seat, index) => (
-            <Seat
-              key={`seat-${index}-${seat.id}`}
-              uniqueKey={index}
-              seatId={seat.id}
-              section={seat.section}
-              row={seat.row}
-              number={seat.number}
-              price={seat.price}
-              position={[seat.coordinates.x, seat.coordinates.y, seat.coordinates.z]}
-              isSelected={selectedSeatIndex === index}
-              onClick={handleSeatSelect}
-              transformations={transformations}
+          {seatEditing && (
+            <EditorSurface
+              onPointerDown={handleSurfacePointerDown}
+              onPointerMove={handleSurfacePointerMove}
             />
-          ))}
+          )}
+          {lasso && <LassoOutline points={lasso.points} />}
+          {heatLayer && <HeatLayer layer={heatLayer} transformations={transformations} />}
+          
+          {/* Render seats as circles from a top-down view */}
+          {seats.map((seat, index) => {
+            // Seats being dragged follow the pointer until they are dropped
+            const coordinates = draggedIndexes.has(index) ? moveOnMap(seat.coordinates, dragOffset) : seat.coordinates;
+            const isSelected = !seatEditing && (selectedSeatIndex === index || cartIndexes.has(index));
+            // Filters only apply to buyers, and never dim seats already chosen
+            const dimmed = !seatEditing && !isSelected && !matchesSeatFilters(seat, seatFilters, viewScores[seat.id]);
+            // Heatmaps color the seats still on sale; the others keep their status colors
+            const heatValue = heatmap.values[index];
+            const heatColor = heatmapStyle && heatValue !== null && heatValue !== undefined && isSeatAvailable(seat)
+              ? getHeatColor(heatValue, heatmap.min, heatmap.max, heatmapStyle.colors)
+              : null;
+            return (
+              <Seat
+                key={`seat-${index}-${seat.id}`}
+                uniqueKey={index}
+                seatId={seat.id}
+                section={seat.section}
+                row={getRowLabel(seat)}
+                number={seat.number}
+                price={seat.price}
+                status={getSeatStatus(seat)}
+                attributes={seatAttributes[index]}
+                viewScore={viewScores[seat.id]}
+                dimmed={dimmed}
+                heatColor={heatColor}
+                isCompared={comparedSeats.includes(seat.id)}
+                canCompare={comparedSeats.length < MAX_COMPARED_SEATS}
+                onCompareToggle={onComparedSeatsChange ? handleCompareToggle : null}
+                position={[coordinates.x, coordinates.y, coordinates.z]}
+                isSelected={isSelected}
+                isSuggested={!seatEditing && suggestedIndexes.has(index)}
+                isEditorSelected={editorSelectedIndexes.has(index)}
+                editing={seatEditing}
+                onClick={handleSeatSelect}
+                onEditorPointerDown={handleEditorSeatPointerDown}
+                transformations={transformations}
+              />
+            );
+          })}
           
           {/* Fixed camera with only zoom, no rotation */}
           <OrbitControls 
@@ -614,12 +1125,24 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
         )}
       </CanvasContainer>
       
+      {!seatEditing && (
+        <HeatmapControls
+          mode={heatmapMode}
+          onModeChange={setHeatmapMode}
+          min={heatmap.min}
+          max={heatmap.max}
+          note={heatmapNote}
+        />
+      )}
+      
       <Legend>
         <LegendTitle>Viewing Guide</LegendTitle>
-        <LegendItem>
-          <LegendColor color="#0d47a1" />
-          <LegendText>Available Seat</LegendText>
-        </LegendItem>
+        {!heatmapStyle && (
+          <LegendItem>
+            <LegendColor color={SEAT_STATUS_STYLES[SEAT_STATUS.AVAILABLE].color} />
+            <LegendText>{SEAT_STATUS_STYLES[SEAT_STATUS.AVAILABLE].label}</LegendText>
+          </LegendItem>
+        )}
         <LegendItem>
           <LegendColor color="#2196f3" />
           <LegendText>Hovered Seat</LegendText>
@@ -628,6 +1151,36 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
           <LegendColor color="#f44336" />
           <LegendText>Selected Seat</LegendText>
         </LegendItem>
+        {suggestedBlock && (
+          <LegendItem>
+            <LegendColor color={SUGGESTED_COLOR} />
+            <LegendText>Suggested Seats</LegendText>
+          </LegendItem>
+        )}
+        {seatEditing && (
+          <LegendItem>
+            <LegendColor color={EDITOR_SELECTED_COLOR} />
+            <LegendText>Seats Being Edited</LegendText>
+          </LegendItem>
+        )}
+        {[SEAT_STATUS.HELD, SEAT_STATUS.SOLD, SEAT_STATUS.BLOCKED].map(status => (
+          <LegendItem key={status}>
+            <LegendColor color={SEAT_STATUS_STYLES[status].color} />
+            <LegendText>{SEAT_STATUS_STYLES[status].label}</LegendText>
+          </LegendItem>
+        ))}
+        {hasActiveFilters(seatFilters) && (
+          <LegendItem>
+            <LegendColor color={SEAT_STATUS_STYLES[SEAT_STATUS.AVAILABLE].color} style={{ opacity: DIMMED_SEAT_OPACITY }} />
+            <LegendText>Filtered Out</LegendText>
+          </LegendItem>
+        )}
+        {shownAttributes.map(attribute => (
+          <LegendItem key={attribute}>
+            <LegendIcon>{SEAT_ATTRIBUTE_STYLES[attribute].icon}</LegendIcon>
+            <LegendText>{SEAT_ATTRIBUTE_STYLES[attribute].label}</LegendText>
+          </LegendItem>
+        ))}
       </Legend>
       
       <ControlsHelp>
@@ -638,6 +1191,19 @@ const StadiumMap = ({ seats, selectedSeat, onSeatSelect }) => {
         <HelpText>
           <HelpItemIcon>👆</HelpItemIcon> Right Click + Drag to pan
         </HelpText>
+        <HelpText>
+          <HelpItemIcon>➕</HelpItemIcon> Shift + Click to add or remove seats
+        </HelpText>
+        {seatEditing && (
+          <>
+            <HelpText>
+              <HelpItemIcon>🗑️</HelpItemIcon> Delete to remove the selected seats, Esc to deselect
+            </HelpText>
+            <HelpText>
+              <HelpItemIcon>↩️</HelpItemIcon> Ctrl + Z to undo, Ctrl + Shift + Z to redo
+            </HelpText>
+          </>
+        )}
       </ControlsHelp>
     </MapContainer>
   );
@@ -750,6 +1316,11 @@ const SaveButton = styled.button`
   }
 `;
 
+const MapToolbar = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
 const EditModeButton = styled.button`
   background-color: #f5f5f5;
   color: #333;
@@ -765,6 +1336,90 @@ const EditModeButton = styled.button`
   }
 `;
 
+const CompareBar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 12px;
+  padding: 8px 12px;
+  background-color: #e3f2fd;
+  border-radius: 8px;
+`;
+
+const CompareLabel = styled.span`
+  font-size: 13px;
+  font-weight: 500;
+  color: #0d47a1;
+`;
+
+const ComparedSeatChip = styled.span`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  padding: 3px 4px 3px 10px;
+  border-radius: 12px;
+  background-color: white;
+  border: 1px solid #90caf9;
+  font-size: 12px;
+  color: #333;
+  
+  button {
+    background: none;
+    border: none;
+    color: #666;
+    font-size: 14px;
+    line-height: 1;
+    cursor: pointer;
+  }
+`;
+
+const CompareOpenButton = styled.button`
+  margin-left: auto;
+  background-color: #1976d2;
+  color: white;
+  border: none;
+  padding: 6px 14px;
+  border-radius: 4px;
+  font-size: 13px;
+  font-weight: 500;
+  cursor: pointer;
+  
+  &:hover:not(:disabled) {
+    background-color: #1565c0;
+  }
+  
+  &:disabled {
+    background-color: #90caf9;
+    cursor: not-allowed;
+  }
+`;
+
+const CompareButton = styled.button`
+  margin: 4px 0;
+  background-color: #1976d2;
+  color: white;
+  border: none;
+  padding: 4px 10px;
+  border-radius: 4px;
+  font-size: 11px;
+  cursor: pointer;
+  pointer-events: auto;
+  
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const AttributeBadge = styled.div`
+  background-color: rgba(255, 255, 255, 0.85);
+  padding: 1px 3px;
+  border-radius: 3px;
+  font-size: 10px;
+  white-space: nowrap;
+`;
+
 const SeatPopup = styled.div`
   background-color: rgba(0, 0, 0, 0.7);
   color: white;
@@ -863,6 +1518,11 @@ const LegendColor = styled.div`
   border: 1px solid rgba(0, 0, 0, 0.1);
 `;
 
+const LegendIcon = styled.span`
+  margin-right: 6px;
+  font-size: 14px;
+`;
+
 const LegendText = styled.span`
   font-size: 14px;
   color: #555;
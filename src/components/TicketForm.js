@@ -1,7 +1,11 @@
 // @ts-nocheck
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
 import MiniSeatView from './MiniSeatView';
+import { isSeatAvailable, getUnavailableReason } from '../utils/seatStatus';
+import { getRowLabel } from '../utils/rowInference';
+import { SEAT_ATTRIBUTE_STYLES, getKnownAttributes, checkCompanionSeats } from '../utils/seatAttributes';
+import { useViewScores } from '../utils/ViewScoreContext';
 
 // Function to format phone number as (XXX) XXX-XXXX
 const formatPhoneNumber = (value) => {
@@ -20,7 +24,65 @@ const formatPhoneNumber = (value) => {
   }
 };
 
-const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, modelLoaded = true }) => {
+// Format a number of seconds as m:ss
+const formatCountdown = (totalSeconds) => {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Seconds left until a timestamp, never negative
+const secondsUntil = (timestamp) => Math.max(0, Math.ceil((timestamp - Date.now()) / 1000));
+
+// Total price of a list of seats
+const totalPrice = (seats) => seats.reduce((sum, seat) => sum + (Number(seat.price) || 0), 0);
+
+// Countdown until the first hold in the cart expires
+const HoldCountdown = ({ expiresAt, onExpired, seatCount = 1 }) => {
+  const [remaining, setRemaining] = useState(() => secondsUntil(expiresAt));
+  
+  // Keep the latest callback without restarting the countdown
+  const onExpiredRef = useRef(onExpired);
+  onExpiredRef.current = onExpired;
+  
+  useEffect(() => {
+    setRemaining(secondsUntil(expiresAt));
+    
+    const interval = setInterval(() => {
+      const secondsLeft = secondsUntil(expiresAt);
+      setRemaining(secondsLeft);
+      
+      if (secondsLeft === 0) {
+        clearInterval(interval);
+        onExpiredRef.current();
+      }
+    }, 1000);
+    
+    return () => clearInterval(interval);
+  }, [expiresAt]);
+  
+  return (
+    <HoldBanner $urgent={remaining <= 60}>
+      {seatCount > 1 ? 'Seats' : 'Seat'} held for you for <strong>{formatCountdown(remaining)}</strong>
+    </HoldBanner>
+  );
+};
+
+const TicketForm = ({
+  selectedSeat,
+  onViewToggle,
+  onPurchase,
+  viewingMode,
+  modelLoaded = true,
+  selectedSeats = selectedSeat ? [selectedSeat] : [],
+  seats = [],
+  eyeHeightPreset = null,
+  holds = {},
+  checkoutError = null,
+  onHoldExpired,
+  onRetryHold,
+  onRemoveSeat
+}) => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -31,6 +93,7 @@ const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, model
   const [errors, setErrors] = useState({});
   const [expandView, setExpandView] = useState(false);
   const [paymentDropdownOpen, setPaymentDropdownOpen] = useState(false);
+  const { scores: viewScores } = useViewScores();
   
   // Reset expandView state when viewingMode changes
   useEffect(() => {
@@ -103,6 +166,11 @@ const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, model
   const handleSubmit = (e) => {
     e.preventDefault();
     
+    // Never purchase a seat that is sold, held or blocked, or that we don't hold
+    if (!canPurchase) {
+      return;
+    }
+    
     if (validateForm()) {
       onPurchase();
     }
@@ -126,7 +194,7 @@ const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, model
     }
   };
   
-  if (!selectedSeat) {
+  if (!selectedSeat || selectedSeats.length === 0) {
     return (
       <FormContainer>
         <Title>Ticket Information</Title>
@@ -137,6 +205,33 @@ const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, model
     );
   }
   
+  const seatAvailable = isSeatAvailable(selectedSeat);
+  const allAvailable = selectedSeats.every(isSeatAvailable);
+  const allHeld = selectedSeats.every(seat => !!holds[seat.id]);
+  // Companion seats need a wheelchair space in the same purchase
+  const companionError = checkCompanionSeats(selectedSeats);
+  const canPurchase = allAvailable && allHeld && !companionError;
+  const selectedAttributes = getKnownAttributes(selectedSeat);
+  const viewScore = viewScores[selectedSeat.id];
+  const total = totalPrice(selectedSeats);
+  
+  // The cart expires with its earliest hold
+  const firstExpiringHold = selectedSeats
+    .map(seat => holds[seat.id])
+    .filter(Boolean)
+    .sort((a, b) => a.expiresAt - b.expiresAt)[0];
+  
+  const getSubmitLabel = () => {
+    if (!allAvailable) return selectedSeats.length > 1 ? 'Seats Unavailable' : 'Seat Unavailable';
+    if (companionError) return 'Add a Wheelchair Space';
+    if (!allHeld) {
+      if (checkoutError) return selectedSeats.length > 1 ? 'Seats Not Held' : 'Seat Not Held';
+      return selectedSeats.length > 1 ? 'Reserving Seats...' : 'Reserving Seat...';
+    }
+    if (selectedSeats.length === 1) return 'Purchase Ticket';
+    return `Purchase ${selectedSeats.length} Tickets ($${total})`;
+  };
+  
   return (
     <FormContainer>
       <Title>Ticket Information</Title>
@@ -148,7 +243,7 @@ const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, model
         </SeatInfoItem>
         <SeatInfoItem>
           <Label>Row</Label>
-          <Value>{selectedSeat.row}</Value>
+          <Value>{getRowLabel(selectedSeat)}</Value>
         </SeatInfoItem>
         <SeatInfoItem>
           <Label>Seat</Label>
@@ -158,8 +253,97 @@ const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, model
           <Label>Price</Label>
           <Value>${selectedSeat.price}</Value>
         </SeatInfoItem>
+        {viewScore && (
+          <>
+            <SeatInfoItem>
+              <Label>View Score</Label>
+              <Value>{viewScore.score}/100</Value>
+            </SeatInfoItem>
+            <SeatInfoItem>
+              <Label>Field Visible</Label>
+              <Value>{viewScore.visibility !== null ? `${Math.round(viewScore.visibility * 100)}%` : 'Not checked'}</Value>
+            </SeatInfoItem>
+          </>
+        )}
       </SeatInfo>
       
+      {selectedAttributes.length > 0 && (
+        <AttributeList>
+          {selectedAttributes.map(attribute => (
+            <AttributeTag key={attribute}>
+              {SEAT_ATTRIBUTE_STYLES[attribute].icon} {SEAT_ATTRIBUTE_STYLES[attribute].label}
+            </AttributeTag>
+          ))}
+        </AttributeList>
+      )}
+      
+      {!seatAvailable && (
+        <UnavailableNotice>{getUnavailableReason(selectedSeat)}</UnavailableNotice>
+      )}
+      
+      {selectedSeats.length > 1 && (
+        <Cart>
+          <CartHeader>
+            <span>Your Seats</span>
+            <CartCount>{selectedSeats.length} tickets</CartCount>
+          </CartHeader>
+          {selectedSeats.map(seat => (
+            <CartItem key={seat.id} $unavailable={!isSeatAvailable(seat)}>
+              <CartSeat>
+                <span>
+                  Section {seat.section}, Row {getRowLabel(seat)}, Seat {seat.number}
+                  {getKnownAttributes(seat).map(attribute => (
+                    <CartAttribute key={attribute} title={SEAT_ATTRIBUTE_STYLES[attribute].label}>
+                      {SEAT_ATTRIBUTE_STYLES[attribute].icon}
+                    </CartAttribute>
+                  ))}
+                </span>
+                {!isSeatAvailable(seat) && <CartSeatNote>{getUnavailableReason(seat)}</CartSeatNote>}
+                {isSeatAvailable(seat) && !holds[seat.id] && <CartSeatNote>Not held</CartSeatNote>}
+              </CartSeat>
+              <CartPrice>${seat.price}</CartPrice>
+              {onRemoveSeat && (
+                <RemoveButton
+                  type="button"
+                  onClick={() => onRemoveSeat(seat.id)}
+                  title={`Remove seat ${seat.id}`}
+                >
+                  ×
+                </RemoveButton>
+              )}
+            </CartItem>
+          ))}
+          <CartTotal>
+            <span>Total</span>
+            <span>${total}</span>
+          </CartTotal>
+        </Cart>
+      )}
+      
+      {allAvailable && firstExpiringHold && (
+        <HoldCountdown
+          key={firstExpiringHold.id}
+          expiresAt={firstExpiringHold.expiresAt}
+          seatCount={selectedSeats.length}
+          onExpired={() => onHoldExpired && onHoldExpired(firstExpiringHold.seatId)}
+        />
+      )}
+      
+      {companionError && (
+        <UnavailableNotice>{companionError}</UnavailableNotice>
+      )}
+      
+      {checkoutError && (
+        <UnavailableNotice>
+          {checkoutError}
+          {!allHeld && onRetryHold && (
+            <RetryButton type="button" onClick={onRetryHold}>
+              {selectedSeats.length > 1 ? 'Hold seats again' : 'Hold seat again'}
+            </RetryButton>
+          )}
+        </UnavailableNotice>
+      )}
+      
       {/* Mini 3D View */}
       {selectedSeat && modelLoaded && !viewingMode && (
         <MiniViewContainer>
@@ -172,6 +356,8 @@ const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, model
           <MiniSeatView 
             seatCoordinates={selectedSeat.coordinates}
             seat={selectedSeat}
+            seats={seats}
+            eyeHeightPreset={eyeHeightPreset}
             mini={true}
           />
         </MiniViewContainer>
@@ -283,7 +469,9 @@ const TicketForm = ({ selectedSeat, onViewToggle, onPurchase, viewingMode, model
           </FormGroup>
         </FormRow>
         
-        <SubmitButton type="submit">Purchase Ticket</SubmitButton>
+        <SubmitButton type="submit" disabled={!canPurchase}>
+          {getSubmitLabel()}
+        </SubmitButton>
       </Form>
     </FormContainer>
   );
@@ -346,6 +534,21 @@ const SeatInfo = styled.div`
   box-shadow: 0 1px 3px rgba(0, 0, 0, 0.05);
 `;
 
+const AttributeList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  margin-bottom: 15px;
+`;
+
+const AttributeTag = styled.span`
+  padding: 4px 10px;
+  background-color: #e3f2fd;
+  border-radius: 12px;
+  font-size: 12px;
+  color: #0d47a1;
+`;
+
 const SeatInfoItem = styled.div`
   display: flex;
   flex-direction: column;
@@ -576,6 +779,129 @@ const SubmitButton = styled.button`
   &:active {
     transform: translateY(0);
   }
+  
+  &:disabled {
+    background-color: #9e9e9e;
+    cursor: not-allowed;
+    transform: none;
+    box-shadow: none;
+  }
+`;
+
+const HoldBanner = styled.div`
+  margin-bottom: 15px;
+  padding: 10px 15px;
+  background-color: ${props => props.$urgent ? '#fff3e0' : '#e8f5e9'};
+  border-left: 3px solid ${props => props.$urgent ? '#ef6c00' : '#2e7d32'};
+  border-radius: 8px;
+  font-size: 13px;
+  color: ${props => props.$urgent ? '#e65100' : '#1b5e20'};
+  
+  strong {
+    font-variant-numeric: tabular-nums;
+  }
+`;
+
+const RetryButton = styled.button`
+  display: block;
+  margin-top: 8px;
+  background: none;
+  border: 1px solid #c62828;
+  border-radius: 4px;
+  padding: 4px 10px;
+  font-size: 12px;
+  color: #c62828;
+  cursor: pointer;
+  
+  &:hover {
+    background-color: rgba(198, 40, 40, 0.05);
+  }
+`;
+
+const Cart = styled.div`
+  margin-bottom: 15px;
+  padding: 12px 15px;
+  background-color: #f5f5f5;
+  border-radius: 12px;
+  box-shadow: 0 1px 3px rgba(0, 0, 0, 0.05);
+`;
+
+const CartHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 8px;
+  font-size: 13px;
+  font-weight: 600;
+  color: #333;
+`;
+
+const CartCount = styled.span`
+  font-size: 12px;
+  font-weight: 500;
+  color: #666;
+`;
+
+const CartItem = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 6px 0;
+  border-bottom: 1px solid #e0e0e0;
+  font-size: 13px;
+  color: ${props => props.$unavailable ? '#c62828' : '#333'};
+`;
+
+const CartSeat = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+`;
+
+const CartAttribute = styled.span`
+  margin-left: 4px;
+`;
+
+const CartSeatNote = styled.span`
+  font-size: 11px;
+  color: #c62828;
+`;
+
+const CartPrice = styled.span`
+  font-weight: 600;
+`;
+
+const RemoveButton = styled.button`
+  background: none;
+  border: none;
+  color: #999;
+  cursor: pointer;
+  font-size: 16px;
+  line-height: 1;
+  padding: 0 4px;
+  
+  &:hover {
+    color: #c62828;
+  }
+`;
+
+const CartTotal = styled.div`
+  display: flex;
+  justify-content: space-between;
+  padding-top: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  color: #1976d2;
+`;
+
+const UnavailableNotice = styled.div`
+  margin-bottom: 15px;
+  padding: 10px 15px;
+  background-color: #ffebee;
+  border-left: 3px solid #d32f2f;
+  border-radius: 8px;
+  font-size: 13px;
+  color: #c62828;
 `;
 
 const ViewingModeMessage = styled.div`
@@ -1,7 +1,7 @@
 // @ts-nocheck
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { useGLTF } from '@react-three/drei';
-import { getStadiumModelPath } from './modelLoader';
+import { useVenue } from './VenueContext';
 import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { useLoader } from '@react-three/fiber';
@@ -22,6 +22,7 @@ export const ModelProvider = ({ children, customModelUrl = null }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [model, setModel] = useState(null);
+  const { model: venueModel } = useVenue();
   
   // Helper function to check if a model is valid and has usable geometry
   const isValidModel = (loadedModel) => {
@@ -126,14 +127,14 @@ export const ModelProvider = ({ children, customModelUrl = null }) => {
     );
   };
   
-  // Load the model once when the provider mounts or when customModelUrl changes
+  // Load the model once when the provider mounts or when the model path changes
   useEffect(() => {
     let isMounted = true;
     setIsLoading(true);
     setError(null);
     
     // Determine which model to load
-    const modelPath = customModelUrl || getStadiumModelPath();
+    const modelPath = customModelUrl || venueModel.path;
     console.log('[ModelContext] Loading model from path:', modelPath);
     
     const loadModel = async () => {
@@ -346,7 +347,7 @@ export const ModelProvider = ({ children, customModelUrl = null }) => {
         }
       }
     };
-  }, [customModelUrl]);
+  }, [customModelUrl, venueModel.path]);
   
   // Debug output when model or error changes
   useEffect(() => {
@@ -363,7 +364,9 @@ export const ModelProvider = ({ children, customModelUrl = null }) => {
     model,
     isLoading,
     error,
-    isCustomModel: !!customModelUrl
+    isCustomModel: !!customModelUrl,
+    // Path or URL the model was loaded from, for caching results per model
+    modelPath: customModelUrl || venueModel.path
   };
   
   return (
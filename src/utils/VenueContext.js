@@ -0,0 +1,24 @@
+// @ts-nocheck
+import React, { createContext, useContext, useMemo } from 'react';
+import { DEFAULT_VENUE, resolveVenue } from './venueManifest';
+
+// Create a context for sharing the active venue settings
+const VenueContext = createContext(DEFAULT_VENUE);
+
+// Provider component that resolves the loaded manifest against the defaults
+export const VenueProvider = ({ children, manifest = null }) => {
+  const venue = useMemo(() => resolveVenue(manifest), [manifest]);
+
+  return (
+    <VenueContext.Provider value={venue}>
+      {children}
+    </VenueContext.Provider>
+  );
+};
+
+// Custom hook for consuming the context
+export const useVenue = () => {
+  return useContext(VenueContext);
+};
+
+export default VenueContext;
@@ -0,0 +1,75 @@
+// @ts-nocheck
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useModel } from './ModelContext';
+import { useVenue } from './VenueContext';
+import { prepareModelForRaycast } from './modelRaycast';
+import {
+  scoreSeatViews,
+  measureFieldVisibility,
+  loadVisibilityCache,
+  saveVisibilityCache
+} from './viewQuality';
+
+// Create a context for sharing the view score of every seat
+const ViewScoreContext = createContext({
+  scores: {},
+  progress: null
+});
+
+// Provider that scores the view from every seat, and checks how much of the
+// field each seat can see once the model has loaded
+export const ViewScoreProvider = ({ children, seats }) => {
+  const { model, modelPath } = useModel();
+  const venue = useVenue();
+  const raycastModel = useMemo(() => prepareModelForRaycast(model), [model]);
+
+  // Share of the field each seat can see, with the seats it was measured for
+  const [visibility, setVisibility] = useState({ seats: null, values: [] });
+  // Seats checked so far while the model is being checked
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    if (!raycastModel || seats.length === 0) return undefined;
+    let isMounted = true;
+
+    measureFieldVisibility(seats, raycastModel, venue.model, {
+      cache: loadVisibilityCache(modelPath),
+      onProgress: (done, total) => {
+        if (isMounted) setProgress({ done, total });
+      },
+      shouldStop: () => !isMounted
+    }).then(values => {
+      if (!isMounted) return;
+      saveVisibilityCache(modelPath, seats, values);
+      setVisibility({ seats, values });
+      setProgress(null);
+    }).catch(error => {
+      console.error('[ViewScoreContext] Error checking seat views against the model:', error);
+      if (isMounted) setProgress(null);
+    });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [raycastModel, modelPath, seats, venue.model]);
+
+  // Scores by seat ID; until the model has been checked they leave out what each seat can see
+  const scores = useMemo(() => {
+    const values = visibility.seats === seats ? visibility.values : [];
+    const seatScores = scoreSeatViews(seats, venue.model, values);
+    return Object.fromEntries(seats.map((seat, index) => [seat.id, seatScores[index]]));
+  }, [seats, venue.model, visibility]);
+
+  return (
+    <ViewScoreContext.Provider value={{ scores, progress }}>
+      {children}
+    </ViewScoreContext.Provider>
+  );
+};
+
+// Custom hook for consuming the context
+export const useViewScores = () => {
+  return useContext(ViewScoreContext);
+};
+
+export default ViewScoreContext;
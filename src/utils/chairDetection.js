@@ -0,0 +1,201 @@
+/**
+ * Chair detection
+ *
+ * A venue modelled with its chairs doesn't need a separate coordinate export:
+ * every chair is a seat. This finds chair meshes (by name, like the seat view's
+ * material fallback) and instanced chair geometry in a model, works out where
+ * each chair stands and which way it faces, and turns them into seats.
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_EYE_HEIGHT_M, FRAME_PRESETS, metersToModelUnits } from './coordinateFrame';
+import { seatsFromRecords } from './coordinateLoader';
+
+// Names of objects that are chairs, or groups of chairs
+export const CHAIR_NAME_PATTERN = /seat|chair/i;
+
+/**
+ * Default options for detecting chairs
+ */
+export const DEFAULT_CHAIR_OPTIONS = {
+  namePattern: CHAIR_NAME_PATTERN,
+  // Objects wider or taller than this aren't a single chair, in meters
+  maxChairSize: 2,
+  // Where chairs face when their shape doesn't say, in the model's horizontal plane
+  center: { x: 0, z: 0 }
+};
+
+// Share of a chair's height, from the top, taken to be its backrest
+const BACKREST_SHARE = 1 / 3;
+
+// Backrests offset less than this share of the chair's width don't give a direction
+const MIN_BACKREST_OFFSET = 0.05;
+
+/**
+ * @typedef {Object} Chair
+ * @property {{x: number, y: number, z: number}} position - Middle of the chair at floor level, in the model's frame
+ * @property {{x: number, y: number, z: number}} facing - Horizontal unit vector the chair faces
+ * @property {string} name - Name of the object the chair came from
+ */
+
+/**
+ * Shape of some geometry: its bounds, and the middle of all its vertices and
+ * of the vertices in its top part
+ * @param {Array<{geometry: THREE.BufferGeometry, matrix: THREE.Matrix4}>} parts - Geometry and the matrix placing it
+ * @returns {{box: THREE.Box3, centroid: THREE.Vector3, topCentroid: THREE.Vector3}|null}
+ */
+const measureShape = (parts) => {
+  const box = new THREE.Box3();
+  const vertex = new THREE.Vector3();
+  const forEachVertex = (callback) => {
+    parts.forEach(({ geometry, matrix }) => {
+      const positions = geometry.attributes.position;
+      if (!positions) return;
+      for (let i = 0; i < positions.count; i++) {
+        callback(vertex.fromBufferAttribute(positions, i).applyMatrix4(matrix));
+      }
+    });
+  };
+
+  forEachVertex(point => box.expandByPoint(point));
+  if (box.isEmpty()) return null;
+
+  const topFrom = box.max.y - (box.max.y - box.min.y) * BACKREST_SHARE;
+  const centroid = new THREE.Vector3();
+  const topCentroid = new THREE.Vector3();
+  let count = 0;
+  let topCount = 0;
+  forEachVertex(point => {
+    centroid.add(point);
+    count++;
+    if (point.y >= topFrom) {
+      topCentroid.add(point);
+      topCount++;
+    }
+  });
+
+  return {
+    box,
+    centroid: centroid.divideScalar(count),
+    topCentroid: topCount > 0 ? topCentroid.divideScalar(topCount) : centroid.clone()
+  };
+};
+
+/**
+ * Turn a measured shape into a chair. A chair faces away from its backrest;
+ * chairs without a clear backrest face the centre.
+ * @returns {Chair}
+ */
+const chairFromShape = ({ box, centroid, topCentroid }, name, center) => {
+  const middle = box.getCenter(new THREE.Vector3());
+  const width = Math.max(box.max.x - box.min.x, box.max.z - box.min.z);
+
+  let facing = new THREE.Vector3(centroid.x - topCentroid.x, 0, centroid.z - topCentroid.z);
+  if (facing.length() < width * MIN_BACKREST_OFFSET) {
+    facing = new THREE.Vector3(center.x - middle.x, 0, center.z - middle.z);
+  }
+  if (facing.lengthSq() === 0) {
+    facing.set(0, 0, -1);
+  }
+  facing.normalize();
+
+  return {
+    position: { x: middle.x, y: box.min.y, z: middle.z },
+    facing: { x: facing.x, y: 0, z: facing.z },
+    name
+  };
+};
+
+// Whether a measured shape is small enough to be one chair
+const fitsChair = ({ box }, maxSize) => {
+  const size = box.getSize(new THREE.Vector3());
+  return Math.max(size.x, size.y, size.z) <= maxSize;
+};
+
+/**
+ * Find the chairs in a model. Objects named like chairs (or inside a group
+ * named like chairs) that are the size of a chair count as one chair each,
+ * and every instance of a chair-named instanced mesh counts as a chair.
+ * @param {THREE.Object3D} object - Model prepared with prepareModelForRaycast
+ * @param {Object} modelSettings - The venue's model settings, for converting meters
+ * @param {Object} [options] - See DEFAULT_CHAIR_OPTIONS
+ * @returns {Chair[]} Chairs in the model's frame
+ */
+export const detectChairs = (object, modelSettings, options = {}) => {
+  const { namePattern, maxChairSize, center } = { ...DEFAULT_CHAIR_OPTIONS, ...options };
+  const maxSize = metersToModelUnits(maxChairSize, modelSettings);
+  const chairs = [];
+
+  const meshParts = (root) => {
+    const parts = [];
+    root.traverse(child => {
+      if (child.isMesh && !child.isInstancedMesh && child.geometry) {
+        parts.push({ geometry: child.geometry, matrix: child.matrixWorld });
+      }
+    });
+    return parts;
+  };
+
+  const visit = (node, named) => {
+    const isNamed = named || namePattern.test(node.name || '');
+
+    if (node.isInstancedMesh) {
+      if (!isNamed) return;
+      // Measure the chair once, then place a copy for each instance
+      const instanceMatrix = new THREE.Matrix4();
+      for (let i = 0; i < node.count; i++) {
+        node.getMatrixAt(i, instanceMatrix);
+        const matrix = new THREE.Matrix4().multiplyMatrices(node.matrixWorld, instanceMatrix);
+        const shape = measureShape([{ geometry: node.geometry, matrix }]);
+        if (shape && fitsChair(shape, maxSize)) {
+          chairs.push(chairFromShape(shape, `${node.name}[${i}]`, center));
+        }
+      }
+      return;
+    }
+
+    if (isNamed) {
+      const shape = measureShape(meshParts(node));
+      if (shape && fitsChair(shape, maxSize)) {
+        chairs.push(chairFromShape(shape, node.name, center));
+        return;
+      }
+    }
+
+    node.children.forEach(child => visit(child, isNamed));
+  };
+
+  visit(object, false);
+  return chairs;
+};
+
+/**
+ * Turn chairs into seats at eye height above them, filling in sections,
+ * rows, numbers and prices as for imported coordinates
+ * @param {Chair[]} chairs
+ * @param {Object} venue - The current venue settings (see resolveVenue)
+ * @param {Object} [options]
+ * @param {number} [options.eyeHeight] - Eye height above the chair's floor, in meters
+ * @param {Object|null} [options.rowInference] - Row inference options (see inferRowsAndNumbers)
+ * @returns {{seats: Array, errors: Array}} Seats facing the way their chairs do, and section errors
+ */
+export const seatsFromChairs = (chairs, venue, { eyeHeight = DEFAULT_EYE_HEIGHT_M, rowInference = null } = {}) => {
+  const eyeOffset = metersToModelUnits(eyeHeight, venue.model);
+  const records = chairs.map(chair => ({
+    coordinates: { ...chair.position, y: chair.position.y + eyeOffset }
+  }));
+
+  // Chairs are already in the model's frame
+  const { seats, errors } = seatsFromRecords(records, venue, { rowInference, frame: FRAME_PRESETS.three });
+  return {
+    seats: seats.map((seat, index) => ({ ...seat, facing: chairs[index].facing })),
+    errors
+  };
+};
+
+export default {
+  CHAIR_NAME_PATTERN,
+  DEFAULT_CHAIR_OPTIONS,
+  detectChairs,
+  seatsFromChairs
+};
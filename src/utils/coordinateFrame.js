@@ -0,0 +1,255 @@
+/**
+ * Coordinate frames
+ *
+ * Seats are stored in the model's own frame: Three.js axes (y up,
+ * right-handed) in the units of the 3D model, before the venue's model
+ * transform is applied. Imported coordinates can come from tools with other
+ * conventions, so a venue declares the frame its source data uses:
+ *
+ *   "frame": { "upAxis": "z", "handedness": "right", "units": "m", "scale": 1 }
+ *
+ * and "model": { "metersPerUnit": 100 } says how big one model unit is, so
+ * coordinates in real-world units can be brought into the model's units.
+ * Seat positions are turned into scene positions with the same transform
+ * the model is rendered with, so seats and model always line up.
+ */
+import * as THREE from 'three';
+
+/**
+ * Vertical axis of a source frame
+ */
+export const UP_AXES = {
+  Y: 'y',
+  Z: 'z'
+};
+
+/**
+ * Handedness of a source frame
+ */
+export const HANDEDNESS = {
+  RIGHT: 'right',
+  LEFT: 'left'
+};
+
+/**
+ * Length units of source coordinates, in meters. 'model' means the
+ * coordinates are already in model units.
+ */
+export const UNITS = {
+  model: null,
+  m: 1,
+  cm: 0.01,
+  mm: 0.001,
+  ft: 0.3048,
+  in: 0.0254
+};
+
+/**
+ * @typedef {Object} CoordinateFrame
+ * @property {string} upAxis - One of UP_AXES
+ * @property {string} handedness - One of HANDEDNESS
+ * @property {string} units - A key of UNITS
+ * @property {number} scale - Extra factor applied to every coordinate
+ */
+
+/**
+ * Frames used by common tools
+ */
+export const FRAME_PRESETS = {
+  // Blender, 3ds Max, most CAD exports
+  blender: { upAxis: UP_AXES.Z, handedness: HANDEDNESS.RIGHT, units: 'model', scale: 1 },
+  // Three.js and glTF
+  three: { upAxis: UP_AXES.Y, handedness: HANDEDNESS.RIGHT, units: 'model', scale: 1 },
+  // Unity
+  unity: { upAxis: UP_AXES.Y, handedness: HANDEDNESS.LEFT, units: 'model', scale: 1 },
+  // Unreal Engine
+  unreal: { upAxis: UP_AXES.Z, handedness: HANDEDNESS.LEFT, units: 'model', scale: 1 }
+};
+
+/**
+ * Frame assumed for imported coordinates when the venue doesn't declare one
+ * @type {CoordinateFrame}
+ */
+export const DEFAULT_FRAME = FRAME_PRESETS.blender;
+
+// Size of one model unit in meters when the venue doesn't say
+export const DEFAULT_METERS_PER_UNIT = 100;
+
+// Height of a spectator's eyes above the floor of their row, in meters
+export const DEFAULT_EYE_HEIGHT_M = 1.2;
+
+/**
+ * JSON schema for a manifest's frame
+ */
+export const FRAME_SCHEMA = {
+  type: 'object',
+  properties: {
+    upAxis: { type: 'string', enum: Object.values(UP_AXES) },
+    handedness: { type: 'string', enum: Object.values(HANDEDNESS) },
+    units: { type: 'string', enum: Object.keys(UNITS) },
+    scale: { type: 'number', exclusiveMinimum: 0 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Fill in the missing fields of a frame
+ * @param {Partial<CoordinateFrame>} [frame]
+ * @returns {CoordinateFrame} Complete frame
+ */
+export const resolveFrame = (frame) => ({ ...DEFAULT_FRAME, ...frame });
+
+/**
+ * Find the preset a frame matches, if any
+ * @param {CoordinateFrame} frame
+ * @returns {string|null} Preset name
+ */
+export const findFramePreset = (frame) => {
+  const name = Object.keys(FRAME_PRESETS).find(preset => (
+    FRAME_PRESETS[preset].upAxis === frame.upAxis &&
+    FRAME_PRESETS[preset].handedness === frame.handedness
+  ));
+  return name || null;
+};
+
+/**
+ * Convert a point from a source frame into the model's frame
+ * @param {{x: number, y: number, z: number}} point - Point in the source frame
+ * @param {Partial<CoordinateFrame>} [frame] - Source frame
+ * @param {number} [metersPerUnit] - Size of one model unit in meters
+ * @returns {{x: number, y: number, z: number}} Point in the model's frame
+ */
+export const toModelFrame = (point, frame, metersPerUnit = DEFAULT_METERS_PER_UNIT) => {
+  const { upAxis, handedness, units, scale } = resolveFrame(frame);
+  const unitScale = UNITS[units] ? UNITS[units] / metersPerUnit : 1;
+  const factor = scale * unitScale;
+
+  // Swap the up axis into y. For a right-handed Z-up frame the old y axis
+  // points away from the viewer, which is -z in Three.js.
+  let { x, y, z } = point;
+  if (upAxis === UP_AXES.Z) {
+    [y, z] = handedness === HANDEDNESS.RIGHT ? [z, -y] : [z, y];
+  } else if (handedness === HANDEDNESS.LEFT) {
+    z = -z;
+  }
+
+  return { x: x * factor, y: y * factor, z: z * factor };
+};
+
+/**
+ * Convert a point from the model's frame back into a source frame
+ * @param {{x: number, y: number, z: number}} point - Point in the model's frame
+ * @param {Partial<CoordinateFrame>} [frame] - Source frame
+ * @param {number} [metersPerUnit] - Size of one model unit in meters
+ * @returns {{x: number, y: number, z: number}} Point in the source frame
+ */
+export const fromModelFrame = (point, frame, metersPerUnit = DEFAULT_METERS_PER_UNIT) => {
+  const { upAxis, handedness, units, scale } = resolveFrame(frame);
+  const unitScale = UNITS[units] ? UNITS[units] / metersPerUnit : 1;
+  const factor = scale * unitScale;
+
+  let x = point.x / factor;
+  let y = point.y / factor;
+  let z = point.z / factor;
+  if (upAxis === UP_AXES.Z) {
+    [y, z] = handedness === HANDEDNESS.RIGHT ? [-z, y] : [z, y];
+  } else if (handedness === HANDEDNESS.LEFT) {
+    z = -z;
+  }
+
+  return { x, y, z };
+};
+
+/**
+ * Build the matrix the model is rendered with (see applyModelTransform)
+ * @param {Object} modelSettings - The venue's model settings
+ * @returns {THREE.Matrix4} Model-to-world matrix
+ */
+export const getModelMatrix = (modelSettings) => {
+  const { scale = 1, position = { x: 0, y: 0, z: 0 }, rotation = { x: 0, y: 0, z: 0 } } = modelSettings || {};
+  const degrees = Math.PI / 180;
+
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(position.x, position.y, position.z),
+    new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(rotation.x * degrees, rotation.y * degrees, rotation.z * degrees)
+    ),
+    new THREE.Vector3(scale, scale, scale)
+  );
+};
+
+/**
+ * Turn a point in the model's frame into a scene position
+ * @param {{x: number, y: number, z: number}} point - Point in the model's frame
+ * @param {Object} modelSettings - The venue's model settings
+ * @returns {{x: number, y: number, z: number}} Scene position
+ */
+export const modelToWorld = (point, modelSettings) => {
+  const world = new THREE.Vector3(point.x, point.y, point.z).applyMatrix4(getModelMatrix(modelSettings));
+  return { x: world.x, y: world.y, z: world.z };
+};
+
+/**
+ * Turn a scene position into a point in the model's frame
+ * @param {{x: number, y: number, z: number}} point - Scene position
+ * @param {Object} modelSettings - The venue's model settings
+ * @returns {{x: number, y: number, z: number}} Point in the model's frame
+ */
+export const worldToModel = (point, modelSettings) => {
+  const inverse = getModelMatrix(modelSettings).invert();
+  const local = new THREE.Vector3(point.x, point.y, point.z).applyMatrix4(inverse);
+  return { x: local.x, y: local.y, z: local.z };
+};
+
+/**
+ * Scene position of a seat
+ * @param {Object} seat - Seat, or its coordinates
+ * @param {Object} modelSettings - The venue's model settings
+ * @returns {{x: number, y: number, z: number}} Scene position
+ */
+export const seatToWorld = (seat, modelSettings) => {
+  return modelToWorld(seat.coordinates || seat, modelSettings);
+};
+
+/**
+ * Convert a length in meters into model units
+ * @param {number} meters - Length in meters
+ * @param {Object} modelSettings - The venue's model settings
+ * @returns {number} Length in model units
+ */
+export const metersToModelUnits = (meters, modelSettings) => {
+  return meters / ((modelSettings && modelSettings.metersPerUnit) || DEFAULT_METERS_PER_UNIT);
+};
+
+/**
+ * Seat position of a spectator standing on a point of the model, i.e. the
+ * point raised to eye height along the model's up axis
+ * @param {{x: number, y: number, z: number}} point - Scene position on the model's surface
+ * @param {Object} modelSettings - The venue's model settings
+ * @param {number} [eyeHeight] - Eye height above the surface in meters
+ * @returns {{x: number, y: number, z: number}} Seat coordinates in the model's frame
+ */
+export const surfaceToSeatPosition = (point, modelSettings, eyeHeight = DEFAULT_EYE_HEIGHT_M) => {
+  const local = worldToModel(point, modelSettings);
+  return { ...local, y: local.y + metersToModelUnits(eyeHeight, modelSettings) };
+};
+
+export default {
+  UP_AXES,
+  HANDEDNESS,
+  UNITS,
+  FRAME_PRESETS,
+  DEFAULT_FRAME,
+  DEFAULT_METERS_PER_UNIT,
+  DEFAULT_EYE_HEIGHT_M,
+  resolveFrame,
+  findFramePreset,
+  toModelFrame,
+  fromModelFrame,
+  getModelMatrix,
+  modelToWorld,
+  worldToModel,
+  seatToWorld,
+  metersToModelUnits,
+  surfaceToSeatPosition
+};
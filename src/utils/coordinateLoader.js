@@ -1,11 +1,54 @@
-import { parseAndGenerateSeats } from './seatCoordinateParser';
+import { parseAndGenerateSeatsWithErrors, convertToThreeCoordinates } from './seatCoordinateParser';
+import { VENUE_MANIFEST_PATH, parseVenueManifest, seatsFromManifest } from './venueManifest';
+import { DEFAULT_PRICING_RULES, priceSeat, applyPricing } from './pricingEngine';
+import { findSection, unassignedSeatError } from './sectionMapping';
+import { inferRowsAndNumbers } from './rowInference';
+import { DEFAULT_FRAME } from './coordinateFrame';
 
 /**
- * Loads seat coordinates from the coordinates.txt file and generates seat objects
- * @returns {Promise<Array>} Promise that resolves to an array of seat objects
+ * @typedef {Object} SeatLoadResult
+ * @property {Array} seats - Seats that were loaded successfully
+ * @property {Array} errors - Line-level and field-level errors found while loading
+ * @property {Object|null} manifest - The venue manifest, if seats came from one
+ */
+
+/**
+ * Loads the venue manifest if one is published
+ * @returns {Promise<SeatLoadResult|null>} Load result, or null if there is no manifest
+ */
+const loadVenueManifest = async () => {
+  const response = await fetch(VENUE_MANIFEST_PATH);
+  
+  // The dev server answers unknown paths with index.html, so check the content type too
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || !contentType.includes('json')) {
+    console.log(`No venue manifest at ${VENUE_MANIFEST_PATH}, falling back to coordinates.txt`);
+    return null;
+  }
+  
+  const text = await response.text();
+  const { manifest, errors } = parseVenueManifest(text);
+  if (!manifest) {
+    return { seats: [], errors, manifest: null };
+  }
+  
+  const seats = seatsFromManifest(manifest);
+  console.log(`Loaded ${seats.length} seats from ${VENUE_MANIFEST_PATH}`);
+  
+  return { seats, errors: [], manifest };
+};
+
+/**
+ * Loads seats from the venue manifest, falling back to the legacy coordinates.txt file
+ * @returns {Promise<SeatLoadResult>} Promise that resolves to the loaded seats and any errors
  */
 export const loadSeatsFromFile = async () => {
   try {
+    const manifestResult = await loadVenueManifest();
+    if (manifestResult) {
+      return manifestResult;
+    }
+    
     // Fetch the coordinates.txt file
     const response = await fetch('/coordinates.txt');
     if (!response.ok) {
@@ -17,26 +60,152 @@ export const loadSeatsFromFile = async () => {
     console.log('Loaded coordinates file with length:', text.length);
     
     // Parse the coordinates and generate seats
-    const seats = parseAndGenerateSeats(text);
+    const { seats, errors } = parseAndGenerateSeatsWithErrors(text);
     console.log(`Generated ${seats.length} seats from coordinates`);
+    errors.forEach(error => {
+      console.warn(`coordinates.txt line ${error.line}: ${error.message}`);
+    });
     
-    // Add more detailed seat info for better user experience
-    const enhancedSeats = enhanceSeats(seats);
+    // Add more detailed seat info for better user experience, then number the
+    // rows properly so no two seats end up with the same ID. Row modifiers and
+    // per-seat overrides depend on the row and ID, so price the seats again.
+    const { seats: numberedSeats } = inferRowsAndNumbers(enhanceSeats(seats));
     
-    return enhancedSeats;
+    return { seats: applyPricing(numberedSeats), errors, manifest: null };
   } catch (error) {
     console.error('Error loading seats from file:', error);
-    return []; // Return empty array on error
+    return { seats: [], errors: [{ message: error.message }], manifest: null };
+  }
+};
+
+/**
+ * Parses seats pasted into the importer, either a venue manifest (JSON) or
+ * <Vector (x, y, z)> lines. When the current venue defines sections, imported
+ * coordinates are placed in the section they lie in, and seats outside every
+ * section are reported.
+ * @param {string} text - Pasted text
+ * @param {Object} [venue] - The current venue settings (see resolveVenue)
+ * @param {Object} [options]
+ * @param {Object|null} [options.rowInference] - Row inference options; when set,
+ *   rows and seat numbers of imported coordinates are inferred from their positions
+ * @param {Object} [options.frame] - Frame of the coordinates; defaults to the venue's
+ * @returns {SeatLoadResult} Parsed seats and any errors
+ */
+export const parseSeatsFromText = (text, venue = null, { rowInference = null, frame = null } = {}) => {
+  if (text.trim().startsWith('{')) {
+    const { manifest, errors } = parseVenueManifest(text);
+    return {
+      seats: manifest ? seatsFromManifest(manifest) : [],
+      errors,
+      manifest
+    };
+  }
+  
+  const { seats, errors } = parseAndGenerateSeatsWithErrors(text, {
+    frame: frame || (venue && venue.frame) || DEFAULT_FRAME,
+    metersPerUnit: venue ? venue.model.metersPerUnit : undefined
+  });
+  const sections = venue && venue.sections ? venue.sections : [];
+  const pricingRules = (venue && venue.pricing) || DEFAULT_PRICING_RULES;
+  // Inferring rows changes rows and IDs, which the prices depend on
+  const numberSeats = (unnumbered) => (
+    rowInference ? applyPricing(inferRowsAndNumbers(unnumbered, rowInference).seats, pricingRules) : unnumbered
+  );
+  
+  if (sections.length === 0) {
+    return { seats: numberSeats(seats), errors, manifest: null };
   }
+  
+  const enhancedSeats = enhanceSeats(seats, { pricingRules, sections });
+  const sectionErrors = enhancedSeats
+    .filter(seat => !findSection(seat, sections))
+    .map(unassignedSeatError);
+  
+  return { seats: numberSeats(enhancedSeats), errors: [...errors, ...sectionErrors], manifest: null };
+};
+
+/**
+ * Turns seat records read from a CSV, JSON or PLY file into seats. Fields the
+ * file provides (section, row, number, price, status, ID) are kept; the rest
+ * are filled in the same way as for pasted coordinates.
+ * @param {Array} records - Seat records from seatFileParsers
+ * @param {Object} [venue] - The current venue settings (see resolveVenue)
+ * @param {Object} [options]
+ * @param {Object|null} [options.rowInference] - Row inference options; when set,
+ *   rows and seat numbers missing from the file are inferred from seat positions
+ * @param {Object} [options.frame] - Frame of the file's coordinates; defaults to the venue's
+ * @returns {{seats: Array, errors: Array}} Seats and section errors
+ */
+export const seatsFromRecords = (records, venue = null, { rowInference = null, frame = null } = {}) => {
+  const sections = venue && venue.sections ? venue.sections : [];
+  const pricingRules = (venue && venue.pricing) || DEFAULT_PRICING_RULES;
+  
+  const threeCoordinates = convertToThreeCoordinates(
+    records.map(record => record.coordinates),
+    frame || (venue && venue.frame) || DEFAULT_FRAME,
+    venue ? venue.model.metersPerUnit : undefined
+  );
+  const enhancedSeats = enhanceSeats(
+    threeCoordinates.map(coords => ({ coordinates: coords })),
+    { pricingRules, sections }
+  );
+  
+  // Sections from the file win over sections found from positions
+  let seats = enhancedSeats.map((seat, index) => (
+    records[index].section ? { ...seat, section: records[index].section } : seat
+  ));
+  const sectionErrors = seats
+    .filter((seat, index) => sections.length > 0 && !records[index].section && !findSection(seat, sections))
+    .map(unassignedSeatError);
+  
+  // Only infer rows for seats the file doesn't number itself
+  if (rowInference) {
+    const unnumbered = seats
+      .map((seat, index) => ({ seat, index }))
+      .filter(({ index }) => records[index].row === undefined || records[index].number === undefined);
+    const { seats: inferred } = inferRowsAndNumbers(unnumbered.map(entry => entry.seat), rowInference);
+    unnumbered.forEach((entry, i) => {
+      seats[entry.index] = inferred[i];
+    });
+  }
+  
+  seats = seats.map((seat, index) => {
+    const record = records[index];
+    const merged = { ...seat };
+    if (record.row !== undefined) {
+      merged.row = record.row;
+      delete merged.rowLabel;
+      if (record.rowLabel) merged.rowLabel = record.rowLabel;
+    }
+    if (record.number !== undefined) merged.number = record.number;
+    if (record.status) merged.status = record.status;
+    if (record.attributes) merged.attributes = [...record.attributes];
+  
+    const changed = record.section || record.row !== undefined || record.number !== undefined;
+    merged.id = record.id || (changed ? `${merged.section}${merged.rowLabel || merged.row}-${merged.number}` : seat.id);
+    if (record.price !== undefined) {
+      merged.price = record.price;
+      merged.fixedPrice = true;
+    } else {
+      merged.price = priceSeat(merged, pricingRules);
+    }
+    return merged;
+  });
+  
+  return { seats, errors: sectionErrors };
 };
 
 /**
  * Enhances basic seat data with more details like section names, meaningful IDs, etc.
  * @param {Array} basicSeats - Basic seat objects from the coordinate parser
+ * @param {Object} [options]
+ * @param {Object} [options.pricingRules] - Pricing rules used to price the seats
+ * @param {Array} [options.sections] - Venue sections; seats outside them (or all
+ *   seats, if there are none) get a section guessed from their quadrant
  * @returns {Array} Enhanced seat objects with more detailed information
  */
-const enhanceSeats = (basicSeats) => {
-  // Map of sections by quadrant
+const enhanceSeats = (basicSeats, { pricingRules = DEFAULT_PRICING_RULES, sections = [] } = {}) => {
+  // Map of sections by quadrant, used when the venue doesn't define its own
   const sectionMap = {
     'topLeft': ['A', 'B', 'C'],
     'topRight': ['D', 'E', 'F'],
@@ -44,38 +213,25 @@ const enhanceSeats = (basicSeats) => {
     'bottomRight': ['K', 'L', 'M']
   };
   
-  // Price tiers based on distance from center (higher = better view)
-  const priceTiers = [
-    { maxDistance: 0.2, price: 250 },
-    { maxDistance: 0.4, price: 200 },
-    { maxDistance: 0.6, price: 150 },
-    { maxDistance: 0.8, price: 120 },
-    { maxDistance: Infinity, price: 100 }
-  ];
-  
   return basicSeats.map((seat, index) => {
     // Determine quadrant based on x and y coordinates
     const quadrant = seat.coordinates.x < 0 
       ? (seat.coordinates.y < 0 ? 'bottomLeft' : 'topLeft')
       : (seat.coordinates.y < 0 ? 'bottomRight' : 'topRight');
     
-    // Calculate distance from center (0,0) for price determination
+    // Calculate distance from center (0,0) to pick the section
     const distance = Math.sqrt(
       Math.pow(seat.coordinates.x, 2) + 
       Math.pow(seat.coordinates.y, 2)
     );
     
-    // Determine price based on distance
-    const priceTier = priceTiers.find(tier => distance <= tier.maxDistance);
-    const price = priceTier ? priceTier.price : 100;
-    
     // Determine section, row, and seat number more meaningfully
     const sectionList = sectionMap[quadrant];
     const sectionIndex = Math.min(
       Math.floor(distance * sectionList.length), 
       sectionList.length - 1
     );
-    const section = sectionList[sectionIndex];
+    const section = findSection(seat, sections) || sectionList[sectionIndex];
     
     // Row increases as y moves away from 0 (either positive or negative)
     const row = Math.floor(Math.abs(seat.coordinates.y) * 10) + 1;
@@ -86,19 +242,22 @@ const enhanceSeats = (basicSeats) => {
     // Create a more meaningful ID
     const id = `${section}${row}-${number}`;
     
-    return {
+    const enhanced = {
       id,
       section,
       row,
       number,
-      price,
       coordinates: seat.coordinates,
       // Store original index for reference
       originalIndex: index
     };
+    
+    return { ...enhanced, price: priceSeat(enhanced, pricingRules) };
   });
 };
 
 export default {
-  loadSeatsFromFile
+  loadSeatsFromFile,
+  parseSeatsFromText,
+  seatsFromRecords
 }; 
\ No newline at end of file
@@ -0,0 +1,263 @@
+/**
+ * Seat hold stores
+ *
+ * A hold reserves a seat for one buyer for a limited time while they check out.
+ * Holds are kept in a pluggable store so the app can run against the browser
+ * (local store) or an inventory backend (HTTP store). Set
+ * REACT_APP_INVENTORY_URL to use the HTTP store, for example against the mock
+ * server in scripts/mock-inventory-server.js.
+ */
+
+/**
+ * @typedef {Object} SeatHold
+ * @property {string} id - Hold identifier
+ * @property {string} seatId - The held seat
+ * @property {string} holderId - The buyer holding the seat
+ * @property {number} expiresAt - Expiry time in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} HoldStore
+ * @property {(seatId: string, options?: {durationMs?: number}) => Promise<SeatHold>} placeHold
+ * @property {(holdId: string, options?: {keepalive?: boolean}) => Promise<void>} releaseHold
+ * @property {(holdId: string) => Promise<SeatHold|null>} getHold
+ * @property {(holdId: string) => Promise<{seatId: string, purchasedAt: number}>} purchase
+ */
+
+// How long a seat stays held while the buyer checks out
+export const DEFAULT_HOLD_DURATION_MS = 10 * 60 * 1000;
+
+/**
+ * Error codes raised by hold stores
+ */
+export const HOLD_ERRORS = {
+  SEAT_HELD: 'SEAT_HELD',
+  SEAT_SOLD: 'SEAT_SOLD',
+  HOLD_EXPIRED: 'HOLD_EXPIRED',
+  HOLD_NOT_FOUND: 'HOLD_NOT_FOUND',
+  STORE_UNAVAILABLE: 'STORE_UNAVAILABLE'
+};
+
+const HOLD_ERROR_MESSAGES = {
+  [HOLD_ERRORS.SEAT_HELD]: 'This seat is being held by another buyer.',
+  [HOLD_ERRORS.SEAT_SOLD]: 'This seat has already been sold.',
+  [HOLD_ERRORS.HOLD_EXPIRED]: 'Your hold on this seat has expired. Please select the seat again.',
+  [HOLD_ERRORS.HOLD_NOT_FOUND]: 'Your hold on this seat could not be found. Please select the seat again.',
+  [HOLD_ERRORS.STORE_UNAVAILABLE]: 'Seat inventory is unavailable. Please try again in a moment.'
+};
+
+/**
+ * Create an Error carrying a hold error code
+ * @param {string} code - One of HOLD_ERRORS
+ * @param {string} [message] - Override for the default message
+ * @returns {Error} Error with a code property
+ */
+export const createHoldError = (code, message) => {
+  const error = new Error(message || HOLD_ERROR_MESSAGES[code] || code);
+  error.code = code;
+  return error;
+};
+
+const HOLDER_ID_KEY = 'seat_hold_holder_id';
+const LOCAL_STORE_KEY = 'seat_hold_store';
+
+const randomId = () => Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+
+/**
+ * Get an identifier for this browser session, used to tell our holds apart
+ * from other buyers'
+ * @returns {string} Holder identifier
+ */
+export const getHolderId = () => {
+  try {
+    let holderId = sessionStorage.getItem(HOLDER_ID_KEY);
+    if (!holderId) {
+      holderId = `holder-${randomId()}`;
+      sessionStorage.setItem(HOLDER_ID_KEY, holderId);
+    }
+    return holderId;
+  } catch (e) {
+    return 'holder-anonymous';
+  }
+};
+
+/**
+ * Create a hold store that keeps holds in localStorage, so holds are shared
+ * between tabs of the same browser
+ * @param {Object} [options]
+ * @param {Storage} [options.storage] - Storage to persist holds in
+ * @param {() => number} [options.now] - Clock, for tests
+ * @param {string} [options.holderId] - Identifier of the current buyer
+ * @returns {HoldStore} Local hold store
+ */
+export const createLocalHoldStore = ({
+  storage = window.localStorage,
+  now = Date.now,
+  holderId = getHolderId()
+} = {}) => {
+  const read = () => {
+    try {
+      const saved = storage.getItem(LOCAL_STORE_KEY);
+      return saved ? JSON.parse(saved) : { holds: {}, sold: {} };
+    } catch (e) {
+      console.error('Error loading holds from localStorage:', e);
+      return { holds: {}, sold: {} };
+    }
+  };
+
+  const write = (state) => {
+    storage.setItem(LOCAL_STORE_KEY, JSON.stringify(state));
+  };
+
+  // Drop expired holds before every operation
+  const readActive = () => {
+    const state = read();
+    const currentTime = now();
+    Object.keys(state.holds).forEach(holdId => {
+      if (state.holds[holdId].expiresAt <= currentTime) {
+        delete state.holds[holdId];
+      }
+    });
+    return state;
+  };
+
+  return {
+    async placeHold(seatId, { durationMs = DEFAULT_HOLD_DURATION_MS } = {}) {
+      const state = readActive();
+
+      if (state.sold[seatId]) {
+        throw createHoldError(HOLD_ERRORS.SEAT_SOLD);
+      }
+
+      const existing = Object.values(state.holds).find(hold => hold.seatId === seatId);
+      if (existing && existing.holderId !== holderId) {
+        throw createHoldError(HOLD_ERRORS.SEAT_HELD);
+      }
+      if (existing) {
+        delete state.holds[existing.id];
+      }
+
+      const hold = {
+        id: `hold-${randomId()}`,
+        seatId,
+        holderId,
+        expiresAt: now() + durationMs
+      };
+      state.holds[hold.id] = hold;
+      write(state);
+
+      return hold;
+    },
+
+    async releaseHold(holdId) {
+      const state = readActive();
+      delete state.holds[holdId];
+      write(state);
+    },
+
+    async getHold(holdId) {
+      return readActive().holds[holdId] || null;
+    },
+
+    async purchase(holdId) {
+      const state = read();
+      const hold = state.holds[holdId];
+
+      if (!hold) {
+        throw createHoldError(HOLD_ERRORS.HOLD_NOT_FOUND);
+      }
+      if (hold.expiresAt <= now()) {
+        delete state.holds[holdId];
+        write(state);
+        throw createHoldError(HOLD_ERRORS.HOLD_EXPIRED);
+      }
+
+      const purchasedAt = now();
+      delete state.holds[holdId];
+      state.sold[hold.seatId] = purchasedAt;
+      write(state);
+
+      return { seatId: hold.seatId, purchasedAt };
+    }
+  };
+};
+
+/**
+ * Create a hold store backed by an inventory service over HTTP
+ * @param {string} baseUrl - Base URL of the inventory service
+ * @param {Object} [options]
+ * @param {string} [options.holderId] - Identifier of the current buyer
+ * @returns {HoldStore} HTTP hold store
+ */
+export const createHttpHoldStore = (baseUrl, { holderId = getHolderId() } = {}) => {
+  const request = async (path, { method = 'GET', body, keepalive = false } = {}) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+        method,
+        keepalive,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      console.error('Error contacting inventory service:', error);
+      throw createHoldError(HOLD_ERRORS.STORE_UNAVAILABLE);
+    }
+
+    if (response.status === 204) return null;
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw createHoldError(data.code || HOLD_ERRORS.STORE_UNAVAILABLE, data.error);
+    }
+    return data;
+  };
+
+  return {
+    placeHold(seatId, { durationMs = DEFAULT_HOLD_DURATION_MS } = {}) {
+      return request('/holds', { method: 'POST', body: { seatId, holderId, durationMs } });
+    },
+
+    async releaseHold(holdId, { keepalive = false } = {}) {
+      await request(`/holds/${encodeURIComponent(holdId)}`, { method: 'DELETE', keepalive });
+    },
+
+    async getHold(holdId) {
+      try {
+        return await request(`/holds/${encodeURIComponent(holdId)}`);
+      } catch (error) {
+        if (error.code === HOLD_ERRORS.HOLD_NOT_FOUND || error.code === HOLD_ERRORS.HOLD_EXPIRED) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    purchase(holdId) {
+      return request(`/holds/${encodeURIComponent(holdId)}/purchase`, { method: 'POST' });
+    }
+  };
+};
+
+let defaultStore = null;
+
+/**
+ * Get the hold store configured for this build
+ * @returns {HoldStore} The shared hold store
+ */
+export const getHoldStore = () => {
+  if (!defaultStore) {
+    const inventoryUrl = process.env.REACT_APP_INVENTORY_URL;
+    defaultStore = inventoryUrl
+      ? createHttpHoldStore(inventoryUrl)
+      : createLocalHoldStore();
+  }
+  return defaultStore;
+};
+
+export default {
+  createLocalHoldStore,
+  createHttpHoldStore,
+  getHoldStore,
+  createHoldError
+};
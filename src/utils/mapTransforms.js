@@ -0,0 +1,113 @@
+/**
+ * Seat map transforms
+ *
+ * The seat map draws seats from above, scaled to fit a 20-unit square and then
+ * moved by the map's scale, rotation and translation settings. These convert
+ * seat coordinates to map positions and back, so seats can be placed and
+ * dragged on the map.
+ */
+
+/**
+ * @typedef {Object} MapTransformations
+ * @property {number} scale - User scale
+ * @property {number} rotation - User rotation in degrees
+ * @property {number} translateX - User translation along the map's x axis
+ * @property {number} translateY - User translation along the map's z axis
+ * @property {number} baseScale - Scale that fits every seat on the map
+ * @property {{x: number, z: number}} baseOffset - Offset that centres the seats
+ */
+
+/**
+ * Work out the base scale and offset that fit seats on the map
+ * @param {Array<{x: number, z: number}>} coordinates - Seat coordinates
+ * @returns {{scale: number, xOffset: number, zOffset: number}} Base scaling factors
+ */
+export const calcScalingFactors = (coordinates) => {
+  if (!coordinates || coordinates.length === 0) {
+    return { scale: 1, xOffset: 0, zOffset: 0 };
+  }
+
+  // Find the min/max of all coordinates
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+
+  coordinates.forEach(coord => {
+    minX = Math.min(minX, coord.x);
+    maxX = Math.max(maxX, coord.x);
+    minZ = Math.min(minZ, coord.z);
+    maxZ = Math.max(maxZ, coord.z);
+  });
+
+  // Calculate width and height of the data
+  const width = maxX - minX;
+  const height = maxZ - minZ;
+
+  // Calculate scaling factors to fit within -10 to 10 range (20 units total)
+  const xScale = width > 0 ? 20 / width : 1;
+  const zScale = height > 0 ? 20 / height : 1;
+
+  // Use the smaller scale to maintain aspect ratio
+  const scale = Math.min(xScale, zScale) * 0.95; // 95% to add some margin
+
+  // Calculate the center point of the data
+  const centerX = (minX + maxX) / 2;
+  const centerZ = (minZ + maxZ) / 2;
+
+  return {
+    scale,
+    xOffset: -centerX,
+    zOffset: -centerZ
+  };
+};
+
+/**
+ * Position of a seat on the map after base scaling and user transformations
+ * @param {{x: number, z: number}} coordinates - Seat coordinates
+ * @param {MapTransformations} transformations
+ * @returns {[number, number, number]} Map position
+ */
+export const getMapPosition = (coordinates, transformations) => {
+  const basePosition = [
+    (coordinates.x + transformations.baseOffset.x) * transformations.baseScale,
+    1,
+    (coordinates.z + transformations.baseOffset.z) * transformations.baseScale
+  ];
+
+  const angle = transformations.rotation * (Math.PI / 180);
+  const rotatedX = basePosition[0] * Math.cos(angle) - basePosition[2] * Math.sin(angle);
+  const rotatedZ = basePosition[0] * Math.sin(angle) + basePosition[2] * Math.cos(angle);
+
+  return [
+    rotatedX * transformations.scale + transformations.translateX,
+    basePosition[1],
+    rotatedZ * transformations.scale + transformations.translateY
+  ];
+};
+
+/**
+ * Seat coordinates under a point on the map; the inverse of getMapPosition
+ * @param {{x: number, z: number}} mapPoint - Point on the map
+ * @param {MapTransformations} transformations
+ * @returns {{x: number, z: number}} Horizontal seat coordinates
+ */
+export const getSeatPosition = (mapPoint, transformations) => {
+  const rotatedX = (mapPoint.x - transformations.translateX) / transformations.scale;
+  const rotatedZ = (mapPoint.z - transformations.translateY) / transformations.scale;
+
+  const angle = transformations.rotation * (Math.PI / 180);
+  const baseX = rotatedX * Math.cos(angle) + rotatedZ * Math.sin(angle);
+  const baseZ = -rotatedX * Math.sin(angle) + rotatedZ * Math.cos(angle);
+
+  return {
+    x: baseX / transformations.baseScale - transformations.baseOffset.x,
+    z: baseZ / transformations.baseScale - transformations.baseOffset.z
+  };
+};
+
+export default {
+  calcScalingFactors,
+  getMapPosition,
+  getSeatPosition
+};
@@ -1,4 +1,5 @@
 import { useGLTF } from '@react-three/drei';
+import { FRAME_PRESETS, toModelFrame } from './coordinateFrame';
 
 // Stadium model path
 const STADIUM_MODEL_PATH = '/models/stadium.glb';
@@ -126,8 +127,9 @@ export const validateGlbFile = async (file) => {
   }
 };
 
-// Helper function to position the camera at a specific seat
-export const positionCameraAtSeat = (camera, seatCoordinates) => {
+// Helper function to position the camera at a specific seat, looking at a
+// target (see getSeatViewpoint) or else at the center of the stadium
+export const positionCameraAtSeat = (camera, seatCoordinates, target = null) => {
   if (!camera || !seatCoordinates) return;
   
   // Set camera position to the seat coordinates
@@ -137,19 +139,32 @@ export const positionCameraAtSeat = (camera, seatCoordinates) => {
     seatCoordinates.z || 10
   );
   
-  // You can also set the camera's lookAt target
-  // For example, to look at the center of the stadium
-  camera.lookAt(0, 0, 0);
+  if (target) {
+    camera.lookAt(target.x, target.y, target.z);
+  } else {
+    camera.lookAt(0, 0, 0);
+  }
+};
+
+// Helper function to apply the venue's model transform (scale, position and
+// rotation in degrees) to a loaded model
+export const applyModelTransform = (object, modelSettings) => {
+  if (!object || !modelSettings) return;
+  
+  const { scale, position, rotation } = modelSettings;
+  object.scale.set(scale, scale, scale);
+  object.position.set(position.x, position.y, position.z);
+  object.rotation.set(
+    rotation.x * (Math.PI / 180),
+    rotation.y * (Math.PI / 180),
+    rotation.z * (Math.PI / 180)
+  );
 };
 
 // Helper function to convert Blender coordinates to Three.js coordinates
-// Blender uses Z-up, while Three.js uses Y-up
+// Blender uses Z-up, while Three.js uses Y-up (see coordinateFrame.js)
 export const convertBlenderToThreeCoordinates = (blenderCoords) => {
-  return {
-    x: blenderCoords.x,
-    y: blenderCoords.z, // Blender Z becomes Three.js Y
-    z: -blenderCoords.y // Blender Y becomes negative Three.js Z
-  };
+  return toModelFrame(blenderCoords, FRAME_PRESETS.blender);
 };
 
 // Helper function to handle model loading errors
@@ -169,6 +184,7 @@ export const getStadiumModelPath = () => {
 export default {
   preloadModels,
   positionCameraAtSeat,
+  applyModelTransform,
   convertBlenderToThreeCoordinates,
   handleModelError,
   getStadiumModelPath
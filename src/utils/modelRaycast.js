@@ -0,0 +1,154 @@
+/**
+ * Raycasting against the venue model
+ *
+ * Seats imported from another tool often float above the stands or sit inside
+ * them, which puts the seat view's camera inside the geometry. These helpers
+ * cast rays straight down through the loaded model to find the surface under
+ * each seat, and along the lines of sight from seats to the field, working in
+ * the model's own frame so seat coordinates can be used as they are.
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_EYE_HEIGHT_M, metersToModelUnits } from './coordinateFrame';
+
+/**
+ * Default options for grounding seats
+ */
+export const DEFAULT_GROUNDING_OPTIONS = {
+  // Height of the seat above the surface it is grounded on, in meters
+  eyeHeight: DEFAULT_EYE_HEIGHT_M,
+  // How far above or below its floor a seat may be before it is reported, in meters
+  searchDistance: 5
+};
+
+// Surfaces steeper than this (cosine of the angle from vertical) are walls
+// and the faces of steps, not something to sit on
+const MIN_SURFACE_FLATNESS = 0.5;
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Copy a loaded model for raycasting in its own frame. The app moves the
+ * model's root into place when it is rendered, so the copy's root transform
+ * is reset and its children keep only their own transforms.
+ * @param {Object} model - Model from ModelContext, or its scene
+ * @returns {THREE.Object3D|null} The copy, or null if the model has no scene
+ */
+export const prepareModelForRaycast = (model) => {
+  const scene = model && (model.scene || model);
+  if (!scene || !scene.isObject3D) return null;
+
+  const copy = scene.clone();
+  copy.position.set(0, 0, 0);
+  copy.rotation.set(0, 0, 0);
+  copy.scale.set(1, 1, 1);
+  copy.updateMatrixWorld(true);
+  return copy;
+};
+
+/**
+ * Find the flat surface nearest a height, straight above or below a point
+ * @param {THREE.Raycaster} raycaster - Raycaster to reuse
+ * @param {THREE.Object3D} object - Model prepared with prepareModelForRaycast
+ * @param {{x: number, y: number, z: number}} point - Where the surface is expected
+ * @param {number} searchDistance - How far above and below to look, in model units
+ * @returns {number|null} Height of the surface, or null if there is none in range
+ */
+export const findSurfaceHeight = (raycaster, object, point, searchDistance) => {
+  raycaster.set(new THREE.Vector3(point.x, point.y + searchDistance, point.z), DOWN);
+  raycaster.far = searchDistance * 2;
+
+  let best = null;
+  raycaster.intersectObject(object, true).forEach(hit => {
+    if (!hit.object.isMesh || !hit.face) return;
+
+    // Meshes are often exported with inconsistent winding, so either side of a flat face counts
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
+    const normal = hit.face.normal.clone().applyMatrix3(normalMatrix).normalize();
+    if (Math.abs(normal.dot(UP)) < MIN_SURFACE_FLATNESS) return;
+
+    if (best === null || Math.abs(hit.point.y - point.y) < Math.abs(best - point.y)) {
+      best = hit.point.y;
+    }
+  });
+  return best;
+};
+
+/**
+ * @typedef {Object} GroundingResult
+ * @property {Array} seats - Seats with the grounded seats moved; seats without a surface are unchanged
+ * @property {Array<{index: number, shift: number}>} grounded - Seats that were moved, and by how far in model units (up is positive)
+ * @property {number[]} missed - Indices of seats with no surface in range
+ */
+
+/**
+ * Snap seats onto the model: each seat is moved vertically to eye height above
+ * the flat surface nearest to where its floor should be
+ * @param {Array} seats - Seats in the model's frame
+ * @param {THREE.Object3D} object - Model prepared with prepareModelForRaycast
+ * @param {Object} modelSettings - The venue's model settings, for converting meters
+ * @param {Object} [options] - See DEFAULT_GROUNDING_OPTIONS
+ * @returns {GroundingResult}
+ */
+export const groundSeatsToModel = (seats, object, modelSettings, options = {}) => {
+  const { eyeHeight, searchDistance } = { ...DEFAULT_GROUNDING_OPTIONS, ...options };
+  const eyeOffset = metersToModelUnits(eyeHeight, modelSettings);
+  const search = metersToModelUnits(searchDistance, modelSettings);
+  const raycaster = new THREE.Raycaster();
+
+  const grounded = [];
+  const missed = [];
+  const result = seats.map((seat, index) => {
+    const { x, y, z } = seat.coordinates;
+    const surface = findSurfaceHeight(raycaster, object, { x, y: y - eyeOffset, z }, search);
+    if (surface === null) {
+      missed.push(index);
+      return seat;
+    }
+
+    const groundedY = surface + eyeOffset;
+    if (groundedY === y) return seat;
+
+    grounded.push({ index, shift: groundedY - y });
+    return { ...seat, coordinates: { ...seat.coordinates, y: groundedY } };
+  });
+
+  return { seats: result, grounded, missed };
+};
+
+/**
+ * Check the lines of sight from an eye position to target points. Geometry
+ * within the clearance of either end doesn't block a line, so the seat's own
+ * chair and the ground the target stands on don't count.
+ * @param {THREE.Raycaster} raycaster - Raycaster to reuse
+ * @param {THREE.Object3D} object - Model prepared with prepareModelForRaycast
+ * @param {{x: number, y: number, z: number}} eye - Where the lines start, in the model's frame
+ * @param {Array<{x: number, y: number, z: number}>} targets - Where the lines end, in the model's frame
+ * @param {number} clearance - Distance from either end that is ignored, in model units
+ * @returns {Array<{x: number, y: number, z: number}|null>} Where each line is first blocked, or null if it is clear
+ */
+export const traceSightlines = (raycaster, object, eye, targets, clearance) => {
+  const origin = new THREE.Vector3(eye.x, eye.y, eye.z);
+  const direction = new THREE.Vector3();
+
+  return targets.map(target => {
+    direction.set(target.x - eye.x, target.y - eye.y, target.z - eye.z);
+    const length = direction.length();
+    if (length <= clearance * 2) return null;
+
+    raycaster.set(origin, direction.normalize());
+    raycaster.near = clearance;
+    raycaster.far = length - clearance;
+    const hit = raycaster.intersectObject(object, true).find(intersection => intersection.object.isMesh);
+    return hit ? { x: hit.point.x, y: hit.point.y, z: hit.point.z } : null;
+  });
+};
+
+export default {
+  DEFAULT_GROUNDING_OPTIONS,
+  prepareModelForRaycast,
+  findSurfaceHeight,
+  groundSeatsToModel,
+  traceSightlines
+};
@@ -0,0 +1,139 @@
+/**
+ * Obstructed views
+ *
+ * Pillars, railings and overhangs can hide part of the field from a seat.
+ * This casts rays from each seat's eyes to a grid of points over the field
+ * through the stadium model, and marks the seats that can't see enough of it
+ * with the "obstructed-view" attribute.
+ */
+import * as THREE from 'three';
+import { metersToModelUnits } from './coordinateFrame';
+import { traceSightlines } from './modelRaycast';
+import { getFieldLayout, getFieldSamplePoints } from './viewQuality';
+import { SEAT_ATTRIBUTES, hasAttribute, setSeatAttributes } from './seatAttributes';
+
+/**
+ * Default options for finding obstructed views
+ */
+export const DEFAULT_OBSTRUCTION_OPTIONS = {
+  // Field points checked along and across the field
+  samplesAlong: 9,
+  samplesAcross: 5,
+  // Height above the field the rays aim at, in meters
+  targetHeight: 0.5,
+  // Geometry this close to the seat or the field point doesn't block the view, in meters
+  clearance: 0.3,
+  // Share of the field points that must be hidden for a view to count as obstructed
+  threshold: 0.2,
+  // Seats checked between pauses that keep the page responsive
+  batchSize: 20
+};
+
+/**
+ * @typedef {Object} SeatObstruction
+ * @property {Array<{x: number, y: number, z: number}>} targets - Field points checked, in the model's frame
+ * @property {Array<{x: number, y: number, z: number}|null>} blocked - Where the line to each target is blocked, or null if it is clear
+ * @property {number} blockedFraction - Share of the targets hidden from the seat, from 0 to 1
+ */
+
+/**
+ * Field points to check views against
+ * @param {Array} seats - All seats of the venue, to find the field from
+ * @param {Object} modelSettings - The venue's model settings
+ * @param {Object} [options] - See DEFAULT_OBSTRUCTION_OPTIONS
+ * @returns {Array<{x: number, y: number, z: number}>} Points in the model's frame
+ */
+export const getObstructionTargets = (seats, modelSettings, options = {}) => {
+  const settings = { ...DEFAULT_OBSTRUCTION_OPTIONS, ...options };
+  return getFieldSamplePoints(seats, getFieldLayout(seats, modelSettings), modelSettings, settings);
+};
+
+/**
+ * Check which parts of the field are hidden from an eye position
+ * @param {THREE.Raycaster} raycaster - Raycaster to reuse
+ * @param {THREE.Object3D} object - Model prepared with prepareModelForRaycast
+ * @param {{x: number, y: number, z: number}} eye - Eye position in the model's frame
+ * @param {Array<{x: number, y: number, z: number}>} targets - See getObstructionTargets
+ * @param {Object} modelSettings - The venue's model settings
+ * @param {Object} [options] - See DEFAULT_OBSTRUCTION_OPTIONS
+ * @returns {SeatObstruction}
+ */
+export const traceObstruction = (raycaster, object, eye, targets, modelSettings, options = {}) => {
+  const { clearance } = { ...DEFAULT_OBSTRUCTION_OPTIONS, ...options };
+  const blocked = traceSightlines(raycaster, object, eye, targets, metersToModelUnits(clearance, modelSettings));
+  return {
+    targets,
+    blocked,
+    blockedFraction: targets.length > 0 ? blocked.filter(hit => hit !== null).length / targets.length : 0
+  };
+};
+
+/**
+ * Check every seat's view of the field. Seats are checked in batches with a
+ * pause in between, so the page stays responsive on large models.
+ * @param {Array} seats - Seats in the model's frame
+ * @param {THREE.Object3D} object - Model prepared with prepareModelForRaycast
+ * @param {Object} modelSettings - The venue's model settings
+ * @param {Object} [options] - See DEFAULT_OBSTRUCTION_OPTIONS, plus:
+ * @param {(done: number, total: number) => void} [options.onProgress] - Called after each batch
+ * @param {() => boolean} [options.shouldStop] - Stops checking when it returns true
+ * @returns {Promise<{blockedFractions: number[], obstructed: number[]}|null>} Share of the field hidden
+ *   from each seat and the indices of the obstructed seats, or null if stopped
+ */
+export const findObstructedViews = async (seats, object, modelSettings, options = {}) => {
+  const {
+    threshold,
+    batchSize,
+    onProgress = () => {},
+    shouldStop = () => false
+  } = { ...DEFAULT_OBSTRUCTION_OPTIONS, ...options };
+  const targets = getObstructionTargets(seats, modelSettings, options);
+  const raycaster = new THREE.Raycaster();
+
+  const blockedFractions = [];
+  for (let start = 0; start < seats.length; start += batchSize) {
+    if (shouldStop()) return null;
+
+    seats.slice(start, start + batchSize).forEach(seat => {
+      const { blockedFraction } = traceObstruction(raycaster, object, seat.coordinates, targets, modelSettings, options);
+      blockedFractions.push(blockedFraction);
+    });
+    onProgress(Math.min(start + batchSize, seats.length), seats.length);
+
+    // Let the page handle input and render before the next batch
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return {
+    blockedFractions,
+    obstructed: blockedFractions
+      .map((fraction, index) => (fraction > threshold ? index : -1))
+      .filter(index => index !== -1)
+  };
+};
+
+/**
+ * Give obstructed seats the "obstructed-view" attribute. Seats already marked
+ * keep it, since venues also mark seats by hand.
+ * @param {Array} seats
+ * @param {number[]} obstructed - Indices of the obstructed seats
+ * @returns {{seats: Array, marked: number}} Seats with the attribute added, and how many were newly marked
+ */
+export const markObstructedSeats = (seats, obstructed) => {
+  const marking = new Set(obstructed);
+  let marked = 0;
+  const result = seats.map((seat, index) => {
+    if (!marking.has(index) || hasAttribute(seat, SEAT_ATTRIBUTES.OBSTRUCTED_VIEW)) return seat;
+    marked++;
+    return setSeatAttributes(seat, { [SEAT_ATTRIBUTES.OBSTRUCTED_VIEW]: true });
+  });
+  return { seats: result, marked };
+};
+
+export default {
+  DEFAULT_OBSTRUCTION_OPTIONS,
+  getObstructionTargets,
+  traceObstruction,
+  findObstructedViews,
+  markObstructedSeats
+};
@@ -0,0 +1,316 @@
+import Ajv from 'ajv';
+
+/**
+ * Declarative seat pricing.
+ *
+ * Pricing rules are plain JSON so they can live in the venue manifest. A
+ * seat's price is worked out in three steps:
+ *
+ *   1. Base price: the price of the seat's section if one is listed,
+ *      otherwise the first zone (by distance from the centre of the venue)
+ *      the seat falls in, otherwise basePrice.
+ *   2. Modifiers: row, attribute and event modifiers are applied in order.
+ *      A modifier can change the price by a percentage, a fixed amount or both.
+ *   3. Overrides: a price listed for the seat's ID in overrides replaces
+ *      everything above.
+ */
+
+/**
+ * @typedef {Object} PriceModifier
+ * @property {'row'|'attribute'|'event'} type - What the modifier applies to
+ * @property {number} [minRow] - Row modifiers: first row it applies to
+ * @property {number} [maxRow] - Row modifiers: last row it applies to
+ * @property {string} [attribute] - Attribute modifiers: seat attribute to match
+ * @property {string} [event] - Event modifiers: event it applies to
+ * @property {number} [percent] - Percentage change, e.g. 10 or -25
+ * @property {number} [amount] - Fixed change in dollars
+ */
+
+/**
+ * @typedef {Object} PricingRules
+ * @property {number} basePrice - Price when no section or zone matches
+ * @property {{x: number, z: number}} [center] - Centre of the venue, for zones
+ * @property {Object<string, number>} [sections] - Base price per section
+ * @property {Array<{name?: string, maxDistance: number, price: number}>} [zones] -
+ *   Base prices by horizontal distance from the centre, nearest zone first
+ * @property {PriceModifier[]} [modifiers] - Adjustments applied to the base price
+ * @property {string|null} [event] - The event being priced, for event modifiers
+ * @property {Object<string, number>} [overrides] - Fixed prices by seat ID
+ * @property {number} [roundTo] - Round prices to a multiple of this
+ * @property {number} [minPrice] - Lowest price a modifier can bring a seat to
+ */
+
+/**
+ * Pricing used when a venue doesn't declare its own. Seats closer to the
+ * centre of the venue cost more.
+ * @type {PricingRules}
+ */
+export const DEFAULT_PRICING_RULES = {
+  basePrice: 100,
+  center: { x: 0, z: 0 },
+  zones: [
+    { name: 'Courtside', maxDistance: 0.2, price: 250 },
+    { name: 'Lower', maxDistance: 0.4, price: 200 },
+    { name: 'Middle', maxDistance: 0.6, price: 150 },
+    { name: 'Upper', maxDistance: 0.8, price: 120 }
+  ],
+  modifiers: [],
+  overrides: {},
+  roundTo: 1,
+  minPrice: 0
+};
+
+const adjustmentProperties = {
+  percent: { type: 'number', minimum: -100 },
+  amount: { type: 'number' }
+};
+
+/**
+ * JSON schema for pricing rules
+ */
+export const PRICING_RULES_SCHEMA = {
+  type: 'object',
+  required: ['basePrice'],
+  properties: {
+    basePrice: { type: 'number', minimum: 0 },
+    center: {
+      type: 'object',
+      required: ['x', 'z'],
+      properties: {
+        x: { type: 'number' },
+        z: { type: 'number' }
+      },
+      additionalProperties: false
+    },
+    sections: {
+      type: 'object',
+      additionalProperties: { type: 'number', minimum: 0 }
+    },
+    zones: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['maxDistance', 'price'],
+        properties: {
+          name: { type: 'string' },
+          maxDistance: { type: 'number', exclusiveMinimum: 0 },
+          price: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+      }
+    },
+    modifiers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type'],
+        // Pick the modifier schema by type so errors point at the right fields
+        discriminator: { propertyName: 'type' },
+        oneOf: [
+          {
+            type: 'object',
+            required: ['type'],
+            properties: {
+              type: { type: 'string', const: 'row' },
+              minRow: { type: 'integer', minimum: 1 },
+              maxRow: { type: 'integer', minimum: 1 },
+              ...adjustmentProperties
+            },
+            additionalProperties: false
+          },
+          {
+            type: 'object',
+            required: ['type', 'attribute'],
+            properties: {
+              type: { type: 'string', const: 'attribute' },
+              attribute: { type: 'string', minLength: 1 },
+              ...adjustmentProperties
+            },
+            additionalProperties: false
+          },
+          {
+            type: 'object',
+            required: ['type', 'event'],
+            properties: {
+              type: { type: 'string', const: 'event' },
+              event: { type: 'string', minLength: 1 },
+              ...adjustmentProperties
+            },
+            additionalProperties: false
+          }
+        ]
+      }
+    },
+    event: { type: ['string', 'null'] },
+    overrides: {
+      type: 'object',
+      additionalProperties: { type: 'number', minimum: 0 }
+    },
+    roundTo: { type: 'number', exclusiveMinimum: 0 },
+    minPrice: { type: 'number', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true, discriminator: true });
+const validateSchema = ajv.compile(PRICING_RULES_SCHEMA);
+
+/**
+ * Validate pricing rules against the schema
+ * @param {Object} rules - Pricing rules to check
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} Validation result
+ */
+export const validatePricingRules = (rules) => {
+  if (validateSchema(rules)) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: validateSchema.errors.map(error => ({
+      path: error.instancePath.split('/').slice(1).join('.') || '(root)',
+      message: error.keyword === 'additionalProperties'
+        ? `${error.params.additionalProperty} is not a recognised field`
+        : error.message
+    }))
+  };
+};
+
+// Horizontal distance of a seat from the centre of the venue
+const distanceFromCenter = (seat, center = { x: 0, z: 0 }) => {
+  if (!seat.coordinates) return Infinity;
+  return Math.hypot(seat.coordinates.x - center.x, seat.coordinates.z - center.z);
+};
+
+/**
+ * Check whether a modifier applies to a seat
+ * @param {PriceModifier} modifier - The modifier
+ * @param {Object} seat - Seat object
+ * @param {PricingRules} rules - Rules the modifier belongs to
+ * @returns {boolean} True if the modifier applies
+ */
+const modifierApplies = (modifier, seat, rules) => {
+  switch (modifier.type) {
+    case 'row': {
+      const row = Number(seat.row);
+      return (modifier.minRow === undefined || row >= modifier.minRow) &&
+        (modifier.maxRow === undefined || row <= modifier.maxRow);
+    }
+    case 'attribute':
+      return Array.isArray(seat.attributes) && seat.attributes.includes(modifier.attribute);
+    case 'event':
+      return !!rules.event && rules.event === modifier.event;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Work out the base price of a seat from its section or zone
+ * @param {Object} seat - Seat object
+ * @param {PricingRules} rules - Pricing rules
+ * @returns {number} Base price before modifiers
+ */
+export const getBasePrice = (seat, rules) => {
+  if (rules.sections && rules.sections[seat.section] !== undefined) {
+    return rules.sections[seat.section];
+  }
+
+  const distance = distanceFromCenter(seat, rules.center);
+  const zone = (rules.zones || []).find(z => distance <= z.maxDistance);
+  return zone ? zone.price : rules.basePrice;
+};
+
+/**
+ * Price a single seat
+ * @param {Object} seat - Seat object with section, row, coordinates and attributes
+ * @param {PricingRules} [rules] - Pricing rules
+ * @returns {number} The seat's price
+ */
+export const priceSeat = (seat, rules = DEFAULT_PRICING_RULES) => {
+  if (rules.overrides && seat.id && rules.overrides[seat.id] !== undefined) {
+    return rules.overrides[seat.id];
+  }
+
+  const price = (rules.modifiers || []).reduce((current, modifier) => {
+    if (!modifierApplies(modifier, seat, rules)) return current;
+    return current * (1 + (modifier.percent || 0) / 100) + (modifier.amount || 0);
+  }, getBasePrice(seat, rules));
+
+  const roundTo = rules.roundTo || 1;
+  const rounded = Math.round(price / roundTo) * roundTo;
+  return Math.max(rules.minPrice || 0, Number(rounded.toFixed(2)));
+};
+
+/**
+ * Price every seat in a list. Seats with a fixed price of their own (set in
+ * the manifest, the imported file or the seat editor) keep it, unless the
+ * rules override the price of that seat by ID.
+ * @param {Array} seats - Seat objects
+ * @param {PricingRules} [rules] - Pricing rules
+ * @returns {Array} New seat objects with prices from the rules
+ */
+export const applyPricing = (seats, rules = DEFAULT_PRICING_RULES) => {
+  return seats.map(seat => {
+    const overridden = rules.overrides && seat.id && rules.overrides[seat.id] !== undefined;
+    return seat.fixedPrice && !overridden ? seat : { ...seat, price: priceSeat(seat, rules) };
+  });
+};
+
+/**
+ * Summarise a list of prices as a histogram
+ * @param {number[]} prices - Seat prices
+ * @param {number} [bucketCount] - Number of histogram buckets
+ * @returns {{count: number, min: number, max: number, average: number, total: number,
+ *   buckets: Array<{from: number, to: number, count: number}>}} Price distribution
+ */
+export const summarizePrices = (prices, bucketCount = 8) => {
+  if (prices.length === 0) {
+    return { count: 0, min: 0, max: 0, average: 0, total: 0, buckets: [] };
+  }
+
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const total = prices.reduce((sum, price) => sum + price, 0);
+
+  // Every seat has the same price
+  if (min === max) {
+    return {
+      count: prices.length,
+      min,
+      max,
+      average: min,
+      total,
+      buckets: [{ from: min, to: max, count: prices.length }]
+    };
+  }
+
+  const width = (max - min) / bucketCount;
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0
+  }));
+  prices.forEach(price => {
+    const index = Math.min(Math.floor((price - min) / width), bucketCount - 1);
+    buckets[index].count++;
+  });
+
+  return {
+    count: prices.length,
+    min,
+    max,
+    average: total / prices.length,
+    total,
+    buckets
+  };
+};
+
+export default {
+  DEFAULT_PRICING_RULES,
+  validatePricingRules,
+  getBasePrice,
+  priceSeat,
+  applyPricing,
+  summarizePrices
+};
@@ -0,0 +1,310 @@
+/**
+ * Row and seat-number inference
+ *
+ * Seat dumps from a 3D model only give us positions. This groups the seats of
+ * each section into rows by their height and radial distance from the field,
+ * orders the seats along each row and numbers them, so imported seats get
+ * stable, unique IDs instead of guesses derived from rounded coordinates.
+ */
+
+/**
+ * How seats are numbered along a row, as seen by a spectator facing the field
+ */
+export const NUMBERING_CONVENTIONS = {
+  // 1, 2, 3... from the spectator's left
+  LEFT_TO_RIGHT: 'left-to-right',
+  // 1, 2, 3... from the spectator's right
+  RIGHT_TO_LEFT: 'right-to-left',
+  // Odd numbers on the left half and even numbers on the right half, both
+  // counting outwards from the middle of the row
+  ODD_LEFT: 'odd-left',
+  // Odd numbers on the right half and even numbers on the left half
+  ODD_RIGHT: 'odd-right'
+};
+
+/**
+ * How rows are labelled, counting outwards from the field
+ */
+export const ROW_LABEL_STYLES = {
+  // 1, 2, 3...
+  NUMBERS: 'numbers',
+  // A, B, C... Z, AA, AB...
+  LETTERS: 'letters'
+};
+
+/**
+ * @typedef {Object} RowInferenceOptions
+ * @property {string} [numbering] - One of NUMBERING_CONVENTIONS
+ * @property {string} [rowLabels] - One of ROW_LABEL_STYLES
+ * @property {{x: number, z: number}} [center] - Centre of the field
+ * @property {number|null} [rowTolerance] - Largest difference in radial distance
+ *   between neighbouring seats of one row. Defaults to half the usual seat spacing.
+ * @property {number|null} [heightTolerance] - Largest difference in height
+ *   between neighbouring seats of one row. Defaults to half the usual seat spacing.
+ */
+
+/**
+ * @type {RowInferenceOptions}
+ */
+export const DEFAULT_ROW_INFERENCE_OPTIONS = {
+  numbering: NUMBERING_CONVENTIONS.LEFT_TO_RIGHT,
+  rowLabels: ROW_LABEL_STYLES.NUMBERS,
+  center: { x: 0, z: 0 },
+  rowTolerance: null,
+  heightTolerance: null
+};
+
+// Smallest tolerance used, so sections of identical points don't divide by zero
+const MIN_TOLERANCE = 1e-6;
+
+const distance3 = (a, b) => Math.hypot(
+  a.coordinates.x - b.coordinates.x,
+  a.coordinates.y - b.coordinates.y,
+  a.coordinates.z - b.coordinates.z
+);
+
+const radialDistance = (seat, center) => Math.hypot(
+  seat.coordinates.x - center.x,
+  seat.coordinates.z - center.z
+);
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Estimate the usual distance between neighbouring seats
+ * @param {Array} seats - Seats of one section
+ * @returns {number} Median nearest-neighbour distance
+ */
+export const estimateSeatSpacing = (seats) => {
+  const nearest = seats.map((seat, i) => {
+    let best = Infinity;
+    seats.forEach((other, j) => {
+      if (i !== j) {
+        best = Math.min(best, distance3(seat, other));
+      }
+    });
+    return best;
+  }).filter(Number.isFinite);
+
+  return median(nearest);
+};
+
+/**
+ * Group the seats of one section into rows. Two seats are in the same row
+ * when their radial distances and heights are both within tolerance; rows
+ * are chained through neighbours, so a long curved row stays together.
+ * @param {Array} seats - Seats of one section
+ * @param {RowInferenceOptions} [options]
+ * @returns {Array<Array>} Rows ordered from the field outwards
+ */
+export const clusterRows = (seats, options = {}) => {
+  const { center, rowTolerance, heightTolerance } = { ...DEFAULT_ROW_INFERENCE_OPTIONS, ...options };
+  if (seats.length === 0) return [];
+
+  const spacing = estimateSeatSpacing(seats);
+  const radialLimit = Math.max(rowTolerance ?? spacing / 2, MIN_TOLERANCE);
+  const heightLimit = Math.max(heightTolerance ?? spacing / 2, MIN_TOLERANCE);
+
+  const radii = seats.map(seat => radialDistance(seat, center));
+
+  // Union-find over seats that are close enough to share a row
+  const parent = seats.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < seats.length; i++) {
+    for (let j = i + 1; j < seats.length; j++) {
+      const sameRow = Math.abs(radii[i] - radii[j]) <= radialLimit &&
+        Math.abs(seats[i].coordinates.y - seats[j].coordinates.y) <= heightLimit;
+      if (sameRow) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  seats.forEach((seat, i) => {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, { seats: [], radius: 0, height: 0 });
+    }
+    const group = groups.get(root);
+    group.seats.push(seat);
+    group.radius += radii[i];
+    group.height += seat.coordinates.y;
+  });
+
+  // Row 1 is the row closest to the field, ties broken by height
+  return [...groups.values()]
+    .map(group => ({
+      seats: group.seats,
+      radius: group.radius / group.seats.length,
+      height: group.height / group.seats.length
+    }))
+    .sort((a, b) => a.radius - b.radius || a.height - b.height)
+    .map(group => group.seats);
+};
+
+/**
+ * Order the seats of a row from the left to the right of a spectator
+ * sitting in the row and facing the field
+ * @param {Array} row - Seats of one row
+ * @param {{x: number, z: number}} [center] - Centre of the field
+ * @returns {Array} Seats ordered left to right
+ */
+export const orderSeatsInRow = (row, center = DEFAULT_ROW_INFERENCE_OPTIONS.center) => {
+  const angles = row.map(seat => Math.atan2(seat.coordinates.z - center.z, seat.coordinates.x - center.x));
+
+  // Measure angles from the middle of the row so rows crossing ±180° sort correctly
+  const middle = Math.atan2(
+    angles.reduce((sum, angle) => sum + Math.sin(angle), 0),
+    angles.reduce((sum, angle) => sum + Math.cos(angle), 0)
+  );
+  const relative = angles.map(angle => Math.atan2(Math.sin(angle - middle), Math.cos(angle - middle)));
+
+  // Facing the field with y up, the spectator's left is the counter-clockwise side
+  return row
+    .map((seat, i) => ({ seat, angle: relative[i] }))
+    .sort((a, b) => b.angle - a.angle)
+    .map(entry => entry.seat);
+};
+
+/**
+ * Work out seat numbers for a row ordered left to right
+ * @param {number} count - Number of seats in the row
+ * @param {string} [numbering] - One of NUMBERING_CONVENTIONS
+ * @returns {number[]} Seat number for each position, left to right
+ */
+export const numberRow = (count, numbering = NUMBERING_CONVENTIONS.LEFT_TO_RIGHT) => {
+  const positions = Array.from({ length: count }, (_, i) => i);
+
+  switch (numbering) {
+    case NUMBERING_CONVENTIONS.RIGHT_TO_LEFT:
+      return positions.map(i => count - i);
+    case NUMBERING_CONVENTIONS.ODD_LEFT:
+    case NUMBERING_CONVENTIONS.ODD_RIGHT: {
+      // Seats left of the middle count outwards to the left, the rest to the right
+      const leftCount = Math.ceil(count / 2);
+      const oddOnLeft = numbering === NUMBERING_CONVENTIONS.ODD_LEFT;
+      return positions.map(i => {
+        const isLeft = i < leftCount;
+        const stepsFromMiddle = isLeft ? leftCount - 1 - i : i - leftCount;
+        const isOdd = isLeft === oddOnLeft;
+        return stepsFromMiddle * 2 + (isOdd ? 1 : 2);
+      });
+    }
+    case NUMBERING_CONVENTIONS.LEFT_TO_RIGHT:
+    default:
+      return positions.map(i => i + 1);
+  }
+};
+
+/**
+ * Label a row
+ * @param {number} row - 1-based row number
+ * @param {string} [style] - One of ROW_LABEL_STYLES
+ * @returns {string} Row label, e.g. "3" or "C"
+ */
+export const formatRowLabel = (row, style = ROW_LABEL_STYLES.NUMBERS) => {
+  if (style !== ROW_LABEL_STYLES.LETTERS) return String(row);
+
+  let label = '';
+  let remaining = row;
+  while (remaining > 0) {
+    const letterIndex = (remaining - 1) % 26;
+    label = String.fromCharCode(65 + letterIndex) + label;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return label;
+};
+
+/**
+ * Turn a lettered row label back into a row number
+ * @param {string} label - Row label, e.g. "C" or "AA"
+ * @returns {number} 1-based row number
+ */
+export const parseRowLabel = (label) => {
+  return label.toUpperCase().split('').reduce((row, letter) => row * 26 + (letter.charCodeAt(0) - 64), 0);
+};
+
+/**
+ * Get the row of a seat for display, preferring its label
+ * @param {Object} seat - Seat object
+ * @returns {string} Row label
+ */
+export const getRowLabel = (seat) => {
+  return seat.rowLabel || String(seat.row);
+};
+
+/**
+ * Infer rows and seat numbers for every section, replacing the seats'
+ * row, number and ID
+ * @param {Array} seats - Seats with section and coordinates
+ * @param {RowInferenceOptions} [options]
+ * @returns {{seats: Array, rowCount: number}} Renumbered seats, in the original order,
+ *   and the number of rows found
+ */
+export const inferRowsAndNumbers = (seats, options = {}) => {
+  const settings = { ...DEFAULT_ROW_INFERENCE_OPTIONS, ...options };
+
+  const sections = new Map();
+  seats.forEach((seat, index) => {
+    const key = String(seat.section);
+    if (!sections.has(key)) {
+      sections.set(key, []);
+    }
+    sections.get(key).push({ ...seat, inferenceIndex: index });
+  });
+
+  const renumbered = new Array(seats.length);
+  let rowCount = 0;
+
+  sections.forEach(sectionSeats => {
+    clusterRows(sectionSeats, settings).forEach((row, rowIndex) => {
+      rowCount++;
+      const rowNumber = rowIndex + 1;
+      const ordered = orderSeatsInRow(row, settings.center);
+      const numbers = numberRow(ordered.length, settings.numbering);
+
+      ordered.forEach((seat, position) => {
+        const { inferenceIndex, rowLabel, ...rest } = seat;
+        const label = formatRowLabel(rowNumber, settings.rowLabels);
+        const result = {
+          ...rest,
+          id: `${seat.section}${label}-${numbers[position]}`,
+          row: rowNumber,
+          number: numbers[position]
+        };
+        if (settings.rowLabels === ROW_LABEL_STYLES.LETTERS) {
+          result.rowLabel = label;
+        }
+        renumbered[inferenceIndex] = result;
+      });
+    });
+  });
+
+  return { seats: renumbered, rowCount };
+};
+
+export default {
+  NUMBERING_CONVENTIONS,
+  ROW_LABEL_STYLES,
+  estimateSeatSpacing,
+  clusterRows,
+  orderSeatsInRow,
+  numberRow,
+  formatRowLabel,
+  parseRowLabel,
+  getRowLabel,
+  inferRowsAndNumbers
+};
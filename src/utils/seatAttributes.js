@@ -0,0 +1,170 @@
+/**
+ * Seat attributes and helpers
+ *
+ * Seats carry a list of attribute names (see the venue manifest). These are
+ * the attributes the app knows how to show and filter by; venues may add
+ * others for their pricing rules.
+ */
+
+/**
+ * Attributes the app shows on the map and in the ticket form
+ */
+export const SEAT_ATTRIBUTES = {
+  WHEELCHAIR: 'wheelchair',
+  COMPANION: 'companion',
+  AISLE: 'aisle',
+  LIMITED_LEGROOM: 'limited-legroom',
+  OBSTRUCTED_VIEW: 'obstructed-view',
+  NO_STAIRS: 'no-stairs'
+};
+
+/**
+ * Icons and labels for each attribute. Filters either show only seats with
+ * the attribute ("require") or hide seats with it ("exclude").
+ */
+export const SEAT_ATTRIBUTE_STYLES = {
+  [SEAT_ATTRIBUTES.WHEELCHAIR]: {
+    icon: '♿',
+    label: 'Wheelchair space',
+    filterLabel: 'Wheelchair accessible',
+    filter: 'require'
+  },
+  [SEAT_ATTRIBUTES.COMPANION]: {
+    icon: '🤝',
+    label: 'Companion seat',
+    filterLabel: null,
+    filter: null
+  },
+  [SEAT_ATTRIBUTES.AISLE]: {
+    icon: '↔️',
+    label: 'Aisle seat',
+    filterLabel: 'Aisle seats',
+    filter: 'require'
+  },
+  [SEAT_ATTRIBUTES.LIMITED_LEGROOM]: {
+    icon: '🦵',
+    label: 'Limited legroom',
+    filterLabel: 'Hide limited legroom',
+    filter: 'exclude'
+  },
+  [SEAT_ATTRIBUTES.OBSTRUCTED_VIEW]: {
+    icon: '👁️',
+    label: 'Obstructed view',
+    filterLabel: 'Hide obstructed views',
+    filter: 'exclude'
+  },
+  [SEAT_ATTRIBUTES.NO_STAIRS]: {
+    icon: '🛗',
+    label: 'No stairs',
+    filterLabel: 'No stairs',
+    filter: 'require'
+  }
+};
+
+// Attribute names that also mark a wheelchair space
+export const WHEELCHAIR_ATTRIBUTES = [SEAT_ATTRIBUTES.WHEELCHAIR, 'accessible'];
+
+// Companion seats that may be bought with each wheelchair space
+export const COMPANION_SEATS_PER_SPACE = 1;
+
+/**
+ * Check whether a seat has an attribute
+ * @param {Object} seat - Seat object
+ * @param {string} attribute - Attribute name
+ * @returns {boolean} True if the seat has the attribute
+ */
+export const hasAttribute = (seat, attribute) => {
+  return !!seat && Array.isArray(seat.attributes) && seat.attributes.includes(attribute);
+};
+
+/**
+ * Check whether a seat is a wheelchair space
+ * @param {Object} seat - Seat object
+ * @returns {boolean} True for wheelchair spaces
+ */
+export const isWheelchairSpace = (seat) => {
+  return WHEELCHAIR_ATTRIBUTES.some(attribute => hasAttribute(seat, attribute));
+};
+
+/**
+ * Known attributes of a seat, in display order
+ * @param {Object} seat - Seat object
+ * @returns {string[]} SEAT_ATTRIBUTES values the seat has
+ */
+export const getKnownAttributes = (seat) => {
+  return Object.values(SEAT_ATTRIBUTES).filter(attribute => (
+    attribute === SEAT_ATTRIBUTES.WHEELCHAIR ? isWheelchairSpace(seat) : hasAttribute(seat, attribute)
+  ));
+};
+
+/**
+ * Check whether a seat passes the attribute filters chosen on the map. With
+ * the wheelchair filter on, companion seats stay visible so they can be
+ * bought with the spaces next to them.
+ * @param {Object} seat - Seat object
+ * @param {string[]} filters - Attributes whose filters are on
+ * @returns {boolean} True if the seat should be shown
+ */
+export const matchesAttributeFilters = (seat, filters) => {
+  return filters.every(attribute => {
+    const { filter } = SEAT_ATTRIBUTE_STYLES[attribute] || {};
+    if (filter === 'exclude') return !hasAttribute(seat, attribute);
+    if (attribute === SEAT_ATTRIBUTES.WHEELCHAIR) {
+      return isWheelchairSpace(seat) || hasAttribute(seat, SEAT_ATTRIBUTES.COMPANION);
+    }
+    return hasAttribute(seat, attribute);
+  });
+};
+
+/**
+ * Check the companion seat rule: companion seats can only be bought together
+ * with a wheelchair space, up to COMPANION_SEATS_PER_SPACE for each space
+ * @param {Array} seats - Seats being bought together
+ * @returns {string|null} Message for the buyer, or null if the seats can be bought
+ */
+export const checkCompanionSeats = (seats) => {
+  const companions = seats.filter(seat => hasAttribute(seat, SEAT_ATTRIBUTES.COMPANION)).length;
+  if (companions === 0) return null;
+
+  const spaces = seats.filter(isWheelchairSpace).length;
+  if (spaces === 0) {
+    return 'Companion seats can only be bought together with a wheelchair space.';
+  }
+  if (companions > spaces * COMPANION_SEATS_PER_SPACE) {
+    return `Only ${spaces * COMPANION_SEATS_PER_SPACE} companion seat${spaces * COMPANION_SEATS_PER_SPACE === 1 ? '' : 's'} can be bought with ${spaces} wheelchair space${spaces === 1 ? '' : 's'}.`;
+  }
+  return null;
+};
+
+/**
+ * Turn attributes on or off on a seat
+ * @param {Object} seat - Seat object
+ * @param {Object<string, boolean>} changes - Attributes to add (true) or remove (false)
+ * @returns {Object} The seat with its attributes changed
+ */
+export const setSeatAttributes = (seat, changes) => {
+  const attributes = new Set(seat.attributes || []);
+  Object.entries(changes).forEach(([attribute, enabled]) => {
+    if (enabled) {
+      attributes.add(attribute);
+    } else if (attribute === SEAT_ATTRIBUTES.WHEELCHAIR) {
+      WHEELCHAIR_ATTRIBUTES.forEach(name => attributes.delete(name));
+    } else {
+      attributes.delete(attribute);
+    }
+  });
+  return { ...seat, attributes: [...attributes] };
+};
+
+export default {
+  SEAT_ATTRIBUTES,
+  SEAT_ATTRIBUTE_STYLES,
+  WHEELCHAIR_ATTRIBUTES,
+  COMPANION_SEATS_PER_SPACE,
+  hasAttribute,
+  isWheelchairSpace,
+  getKnownAttributes,
+  matchesAttributeFilters,
+  checkCompanionSeats,
+  setSeatAttributes
+};
@@ -0,0 +1,86 @@
+/**
+ * Seat comparison
+ *
+ * Buyers can pick a few seats from the map and compare them side by side:
+ * the view from each seat, and a table of price, location, distance to the
+ * field and view score with the best value of each highlighted.
+ */
+import { calculateCValues } from './sightlines';
+
+/**
+ * Most seats compared at once; more views side by side get too small to judge
+ */
+export const MAX_COMPARED_SEATS = 4;
+
+/**
+ * @typedef {Object} ComparedSeat
+ * @property {Object} seat - Seat object
+ * @property {number|null} price - Price, or null if the seat has none
+ * @property {number|null} distance - Horizontal distance to the nearest edge of the field, in meters
+ * @property {number|null} viewScore - View score from 0 to 100, or null before it is known
+ * @property {{price: boolean, distance: boolean, viewScore: boolean}} isBest - Which values are the best of the comparison
+ */
+
+/**
+ * Add a seat to the comparison, or take it out if it is already there
+ * @param {string[]} comparedIds - IDs of the seats being compared
+ * @param {string} seatId
+ * @returns {string[]} The new list of IDs; unchanged if the comparison is full
+ */
+export const toggleComparedSeat = (comparedIds, seatId) => {
+  if (comparedIds.includes(seatId)) return comparedIds.filter(id => id !== seatId);
+  if (comparedIds.length >= MAX_COMPARED_SEATS) return comparedIds;
+  return [...comparedIds, seatId];
+};
+
+/**
+ * Gather what the comparison table shows for each compared seat. Seats that
+ * are no longer in the seat list are left out.
+ * @param {Array} seats - All seats, to find the field from
+ * @param {string[]} comparedIds - IDs of the seats being compared, in the order they were added
+ * @param {Object} modelSettings - The venue's model settings
+ * @param {Object<string, {score: number}>} [viewScores] - View scores by seat ID (see useViewScores)
+ * @returns {ComparedSeat[]}
+ */
+export const compareSeats = (seats, comparedIds, modelSettings, viewScores = {}) => {
+  const indexes = comparedIds
+    .map(id => seats.findIndex(seat => seat.id === id))
+    .filter(index => index !== -1);
+  if (indexes.length === 0) return [];
+
+  const cValues = calculateCValues(seats, modelSettings);
+  const compared = indexes.map(index => {
+    const seat = seats[index];
+    const price = Number(seat.price);
+    return {
+      seat,
+      price: Number.isFinite(price) ? price : null,
+      distance: cValues[index] ? cValues[index].distance : null,
+      viewScore: viewScores[seat.id] ? viewScores[seat.id].score : null
+    };
+  });
+
+  // Best of each value among the seats that have one
+  const best = (field, pick) => {
+    const values = compared.map(entry => entry[field]).filter(value => value !== null);
+    return values.length > 1 ? pick(...values) : null;
+  };
+  const lowestPrice = best('price', Math.min);
+  const shortestDistance = best('distance', Math.min);
+  const highestScore = best('viewScore', Math.max);
+
+  return compared.map(entry => ({
+    ...entry,
+    isBest: {
+      price: entry.price !== null && entry.price === lowestPrice,
+      distance: entry.distance !== null && entry.distance === shortestDistance,
+      viewScore: entry.viewScore !== null && entry.viewScore === highestScore
+    }
+  }));
+};
+
+export default {
+  MAX_COMPARED_SEATS,
+  toggleComparedSeat,
+  compareSeats
+};
@@ -1,61 +1,93 @@
+import { DEFAULT_PRICING_RULES, priceSeat } from './pricingEngine';
+import { DEFAULT_FRAME, toModelFrame } from './coordinateFrame';
+
 /**
  * Utility functions for parsing and handling seat coordinates
  */
 
 /**
- * Parse a string of Vector coordinates in the format <Vector (x, y, z)>
+ * Parse a string of Vector coordinates in the format <Vector (x, y, z)>, keeping
+ * track of lines that could not be parsed
  * @param {string} text - Text containing Vector coordinates, one per line
- * @returns {Array} Array of parsed coordinates objects with x, y, z properties
+ * @returns {{coordinates: Array, errors: Array}} Parsed coordinates and line-level errors
  */
-export const parseVectorCoordinates = (text) => {
-  if (!text) return [];
-  
+export const parseVectorCoordinatesWithErrors = (text) => {
   const coordinates = [];
+  const errors = [];
+  
+  if (!text) return { coordinates, errors };
   
   // Split the text by lines and process each line
   const lines = text.split('\n');
   
-  lines.forEach(line => {
-    line = line.trim();
-    if (!line || !line.includes('<Vector')) return;
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    
+    // Blank lines and # comments are allowed between vectors
+    if (!line || line.startsWith('#')) return;
     
     // Extract the coordinates part from the format <Vector (x, y, z)>
-    const match = line.match(/<Vector\s*\(([-\d\.\s,]+)\)>/);
-    if (!match || !match[1]) return;
+    const match = line.match(/^<Vector\s*\(([^)]*)\)>$/);
+    if (!match) {
+      errors.push({ line: lineNumber, message: `Expected <Vector (x, y, z)> but found "${line}"` });
+      return;
+    }
     
     // Split the coordinates and convert to numbers
-    const parts = match[1].split(',').map(part => parseFloat(part.trim()));
-    if (parts.length !== 3) return;
+    const parts = match[1].split(',').map(part => part.trim());
+    if (parts.length !== 3) {
+      errors.push({ line: lineNumber, message: `Expected 3 components but found ${parts.length}` });
+      return;
+    }
+    
+    const values = parts.map(part => (part === '' ? NaN : Number(part)));
+    const invalidIndex = values.findIndex(value => !Number.isFinite(value));
+    if (invalidIndex !== -1) {
+      errors.push({
+        line: lineNumber,
+        message: `Component ${'xyz'[invalidIndex]} is not a number: "${parts[invalidIndex]}"`
+      });
+      return;
+    }
     
     coordinates.push({
-      x: parts[0],
-      y: parts[1],
-      z: parts[2]
+      x: values[0],
+      y: values[1],
+      z: values[2]
     });
   });
   
-  return coordinates;
+  return { coordinates, errors };
+};
+
+/**
+ * Parse a string of Vector coordinates in the format <Vector (x, y, z)>
+ * @param {string} text - Text containing Vector coordinates, one per line
+ * @returns {Array} Array of parsed coordinates objects with x, y, z properties
+ */
+export const parseVectorCoordinates = (text) => {
+  return parseVectorCoordinatesWithErrors(text).coordinates;
 };
 
 /**
- * Convert the parsed vector coordinates to Three.js coordinates
+ * Convert the parsed vector coordinates into the model's frame (Three.js axes)
  * @param {Array} coordinates - Array of coordinate objects with x, y, z properties
- * @returns {Array} Array of coordinate objects converted to Three.js coordinate system
+ * @param {Object} [frame] - Frame of the source coordinates; defaults to Blender's (Z up, right-handed)
+ * @param {number} [metersPerUnit] - Size of one model unit in meters, for coordinates in real units
+ * @returns {Array} Array of coordinate objects in the model's frame
  */
-export const convertToThreeCoordinates = (coordinates) => {
-  return coordinates.map(coord => ({
-    x: coord.x,
-    y: coord.z, // Vector Y becomes Three.js Z for top-down view
-    z: coord.y  // Vector Z becomes Three.js Y for height
-  }));
+export const convertToThreeCoordinates = (coordinates, frame = DEFAULT_FRAME, metersPerUnit) => {
+  return coordinates.map(coord => toModelFrame(coord, frame, metersPerUnit));
 };
 
 /**
  * Generate seat data from parsed coordinates
  * @param {Array} coordinates - Array of coordinate objects
+ * @param {Object} [pricingRules] - Pricing rules used to price the seats
  * @returns {Array} Array of seat objects with id, section, row, price, and coordinates
  */
-export const generateSeatsFromCoordinates = (coordinates) => {
+export const generateSeatsFromCoordinates = (coordinates, pricingRules = DEFAULT_PRICING_RULES) => {
   return coordinates.map((coord, index) => {
     // Determine section based on X coordinate
     let section = 'A';
@@ -67,35 +99,50 @@ export const generateSeatsFromCoordinates = (coordinates) => {
     const row = Math.floor(Math.abs(coord.y) * 10) % 10 + 1;
     const number = Math.floor(Math.abs(coord.x) * 10) % 10 + 1;
     
-    // Generate a price based on height (better seats are higher)
-    const height = Math.abs(coord.z);
-    const price = Math.floor(100 + height * 50);
-    
-    return {
+    const seat = {
       id: `${section}${row}${number}`,
       section,
       row,
       number,
-      price,
       coordinates: coord
     };
+    
+    return { ...seat, price: priceSeat(seat, pricingRules) };
   });
 };
 
+/**
+ * Parse a string of coordinates and generate seat data, reporting lines that
+ * could not be parsed
+ * @param {string} text - Text containing Vector coordinates, one per line
+ * @param {Object} [options]
+ * @param {Object} [options.frame] - Frame of the coordinates (see coordinateFrame.js)
+ * @param {number} [options.metersPerUnit] - Size of one model unit in meters
+ * @returns {{seats: Array, errors: Array}} Generated seats and line-level errors
+ */
+export const parseAndGenerateSeatsWithErrors = (text, { frame = DEFAULT_FRAME, metersPerUnit } = {}) => {
+  const { coordinates, errors } = parseVectorCoordinatesWithErrors(text);
+  const threeCoordinates = convertToThreeCoordinates(coordinates, frame, metersPerUnit);
+  return {
+    seats: generateSeatsFromCoordinates(threeCoordinates),
+    errors
+  };
+};
+
 /**
  * Parse a string of coordinates and generate seat data
  * @param {string} text - Text containing Vector coordinates, one per line
  * @returns {Array} Array of seat objects with id, section, row, price, and coordinates
  */
 export const parseAndGenerateSeats = (text) => {
-  const parsedCoordinates = parseVectorCoordinates(text);
-  const threeCoordinates = convertToThreeCoordinates(parsedCoordinates);
-  return generateSeatsFromCoordinates(threeCoordinates);
+  return parseAndGenerateSeatsWithErrors(text).seats;
 };
 
 export default {
+  parseVectorCoordinatesWithErrors,
   parseVectorCoordinates,
   convertToThreeCoordinates,
   generateSeatsFromCoordinates,
+  parseAndGenerateSeatsWithErrors,
   parseAndGenerateSeats
 }; 
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Seat list diffs
+ *
+ * Compares a seat list with the one that would replace it, matching seats by
+ * ID, so an import can be reviewed before it is applied.
+ */
+
+// Smallest move reported, in model units; smaller differences are rounding
+export const DEFAULT_MOVE_TOLERANCE = 1e-6;
+
+/**
+ * @typedef {Object} SeatDiff
+ * @property {Array} added - Seats only in the new list
+ * @property {Array} removed - Seats only in the current list
+ * @property {Array<{seat: Object, previous: Object, distance: number}>} moved - Seats
+ *   whose coordinates changed, with the distance moved in model units
+ * @property {Array<{seat: Object, previous: Object, change: number}>} repriced - Seats
+ *   whose price changed
+ * @property {Array<{seat: Object, previous: Object, fields: string[]}>} changed - Seats
+ *   whose section, row, number, status or attributes changed
+ * @property {Array<{id: string, count: number}>} duplicateIds - IDs used by more
+ *   than one seat in the new list
+ * @property {number} unchanged - Number of seats that are the same in both lists
+ */
+
+// Fields compared besides coordinates and price
+const COMPARED_FIELDS = ['section', 'row', 'rowLabel', 'number', 'status'];
+
+const sameAttributes = (a = [], b = []) => (
+  a.length === b.length && a.every(attribute => b.includes(attribute))
+);
+
+/**
+ * Find IDs used by more than one seat
+ * @param {Array} seats - Seat objects
+ * @returns {Array<{id: string, count: number}>} Duplicated IDs and how often they occur
+ */
+export const findDuplicateIds = (seats) => {
+  const counts = new Map();
+  seats.forEach(seat => {
+    counts.set(seat.id, (counts.get(seat.id) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .filter(([, count]) => count > 1)
+    .map(([id, count]) => ({ id, count }));
+};
+
+/**
+ * Compare the current seats with the seats that would replace them
+ * @param {Array} currentSeats - Seats in use now
+ * @param {Array} nextSeats - Seats that would replace them
+ * @param {Object} [options]
+ * @param {number} [options.moveTolerance] - Smallest distance counted as a move
+ * @returns {SeatDiff} Differences between the lists
+ */
+export const diffSeats = (currentSeats, nextSeats, { moveTolerance = DEFAULT_MOVE_TOLERANCE } = {}) => {
+  // With duplicate IDs, the first seat with an ID is the one compared
+  const currentById = new Map();
+  currentSeats.forEach(seat => {
+    if (!currentById.has(seat.id)) currentById.set(seat.id, seat);
+  });
+  const nextIds = new Set(nextSeats.map(seat => seat.id));
+
+  const diff = {
+    added: [],
+    removed: currentSeats.filter(seat => !nextIds.has(seat.id)),
+    moved: [],
+    repriced: [],
+    changed: [],
+    duplicateIds: findDuplicateIds(nextSeats),
+    unchanged: 0
+  };
+
+  const compared = new Set();
+  nextSeats.forEach(seat => {
+    const previous = currentById.get(seat.id);
+    if (!previous) {
+      diff.added.push(seat);
+      return;
+    }
+    if (compared.has(seat.id)) return;
+    compared.add(seat.id);
+
+    let same = true;
+
+    const distance = Math.hypot(
+      seat.coordinates.x - previous.coordinates.x,
+      seat.coordinates.y - previous.coordinates.y,
+      seat.coordinates.z - previous.coordinates.z
+    );
+    if (distance > moveTolerance) {
+      diff.moved.push({ seat, previous, distance });
+      same = false;
+    }
+
+    if (Number(seat.price) !== Number(previous.price)) {
+      diff.repriced.push({ seat, previous, change: Number(seat.price) - Number(previous.price) });
+      same = false;
+    }
+
+    const fields = COMPARED_FIELDS.filter(field => seat[field] !== previous[field]);
+    if (!sameAttributes(seat.attributes, previous.attributes)) {
+      fields.push('attributes');
+    }
+    if (fields.length > 0) {
+      diff.changed.push({ seat, previous, fields });
+      same = false;
+    }
+
+    if (same) {
+      diff.unchanged++;
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * Check whether a diff has any differences
+ * @param {SeatDiff} diff
+ * @returns {boolean} True if the lists are the same
+ */
+export const isEmptyDiff = (diff) => (
+  diff.added.length === 0 &&
+  diff.removed.length === 0 &&
+  diff.moved.length === 0 &&
+  diff.repriced.length === 0 &&
+  diff.changed.length === 0
+);
+
+export default {
+  findDuplicateIds,
+  diffSeats,
+  isEmptyDiff
+};
@@ -0,0 +1,312 @@
+/**
+ * Seat editing
+ *
+ * Pure helpers behind the seat map's editor: adding, moving, deleting and
+ * re-labelling seats. Seats are addressed by their index in the seat list,
+ * since IDs aren't guaranteed to be unique while a layout is being fixed.
+ */
+
+import { findSection, pointInPolygon } from './sectionMapping';
+import { priceSeat, DEFAULT_PRICING_RULES } from './pricingEngine';
+import { parseRowLabel } from './rowInference';
+import { setSeatAttributes } from './seatAttributes';
+
+/**
+ * Tools of the seat map editor
+ */
+export const EDITOR_TOOLS = {
+  // Click to select seats and drag them to move
+  SELECT: 'select',
+  // Click on the map to add a seat
+  ADD: 'add',
+  // Drag around seats to select them
+  LASSO: 'lasso'
+};
+
+/**
+ * Build the usual ID of a seat from its section, row and number
+ * @param {Object} seat - Seat with section, row and number
+ * @returns {string} Seat ID, e.g. "101C-4"
+ */
+export const formatSeatId = (seat) => `${seat.section}${seat.rowLabel || seat.row}-${seat.number}`;
+
+// Key of the row a seat is in, unique across sections
+const rowKey = (seat) => `${seat.section}|${seat.row}`;
+
+/**
+ * Make an ID unique among a seat list by adding a suffix
+ * @param {string} id - Wanted ID
+ * @param {Array|Set<string>} seats - Seats whose IDs are taken, or the taken IDs
+ * @returns {string} The ID, or the ID with the first free "-2", "-3"… suffix
+ */
+const uniqueSeatId = (id, seats) => {
+  const taken = seats instanceof Set ? seats : new Set(seats.map(seat => String(seat.id)));
+  if (!taken.has(id)) return id;
+
+  let suffix = 2;
+  while (taken.has(`${id}-${suffix}`)) suffix++;
+  return `${id}-${suffix}`;
+};
+
+/**
+ * Read a row typed into the editor: numbers are row numbers, letters row labels
+ * @param {string} value - Row as typed, e.g. "12" or "C"
+ * @returns {{row: number, rowLabel?: string}|null} The row, or null if it isn't valid
+ */
+export const parseRowInput = (value) => {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text) && Number(text) > 0) {
+    return { row: Number(text) };
+  }
+  if (/^[a-z]+$/i.test(text)) {
+    return { row: parseRowLabel(text), rowLabel: text.toUpperCase() };
+  }
+  return null;
+};
+
+/**
+ * Find the seat nearest a point in the horizontal plane
+ * @param {Array} seats
+ * @param {{x: number, z: number}} point
+ * @returns {Object|null} The nearest seat, or null if there are no seats
+ */
+const findNearestSeat = (seats, point) => {
+  let nearest = null;
+  let best = Infinity;
+  seats.forEach(seat => {
+    const distance = Math.hypot(seat.coordinates.x - point.x, seat.coordinates.z - point.z);
+    if (distance < best) {
+      best = distance;
+      nearest = seat;
+    }
+  });
+  return nearest;
+};
+
+/**
+ * Create a seat at a point. Unless they are given, the seat takes its height
+ * and row from the nearest seat and its section from the venue sections (or
+ * the nearest seat). It gets the next free number in its row and a price
+ * from the pricing rules.
+ * @param {Array} seats - Current seats
+ * @param {{x: number, y?: number, z: number}} point - Where to put the seat
+ * @param {Object} [options]
+ * @param {Array} [options.sections] - Venue sections
+ * @param {Object} [options.pricingRules] - Pricing rules used to price the seat
+ * @param {string} [options.section] - Section to put the seat in
+ * @param {string} [options.row] - Row to put the seat in, as a number or letters
+ * @returns {Object} The new seat
+ */
+export const createSeat = (seats, point, {
+  sections = [],
+  pricingRules = DEFAULT_PRICING_RULES,
+  section: chosenSection,
+  row: chosenRow
+} = {}) => {
+  const nearest = findNearestSeat(seats, point);
+  const height = point.y !== undefined ? point.y : (nearest ? nearest.coordinates.y : 0);
+  const coordinates = { x: point.x, y: height, z: point.z };
+
+  const section = (chosenSection && String(chosenSection).trim())
+    || findSection({ coordinates }, sections)
+    || (nearest ? nearest.section : 'A');
+  const sameSection = nearest && nearest.section === section;
+  const { row, rowLabel } = (chosenRow && parseRowInput(chosenRow))
+    || (sameSection ? { row: nearest.row, rowLabel: nearest.rowLabel } : { row: 1 });
+  const number = seats
+    .filter(seat => seat.section === section && seat.row === row)
+    .reduce((highest, seat) => Math.max(highest, Number(seat.number) || 0), 0) + 1;
+
+  const labels = rowLabel ? { section, row, rowLabel, number } : { section, row, number };
+  const id = uniqueSeatId(formatSeatId(labels), seats);
+  return {
+    id,
+    ...labels,
+    price: priceSeat({ id, ...labels, coordinates }, pricingRules),
+    coordinates
+  };
+};
+
+/**
+ * Move seats
+ * @param {Array} seats
+ * @param {number[]} indices - Seats to move
+ * @param {(coordinates: Object) => Object} move - Returns a seat's new coordinates
+ * @returns {Array} Seats with the moved seats replaced
+ */
+export const moveSeats = (seats, indices, move) => {
+  const moving = new Set(indices);
+  return seats.map((seat, index) => (
+    moving.has(index) ? { ...seat, coordinates: move(seat.coordinates) } : seat
+  ));
+};
+
+/**
+ * @typedef {Object} SeatChanges
+ * @property {string} [id] - New ID (only when editing one seat)
+ * @property {string} [section] - New section
+ * @property {string} [row] - New row, as a number or letters
+ * @property {string|number} [number] - New seat number (only when editing one seat)
+ * @property {string|number} [price] - New price, which becomes the seats' fixed price
+ * @property {boolean} [fixedPrice] - Keep the seats' price when pricing rules are
+ *   applied (true), or price them by the rules again (false)
+ * @property {Object<string, boolean>} [attributes] - Attributes to turn on (true) or off (false)
+ */
+
+/**
+ * Check changes typed into the editor before they are applied
+ * @param {Array} seats
+ * @param {number[]} indices - Seats being edited
+ * @param {SeatChanges} changes - Only the fields being changed
+ * @returns {string[]} Problems with the changes; empty if they can be applied
+ */
+export const validateSeatChanges = (seats, indices, changes) => {
+  const errors = [];
+
+  if (changes.section !== undefined && !String(changes.section).trim()) {
+    errors.push('Section can\'t be empty');
+  }
+  if (changes.row !== undefined && !parseRowInput(changes.row)) {
+    errors.push('Row must be a number or letters');
+  }
+  if (changes.number !== undefined && !(Number.isInteger(Number(changes.number)) && Number(changes.number) > 0)) {
+    errors.push('Seat number must be a whole number above 0');
+  }
+  if (changes.price !== undefined && !(String(changes.price).trim() !== '' && Number(changes.price) >= 0)) {
+    errors.push('Price must be a number of at least 0');
+  }
+  const editing = new Set(indices);
+  if (changes.number !== undefined && indices.length === 1 && errors.length === 0) {
+    // Only one seat can have each number in a row
+    const seat = seats[indices[0]];
+    const row = changes.row !== undefined ? parseRowInput(changes.row).row : seat.row;
+    const target = {
+      section: changes.section !== undefined ? String(changes.section).trim() : seat.section,
+      row,
+      number: Number(changes.number)
+    };
+    const clash = seats.find((other, index) => (
+      !editing.has(index) && rowKey(other) === rowKey(target) && Number(other.number) === target.number
+    ));
+    if (clash) errors.push(`Seat ${target.number} in that row is already seat ${clash.id}`);
+  }
+  if (changes.id !== undefined) {
+    const id = String(changes.id).trim();
+    if (!id) {
+      errors.push('Seat ID can\'t be empty');
+    } else if (seats.some((seat, index) => !editing.has(index) && String(seat.id) === id)) {
+      errors.push(`Seat ID ${id} is already used`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Apply edited fields to seats. Seats whose ID was built from their section,
+ * row and number get a new ID to match, unless a new ID is given. Seats moved
+ * to another section or row keep their number if it is free there, and
+ * otherwise get the next free number in the row, so IDs stay unique. Seats
+ * that are moved or whose attributes change are priced again by the pricing
+ * rules, unless a price is given or they have a fixed price. A given price becomes the seats' fixed price; seats whose fixed
+ * price is turned off are priced by the rules again.
+ * @param {Array} seats
+ * @param {number[]} indices - Seats to edit
+ * @param {SeatChanges} changes - Only the fields being changed, already validated
+ * @param {Object} [options]
+ * @param {Object} [options.pricingRules] - Pricing rules used to price edited seats
+ * @returns {Array} Seats with the edited seats replaced
+ */
+export const editSeats = (seats, indices, changes, { pricingRules = DEFAULT_PRICING_RULES } = {}) => {
+  const editing = new Set(indices);
+  const row = changes.row !== undefined ? parseRowInput(changes.row) : null;
+  const relabelled = changes.section !== undefined || row !== null;
+
+  // IDs and seat numbers of each row taken by the seats not being edited,
+  // and by edited seats as they are given their new places
+  const takenIds = new Set();
+  const takenNumbers = {};
+  const takeNumber = (seat) => {
+    const key = rowKey(seat);
+    takenNumbers[key] = takenNumbers[key] || new Set();
+    takenNumbers[key].add(Number(seat.number));
+  };
+  seats.forEach((seat, index) => {
+    if (editing.has(index)) return;
+    takenIds.add(String(seat.id));
+    takeNumber(seat);
+  });
+
+  const edited = {};
+  indices.forEach(index => {
+    const seat = seats[index];
+    const result = { ...seat };
+    if (changes.section !== undefined) result.section = String(changes.section).trim();
+    if (row) {
+      result.row = row.row;
+      delete result.rowLabel;
+      if (row.rowLabel) result.rowLabel = row.rowLabel;
+    }
+    if (changes.number !== undefined) {
+      result.number = Number(changes.number);
+    } else if (relabelled && rowKey(result) !== rowKey(seat)) {
+      const numbers = takenNumbers[rowKey(result)] || new Set();
+      if (numbers.has(Number(result.number))) {
+        result.number = Math.max(0, ...[...numbers].filter(Number.isFinite)) + 1;
+      }
+    }
+    takeNumber(result);
+    if (changes.attributes !== undefined) result.attributes = setSeatAttributes(seat, changes.attributes).attributes;
+
+    if (changes.id !== undefined) {
+      result.id = String(changes.id).trim();
+    } else if (String(seat.id) === formatSeatId(seat)) {
+      result.id = uniqueSeatId(formatSeatId(result), takenIds);
+    }
+    takenIds.add(String(result.id));
+
+    // Per-seat price overrides go by ID, so price the seat once it has its new
+    // one. A price typed in the editor is kept when pricing rules are applied.
+    if (changes.fixedPrice === true) {
+      result.fixedPrice = true;
+    } else if (changes.fixedPrice === false) {
+      delete result.fixedPrice;
+    }
+    // Attribute modifiers in the rules depend on the attributes
+    const repriced = relabelled || changes.attributes !== undefined || changes.fixedPrice === false;
+    if (changes.price !== undefined) {
+      result.price = Number(changes.price);
+      result.fixedPrice = true;
+    } else if (repriced && !result.fixedPrice) {
+      result.price = priceSeat(result, pricingRules);
+    }
+    edited[index] = result;
+  });
+
+  return seats.map((seat, index) => edited[index] || seat);
+};
+
+/**
+ * Find the seats inside a lasso drawn on the map
+ * @param {Array} seats
+ * @param {Array<[number, number]>} polygon - Lasso as [x, z] map points
+ * @param {(seat: Object) => {x: number, z: number}} getPoint - Map position of a seat
+ * @returns {number[]} Indices of the seats inside
+ */
+export const findSeatsInPolygon = (seats, polygon, getPoint) => {
+  if (polygon.length < 3) return [];
+  return seats
+    .map((seat, index) => (pointInPolygon(getPoint(seat), polygon) ? index : -1))
+    .filter(index => index !== -1);
+};
+
+export default {
+  EDITOR_TOOLS,
+  formatSeatId,
+  parseRowInput,
+  createSeat,
+  moveSeats,
+  validateSeatChanges,
+  editSeats,
+  findSeatsInPolygon
+};
@@ -0,0 +1,191 @@
+/**
+ * Seat export
+ *
+ * Writes the current seat list back out as CSV, as a JSON array or as a venue
+ * manifest, so a layout edited in the app can be committed to public/.
+ * Coordinates are written in Three.js coordinates (y up), the same frame the
+ * manifest uses.
+ */
+import { MANIFEST_VERSION, parseVenueManifest } from './venueManifest';
+import { SEAT_STATUS } from './seatStatus';
+import { ATTRIBUTE_SEPARATOR } from './seatFileParsers';
+
+/**
+ * Formats the seat list can be exported in
+ */
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  MANIFEST: 'manifest'
+};
+
+// CSV columns, in order; the names match the columns the importer recognises
+const CSV_COLUMNS = ['id', 'section', 'row', 'rowLabel', 'number', 'price', 'status', 'x', 'y', 'z', 'attributes'];
+
+/**
+ * Reduce a seat to the fields that describe the layout, in manifest form
+ * @param {Object} seat - Seat object
+ * @returns {Object} Seat entry for a manifest or JSON export
+ */
+export const toSeatRecord = (seat) => ({
+  id: seat.id,
+  section: String(seat.section),
+  row: seat.row,
+  ...(seat.rowLabel ? { rowLabel: seat.rowLabel } : {}),
+  number: seat.number,
+  price: seat.price,
+  // Available is the default, so only other states are written out
+  ...(seat.status && seat.status !== SEAT_STATUS.AVAILABLE ? { status: seat.status } : {}),
+  coordinates: {
+    x: seat.coordinates.x,
+    y: seat.coordinates.y,
+    z: seat.coordinates.z
+  },
+  ...(seat.facing ? { facing: { x: seat.facing.x, y: seat.facing.y || 0, z: seat.facing.z } } : {}),
+  attributes: seat.attributes ? [...seat.attributes] : []
+});
+
+// Quote a CSV cell if it contains a delimiter, quote or line break
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write seats as CSV, one seat per line with a header row
+ * @param {Array} seats - Seat objects
+ * @returns {string} CSV text
+ */
+export const seatsToCsv = (seats) => {
+  const lines = seats.map(seat => {
+    const record = toSeatRecord(seat);
+    const values = {
+      ...record,
+      status: record.status || SEAT_STATUS.AVAILABLE,
+      x: record.coordinates.x,
+      y: record.coordinates.y,
+      z: record.coordinates.z,
+      attributes: record.attributes.join(ATTRIBUTE_SEPARATOR)
+    };
+    return CSV_COLUMNS.map(column => csvCell(values[column])).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+};
+
+/**
+ * Write seats as a JSON array
+ * @param {Array} seats - Seat objects
+ * @returns {string} JSON text
+ */
+export const seatsToJson = (seats) => {
+  return JSON.stringify(seats.map(toSeatRecord), null, 2) + '\n';
+};
+
+/**
+ * Build a venue manifest from the current venue settings and seats
+ * @param {Array} seats - Seat objects
+ * @param {Object} venue - The current venue settings (see resolveVenue)
+ * @param {Object|null} [pricingRules] - Pricing rules in effect, if they differ from the venue's
+ * @returns {Object} Venue manifest
+ */
+export const buildVenueManifest = (seats, venue, pricingRules = null) => {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    name: venue.name,
+    model: venue.model,
+    outline: venue.outline,
+    transforms: venue.transforms
+  };
+
+  const pricing = pricingRules || venue.pricing;
+  if (pricing) {
+    manifest.pricing = pricing;
+  }
+  if (venue.sections && venue.sections.length > 0) {
+    manifest.sections = venue.sections;
+  }
+  if (venue.frame) {
+    manifest.frame = venue.frame;
+  }
+  // A price in the manifest fixes the seat's price, so only seats with a fixed
+  // price keep theirs; the rest are priced by the rules again when loaded
+  manifest.seats = seats.map(seat => {
+    const record = toSeatRecord(seat);
+    if (!seat.fixedPrice) delete record.price;
+    return record;
+  });
+
+  return manifest;
+};
+
+/**
+ * Write seats as a venue manifest, checking it the same way the loader does
+ * so the file can be loaded again
+ * @param {Array} seats - Seat objects
+ * @param {Object} venue - The current venue settings (see resolveVenue)
+ * @param {Object|null} [pricingRules] - Pricing rules in effect
+ * @returns {{text: string, errors: Array}} Manifest JSON and any validation errors
+ */
+export const seatsToManifest = (seats, venue, pricingRules = null) => {
+  const text = JSON.stringify(buildVenueManifest(seats, venue, pricingRules), null, 2) + '\n';
+  const { errors } = parseVenueManifest(text);
+
+  return { text, errors };
+};
+
+/**
+ * Save text as a file through the browser's download prompt
+ * @param {string} text - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadTextFile = (text, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export seats in the given format and download the file
+ * @param {Array} seats - Seat objects
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} venue - The current venue settings (see resolveVenue)
+ * @param {Object|null} [pricingRules] - Pricing rules in effect
+ * @returns {{fileName: string|null, errors: Array}} The downloaded file name, or null with errors
+ */
+export const exportSeats = (seats, format, venue, pricingRules = null) => {
+  if (format === EXPORT_FORMATS.CSV) {
+    downloadTextFile(seatsToCsv(seats), 'seats.csv', 'text/csv');
+    return { fileName: 'seats.csv', errors: [] };
+  }
+
+  if (format === EXPORT_FORMATS.JSON) {
+    downloadTextFile(seatsToJson(seats), 'seats.json', 'application/json');
+    return { fileName: 'seats.json', errors: [] };
+  }
+
+  const { text, errors } = seatsToManifest(seats, venue, pricingRules);
+  if (errors.length > 0) {
+    return { fileName: null, errors };
+  }
+  downloadTextFile(text, 'venue.json', 'application/json');
+  return { fileName: 'venue.json', errors: [] };
+};
+
+export default {
+  EXPORT_FORMATS,
+  toSeatRecord,
+  seatsToCsv,
+  seatsToJson,
+  buildVenueManifest,
+  seatsToManifest,
+  downloadTextFile,
+  exportSeats
+};
@@ -0,0 +1,544 @@
+/**
+ * Parsers for seat coordinate files
+ *
+ * Venue data arrives in several formats: CSV exports from CAD tools, JSON
+ * arrays and PLY point clouds of seat centroids. Each parser turns a file
+ * into seat records - coordinates in the file's own frame plus whichever
+ * per-seat fields the file provides - and line-level errors.
+ */
+import { SEAT_STATUS } from './seatStatus';
+import { parseRowLabel } from './rowInference';
+
+/**
+ * @typedef {Object} SeatRecord
+ * @property {{x: number, y: number, z: number}} coordinates - Position in the file's frame
+ * @property {string} [id] - Seat ID from the file
+ * @property {string} [section] - Section from the file
+ * @property {number} [row] - Row number from the file
+ * @property {string} [rowLabel] - Row label from the file, when it isn't a number
+ * @property {number} [number] - Seat number from the file
+ * @property {number} [price] - Price from the file
+ * @property {string} [status] - Availability from the file
+ * @property {string[]} [attributes] - Seat attributes from the file
+ */
+
+/**
+ * File formats the importer understands
+ */
+export const SEAT_FILE_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  PLY: 'ply',
+  // Venue manifest (JSON with version and seats)
+  MANIFEST: 'manifest',
+  // <Vector (x, y, z)> lines
+  VECTOR: 'vector'
+};
+
+// File extensions accepted by the importer's file picker
+export const SEAT_FILE_EXTENSIONS = ['.csv', '.tsv', '.json', '.ply', '.txt'];
+
+/**
+ * Seat fields a file can provide, in the order they are shown in the column mapping
+ */
+export const SEAT_FIELDS = ['x', 'y', 'z', 'id', 'section', 'row', 'number', 'price', 'status', 'attributes'];
+
+/**
+ * Separator between attributes in a CSV attributes column, e.g. "aisle|companion"
+ */
+export const ATTRIBUTE_SEPARATOR = '|';
+
+// Fields every record needs
+const REQUIRED_FIELDS = ['x', 'y', 'z'];
+
+// Column names recognised for each field, compared without case or punctuation
+const FIELD_ALIASES = {
+  x: ['x', 'posx', 'positionx', 'locx', 'locationx', 'centroidx', 'xcoord', 'px'],
+  y: ['y', 'posy', 'positiony', 'locy', 'locationy', 'centroidy', 'ycoord', 'py'],
+  z: ['z', 'posz', 'positionz', 'locz', 'locationz', 'centroidz', 'zcoord', 'pz'],
+  id: ['id', 'seatid', 'name', 'label', 'seatname'],
+  section: ['section', 'sec', 'sectionname', 'block', 'area'],
+  row: ['row', 'rowname', 'rownumber', 'rowlabel', 'rowno'],
+  number: ['number', 'seat', 'seatnumber', 'seatno', 'num', 'no'],
+  price: ['price', 'cost', 'amount', 'fare'],
+  status: ['status', 'state', 'availability'],
+  attributes: ['attributes', 'attribute', 'features', 'tags']
+};
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Work out the format of a seat file from its name and contents
+ * @param {string} fileName - Name of the file
+ * @param {string} [text] - Start of the file as text
+ * @returns {string} One of SEAT_FILE_FORMATS
+ */
+export const detectSeatFileFormat = (fileName, text = '') => {
+  const extension = (fileName.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  const start = text.trimStart();
+
+  if (extension === '.ply' || start.startsWith('ply')) return SEAT_FILE_FORMATS.PLY;
+  if (extension === '.csv' || extension === '.tsv') return SEAT_FILE_FORMATS.CSV;
+  if (extension === '.json' || start.startsWith('{') || start.startsWith('[')) {
+    return /"version"\s*:/.test(start) && /"seats"\s*:/.test(start)
+      ? SEAT_FILE_FORMATS.MANIFEST
+      : SEAT_FILE_FORMATS.JSON;
+  }
+  if (start.startsWith('<Vector')) return SEAT_FILE_FORMATS.VECTOR;
+  return SEAT_FILE_FORMATS.CSV;
+};
+
+/**
+ * Turn loose field values into a seat record, collecting problems as messages
+ * @param {Object} fields - Raw values by seat field name
+ * @returns {{record: SeatRecord|null, problems: string[]}} The record, or null if it has no usable position
+ */
+const buildRecord = (fields) => {
+  const problems = [];
+
+  const coordinates = {};
+  const invalidAxes = REQUIRED_FIELDS.filter(axis => {
+    const raw = fields[axis] === undefined || fields[axis] === null ? '' : String(fields[axis]).trim();
+    coordinates[axis] = Number(raw);
+    return raw === '' || !Number.isFinite(coordinates[axis]);
+  });
+  if (invalidAxes.length > 0) {
+    return {
+      record: null,
+      problems: [`${invalidAxes.join(', ')} ${invalidAxes.length === 1 ? 'must be a number' : 'must be numbers'}`]
+    };
+  }
+
+  const record = { coordinates };
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+  if (text(fields.id)) record.id = text(fields.id);
+  if (text(fields.section)) record.section = text(fields.section);
+
+  if (text(fields.row)) {
+    const row = text(fields.row);
+    if (/^\d+$/.test(row) && Number(row) >= 1) {
+      record.row = Number(row);
+    } else if (/^[A-Za-z]+$/.test(row)) {
+      record.row = parseRowLabel(row);
+      record.rowLabel = row.toUpperCase();
+    } else {
+      problems.push(`row "${row}" is not a number or letters`);
+    }
+  }
+
+  if (text(fields.number)) {
+    const number = Number(text(fields.number));
+    if (Number.isInteger(number) && number >= 1) {
+      record.number = number;
+    } else {
+      problems.push(`seat number "${text(fields.number)}" is not a positive whole number`);
+    }
+  }
+
+  if (text(fields.price)) {
+    const price = Number(text(fields.price).replace(/^\$/, ''));
+    if (Number.isFinite(price) && price >= 0) {
+      record.price = price;
+    } else {
+      problems.push(`price "${text(fields.price)}" is not a valid price`);
+    }
+  }
+
+  if (text(fields.status)) {
+    const status = text(fields.status).toLowerCase();
+    if (Object.values(SEAT_STATUS).includes(status)) {
+      record.status = status;
+    } else {
+      problems.push(`status must be one of ${Object.values(SEAT_STATUS).join(', ')}`);
+    }
+  }
+
+  // A list in JSON, separated names in CSV
+  const attributes = Array.isArray(fields.attributes)
+    ? fields.attributes.map(text)
+    : text(fields.attributes).split(ATTRIBUTE_SEPARATOR).map(attribute => attribute.trim());
+  if (attributes.some(Boolean)) {
+    record.attributes = [...new Set(attributes.filter(Boolean))];
+  }
+
+  return { record, problems };
+};
+
+// The first row is a header when it names seat fields, or when the columns
+// read as x, y and z in a headerless file aren't numbers. Other text, such as
+// a section letter after the coordinates, doesn't make it one.
+const isHeaderRow = (cells) => {
+  const aliases = Object.values(FIELD_ALIASES).flat();
+  if (cells.some(value => aliases.includes(normalizeName(value)))) return true;
+
+  return cells
+    .slice(0, REQUIRED_FIELDS.length)
+    .some(value => value.trim() !== '' && !Number.isFinite(Number(value)));
+};
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells, escaped quotes and
+ * comma, semicolon or tab delimiters.
+ * @param {string} text - CSV text
+ * @returns {{headers: string[], rows: Array<{line: number, cells: string[]}>, hasHeader: boolean}} Parsed table
+ */
+export const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  const delimiter = ['\t', ';', ','].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells: cells.map(value => value.trim()) });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  const hasHeader = rows.length > 0 && isHeaderRow(rows[0].cells);
+  const width = Math.max(0, ...rows.map(row => row.cells.length));
+  const headers = hasHeader
+    ? rows[0].cells
+    : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+
+  return { headers, rows: hasHeader ? rows.slice(1) : rows, hasHeader };
+};
+
+/**
+ * Guess which CSV column holds each seat field from the column names
+ * @param {string[]} headers - Column names
+ * @param {boolean} [hasHeader] - Whether the names came from the file
+ * @returns {Object<string, number|null>} Column index for each seat field
+ */
+export const guessColumnMapping = (headers, hasHeader = true) => {
+  const mapping = {};
+  SEAT_FIELDS.forEach(field => {
+    mapping[field] = null;
+  });
+
+  // Without a header, assume the first three columns are x, y and z
+  if (!hasHeader) {
+    REQUIRED_FIELDS.forEach((field, index) => {
+      mapping[field] = index < headers.length ? index : null;
+    });
+    return mapping;
+  }
+
+  const normalized = headers.map(normalizeName);
+  SEAT_FIELDS.forEach(field => {
+    const index = normalized.findIndex((name, i) => (
+      FIELD_ALIASES[field].includes(name) && !Object.values(mapping).includes(i)
+    ));
+    mapping[field] = index === -1 ? null : index;
+  });
+
+  return mapping;
+};
+
+/**
+ * Build seat records from parsed CSV rows using a column mapping
+ * @param {{rows: Array<{line: number, cells: string[]}>}} table - Parsed CSV
+ * @param {Object<string, number|null>} mapping - Column index for each seat field
+ * @returns {{records: SeatRecord[], errors: Array<{line: number, message: string}>}} Records and errors
+ */
+export const recordsFromCsv = (table, mapping) => {
+  const missing = REQUIRED_FIELDS.filter(field => mapping[field] === null || mapping[field] === undefined);
+  if (missing.length > 0) {
+    return {
+      records: [],
+      errors: [{ message: `Choose the column for ${missing.join(', ')}` }]
+    };
+  }
+
+  const records = [];
+  const errors = [];
+
+  table.rows.forEach(({ line, cells }) => {
+    const fields = {};
+    SEAT_FIELDS.forEach(field => {
+      if (mapping[field] !== null && mapping[field] !== undefined) {
+        fields[field] = cells[mapping[field]];
+      }
+    });
+
+    const { record, problems } = buildRecord(fields);
+    problems.forEach(message => errors.push({ line, message }));
+    if (record) {
+      records.push(record);
+    }
+  });
+
+  return { records, errors };
+};
+
+// Find a field's value on a JSON object, accepting any of its aliases
+const jsonField = (item, field) => {
+  const key = Object.keys(item).find(name => FIELD_ALIASES[field].includes(normalizeName(name)));
+  return key === undefined ? undefined : item[key];
+};
+
+/**
+ * Build seat records from a JSON array. Items can be [x, y, z] arrays,
+ * objects with x, y and z, or objects with a coordinates (or position)
+ * object, plus any seat fields. An object with a seats array is also accepted.
+ * @param {string} text - JSON text
+ * @returns {{records: SeatRecord[], errors: Array<{path?: string, message: string}>}} Records and errors
+ */
+export const recordsFromJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { records: [], errors: [{ message: `Invalid JSON: ${error.message}` }] };
+  }
+
+  const items = Array.isArray(data) ? data : data && Array.isArray(data.seats) ? data.seats : null;
+  if (!items) {
+    return { records: [], errors: [{ message: 'Expected an array of seats, or an object with a seats array' }] };
+  }
+
+  const records = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    let fields;
+    if (Array.isArray(item)) {
+      fields = { x: item[0], y: item[1], z: item[2] };
+    } else if (item && typeof item === 'object') {
+      const position = item.coordinates || item.position || item;
+      fields = {};
+      SEAT_FIELDS.forEach(field => {
+        const source = REQUIRED_FIELDS.includes(field) ? position : item;
+        fields[field] = jsonField(source, field);
+      });
+    } else {
+      errors.push({ path: `[${index}]`, message: 'must be an object or an [x, y, z] array' });
+      return;
+    }
+
+    const { record, problems } = buildRecord(fields);
+    problems.forEach(message => errors.push({ path: `[${index}]`, message }));
+    if (record) {
+      records.push(record);
+    }
+  });
+
+  return { records, errors };
+};
+
+// Byte sizes and DataView readers for PLY scalar types
+const PLY_TYPES = {
+  char: { size: 1, read: 'getInt8' },
+  int8: { size: 1, read: 'getInt8' },
+  uchar: { size: 1, read: 'getUint8' },
+  uint8: { size: 1, read: 'getUint8' },
+  short: { size: 2, read: 'getInt16' },
+  int16: { size: 2, read: 'getInt16' },
+  ushort: { size: 2, read: 'getUint16' },
+  uint16: { size: 2, read: 'getUint16' },
+  int: { size: 4, read: 'getInt32' },
+  int32: { size: 4, read: 'getInt32' },
+  uint: { size: 4, read: 'getUint32' },
+  uint32: { size: 4, read: 'getUint32' },
+  float: { size: 4, read: 'getFloat32' },
+  float32: { size: 4, read: 'getFloat32' },
+  double: { size: 8, read: 'getFloat64' },
+  float64: { size: 8, read: 'getFloat64' }
+};
+
+/**
+ * Parse the header of a PLY file
+ * @param {string} headerText - Text up to and including end_header
+ * @returns {{format: string, elements: Array<{name: string, count: number, properties: Array}>}} Header
+ */
+const parsePlyHeader = (headerText) => {
+  const header = { format: null, elements: [] };
+
+  headerText.split(/\r?\n/).forEach(line => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'format') {
+      header.format = parts[1];
+    } else if (parts[0] === 'element') {
+      header.elements.push({ name: parts[1], count: Number(parts[2]), properties: [] });
+    } else if (parts[0] === 'property' && header.elements.length > 0) {
+      const element = header.elements[header.elements.length - 1];
+      element.properties.push(parts[1] === 'list'
+        ? { name: parts[4], list: true, countType: parts[2], type: parts[3] }
+        : { name: parts[2], type: parts[1] });
+    }
+  });
+
+  return header;
+};
+
+/**
+ * Build seat records from a PLY point cloud of seat centroids. Reads the x, y
+ * and z of every vertex, and section, row, number (or seat) and price when the
+ * vertices have those properties. ASCII and binary files are supported.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{records: SeatRecord[], errors: Array<{line?: number, message: string}>}} Records and errors
+ */
+export const recordsFromPly = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const marker = 'end_header';
+  const decoder = new TextDecoder();
+
+  // The header is ASCII; look for its end in the first few kilobytes
+  const headerSearch = decoder.decode(bytes.subarray(0, Math.min(bytes.length, 64 * 1024)));
+  const markerIndex = headerSearch.indexOf(marker);
+  if (!headerSearch.startsWith('ply') || markerIndex === -1) {
+    return { records: [], errors: [{ message: 'Not a PLY file: missing ply header' }] };
+  }
+
+  let bodyStart = markerIndex + marker.length;
+  if (headerSearch[bodyStart] === '\r') bodyStart++;
+  if (headerSearch[bodyStart] === '\n') bodyStart++;
+  // The header is ASCII, so character offsets are byte offsets
+  const header = parsePlyHeader(headerSearch.slice(0, bodyStart));
+  const headerLines = headerSearch.slice(0, bodyStart).split('\n').length - 1;
+
+  const vertexIndex = header.elements.findIndex(element => element.name === 'vertex');
+  if (vertexIndex === -1) {
+    return { records: [], errors: [{ message: 'PLY file has no vertex element' }] };
+  }
+  const vertex = header.elements[vertexIndex];
+  const missing = REQUIRED_FIELDS.filter(axis => !vertex.properties.some(property => property.name === axis));
+  if (missing.length > 0) {
+    return { records: [], errors: [{ message: `PLY vertices have no ${missing.join(', ')} property` }] };
+  }
+
+  // Seat fields can come from vertex properties with matching names
+  const propertyField = (name) => SEAT_FIELDS.find(field => FIELD_ALIASES[field].includes(normalizeName(name)));
+
+  const records = [];
+  const errors = [];
+  const addVertex = (values, line) => {
+    const fields = {};
+    vertex.properties.forEach((property, i) => {
+      const field = propertyField(property.name);
+      if (field && field !== 'status' && field !== 'id') {
+        fields[field] = values[i];
+      }
+    });
+    const { record, problems } = buildRecord(fields);
+    problems.forEach(message => errors.push(line ? { line, message } : { message }));
+    if (record) {
+      records.push(record);
+    }
+  };
+
+  if (header.format === 'ascii') {
+    const lines = decoder.decode(bytes.subarray(bodyStart)).split(/\r?\n/);
+    let lineIndex = 0;
+
+    for (let e = 0; e < vertexIndex; e++) {
+      lineIndex += header.elements[e].count;
+    }
+    for (let v = 0; v < vertex.count; v++, lineIndex++) {
+      const line = lines[lineIndex];
+      if (line === undefined) {
+        errors.push({ message: `PLY file ends after ${v} of ${vertex.count} vertices` });
+        break;
+      }
+      addVertex(line.trim().split(/\s+/).map(Number), headerLines + lineIndex + 1);
+    }
+    return { records, errors };
+  }
+
+  if (header.format !== 'binary_little_endian' && header.format !== 'binary_big_endian') {
+    return { records: [], errors: [{ message: `Unsupported PLY format: ${header.format}` }] };
+  }
+
+  const littleEndian = header.format === 'binary_little_endian';
+  const view = new DataView(buffer, bodyStart);
+  let offset = 0;
+
+  const readScalar = (type) => {
+    const spec = PLY_TYPES[type];
+    if (!spec) throw new Error(`Unsupported PLY property type: ${type}`);
+    const value = view[spec.read](offset, littleEndian);
+    offset += spec.size;
+    return value;
+  };
+
+  const readElement = (element) => element.properties.map(property => {
+    if (!property.list) return readScalar(property.type);
+    const count = readScalar(property.countType);
+    const items = [];
+    for (let i = 0; i < count; i++) {
+      items.push(readScalar(property.type));
+    }
+    return items;
+  });
+
+  try {
+    // Skip any elements stored before the vertices
+    for (let e = 0; e < vertexIndex; e++) {
+      for (let i = 0; i < header.elements[e].count; i++) {
+        readElement(header.elements[e]);
+      }
+    }
+    for (let v = 0; v < vertex.count; v++) {
+      addVertex(readElement(vertex));
+    }
+  } catch (error) {
+    errors.push({
+      message: error instanceof RangeError
+        ? `PLY file ends after ${records.length} of ${vertex.count} vertices`
+        : error.message
+    });
+  }
+
+  return { records, errors };
+};
+
+export default {
+  SEAT_FILE_FORMATS,
+  detectSeatFileFormat,
+  parseCsv,
+  guessColumnMapping,
+  recordsFromCsv,
+  recordsFromJson,
+  recordsFromPly
+};
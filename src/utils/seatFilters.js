@@ -0,0 +1,112 @@
+/**
+ * Seat filters
+ *
+ * Narrows the seat map down by price, section, attributes and availability.
+ * Seats that don't match stay on the map, dimmed, so buyers keep their
+ * bearings in the venue.
+ */
+import { isSeatAvailable } from './seatStatus';
+import { matchesAttributeFilters } from './seatAttributes';
+
+/**
+ * Which seats the availability filter shows
+ */
+export const AVAILABILITY_FILTERS = {
+  ALL: 'all',
+  AVAILABLE: 'available'
+};
+
+/**
+ * @typedef {Object} SeatFilters
+ * @property {number|null} minPrice - Lowest price shown, or null for no limit
+ * @property {number|null} maxPrice - Highest price shown, or null for no limit
+ * @property {string[]} sections - Sections shown; empty shows every section
+ * @property {string[]} attributes - Attributes whose filters are on (see SEAT_ATTRIBUTE_STYLES)
+ * @property {string} availability - One of the AVAILABILITY_FILTERS values
+ * @property {number|null} minViewScore - Lowest view score shown, or null for no limit
+ */
+
+/**
+ * Filters that match every seat
+ * @type {SeatFilters}
+ */
+export const DEFAULT_SEAT_FILTERS = {
+  minPrice: null,
+  maxPrice: null,
+  sections: [],
+  attributes: [],
+  availability: AVAILABILITY_FILTERS.ALL,
+  minViewScore: null
+};
+
+/**
+ * Lowest and highest seat price, for the price slider
+ * @param {Array} seats
+ * @returns {{min: number, max: number}} Whole-number bounds of the prices
+ */
+export const getPriceRange = (seats) => {
+  const prices = seats.map(seat => Number(seat.price)).filter(price => Number.isFinite(price));
+  if (prices.length === 0) return { min: 0, max: 0 };
+  return {
+    min: Math.floor(Math.min(...prices)),
+    max: Math.ceil(Math.max(...prices))
+  };
+};
+
+/**
+ * Check whether a seat matches the filters
+ * @param {Object} seat - Seat object
+ * @param {SeatFilters} filters
+ * @param {{score: number}} [viewScore] - The seat's view score (see useViewScores)
+ * @returns {boolean} True if the seat matches
+ */
+export const matchesSeatFilters = (seat, filters, viewScore = null) => {
+  const price = Number(seat.price);
+  if (filters.minPrice !== null && !(price >= filters.minPrice)) return false;
+  if (filters.maxPrice !== null && !(price <= filters.maxPrice)) return false;
+  if (filters.sections.length > 0 && !filters.sections.includes(String(seat.section))) return false;
+  if (filters.availability === AVAILABILITY_FILTERS.AVAILABLE && !isSeatAvailable(seat)) return false;
+  if (filters.minViewScore !== null && viewScore && viewScore.score < filters.minViewScore) return false;
+  return matchesAttributeFilters(seat, filters.attributes);
+};
+
+/**
+ * Check whether any filter is narrowing the seats down
+ * @param {SeatFilters} filters
+ * @returns {boolean} True if some seats may be filtered out
+ */
+export const hasActiveFilters = (filters) => (
+  filters.minPrice !== null ||
+  filters.maxPrice !== null ||
+  filters.sections.length > 0 ||
+  filters.attributes.length > 0 ||
+  filters.availability !== AVAILABILITY_FILTERS.ALL ||
+  filters.minViewScore !== null
+);
+
+// Seat IDs are compared without case or spaces, so "b3 - 4" finds B3-4
+const normalizeSeatId = (id) => String(id).toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Find a seat by the ID typed into the search box
+ * @param {Array} seats
+ * @param {string} query - Seat ID, such as "B3-4"
+ * @returns {number} Index of the seat, or -1 if there is none
+ */
+export const findSeatById = (seats, query) => {
+  const wanted = normalizeSeatId(query);
+  if (!wanted) return -1;
+
+  const exact = seats.findIndex(seat => String(seat.id) === String(query).trim());
+  if (exact !== -1) return exact;
+  return seats.findIndex(seat => normalizeSeatId(seat.id) === wanted);
+};
+
+export default {
+  AVAILABILITY_FILTERS,
+  DEFAULT_SEAT_FILTERS,
+  getPriceRange,
+  matchesSeatFilters,
+  hasActiveFilters,
+  findSeatById
+};
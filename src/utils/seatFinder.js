@@ -0,0 +1,194 @@
+/**
+ * Best-available seat finder
+ *
+ * Finds blocks of adjacent available seats in the same row, so groups don't
+ * have to pick neighbouring seats by hand.
+ */
+import { isSeatAvailable } from './seatStatus';
+import { checkCompanionSeats } from './seatAttributes';
+
+// Neighbouring seats further apart than this many times the usual seat
+// spacing in their row are treated as not adjacent (an aisle or a gap)
+const MAX_GAP_FACTOR = 1.6;
+
+/**
+ * @typedef {Object} SeatBlock
+ * @property {Array} seats - Seats in the block, ordered by seat number
+ * @property {string} section - Section of the block
+ * @property {number} row - Row of the block
+ * @property {number} totalPrice - Combined price of the seats
+ */
+
+/**
+ * @typedef {Object} SeatSearch
+ * @property {number} quantity - Number of seats wanted
+ * @property {number} [maxPrice] - Highest price per seat, if any
+ * @property {string[]} [sections] - Preferred sections, most preferred first.
+ *   When given, only these sections are searched.
+ * @property {string} [sortBy] - One of the BLOCK_SORT_ORDERS values
+ * @property {Object<string, {score: number}>} [viewScores] - View scores by seat ID, for sorting by view
+ */
+
+/**
+ * Orders the finder can rank blocks in. Preferred sections always come first.
+ */
+export const BLOCK_SORT_ORDERS = {
+  // Rows closer to the action, then blocks nearer the middle of the row
+  POSITION: 'position',
+  // Blocks with the best average view score
+  VIEW: 'view',
+  // Cheapest blocks
+  PRICE: 'price'
+};
+
+// Distance between two seats
+const seatDistance = (a, b) => {
+  const dx = a.coordinates.x - b.coordinates.x;
+  const dy = a.coordinates.y - b.coordinates.y;
+  const dz = a.coordinates.z - b.coordinates.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+};
+
+// Median of a list of numbers
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Group seats by section and row, each row ordered by seat number
+ * @param {Array} seats - Seat objects
+ * @returns {Array<Array>} Rows of seats
+ */
+export const groupSeatsByRow = (seats) => {
+  const rows = new Map();
+  seats.forEach(seat => {
+    const key = `${seat.section}|${seat.row}`;
+    if (!rows.has(key)) {
+      rows.set(key, []);
+    }
+    rows.get(key).push(seat);
+  });
+
+  return [...rows.values()].map(row => (
+    row.sort((a, b) => Number(a.number) - Number(b.number))
+  ));
+};
+
+/**
+ * Check whether two seats in the same row sit next to each other: their
+ * numbers must be consecutive and they must be no further apart than the
+ * usual spacing in the row
+ * @param {Object} a - Seat with the lower number
+ * @param {Object} b - Seat with the higher number
+ * @param {number} spacing - Typical distance between neighbours in the row
+ * @returns {boolean} True if the seats are adjacent
+ */
+export const areSeatsAdjacent = (a, b, spacing) => {
+  if (Number(b.number) - Number(a.number) !== 1) return false;
+  if (!spacing) return true;
+  return seatDistance(a, b) <= spacing * MAX_GAP_FACTOR;
+};
+
+/**
+ * Find every block of adjacent available seats matching a search. Blocks
+ * that couldn't be bought because of the companion seat rule are left out.
+ * @param {Array} seats - All seats, including unavailable ones
+ * @param {SeatSearch} search - What to look for
+ * @returns {SeatBlock[]} Matching blocks, best first
+ */
+export const findAvailableBlocks = (seats, {
+  quantity,
+  maxPrice = null,
+  sections = [],
+  sortBy = BLOCK_SORT_ORDERS.POSITION,
+  viewScores = {}
+}) => {
+  if (!seats || seats.length === 0 || !(quantity > 0)) return [];
+
+  const preferred = sections.map(String);
+  const blocks = [];
+
+  groupSeatsByRow(seats).forEach(row => {
+    const { section } = row[0];
+    if (preferred.length > 0 && !preferred.includes(String(section))) return;
+
+    // Usual spacing between numbered neighbours, measured over the whole row
+    // so sold seats still tell us how far apart seats normally are
+    const neighbourDistances = [];
+    for (let i = 1; i < row.length; i++) {
+      if (Number(row[i].number) - Number(row[i - 1].number) === 1) {
+        neighbourDistances.push(seatDistance(row[i - 1], row[i]));
+      }
+    }
+    const spacing = median(neighbourDistances);
+
+    const canBook = (seat) => (
+      isSeatAvailable(seat) && (maxPrice === null || Number(seat.price) <= maxPrice)
+    );
+
+    // Centre of the row, to prefer blocks in the middle over blocks on the ends
+    const rowMiddle = (Number(row[0].number) + Number(row[row.length - 1].number)) / 2;
+
+    for (let start = 0; start + quantity <= row.length; start++) {
+      const candidate = row.slice(start, start + quantity);
+      if (!candidate.every(canBook)) continue;
+      // Companion seats only sell with a wheelchair space in the same block
+      if (checkCompanionSeats(candidate)) continue;
+
+      const contiguous = candidate.every((seat, i) => (
+        i === 0 || areSeatsAdjacent(candidate[i - 1], seat, spacing)
+      ));
+      if (!contiguous) continue;
+
+      const blockMiddle = (Number(candidate[0].number) + Number(candidate[quantity - 1].number)) / 2;
+      blocks.push({
+        seats: candidate,
+        section,
+        row: candidate[0].row,
+        totalPrice: candidate.reduce((sum, seat) => sum + (Number(seat.price) || 0), 0),
+        preference: preferred.length > 0 ? preferred.indexOf(String(section)) : 0,
+        offCentre: Math.abs(blockMiddle - rowMiddle),
+        viewScore: candidate.reduce((sum, seat) => sum + (viewScores[seat.id] ? viewScores[seat.id].score : 0), 0) / quantity
+      });
+    }
+  });
+
+  // Preferred sections first, then the chosen order, then rows closer to the
+  // action, then blocks nearer the middle of the row, then the cheaper block
+  const byOrder = (a, b) => {
+    if (sortBy === BLOCK_SORT_ORDERS.VIEW) return b.viewScore - a.viewScore;
+    if (sortBy === BLOCK_SORT_ORDERS.PRICE) return a.totalPrice - b.totalPrice;
+    return 0;
+  };
+  blocks.sort((a, b) => (
+    a.preference - b.preference ||
+    byOrder(a, b) ||
+    Number(a.row) - Number(b.row) ||
+    a.offCentre - b.offCentre ||
+    a.totalPrice - b.totalPrice
+  ));
+
+  return blocks.map(({ preference, offCentre, viewScore, ...block }) => block);
+};
+
+/**
+ * Find the best block of adjacent available seats in the same row
+ * @param {Array} seats - All seats, including unavailable ones
+ * @param {SeatSearch} search - What to look for
+ * @returns {SeatBlock|null} The best block, or null if no block matches
+ */
+export const findBestAvailableBlock = (seats, search) => {
+  const blocks = findAvailableBlocks(seats, search);
+  return blocks.length > 0 ? blocks[0] : null;
+};
+
+export default {
+  BLOCK_SORT_ORDERS,
+  groupSeatsByRow,
+  areSeatsAdjacent,
+  findAvailableBlocks,
+  findBestAvailableBlock
+};
@@ -0,0 +1,241 @@
+/**
+ * Seat map heatmaps
+ *
+ * Colors seats by price, view quality, sightline C-value or how much of their
+ * section is still available, and spreads those values into a heat layer drawn under the
+ * seats. The heat layer is interpolated from the nearest seats, so it only
+ * covers the parts of the map that have seats.
+ */
+import { isSeatAvailable } from './seatStatus';
+import { DEFAULT_MIN_C_VALUE } from './sightlines';
+
+/**
+ * What the heatmap shows
+ */
+export const HEATMAP_MODES = {
+  NONE: 'none',
+  PRICE: 'price',
+  VIEW_QUALITY: 'view-quality',
+  C_VALUE: 'c-value',
+  AVAILABILITY: 'availability'
+};
+
+// Gradient from bad to good
+const RED_TO_GREEN = ['#d32f2f', '#fbc02d', '#388e3c'];
+
+/**
+ * Labels, gradient colors (from the lowest value to the highest) and value
+ * formats for each heatmap
+ */
+export const HEATMAP_STYLES = {
+  [HEATMAP_MODES.PRICE]: {
+    label: 'Price',
+    // Cheap seats are the good ones
+    colors: [...RED_TO_GREEN].reverse(),
+    format: value => `$${Math.round(value)}`
+  },
+  [HEATMAP_MODES.VIEW_QUALITY]: {
+    label: 'View Quality',
+    colors: RED_TO_GREEN,
+    format: value => `${Math.round(value)}`
+  },
+  [HEATMAP_MODES.C_VALUE]: {
+    label: 'Sightlines',
+    colors: RED_TO_GREEN,
+    format: value => `${Math.round(value)} mm`
+  },
+  [HEATMAP_MODES.AVAILABILITY]: {
+    label: 'Availability',
+    colors: RED_TO_GREEN,
+    format: value => `${Math.round(value * 100)}% left`
+  }
+};
+
+/**
+ * Default options for the heat layer
+ */
+export const DEFAULT_HEAT_LAYER_OPTIONS = {
+  // Cells along the longer side of the layer
+  resolution: 96,
+  // Seats further than this from a cell don't count towards it, in map units
+  radius: 1.5,
+  // Opacity of the layer where it has seats under it
+  opacity: 0.55
+};
+
+/**
+ * Share of the seats in each section that are still available
+ * @param {Array} seats
+ * @returns {Object<string, number>} Share from 0 to 1, by section
+ */
+export const getSectionAvailability = (seats) => {
+  const totals = {};
+  seats.forEach(seat => {
+    const section = String(seat.section);
+    totals[section] = totals[section] || { seats: 0, available: 0 };
+    totals[section].seats++;
+    if (isSeatAvailable(seat)) totals[section].available++;
+  });
+  return Object.fromEntries(
+    Object.entries(totals).map(([section, { seats: count, available }]) => [section, available / count])
+  );
+};
+
+/**
+ * Heatmap value of every seat, and the range the gradient spans
+ * @param {Array} seats
+ * @param {string} mode - One of the HEATMAP_MODES values
+ * @param {Object} [options]
+ * @param {Object<string, {score: number}>} [options.viewScores] - View scores by seat ID (see useViewScores)
+ * @param {Object<string, {cValue: number|null}>} [options.cValues] - C-values by seat ID (see calculateCValues)
+ * @param {number} [options.minCValue] - Lowest acceptable C-value, in millimeters; it sits in the middle of the gradient
+ * @returns {{values: Array<number|null>, min: number, max: number}} Values in seat order; null for seats without one
+ */
+export const getHeatmapValues = (seats, mode, { viewScores = {}, cValues = {}, minCValue = DEFAULT_MIN_C_VALUE } = {}) => {
+  if (mode === HEATMAP_MODES.PRICE) {
+    const values = seats.map(seat => {
+      const price = Number(seat.price);
+      return Number.isFinite(price) ? price : null;
+    });
+    const prices = values.filter(value => value !== null);
+    return {
+      values,
+      min: prices.length > 0 ? Math.min(...prices) : 0,
+      max: prices.length > 0 ? Math.max(...prices) : 0
+    };
+  }
+  if (mode === HEATMAP_MODES.VIEW_QUALITY) {
+    return {
+      values: seats.map(seat => (viewScores[seat.id] ? viewScores[seat.id].score : null)),
+      min: 0,
+      max: 100
+    };
+  }
+  if (mode === HEATMAP_MODES.C_VALUE) {
+    return {
+      values: seats.map(seat => (cValues[seat.id] ? cValues[seat.id].cValue : null)),
+      min: 0,
+      max: minCValue * 2
+    };
+  }
+  if (mode === HEATMAP_MODES.AVAILABILITY) {
+    const availability = getSectionAvailability(seats);
+    return {
+      values: seats.map(seat => availability[String(seat.section)]),
+      min: 0,
+      max: 1
+    };
+  }
+  return { values: seats.map(() => null), min: 0, max: 0 };
+};
+
+// [r, g, b] of a #rrggbb color
+const parseHex = (color) => [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16));
+
+/**
+ * Color of a value on a gradient
+ * @param {number} value
+ * @param {number} min - Value at the start of the gradient
+ * @param {number} max - Value at the end of the gradient
+ * @param {string[]} colors - Gradient stops as #rrggbb colors, evenly spaced
+ * @returns {[number, number, number]} Red, green and blue from 0 to 255
+ */
+export const getHeatRGB = (value, min, max, colors) => {
+  const t = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0.5;
+  const position = t * (colors.length - 1);
+  const stop = Math.min(Math.floor(position), colors.length - 2);
+  const blend = position - stop;
+  const from = parseHex(colors[stop]);
+  const to = parseHex(colors[stop + 1]);
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * blend));
+};
+
+/**
+ * Color of a value on a gradient, as a CSS color
+ * @returns {string} #rrggbb color
+ */
+export const getHeatColor = (value, min, max, colors) => (
+  `#${getHeatRGB(value, min, max, colors).map(channel => channel.toString(16).padStart(2, '0')).join('')}`
+);
+
+/**
+ * Interpolate seat values over a grid covering the seats. Each cell takes the
+ * inverse-distance weighted value of the seats within the radius, and fades
+ * out towards the edge of the radius.
+ * @param {Array<{x: number, z: number, value: number}>} points - Seat positions and values
+ * @param {{min: number, max: number, colors: string[]}} gradient
+ * @param {Object} [options] - See DEFAULT_HEAT_LAYER_OPTIONS
+ * @returns {{width: number, height: number, data: Uint8Array, bounds: {minX: number, maxX: number, minZ: number, maxZ: number}}|null}
+ *   RGBA cells, row by row from the highest z, or null without any points
+ */
+export const buildHeatLayer = (points, gradient, options = {}) => {
+  const { resolution, radius, opacity } = { ...DEFAULT_HEAT_LAYER_OPTIONS, ...options };
+  if (points.length === 0) return null;
+
+  const bounds = {
+    minX: Math.min(...points.map(point => point.x)) - radius,
+    maxX: Math.max(...points.map(point => point.x)) + radius,
+    minZ: Math.min(...points.map(point => point.z)) - radius,
+    maxZ: Math.max(...points.map(point => point.z)) + radius
+  };
+  const cellSize = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ) / resolution;
+  const width = Math.max(1, Math.round((bounds.maxX - bounds.minX) / cellSize));
+  const height = Math.max(1, Math.round((bounds.maxZ - bounds.minZ) / cellSize));
+
+  // Bucket the points so each cell only looks at the seats near it
+  const buckets = new Map();
+  const bucketKey = (bx, bz) => `${bx},${bz}`;
+  points.forEach(point => {
+    const key = bucketKey(Math.floor(point.x / radius), Math.floor(point.z / radius));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(point);
+  });
+
+  const data = new Uint8Array(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const z = bounds.maxZ - (row + 0.5) * cellSize;
+    for (let column = 0; column < width; column++) {
+      const x = bounds.minX + (column + 0.5) * cellSize;
+      const bx = Math.floor(x / radius);
+      const bz = Math.floor(z / radius);
+
+      let weightSum = 0;
+      let valueSum = 0;
+      let nearest = Infinity;
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          for (const point of buckets.get(bucketKey(bx + dx, bz + dz)) || []) {
+            const distance = Math.hypot(point.x - x, point.z - z);
+            if (distance > radius) continue;
+            nearest = Math.min(nearest, distance);
+            const weight = 1 / Math.max(distance * distance, 1e-6);
+            weightSum += weight;
+            valueSum += weight * point.value;
+          }
+        }
+      }
+      if (weightSum === 0) continue;
+
+      const [r, g, b] = getHeatRGB(valueSum / weightSum, gradient.min, gradient.max, gradient.colors);
+      const fade = Math.min(1, 2 * (1 - nearest / radius));
+      const offset = (row * width + column) * 4;
+      data[offset] = r;
+      data[offset + 1] = g;
+      data[offset + 2] = b;
+      data[offset + 3] = Math.round(255 * opacity * fade);
+    }
+  }
+
+  return { width, height, data, bounds };
+};
+
+export default {
+  HEATMAP_MODES,
+  HEATMAP_STYLES,
+  DEFAULT_HEAT_LAYER_OPTIONS,
+  getSectionAvailability,
+  getHeatmapValues,
+  getHeatRGB,
+  getHeatColor,
+  buildHeatLayer
+};
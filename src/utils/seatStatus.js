@@ -0,0 +1,75 @@
+/**
+ * Seat availability states and helpers
+ */
+
+/**
+ * Availability states a seat can be in
+ */
+export const SEAT_STATUS = {
+  AVAILABLE: 'available',
+  HELD: 'held',
+  SOLD: 'sold',
+  BLOCKED: 'blocked'
+};
+
+/**
+ * Map colors, legend labels and purchase messages for each availability state
+ */
+export const SEAT_STATUS_STYLES = {
+  [SEAT_STATUS.AVAILABLE]: {
+    color: '#0d47a1',
+    label: 'Available Seat',
+    message: null
+  },
+  [SEAT_STATUS.HELD]: {
+    color: '#ffa000',
+    label: 'Held',
+    message: 'This seat is being held by another buyer.'
+  },
+  [SEAT_STATUS.SOLD]: {
+    color: '#9e9e9e',
+    label: 'Sold',
+    message: 'This seat has already been sold.'
+  },
+  [SEAT_STATUS.BLOCKED]: {
+    color: '#424242',
+    label: 'Blocked',
+    message: 'This seat is not on sale for this event.'
+  }
+};
+
+/**
+ * Get the availability state of a seat. Seats without a status are available.
+ * @param {Object} seat - Seat object
+ * @returns {string} One of the SEAT_STATUS values
+ */
+export const getSeatStatus = (seat) => {
+  return (seat && seat.status) || SEAT_STATUS.AVAILABLE;
+};
+
+/**
+ * Check whether a seat can be selected and purchased
+ * @param {Object} seat - Seat object
+ * @returns {boolean} True if the seat is available
+ */
+export const isSeatAvailable = (seat) => {
+  return getSeatStatus(seat) === SEAT_STATUS.AVAILABLE;
+};
+
+/**
+ * Explain why a seat cannot be purchased
+ * @param {Object} seat - Seat object
+ * @returns {string|null} Message for the buyer, or null if the seat is available
+ */
+export const getUnavailableReason = (seat) => {
+  const style = SEAT_STATUS_STYLES[getSeatStatus(seat)];
+  return style ? style.message : 'This seat is not available.';
+};
+
+export default {
+  SEAT_STATUS,
+  SEAT_STATUS_STYLES,
+  getSeatStatus,
+  isSeatAvailable,
+  getUnavailableReason
+};
@@ -0,0 +1,372 @@
+/**
+ * Seat coordinate validation
+ *
+ * Point dumps from a 3D model often contain the same seat twice, stray points
+ * away from the stands, and seats that end up with the same ID. This finds
+ * them so the importer can offer to merge or discard the seats before the
+ * import is applied.
+ */
+
+import { findDuplicateIds } from './seatDiff';
+
+/**
+ * Why a seat was flagged as an outlier
+ */
+export const OUTLIER_REASONS = {
+  // Far from every other seat
+  ISOLATED: 'isolated',
+  // Well above or below the seats around it at the same distance from the field
+  OFF_SURFACE: 'off-surface'
+};
+
+/**
+ * @typedef {Object} ValidationOptions
+ * @property {number|null} [duplicateTolerance] - Seats closer than this, in model
+ *   units, are near-duplicates. Defaults to a quarter of the usual seat spacing.
+ * @property {number} [outlierThreshold] - Robust z-score above which a seat is
+ *   an outlier
+ * @property {{x: number, z: number}} [center] - Centre of the field
+ */
+
+/**
+ * @type {ValidationOptions}
+ */
+export const DEFAULT_VALIDATION_OPTIONS = {
+  duplicateTolerance: null,
+  outlierThreshold: 3.5,
+  center: { x: 0, z: 0 }
+};
+
+// Fraction of the usual seat spacing used as the default duplicate tolerance
+const DUPLICATE_SPACING_FRACTION = 0.25;
+
+// Outliers must also be at least this many seat spacings out, so a very
+// regular layout with a tiny spread doesn't flag ordinary seats
+const MIN_OUTLIER_SPACINGS = 2;
+
+// Sections with fewer seats are checked against the whole venue's surface
+const MIN_SURFACE_SEATS = 8;
+
+// Scales the median absolute deviation to a standard deviation
+const MAD_SCALE = 0.6745;
+
+const MIN_TOLERANCE = 1e-6;
+
+const distance3 = (a, b) => Math.hypot(
+  a.coordinates.x - b.coordinates.x,
+  a.coordinates.y - b.coordinates.y,
+  a.coordinates.z - b.coordinates.z
+);
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Robust z-scores, which a few extreme values can't drag around the way they
+ * do a mean and standard deviation
+ * @param {number[]} values
+ * @returns {number[]} Score for each value
+ */
+const robustScores = (values) => {
+  const middle = median(values);
+  const deviation = median(values.map(value => Math.abs(value - middle)));
+  if (deviation < MIN_TOLERANCE) {
+    return values.map(value => (Math.abs(value - middle) < MIN_TOLERANCE ? 0 : Infinity));
+  }
+  return values.map(value => MAD_SCALE * Math.abs(value - middle) / deviation);
+};
+
+/**
+ * Call back with every pair of seats closer than a distance. Seats are swept
+ * in x order, so only seats within the distance along x are compared.
+ * @param {Array} seats
+ * @param {number} maxDistance
+ * @param {(i: number, j: number, distance: number) => void} callback
+ */
+const forEachClosePair = (seats, maxDistance, callback) => {
+  const order = seats.map((_, i) => i).sort((a, b) => seats[a].coordinates.x - seats[b].coordinates.x);
+
+  for (let a = 0; a < order.length; a++) {
+    const i = order[a];
+    for (let b = a + 1; b < order.length; b++) {
+      const j = order[b];
+      if (seats[j].coordinates.x - seats[i].coordinates.x > maxDistance) break;
+      const distance = distance3(seats[i], seats[j]);
+      if (distance <= maxDistance) {
+        callback(i, j, distance);
+      }
+    }
+  }
+};
+
+/**
+ * Distance from each seat to its nearest neighbour
+ * @param {Array} seats
+ * @returns {number[]} Distance for each seat, Infinity when there is only one seat
+ */
+export const nearestNeighbourDistances = (seats) => {
+  const order = seats.map((_, i) => i).sort((a, b) => seats[a].coordinates.x - seats[b].coordinates.x);
+  const nearest = seats.map(() => Infinity);
+
+  for (let a = 0; a < order.length; a++) {
+    const i = order[a];
+    // Search outwards along x until the gap alone exceeds the best distance
+    for (let b = a + 1; b < order.length; b++) {
+      const j = order[b];
+      if (seats[j].coordinates.x - seats[i].coordinates.x > nearest[i]) break;
+      nearest[i] = Math.min(nearest[i], distance3(seats[i], seats[j]));
+    }
+    for (let b = a - 1; b >= 0; b--) {
+      const j = order[b];
+      if (seats[i].coordinates.x - seats[j].coordinates.x > nearest[i]) break;
+      nearest[i] = Math.min(nearest[i], distance3(seats[i], seats[j]));
+    }
+  }
+
+  return nearest;
+};
+
+/**
+ * Group seats that are nearly on top of each other
+ * @param {Array} seats
+ * @param {number} tolerance - Largest distance between seats of a group, in model units
+ * @returns {Array<{indices: number[], spread: number}>} Groups of two or more
+ *   seat indices, with the largest distance found between two of them
+ */
+export const findNearDuplicates = (seats, tolerance) => {
+  // Union-find over seats within tolerance of each other
+  const parent = seats.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const spreads = new Map();
+  forEachClosePair(seats, Math.max(tolerance, MIN_TOLERANCE), (i, j, distance) => {
+    const rootI = find(i);
+    const rootJ = find(j);
+    const spread = Math.max(distance, spreads.get(rootI) || 0, spreads.get(rootJ) || 0);
+    parent[rootI] = rootJ;
+    spreads.set(rootJ, spread);
+  });
+
+  const groups = new Map();
+  seats.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(i);
+  });
+
+  return [...groups.entries()]
+    .filter(([, indices]) => indices.length > 1)
+    .map(([root, indices]) => ({ indices, spread: spreads.get(root) || 0 }));
+};
+
+/**
+ * Fit a seat's height as a straight line of its distance from the field
+ * @param {Array<{radius: number, height: number}>} points
+ * @returns {(radius: number) => number} Fitted height at a distance
+ */
+const fitSurface = (points) => {
+  const count = points.length;
+  const meanRadius = points.reduce((sum, point) => sum + point.radius, 0) / count;
+  const meanHeight = points.reduce((sum, point) => sum + point.height, 0) / count;
+  const covariance = points.reduce((sum, point) => sum + (point.radius - meanRadius) * (point.height - meanHeight), 0);
+  const variance = points.reduce((sum, point) => sum + (point.radius - meanRadius) ** 2, 0);
+  const slope = variance > MIN_TOLERANCE ? covariance / variance : 0;
+  return radius => meanHeight + slope * (radius - meanRadius);
+};
+
+/**
+ * Find seats far from the rest of the seating: seats with no neighbour
+ * nearby, and seats well off the rake of their section
+ * @param {Array} seats
+ * @param {ValidationOptions} [options]
+ * @returns {Array<{index: number, reason: string, distance: number}>} Outlying seat
+ *   indices, why they were flagged and how far out they are, in model units
+ */
+export const findOutliers = (seats, options = {}) => {
+  const { outlierThreshold, center } = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+  if (seats.length < 3) return [];
+
+  const nearest = nearestNeighbourDistances(seats);
+  const spacing = median(nearest);
+  const minDistance = spacing * MIN_OUTLIER_SPACINGS;
+  const outliers = new Map();
+
+  const isolationScores = robustScores(nearest);
+  nearest.forEach((distance, index) => {
+    if (isolationScores[index] > outlierThreshold && distance > minDistance) {
+      outliers.set(index, { index, reason: OUTLIER_REASONS.ISOLATED, distance });
+    }
+  });
+
+  // Compare each seat's height with the rake of its section, fitted without
+  // the isolated seats so they can't tilt it
+  const points = seats.map((seat, index) => ({
+    index,
+    section: String(seat.section),
+    radius: Math.hypot(seat.coordinates.x - center.x, seat.coordinates.z - center.z),
+    height: seat.coordinates.y
+  }));
+  const fitted = points.filter(point => !outliers.has(point.index));
+  const venueSurface = fitSurface(fitted);
+  const sections = new Map();
+  points.forEach(point => {
+    if (!sections.has(point.section)) {
+      sections.set(point.section, []);
+    }
+    sections.get(point.section).push(point);
+  });
+
+  const residuals = new Array(seats.length);
+  sections.forEach(sectionPoints => {
+    const sectionFitted = sectionPoints.filter(point => !outliers.has(point.index));
+    const surface = sectionFitted.length >= MIN_SURFACE_SEATS ? fitSurface(sectionFitted) : venueSurface;
+    sectionPoints.forEach(point => {
+      residuals[point.index] = point.height - surface(point.radius);
+    });
+  });
+
+  const surfaceScores = robustScores(residuals);
+  residuals.forEach((residual, index) => {
+    if (!outliers.has(index) && surfaceScores[index] > outlierThreshold && Math.abs(residual) > minDistance) {
+      outliers.set(index, { index, reason: OUTLIER_REASONS.OFF_SURFACE, distance: Math.abs(residual) });
+    }
+  });
+
+  return [...outliers.values()].sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Find seats whose ID was already used by an earlier seat
+ * @param {Array} seats
+ * @returns {Array<{id: string, indices: number[]}>} Each duplicated ID with the
+ *   indices of every seat using it, first one first
+ */
+export const findDuplicateIdSeats = (seats) => {
+  const duplicated = new Set(findDuplicateIds(seats).map(({ id }) => id));
+  const byId = new Map();
+  seats.forEach((seat, index) => {
+    if (duplicated.has(seat.id)) {
+      if (!byId.has(seat.id)) {
+        byId.set(seat.id, []);
+      }
+      byId.get(seat.id).push(index);
+    }
+  });
+
+  return [...byId.entries()].map(([id, indices]) => ({ id, indices }));
+};
+
+/**
+ * Work out the near-duplicate tolerance for a seat list
+ * @param {Array} seats
+ * @param {number|null} [tolerance] - Tolerance to use, in model units
+ * @returns {number} The tolerance, or a quarter of the usual seat spacing
+ */
+export const resolveDuplicateTolerance = (seats, tolerance = null) => {
+  if (tolerance !== null && tolerance !== undefined) return tolerance;
+  // Points on top of each other would make the usual spacing look like zero
+  const spacing = median(nearestNeighbourDistances(seats).filter(distance => (
+    distance > MIN_TOLERANCE && Number.isFinite(distance)
+  )));
+  return spacing * DUPLICATE_SPACING_FRACTION;
+};
+
+/**
+ * @typedef {Object} SeatValidation
+ * @property {Array<{indices: number[], spread: number}>} nearDuplicates
+ * @property {Array<{index: number, reason: string, distance: number}>} outliers
+ * @property {Array<{id: string, indices: number[]}>} duplicateIds
+ * @property {number} tolerance - Near-duplicate tolerance used, in model units
+ */
+
+/**
+ * Check a seat list for near-duplicate seats, outliers and duplicate IDs
+ * @param {Array} seats
+ * @param {ValidationOptions} [options]
+ * @returns {SeatValidation} Problems found
+ */
+export const validateSeats = (seats, options = {}) => {
+  const settings = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+  const tolerance = resolveDuplicateTolerance(seats, settings.duplicateTolerance);
+
+  return {
+    nearDuplicates: findNearDuplicates(seats, tolerance),
+    outliers: findOutliers(seats, settings),
+    duplicateIds: findDuplicateIdSeats(seats),
+    tolerance
+  };
+};
+
+/**
+ * Check whether validation found any problems
+ * @param {SeatValidation} validation
+ * @returns {boolean} True if there is nothing to fix
+ */
+export const isValidSeatList = (validation) => (
+  validation.nearDuplicates.length === 0 &&
+  validation.outliers.length === 0 &&
+  validation.duplicateIds.length === 0
+);
+
+/**
+ * Replace each group of near-duplicate seats with one seat at their average
+ * position. The first seat of a group keeps its place, ID, row and price.
+ * @param {Array} seats
+ * @param {Array<{indices: number[]}>} groups - Groups from findNearDuplicates
+ * @returns {Array} Seats with each group merged
+ */
+export const mergeSeatGroups = (seats, groups) => {
+  const merged = new Map();
+  const dropped = new Set();
+
+  groups.forEach(({ indices }) => {
+    const [first, ...rest] = indices;
+    const average = axis => indices.reduce((sum, i) => sum + seats[i].coordinates[axis], 0) / indices.length;
+    merged.set(first, {
+      ...seats[first],
+      coordinates: { x: average('x'), y: average('y'), z: average('z') }
+    });
+    rest.forEach(i => dropped.add(i));
+  });
+
+  return seats
+    .map((seat, i) => merged.get(i) || seat)
+    .filter((_, i) => !dropped.has(i));
+};
+
+/**
+ * Remove seats from a list
+ * @param {Array} seats
+ * @param {number[]} indices - Indices of the seats to remove
+ * @returns {Array} The remaining seats
+ */
+export const discardSeats = (seats, indices) => {
+  const discarded = new Set(indices);
+  return seats.filter((_, i) => !discarded.has(i));
+};
+
+export default {
+  OUTLIER_REASONS,
+  DEFAULT_VALIDATION_OPTIONS,
+  nearestNeighbourDistances,
+  findNearDuplicates,
+  findOutliers,
+  findDuplicateIdSeats,
+  resolveDuplicateTolerance,
+  validateSeats,
+  isValidSeatList,
+  mergeSeatGroups,
+  discardSeats
+};
@@ -0,0 +1,171 @@
+/**
+ * Seat viewpoints
+ *
+ * Where the seat views put the camera and which way they point it. Seat
+ * coordinates are a seated spectator's eyes; the eye height presets raise or
+ * lower that for standing spectators and wheelchair users. The view looks the
+ * way the seat faces: its own facing if it has one, or else down the slope of
+ * the stand it sits in.
+ */
+
+import { DEFAULT_EYE_HEIGHT_M, metersToModelUnits, modelToWorld } from './coordinateFrame';
+import { isWheelchairSpace } from './seatAttributes';
+
+/**
+ * Eye heights above the floor of a row, in meters
+ */
+export const EYE_HEIGHT_PRESETS = {
+  seated: DEFAULT_EYE_HEIGHT_M,
+  standing: 1.6,
+  wheelchair: 1.1
+};
+
+export const DEFAULT_EYE_HEIGHT_PRESET = 'seated';
+
+// Seats around a seat used to find the slope of its stand
+const SLOPE_NEIGHBOURS = 12;
+
+// Stands flatter than this (rise per unit of run) don't give a direction
+const MIN_SLOPE = 0.05;
+
+// Steepest the initial view looks down, in radians
+const MAX_VIEW_PITCH = Math.PI / 4;
+
+/**
+ * Eye height preset to start a seat's view with
+ * @param {Object} seat
+ * @returns {string} "wheelchair" for wheelchair spaces, else the default preset
+ */
+export const getDefaultEyeHeightPreset = (seat) => (
+  isWheelchairSpace(seat) ? 'wheelchair' : DEFAULT_EYE_HEIGHT_PRESET
+);
+
+// Horizontal middle of a seat list
+const getBowlCenter = (seats) => {
+  if (seats.length === 0) return { x: 0, z: 0 };
+  const sum = seats.reduce((total, seat) => ({
+    x: total.x + seat.coordinates.x,
+    z: total.z + seat.coordinates.z
+  }), { x: 0, z: 0 });
+  return { x: sum.x / seats.length, z: sum.z / seats.length };
+};
+
+// Unit vector along x and z, or null for a zero vector
+const normalizeHorizontal = (x, z) => {
+  const length = Math.hypot(x, z);
+  return length > 0 ? { x: x / length, y: 0, z: z / length } : null;
+};
+
+/**
+ * Work out which way a seat faces from the seats around it. Stands rise away
+ * from the field, so the seat faces down the slope of a plane fitted to its
+ * neighbours; on flat floors it faces the middle of the seats.
+ * @param {Object} seat
+ * @param {Array} seats - All seats of the venue
+ * @returns {{x: number, y: number, z: number}} Horizontal unit vector in the model's frame
+ */
+export const deriveSeatFacing = (seat, seats) => {
+  const { x, z } = seat.coordinates;
+  const neighbours = seats
+    .filter(other => other !== seat)
+    .map(other => ({ other, distance: Math.hypot(other.coordinates.x - x, other.coordinates.z - z) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, SLOPE_NEIGHBOURS)
+    .map(({ other }) => other.coordinates);
+  const points = [seat.coordinates, ...neighbours];
+
+  // Least-squares fit of y = a·x + b·z + c, centred on the seat
+  let sxx = 0;
+  let sxz = 0;
+  let szz = 0;
+  let sxy = 0;
+  let szy = 0;
+  const mean = points.reduce((total, point) => ({
+    x: total.x + point.x / points.length,
+    y: total.y + point.y / points.length,
+    z: total.z + point.z / points.length
+  }), { x: 0, y: 0, z: 0 });
+  points.forEach(point => {
+    const dx = point.x - mean.x;
+    const dy = point.y - mean.y;
+    const dz = point.z - mean.z;
+    sxx += dx * dx;
+    sxz += dx * dz;
+    szz += dz * dz;
+    sxy += dx * dy;
+    szy += dz * dy;
+  });
+  const determinant = sxx * szz - sxz * sxz;
+
+  if (points.length >= 3 && Math.abs(determinant) > 1e-12) {
+    const a = (sxy * szz - szy * sxz) / determinant;
+    const b = (szy * sxx - sxy * sxz) / determinant;
+    if (Math.hypot(a, b) >= MIN_SLOPE) {
+      return normalizeHorizontal(-a, -b);
+    }
+  }
+
+  const center = getBowlCenter(seats);
+  return normalizeHorizontal(center.x - x, center.z - z) || { x: 0, y: 0, z: -1 };
+};
+
+/**
+ * Which way a seat faces: its own facing if it has one, or else derived from the seats around it
+ * @param {Object} seat
+ * @param {Array} seats - All seats of the venue
+ * @returns {{x: number, y: number, z: number}} Horizontal unit vector in the model's frame
+ */
+export const getSeatFacing = (seat, seats) => {
+  if (seat.facing) {
+    const facing = normalizeHorizontal(seat.facing.x, seat.facing.z);
+    if (facing) return facing;
+  }
+  return deriveSeatFacing(seat, seats);
+};
+
+/**
+ * Camera position and look-at target for the view from a seat. The view
+ * looks the way the seat faces, tilted down towards field level at the middle
+ * of the seats.
+ * @param {Object} seat
+ * @param {Array} seats - All seats of the venue
+ * @param {Object} modelSettings - The venue's model settings
+ * @param {string} [preset] - Eye height preset (see EYE_HEIGHT_PRESETS)
+ * @returns {{position: {x: number, y: number, z: number}, target: {x: number, y: number, z: number}}} Scene positions
+ */
+export const getSeatViewpoint = (seat, seats, modelSettings, preset = DEFAULT_EYE_HEIGHT_PRESET) => {
+  const height = EYE_HEIGHT_PRESETS[preset] !== undefined ? EYE_HEIGHT_PRESETS[preset] : DEFAULT_EYE_HEIGHT_M;
+  const eye = {
+    ...seat.coordinates,
+    y: seat.coordinates.y + metersToModelUnits(height - DEFAULT_EYE_HEIGHT_M, modelSettings)
+  };
+  const facing = getSeatFacing(seat, seats);
+
+  // Field level is taken to be the floor of the lowest seat
+  const fieldLevel = seats.reduce(
+    (lowest, other) => Math.min(lowest, other.coordinates.y),
+    seat.coordinates.y
+  ) - metersToModelUnits(DEFAULT_EYE_HEIGHT_M, modelSettings);
+  const center = getBowlCenter(seats);
+  const distance = Math.hypot(center.x - eye.x, center.z - eye.z);
+  const pitch = distance > 0 ? Math.min(Math.atan2(eye.y - fieldLevel, distance), MAX_VIEW_PITCH) : 0;
+
+  const target = {
+    x: eye.x + facing.x * Math.cos(pitch),
+    y: eye.y - Math.sin(pitch),
+    z: eye.z + facing.z * Math.cos(pitch)
+  };
+  return {
+    position: modelToWorld(eye, modelSettings),
+    target: modelToWorld(target, modelSettings)
+  };
+};
+
+export default {
+  EYE_HEIGHT_PRESETS,
+  DEFAULT_EYE_HEIGHT_PRESET,
+  getDefaultEyeHeightPreset,
+  deriveSeatFacing,
+  getSeatFacing,
+  getSeatViewpoint
+};
@@ -0,0 +1,189 @@
+/**
+ * Venue-defined sections
+ *
+ * A venue can declare its sections in the manifest, either as a polygon or as
+ * an angular range around the centre of the venue. Both are measured in the
+ * horizontal (x, z) plane of the seat coordinates:
+ *
+ *   { "name": "101", "polygon": [[-0.5, 0.2], [-0.2, 0.2], [-0.2, 0.6]] }
+ *   { "name": "102", "angles": { "from": 30, "to": 60 }, "minDistance": 0.3 }
+ *
+ * Angles are in degrees, counter-clockwise from the +x axis, and may wrap
+ * past 360 (from 330 to 30). Sections are checked in order and the first
+ * match wins.
+ */
+
+/**
+ * @typedef {Object} SectionDefinition
+ * @property {string} name - Section name, used as the seat's section
+ * @property {Array<[number, number]>} [polygon] - Boundary as [x, z] points
+ * @property {{from: number, to: number}} [angles] - Angular range in degrees
+ * @property {number} [minDistance] - Angular sections: nearest distance from the centre
+ * @property {number} [maxDistance] - Angular sections: furthest distance from the centre
+ * @property {{x: number, z: number}} [center] - Angular sections: centre to measure from
+ */
+
+const pointSchema = {
+  type: 'array',
+  items: { type: 'number' },
+  minItems: 2,
+  maxItems: 2
+};
+
+/**
+ * JSON schema for a manifest's list of sections
+ */
+export const SECTIONS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      polygon: {
+        type: 'array',
+        items: pointSchema,
+        minItems: 3
+      },
+      angles: {
+        type: 'object',
+        required: ['from', 'to'],
+        properties: {
+          from: { type: 'number' },
+          to: { type: 'number' }
+        },
+        additionalProperties: false
+      },
+      minDistance: { type: 'number', minimum: 0 },
+      maxDistance: { type: 'number', exclusiveMinimum: 0 },
+      center: {
+        type: 'object',
+        required: ['x', 'z'],
+        properties: {
+          x: { type: 'number' },
+          z: { type: 'number' }
+        },
+        additionalProperties: false
+      }
+    },
+    // A section needs exactly one way of describing its boundary
+    oneOf: [
+      { required: ['polygon'] },
+      { required: ['angles'] }
+    ],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {{x: number, z: number}} point - Point in the horizontal plane
+ * @param {Array<[number, number]>} polygon - Polygon as [x, z] points
+ * @returns {boolean} True if the point is inside
+ */
+export const pointInPolygon = (point, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, zi] = polygon[i];
+    const [xj, zj] = polygon[j];
+
+    const crosses = (zi > point.z) !== (zj > point.z) &&
+      point.x < ((xj - xi) * (point.z - zi)) / (zj - zi) + xi;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Normalise an angle in degrees to [0, 360)
+const normalizeAngle = (degrees) => ((degrees % 360) + 360) % 360;
+
+/**
+ * Check whether a point lies inside an angular section
+ * @param {{x: number, z: number}} point - Point in the horizontal plane
+ * @param {SectionDefinition} section - Section with an angular range
+ * @returns {boolean} True if the point is inside
+ */
+export const pointInAngularRange = (point, section) => {
+  const center = section.center || { x: 0, z: 0 };
+  const dx = point.x - center.x;
+  const dz = point.z - center.z;
+
+  const distance = Math.hypot(dx, dz);
+  if (section.minDistance !== undefined && distance < section.minDistance) return false;
+  if (section.maxDistance !== undefined && distance > section.maxDistance) return false;
+
+  const angle = normalizeAngle(Math.atan2(dz, dx) * (180 / Math.PI));
+  const from = normalizeAngle(section.angles.from);
+  const to = normalizeAngle(section.angles.to);
+
+  // Ranges such as 330 -> 30 wrap around 0
+  return from <= to
+    ? angle >= from && angle <= to
+    : angle >= from || angle <= to;
+};
+
+/**
+ * Find the section a seat belongs to
+ * @param {Object} seat - Seat with coordinates
+ * @param {SectionDefinition[]} sections - Venue sections
+ * @returns {string|null} Section name, or null if the seat is outside every section
+ */
+export const findSection = (seat, sections) => {
+  if (!seat.coordinates || !sections) return null;
+  const point = { x: seat.coordinates.x, z: seat.coordinates.z };
+
+  const match = sections.find(section => (
+    section.polygon
+      ? pointInPolygon(point, section.polygon)
+      : pointInAngularRange(point, section)
+  ));
+
+  return match ? match.name : null;
+};
+
+/**
+ * Assign every seat to the venue section it lies in
+ * @param {Array} seats - Seats with coordinates
+ * @param {SectionDefinition[]} sections - Venue sections
+ * @returns {{seats: Array, unassigned: Array}} Seats with their sections set, and the
+ *   seats that fell outside every section (these keep their existing section)
+ */
+export const assignSections = (seats, sections) => {
+  const unassigned = [];
+
+  const assigned = seats.map(seat => {
+    const section = findSection(seat, sections);
+    if (!section) {
+      unassigned.push(seat);
+      return seat;
+    }
+    return { ...seat, section };
+  });
+
+  return { seats: assigned, unassigned };
+};
+
+/**
+ * Describe a seat that lies outside every section, for the import error list
+ * @param {Object} seat - The unassigned seat
+ * @returns {{seatId?: string, message: string}} Import error
+ */
+export const unassignedSeatError = (seat) => {
+  const { x, z } = seat.coordinates;
+  return {
+    seatId: seat.id,
+    message: `lies outside every section at (${x.toFixed(3)}, ${z.toFixed(3)})`
+  };
+};
+
+export default {
+  pointInPolygon,
+  pointInAngularRange,
+  findSection,
+  assignSections,
+  unassignedSeatError
+};
@@ -0,0 +1,165 @@
+/**
+ * Sightline C-values
+ *
+ * Venue designers judge a tier of seating by its C-value: how far the
+ * sightline from a spectator's eyes to the focal point on the field passes
+ * above the eyes of the spectator in the row in front. It is worked out from
+ * each row's height and distance from the focal point:
+ *
+ *   C = D (N + R) / (D + T) - R
+ *
+ * where D is the horizontal distance from the front spectator's eyes to the
+ * focal point, R their height above it, N the riser height between the two
+ * rows' eyes and T the tread depth between them. Seat coordinates are already
+ * eye positions. The focal point is the nearest point of the field's edge at
+ * field level (see getFieldLayout and getFieldBounds).
+ */
+import { DEFAULT_METERS_PER_UNIT } from './coordinateFrame';
+import { getFieldLayout, getFieldBounds } from './viewQuality';
+import { getRowLabel } from './rowInference';
+
+/**
+ * Lowest acceptable C-value, in millimeters. 60 mm lets spectators see over
+ * the heads of the row in front when they lean; 90 mm and above is good.
+ */
+export const DEFAULT_MIN_C_VALUE = 60;
+
+/**
+ * @typedef {Object} SeatCValue
+ * @property {number|null} cValue - C-value in millimeters, or null for front-row seats
+ * @property {string|null} frontSeatId - ID of the seat in front the sightline passes over
+ * @property {number} distance - Horizontal distance from the seat's eyes to the focal point, in meters
+ * @property {number} height - Height of the seat's eyes above the focal point, in meters
+ */
+
+/**
+ * @typedef {Object} RowCValue
+ * @property {string} section
+ * @property {number} row - Row number, counting outwards from the field
+ * @property {string} rowLabel - Row label for display
+ * @property {number} seatCount - Seats in the row
+ * @property {number|null} cValue - Average C-value of the row in millimeters, or null for front rows
+ * @property {number|null} lowest - Lowest C-value in the row, in millimeters
+ * @property {boolean} belowMinimum - True if the row's C-value is below the minimum
+ */
+
+// Horizontal distance between two points
+const horizontalDistance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+// Nearest point of the field's edge to a position outside the field, at field level
+const getFocalPoint = (position, field, bounds) => {
+  const across = { x: -field.axis.z, z: field.axis.x };
+  const dx = position.x - field.center.x;
+  const dz = position.z - field.center.z;
+  const along = Math.max(-bounds.halfLength, Math.min(bounds.halfLength, dx * field.axis.x + dz * field.axis.z));
+  const side = Math.max(-bounds.halfWidth, Math.min(bounds.halfWidth, dx * across.x + dz * across.z));
+  return {
+    x: field.center.x + field.axis.x * along + across.x * side,
+    y: field.level,
+    z: field.center.z + field.axis.z * along + across.z * side
+  };
+};
+
+// Key of a seat's row, unique across sections
+const rowKey = (seat) => `${seat.section}|${seat.row}`;
+
+/**
+ * Work out the C-value of every seat. The seat in front is the nearest seat
+ * of the previous row of the same section that sits closer to the focal point.
+ * @param {Array} seats - Seats in the model's frame
+ * @param {Object} modelSettings - The venue's model settings
+ * @returns {SeatCValue[]} C-values in the same order as the seats
+ */
+export const calculateCValues = (seats, modelSettings) => {
+  const field = getFieldLayout(seats, modelSettings);
+  const bounds = getFieldBounds(seats, field);
+  if (!bounds) return [];
+  const metersPerUnit = (modelSettings && modelSettings.metersPerUnit) || DEFAULT_METERS_PER_UNIT;
+
+  // Rows of each section, in order from the field outwards
+  const rows = {};
+  const sectionRows = {};
+  seats.forEach(seat => {
+    const key = rowKey(seat);
+    if (!rows[key]) {
+      rows[key] = [];
+      sectionRows[seat.section] = [...(sectionRows[seat.section] || []), Number(seat.row)];
+    }
+    rows[key].push(seat);
+  });
+  Object.values(sectionRows).forEach(rowNumbers => rowNumbers.sort((a, b) => a - b));
+
+  return seats.map(seat => {
+    const eye = seat.coordinates;
+    const focal = getFocalPoint(eye, field, bounds);
+    const distance = horizontalDistance(eye, focal);
+    const result = {
+      cValue: null,
+      frontSeatId: null,
+      distance: distance * metersPerUnit,
+      height: (eye.y - focal.y) * metersPerUnit
+    };
+
+    const rowNumbers = sectionRows[seat.section];
+    const rowIndex = rowNumbers.indexOf(Number(seat.row));
+    if (rowIndex <= 0) return result;
+
+    const front = rows[`${seat.section}|${rowNumbers[rowIndex - 1]}`]
+      .filter(candidate => horizontalDistance(candidate.coordinates, focal) < distance)
+      .reduce((nearest, candidate) => (
+        !nearest || horizontalDistance(candidate.coordinates, eye) < horizontalDistance(nearest.coordinates, eye)
+          ? candidate
+          : nearest
+      ), null);
+    if (!front) return result;
+
+    const D = horizontalDistance(front.coordinates, focal);
+    const T = distance - D;
+    const R = front.coordinates.y - focal.y;
+    const N = eye.y - front.coordinates.y;
+    const cValue = (D * (N + R)) / (D + T) - R;
+
+    return { ...result, cValue: cValue * metersPerUnit * 1000, frontSeatId: front.id };
+  });
+};
+
+/**
+ * Sum up the C-values of each row
+ * @param {Array} seats
+ * @param {SeatCValue[]} cValues - See calculateCValues
+ * @param {number} [minimum] - Lowest acceptable C-value, in millimeters
+ * @returns {RowCValue[]} Rows by section, from the field outwards
+ */
+export const getRowCValues = (seats, cValues, minimum = DEFAULT_MIN_C_VALUE) => {
+  const rows = {};
+  seats.forEach((seat, index) => {
+    const key = rowKey(seat);
+    rows[key] = rows[key] || {
+      section: String(seat.section),
+      row: Number(seat.row),
+      rowLabel: getRowLabel(seat),
+      values: [],
+      seatCount: 0
+    };
+    rows[key].seatCount++;
+    if (cValues[index] && cValues[index].cValue !== null) rows[key].values.push(cValues[index].cValue);
+  });
+
+  return Object.values(rows)
+    .map(({ values, ...row }) => {
+      const cValue = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+      return {
+        ...row,
+        cValue,
+        lowest: values.length > 0 ? Math.min(...values) : null,
+        belowMinimum: cValue !== null && cValue < minimum
+      };
+    })
+    .sort((a, b) => a.section.localeCompare(b.section, undefined, { numeric: true }) || a.row - b.row);
+};
+
+export default {
+  DEFAULT_MIN_C_VALUE,
+  calculateCValues,
+  getRowCValues
+};
@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { diffSeats, isEmptyDiff } from './seatDiff';
+
+// localStorage key the seat history is saved under
+export const SEAT_HISTORY_STORAGE_KEY = 'stadium_seat_history';
+
+// Revisions kept; older ones are dropped
+export const MAX_SEAT_REVISIONS = 20;
+
+/**
+ * @typedef {Object} SeatRevision
+ * @property {string} label - What produced the revision, e.g. "Imported seats.csv"
+ * @property {number} createdAt - Time of the revision in milliseconds since the epoch
+ * @property {Array} seats - The seat list
+ */
+
+/**
+ * Read the saved history, if there is a usable one
+ * @param {string} storageKey
+ * @returns {{revisions: SeatRevision[], index: number}|null} Saved history
+ */
+const loadHistory = (storageKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    if (saved && Array.isArray(saved.revisions) && saved.revisions.length > 0 &&
+        Number.isInteger(saved.index) && saved.index >= 0 && saved.index < saved.revisions.length) {
+      return saved;
+    }
+  } catch (e) {
+    console.error('Error loading seat history from localStorage:', e);
+  }
+  return null;
+};
+
+/**
+ * Drop the oldest revisions after the base until at most maxRevisions are left,
+ * never dropping the current one
+ * @param {SeatRevision[]} revisions
+ * @param {number} index - Index of the current revision
+ * @param {number} maxRevisions
+ * @returns {{revisions: SeatRevision[], index: number}} Trimmed history
+ */
+const trimRevisions = (revisions, index, maxRevisions) => {
+  const excess = Math.min(revisions.length - maxRevisions, index - 1);
+  if (excess <= 0) return { revisions, index };
+  return {
+    revisions: [revisions[0], ...revisions.slice(1 + excess)],
+    index: index - excess
+  };
+};
+
+// Seat lists that only differ in status (seats sold or held since) are the same layout
+const sameLayout = (seats, otherSeats) => {
+  const diff = diffSeats(seats, otherSeats);
+  const statusOnly = diff.changed.every(({ fields }) => fields.every(field => field === 'status'));
+  return seats.length === otherSeats.length && statusOnly && isEmptyDiff({ ...diff, changed: [] });
+};
+
+/**
+ * Save the history, dropping the oldest revisions if it doesn't fit
+ * @param {string} storageKey
+ * @param {{revisions: SeatRevision[], index: number}} history
+ */
+const saveHistory = (storageKey, history) => {
+  let { revisions, index } = history;
+
+  while (revisions.length > 0) {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify({ revisions, index }));
+      return;
+    } catch (e) {
+      // Most likely over the storage quota; keep at least the current revision,
+      // and the base while there are others to drop
+      if (index === 0) {
+        console.error('Error saving seat history to localStorage:', e);
+        return;
+      }
+      const dropped = index > 1 ? 1 : 0;
+      revisions = revisions.filter((_, i) => i !== dropped);
+      index--;
+    }
+  }
+};
+
+/**
+ * Custom hook that keeps the seat list with an undo/redo history of revisions,
+ * saved to localStorage so a bad import can be rolled back after a reload.
+ * The first revision is the base, the seats loaded from the venue's files; it
+ * is kept when old revisions are dropped, so it can be compared with the files
+ * on the next load.
+ * @param {Array} initialSeats - Seats to start with when there is no saved history
+ * @param {Object} [options]
+ * @param {string} [options.storageKey] - localStorage key
+ * @param {number} [options.maxRevisions] - Revisions kept
+ * @returns {Object} The current seats, the revisions and history actions
+ */
+export const useSeatHistory = (initialSeats, {
+  storageKey = SEAT_HISTORY_STORAGE_KEY,
+  maxRevisions = MAX_SEAT_REVISIONS
+} = {}) => {
+  // Whether the history was restored from an earlier session
+  const restored = useRef(false);
+  const [history, setHistory] = useState(() => {
+    const saved = loadHistory(storageKey);
+    restored.current = saved !== null;
+    return saved || {
+      revisions: [{ label: 'Default seats', createdAt: Date.now(), seats: initialSeats }],
+      index: 0
+    };
+  });
+
+  useEffect(() => {
+    saveHistory(storageKey, history);
+  }, [storageKey, history]);
+
+  /**
+   * Make a seat list the current revision. Redo history is discarded, and
+   * nothing is recorded if the seats haven't changed.
+   * @param {Array} seats - The new seat list
+   * @param {string} label - What produced it
+   */
+  const commitSeats = useCallback((seats, label) => {
+    setHistory(prev => {
+      const current = prev.revisions[prev.index];
+      if (isEmptyDiff(diffSeats(current.seats, seats)) && current.seats.length === seats.length) {
+        return prev;
+      }
+
+      const revisions = [
+        ...prev.revisions.slice(0, prev.index + 1),
+        { label, createdAt: Date.now(), seats }
+      ];
+      return trimRevisions(revisions, revisions.length - 1, maxRevisions);
+    });
+  }, [maxRevisions]);
+
+  /**
+   * Make the seats loaded from the venue's files the base revision. Without a
+   * saved history they replace the initial seats. A saved history is kept as
+   * it is, current revision and redo included; if the files have changed
+   * since, their seats become a new base behind it, taking the status of the
+   * seats from the current revision.
+   * @param {Array} seats - Seats loaded from the files
+   * @param {string} label - Where they came from
+   */
+  const seedSeats = useCallback((seats, label) => {
+    setHistory(prev => {
+      const base = { label, createdAt: Date.now(), seats };
+      if (!restored.current) {
+        return { ...prev, revisions: [base, ...prev.revisions.slice(1)] };
+      }
+      if (sameLayout(prev.revisions[0].seats, seats)) {
+        return prev;
+      }
+
+      const statuses = new Map(prev.revisions[prev.index].seats.map(seat => [seat.id, seat.status]));
+      base.seats = seats.map(seat => (
+        statuses.has(seat.id) ? { ...seat, status: statuses.get(seat.id) } : seat
+      ));
+      const revisions = [base, ...prev.revisions];
+      return trimRevisions(revisions, prev.index + 1, maxRevisions);
+    });
+  }, [maxRevisions]);
+
+  /**
+   * Change the seats of every revision without recording a new one, e.g. when
+   * seats sell, so undoing an import can't put sold seats back on sale
+   * @param {(seats: Array) => Array} updater - Returns the updated seat list
+   */
+  const updateSeats = useCallback((updater) => {
+    setHistory(prev => ({
+      ...prev,
+      revisions: prev.revisions.map(revision => ({ ...revision, seats: updater(revision.seats) }))
+    }));
+  }, []);
+
+  /**
+   * Go to a revision
+   * @param {number} index - Index into the revisions
+   */
+  const goToRevision = useCallback((index) => {
+    setHistory(prev => (
+      index >= 0 && index < prev.revisions.length ? { ...prev, index } : prev
+    ));
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory(prev => (prev.index > 0 ? { ...prev, index: prev.index - 1 } : prev));
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory(prev => (
+      prev.index < prev.revisions.length - 1 ? { ...prev, index: prev.index + 1 } : prev
+    ));
+  }, []);
+
+  return {
+    seats: history.revisions[history.index].seats,
+    revisions: history.revisions,
+    revisionIndex: history.index,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.revisions.length - 1,
+    commitSeats,
+    seedSeats,
+    updateSeats,
+    goToRevision,
+    undo,
+    redo
+  };
+};
+
+export default useSeatHistory;
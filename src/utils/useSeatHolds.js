@@ -0,0 +1,179 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getHoldStore, createHoldError, HOLD_ERRORS } from './holdStore';
+
+/**
+ * Custom hook that keeps holds on the seats in the buyer's cart.
+ * Each seat gets its own hold; all holds are released when the page is closed.
+ * @param {import('./holdStore').HoldStore} [store] - Hold store to use
+ * @returns {Object} Holds and hold errors keyed by seat ID, and hold actions
+ */
+export const useSeatHolds = (store = getHoldStore()) => {
+  const [holds, setHolds] = useState({});
+  const [holdErrors, setHoldErrors] = useState({});
+
+  // Refs so async callbacks always see the latest holds
+  const holdsRef = useRef({});
+  const requestsRef = useRef({});
+
+  const setSeatHold = (seatId, hold) => {
+    const next = { ...holdsRef.current };
+    if (hold) {
+      next[seatId] = hold;
+    } else {
+      delete next[seatId];
+    }
+    holdsRef.current = next;
+    setHolds(next);
+  };
+
+  const setSeatError = (seatId, error) => {
+    setHoldErrors(prev => {
+      const next = { ...prev };
+      if (error) {
+        next[seatId] = error;
+      } else {
+        delete next[seatId];
+      }
+      return next;
+    });
+  };
+
+  /**
+   * Release the hold on a seat, if any
+   * @param {string} seatId - The seat to release
+   */
+  const releaseHold = useCallback(async (seatId) => {
+    const current = holdsRef.current[seatId];
+    // Cancel any request still in flight for this seat
+    requestsRef.current[seatId] = (requestsRef.current[seatId] || 0) + 1;
+    setSeatHold(seatId, null);
+    setSeatError(seatId, null);
+
+    if (current) {
+      try {
+        await store.releaseHold(current.id);
+      } catch (error) {
+        console.error(`Error releasing hold on seat ${seatId}:`, error);
+      }
+    }
+  }, [store]);
+
+  /**
+   * Release every hold
+   */
+  const releaseAllHolds = useCallback(async () => {
+    const seatIds = new Set([...Object.keys(holdsRef.current), ...Object.keys(requestsRef.current)]);
+    await Promise.all([...seatIds].map(seatId => releaseHold(seatId)));
+    setHoldErrors({});
+  }, [releaseHold]);
+
+  /**
+   * Hold a seat, replacing any earlier hold on the same seat
+   * @param {Object} seat - The seat to hold
+   * @returns {Promise<Object|null>} The new hold, or null if the seat could not be held
+   */
+  const holdSeat = useCallback(async (seat) => {
+    const requestId = (requestsRef.current[seat.id] || 0) + 1;
+    requestsRef.current[seat.id] = requestId;
+    setSeatError(seat.id, null);
+
+    try {
+      const newHold = await store.placeHold(seat.id);
+
+      // The seat was released or re-held while this request was in flight
+      if (requestId !== requestsRef.current[seat.id]) {
+        store.releaseHold(newHold.id).catch(() => {});
+        return null;
+      }
+
+      setSeatHold(seat.id, newHold);
+      return newHold;
+    } catch (error) {
+      console.error(`Error holding seat ${seat.id}:`, error);
+      if (requestId === requestsRef.current[seat.id]) {
+        setSeatError(seat.id, error);
+      }
+      return null;
+    }
+  }, [store]);
+
+  /**
+   * Drop a hold once its countdown runs out
+   * @param {string} seatId - The seat whose hold expired
+   */
+  const expireHold = useCallback(async (seatId) => {
+    await releaseHold(seatId);
+    setSeatError(seatId, createHoldError(HOLD_ERRORS.HOLD_EXPIRED));
+  }, [releaseHold]);
+
+  /**
+   * Purchase the held seats. Every seat must still be held. If a purchase
+   * fails part way, the thrown error lists the receipts that went through.
+   * @param {string[]} seatIds - The seats to purchase
+   * @returns {Promise<Array<{seatId: string, purchasedAt: number}>>} Purchase receipts
+   */
+  const purchaseHolds = useCallback(async (seatIds) => {
+    const now = Date.now();
+
+    // Check every hold before buying anything
+    for (const seatId of seatIds) {
+      const hold = holdsRef.current[seatId];
+      if (!hold) {
+        throw createHoldError(HOLD_ERRORS.HOLD_NOT_FOUND, `Seat ${seatId} is not held. Please select it again.`);
+      }
+      if (hold.expiresAt <= now) {
+        expireHold(seatId);
+        throw createHoldError(HOLD_ERRORS.HOLD_EXPIRED, `Your hold on seat ${seatId} has expired. Please select it again.`);
+      }
+    }
+
+    const receipts = [];
+    for (const seatId of seatIds) {
+      try {
+        receipts.push(await store.purchase(holdsRef.current[seatId].id));
+        setSeatHold(seatId, null);
+      } catch (error) {
+        error.receipts = receipts;
+        throw error;
+      }
+    }
+
+    return receipts;
+  }, [store, expireHold]);
+
+  /**
+   * Forget every hold error
+   */
+  const clearHoldErrors = useCallback(() => {
+    setHoldErrors({});
+  }, []);
+
+  // Release all holds when the buyer leaves the page
+  useEffect(() => {
+    const releaseOnLeave = () => {
+      Object.values(holdsRef.current).forEach(hold => {
+        store.releaseHold(hold.id, { keepalive: true }).catch(() => {});
+      });
+      holdsRef.current = {};
+    };
+
+    window.addEventListener('beforeunload', releaseOnLeave);
+    return () => {
+      window.removeEventListener('beforeunload', releaseOnLeave);
+      releaseOnLeave();
+    };
+  }, [store]);
+
+  return {
+    holds,
+    holdErrors,
+    holdSeat,
+    releaseHold,
+    releaseAllHolds,
+    expireHold,
+    purchaseHolds,
+    clearHoldErrors
+  };
+};
+
+export default useSeatHolds;
@@ -0,0 +1,394 @@
+import Ajv from 'ajv';
+import { getStadiumModelPath } from './modelLoader';
+import { SEAT_STATUS } from './seatStatus';
+import { DEFAULT_PRICING_RULES, PRICING_RULES_SCHEMA, priceSeat } from './pricingEngine';
+import { SECTIONS_SCHEMA, findSection } from './sectionMapping';
+import { DEFAULT_FRAME, DEFAULT_METERS_PER_UNIT, FRAME_SCHEMA, resolveFrame } from './coordinateFrame';
+
+/**
+ * Venue manifest format and validation.
+ *
+ * A venue manifest is a JSON document that declares everything the app needs
+ * to know about a venue: the 3D model, the outline image for the map, the
+ * default map transforms, the pricing rules, the section boundaries, the
+ * frame of imported coordinates and an explicit list of seats. Seat
+ * coordinates are in the model's frame (see coordinateFrame.js).
+ */
+
+// Current manifest format version
+export const MANIFEST_VERSION = 1;
+
+// Path of the manifest loaded on startup (relative to public/)
+export const VENUE_MANIFEST_PATH = '/venue.json';
+
+const vector3Schema = {
+  type: 'object',
+  required: ['x', 'y', 'z'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    z: { type: 'number' }
+  },
+  additionalProperties: false
+};
+
+const seatSchema = {
+  type: 'object',
+  required: ['row', 'number', 'coordinates'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    // Seats without a section are placed in the venue section they lie in
+    section: { type: 'string', minLength: 1 },
+    row: { type: 'integer', minimum: 1 },
+    // Display label for the row, e.g. "C" for row 3
+    rowLabel: { type: 'string', minLength: 1 },
+    number: { type: 'integer', minimum: 1 },
+    // Fixed price for this seat; seats without one are priced by the pricing rules
+    price: { type: 'number', minimum: 0 },
+    status: { type: 'string', enum: Object.values(SEAT_STATUS) },
+    coordinates: vector3Schema,
+    // Direction the seat faces; seats without one face down the slope of their stand
+    facing: vector3Schema,
+    attributes: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      uniqueItems: true
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * JSON schema for venue manifests
+ */
+export const VENUE_MANIFEST_SCHEMA = {
+  type: 'object',
+  required: ['version', 'seats'],
+  properties: {
+    version: { type: 'integer', const: MANIFEST_VERSION },
+    name: { type: 'string' },
+    model: {
+      type: 'object',
+      required: ['path'],
+      properties: {
+        path: { type: 'string', minLength: 1 },
+        scale: { type: 'number', exclusiveMinimum: 0 },
+        position: vector3Schema,
+        // Euler rotation in degrees
+        rotation: vector3Schema,
+        // Size of one model unit in meters
+        metersPerUnit: { type: 'number', exclusiveMinimum: 0 }
+      },
+      additionalProperties: false
+    },
+    outline: {
+      type: 'object',
+      required: ['image'],
+      properties: {
+        image: { type: 'string', minLength: 1 },
+        opacity: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    },
+    transforms: {
+      type: 'object',
+      properties: {
+        scale: { type: 'number', exclusiveMinimum: 0 },
+        rotation: { type: 'number' },
+        translateX: { type: 'number' },
+        translateY: { type: 'number' }
+      },
+      additionalProperties: false
+    },
+    pricing: PRICING_RULES_SCHEMA,
+    sections: SECTIONS_SCHEMA,
+    // Frame of coordinates imported for this venue
+    frame: FRAME_SCHEMA,
+    seats: {
+      type: 'array',
+      items: seatSchema
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Venue settings used when no manifest is loaded or a field is omitted
+ */
+export const DEFAULT_VENUE = {
+  name: 'Stadium',
+  model: {
+    path: getStadiumModelPath(),
+    scale: 10,
+    position: { x: 0, y: -3, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 },
+    metersPerUnit: DEFAULT_METERS_PER_UNIT
+  },
+  outline: {
+    image: '/arena_outline.png',
+    opacity: 0.5
+  },
+  transforms: {
+    scale: 1.0,
+    rotation: 0,
+    translateX: 0,
+    translateY: 0
+  },
+  // Section boundaries; without them sections are guessed from the seat position
+  sections: [],
+  // Pricing rules; without them the default rules are used
+  pricing: null,
+  // Frame of imported coordinates
+  frame: DEFAULT_FRAME
+};
+
+const ajv = new Ajv({ allErrors: true, discriminator: true });
+const validateSchema = ajv.compile(VENUE_MANIFEST_SCHEMA);
+
+/**
+ * Convert an ajv instance path such as /seats/3/price to seats[3].price
+ * @param {string} instancePath - JSON pointer from ajv
+ * @returns {string} Readable field path
+ */
+const toFieldPath = (instancePath) => {
+  if (!instancePath) return '(root)';
+
+  return instancePath
+    .split('/')
+    .slice(1)
+    .reduce((path, part) => (
+      /^\d+$/.test(part) ? `${path}[${part}]` : (path ? `${path}.${part}` : part)
+    ), '');
+};
+
+/**
+ * Turn a single ajv error into a field-level import error
+ * @param {Object} error - ajv error object
+ * @param {Object} data - The manifest that was validated
+ * @returns {{path: string, message: string, seatId?: string}} Import error
+ */
+const toFieldError = (error, data) => {
+  let path = toFieldPath(error.instancePath);
+  let message = error.message;
+
+  if (error.keyword === 'required') {
+    path = path === '(root)' ? error.params.missingProperty : `${path}.${error.params.missingProperty}`;
+    message = 'is required';
+  } else if (error.keyword === 'additionalProperties') {
+    path = path === '(root)' ? error.params.additionalProperty : `${path}.${error.params.additionalProperty}`;
+    message = 'is not a recognised field';
+  } else if (error.keyword === 'const') {
+    message = `must be ${JSON.stringify(error.params.allowedValue)}`;
+  } else if (error.keyword === 'enum') {
+    message = `must be one of ${error.params.allowedValues.join(', ')}`;
+  }
+
+  // Point at the offending seat so the user can find it
+  const seatMatch = error.instancePath.match(/^\/seats\/(\d+)/);
+  const seat = seatMatch && Array.isArray(data?.seats) ? data.seats[Number(seatMatch[1])] : null;
+
+  return seat && seat.id ? { path, message, seatId: seat.id } : { path, message };
+};
+
+/**
+ * Validate a parsed venue manifest against the schema
+ * @param {Object} data - Parsed manifest object
+ * @returns {{valid: boolean, errors: Array}} Validation result with field-level errors
+ */
+export const validateVenueManifest = (data) => {
+  const valid = validateSchema(data);
+  if (valid) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: validateSchema.errors.map(error => toFieldError(error, data))
+  };
+};
+
+/**
+ * Find the 1-based line number of a character offset in a string
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+const lineAtOffset = (text, offset) => text.slice(0, offset).split('\n').length;
+
+/**
+ * Work out which line a JSON.parse error refers to. Browsers word these
+ * messages differently, so try the known formats in turn.
+ * @param {string} text - Source text
+ * @param {string} message - Error message from JSON.parse
+ * @returns {number|undefined} Line number, if it could be determined
+ */
+const lineOfJsonError = (text, message) => {
+  // Firefox: "... at line 4 column 2 of the JSON data"
+  const lineMatch = message.match(/line (\d+)/);
+  if (lineMatch) return Number(lineMatch[1]);
+
+  // Older V8: "... in JSON at position 30"
+  const positionMatch = message.match(/position (\d+)/);
+  if (positionMatch) return lineAtOffset(text, Number(positionMatch[1]));
+
+  // Newer V8: `Unexpected token '}', ..."eats": [\n }" is not valid JSON`. The
+  // snippet shows up to 10 characters either side of the offending token.
+  const snippetMatch = message.match(/"(\.\.\.)?([\s\S]*?)(?:\.\.\.)?" is not valid JSON/);
+  const snippetOffset = snippetMatch ? text.indexOf(snippetMatch[2]) : -1;
+  if (snippetOffset !== -1) {
+    const tokenMatch = message.match(/Unexpected token '(.)'/);
+    const tokenIndex = snippetMatch[1]
+      ? 10
+      : Math.max(tokenMatch ? snippetMatch[2].indexOf(tokenMatch[1]) : 0, 0);
+    return lineAtOffset(text, snippetOffset + tokenIndex);
+  }
+
+  // "Unexpected end of JSON input" refers to the last line
+  if (/end of (JSON|data)/i.test(message)) {
+    return text.split('\n').length;
+  }
+
+  return undefined;
+};
+
+/**
+ * Parse and validate the text of a venue manifest
+ * @param {string} text - Manifest JSON
+ * @returns {{manifest: Object|null, errors: Array}} Parsed manifest, or null with errors
+ */
+export const parseVenueManifest = (text) => {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return {
+      manifest: null,
+      errors: [{ line: lineOfJsonError(text, error.message), message: `Invalid JSON: ${error.message}` }]
+    };
+  }
+
+  const { valid, errors } = validateVenueManifest(data);
+  if (!valid) {
+    return { manifest: null, errors };
+  }
+
+  // Every seat needs a section, either its own or one of the venue's
+  const sectionErrors = [];
+  data.seats.forEach((seat, index) => {
+    if (seat.section || findSection(seat, data.sections)) return;
+    sectionErrors.push({
+      path: `seats[${index}].section`,
+      ...(seat.id ? { seatId: seat.id } : {}),
+      message: data.sections && data.sections.length > 0
+        ? `is missing and the seat lies outside every section at (${seat.coordinates.x}, ${seat.coordinates.z})`
+        : 'is required'
+    });
+  });
+
+  if (sectionErrors.length > 0) {
+    return { manifest: null, errors: sectionErrors };
+  }
+
+  // Seat IDs must be unique across the venue
+  const seen = new Map();
+  const duplicateErrors = [];
+  seatsFromManifest(data).forEach((seat, index) => {
+    if (seen.has(seat.id)) {
+      duplicateErrors.push({
+        path: `seats[${index}].id`,
+        seatId: seat.id,
+        message: `duplicates the ID of seats[${seen.get(seat.id)}]`
+      });
+    } else {
+      seen.set(seat.id, index);
+    }
+  });
+
+  if (duplicateErrors.length > 0) {
+    return { manifest: null, errors: duplicateErrors };
+  }
+
+  return { manifest: data, errors: [] };
+};
+
+/**
+ * Build seat objects from a validated manifest
+ * @param {Object} manifest - A valid venue manifest
+ * @returns {Array} Array of seat objects
+ */
+export const seatsFromManifest = (manifest) => {
+  const pricingRules = manifest.pricing || DEFAULT_PRICING_RULES;
+
+  return manifest.seats.map((seat, index) => {
+    const section = seat.section || findSection(seat, manifest.sections);
+    const built = {
+      id: seat.id || `${section}${seat.row}-${seat.number}`,
+      section,
+      row: seat.row,
+      number: seat.number,
+      price: seat.price,
+      status: seat.status || SEAT_STATUS.AVAILABLE,
+      coordinates: { ...seat.coordinates },
+      attributes: seat.attributes ? [...seat.attributes] : [],
+      // Store original index for reference
+      originalIndex: index
+    };
+
+    // A price on the seat itself wins over the pricing rules, including ones applied later
+    if (built.price === undefined) {
+      built.price = priceSeat(built, pricingRules);
+    } else {
+      built.fixedPrice = true;
+    }
+    if (seat.rowLabel) {
+      built.rowLabel = seat.rowLabel;
+    }
+    if (seat.facing) {
+      built.facing = { ...seat.facing };
+    }
+    return built;
+  });
+};
+
+/**
+ * Merge a manifest with the default venue settings
+ * @param {Object|null} manifest - A valid venue manifest, or null for the defaults
+ * @returns {Object} Venue settings with every field populated
+ */
+export const resolveVenue = (manifest) => {
+  if (!manifest) return DEFAULT_VENUE;
+
+  return {
+    name: manifest.name || DEFAULT_VENUE.name,
+    model: { ...DEFAULT_VENUE.model, ...manifest.model },
+    outline: { ...DEFAULT_VENUE.outline, ...manifest.outline },
+    transforms: { ...DEFAULT_VENUE.transforms, ...manifest.transforms },
+    sections: manifest.sections || DEFAULT_VENUE.sections,
+    pricing: manifest.pricing || DEFAULT_VENUE.pricing,
+    frame: resolveFrame(manifest.frame)
+  };
+};
+
+/**
+ * Format an import error for display
+ * @param {{line?: number, path?: string, seatId?: string, message: string}} error - Import error
+ * @returns {string} Human readable error
+ */
+export const formatImportError = (error) => {
+  const location = [
+    error.line !== undefined ? `Line ${error.line}` : null,
+    error.path,
+    error.seatId ? `(seat ${error.seatId})` : null
+  ].filter(Boolean).join(' ');
+
+  return location ? `${location}: ${error.message}` : error.message;
+};
+
+export default {
+  validateVenueManifest,
+  parseVenueManifest,
+  seatsFromManifest,
+  resolveVenue,
+  formatImportError
+};
@@ -0,0 +1,316 @@
+/**
+ * View quality
+ *
+ * Scores the view from each seat from 0 (poor) to 100 (excellent) by where
+ * the seat sits relative to the field: how far it is from the middle, how
+ * square on to the field it looks, how high above the field it is and, once
+ * the stadium model is loaded, how much of the field it can actually see.
+ * The field is taken to lie in the middle of the seats, along the long axis
+ * of the bowl, at the floor of the lowest row.
+ *
+ * Seeing the field takes a raycast per seat and field point, so the results
+ * are cached in localStorage for each model.
+ */
+import * as THREE from 'three';
+import { DEFAULT_EYE_HEIGHT_M, metersToModelUnits } from './coordinateFrame';
+import { traceSightlines } from './modelRaycast';
+
+/**
+ * How much each part of the view counts towards the score. Without a model
+ * the visibility weight is shared out among the others.
+ */
+export const VIEW_SCORE_WEIGHTS = {
+  distance: 0.3,
+  angle: 0.2,
+  elevation: 0.2,
+  visibility: 0.3
+};
+
+/**
+ * Default options for checking how much of the field each seat can see
+ */
+export const DEFAULT_VISIBILITY_OPTIONS = {
+  // Field points checked along and across the field
+  samplesAlong: 5,
+  samplesAcross: 3,
+  // Share of the gap between the middle and the front rows the field fills
+  fieldFill: 0.7,
+  // Height above the field the lines of sight aim at, in meters
+  targetHeight: 1,
+  // Geometry this close to the seat or the field point doesn't block the view, in meters
+  clearance: 0.3,
+  // Seats checked between pauses that keep the page responsive
+  batchSize: 20
+};
+
+// Prefix of the localStorage keys caching each model's visibility results
+const VISIBILITY_CACHE_PREFIX = 'view_visibility_';
+
+// Angle above the field, in degrees, that gives the best overview of play
+const IDEAL_ELEVATION_DEG = 25;
+
+/**
+ * @typedef {Object} FieldLayout
+ * @property {{x: number, z: number}} center - Middle of the field
+ * @property {{x: number, z: number}} axis - Horizontal unit vector along the field
+ * @property {number} level - Height of the field
+ */
+
+/**
+ * @typedef {Object} SeatViewScore
+ * @property {number} score - Overall score from 0 to 100
+ * @property {number} distance - Distance to the middle of the field, in model units
+ * @property {number} horizontalAngle - Angle between the field axis and the line to the seat, in degrees (90 is halfway along the side)
+ * @property {number} elevationAngle - Angle the seat looks down at the middle of the field, in degrees
+ * @property {number|null} visibility - Share of the field the seat can see, from 0 to 1, or null before it is known
+ */
+
+/**
+ * Work out where the field is from the seats around it
+ * @param {Array} seats
+ * @param {Object} modelSettings - The venue's model settings, for the eye height
+ * @returns {FieldLayout}
+ */
+export const getFieldLayout = (seats, modelSettings) => {
+  if (seats.length === 0) {
+    return { center: { x: 0, z: 0 }, axis: { x: 1, z: 0 }, level: 0 };
+  }
+
+  const center = {
+    x: seats.reduce((sum, seat) => sum + seat.coordinates.x, 0) / seats.length,
+    z: seats.reduce((sum, seat) => sum + seat.coordinates.z, 0) / seats.length
+  };
+
+  // The long axis of the bowl is the main direction the seats spread along
+  let sxx = 0;
+  let sxz = 0;
+  let szz = 0;
+  seats.forEach(seat => {
+    const dx = seat.coordinates.x - center.x;
+    const dz = seat.coordinates.z - center.z;
+    sxx += dx * dx;
+    sxz += dx * dz;
+    szz += dz * dz;
+  });
+  const angle = Math.atan2(2 * sxz, sxx - szz) / 2;
+
+  const lowest = seats.reduce((min, seat) => Math.min(min, seat.coordinates.y), Infinity);
+  return {
+    center,
+    axis: { x: Math.cos(angle), z: Math.sin(angle) },
+    level: lowest - metersToModelUnits(DEFAULT_EYE_HEIGHT_M, modelSettings)
+  };
+};
+
+// Keep a value between 0 and 1
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Half the length and width of the field. The field fills the middle of the
+ * bowl, short of the front rows on each side.
+ * @param {Array} seats
+ * @param {FieldLayout} field
+ * @param {number} [fieldFill] - Share of the gap between the middle and the front rows the field fills
+ * @returns {{halfLength: number, halfWidth: number}|null} Extent in model units, or null without seats
+ */
+export const getFieldBounds = (seats, field, fieldFill = DEFAULT_VISIBILITY_OPTIONS.fieldFill) => {
+  const across = { x: -field.axis.z, z: field.axis.x };
+
+  // Nearest seats beyond each end and each side of the field
+  let endDistance = Infinity;
+  let sideDistance = Infinity;
+  seats.forEach(seat => {
+    const dx = seat.coordinates.x - field.center.x;
+    const dz = seat.coordinates.z - field.center.z;
+    const along = Math.abs(dx * field.axis.x + dz * field.axis.z);
+    const side = Math.abs(dx * across.x + dz * across.z);
+    if (along > side) {
+      endDistance = Math.min(endDistance, along);
+    } else {
+      sideDistance = Math.min(sideDistance, side);
+    }
+  });
+  if (!Number.isFinite(endDistance)) endDistance = sideDistance;
+  if (!Number.isFinite(sideDistance)) sideDistance = endDistance;
+  if (!Number.isFinite(endDistance)) return null;
+
+  return { halfLength: endDistance * fieldFill, halfWidth: sideDistance * fieldFill };
+};
+
+/**
+ * Points spread over the field for checking lines of sight
+ * @param {Array} seats
+ * @param {FieldLayout} field
+ * @param {Object} modelSettings - The venue's model settings, for converting meters
+ * @param {Object} [options] - See DEFAULT_VISIBILITY_OPTIONS
+ * @returns {Array<{x: number, y: number, z: number}>} Points in the model's frame
+ */
+export const getFieldSamplePoints = (seats, field, modelSettings, options = {}) => {
+  const { samplesAlong, samplesAcross, fieldFill, targetHeight } = { ...DEFAULT_VISIBILITY_OPTIONS, ...options };
+  const across = { x: -field.axis.z, z: field.axis.x };
+  const bounds = getFieldBounds(seats, field, fieldFill);
+  if (!bounds) return [];
+
+  const { halfLength, halfWidth } = bounds;
+  const y = field.level + metersToModelUnits(targetHeight, modelSettings);
+  // Spread samples evenly from one edge to the other, or in the middle if there is only one
+  const spread = (count, i) => (count > 1 ? (i / (count - 1)) * 2 - 1 : 0);
+
+  const points = [];
+  for (let i = 0; i < samplesAlong; i++) {
+    for (let j = 0; j < samplesAcross; j++) {
+      const a = spread(samplesAlong, i) * halfLength;
+      const b = spread(samplesAcross, j) * halfWidth;
+      points.push({
+        x: field.center.x + field.axis.x * a + across.x * b,
+        y,
+        z: field.center.z + field.axis.z * a + across.z * b
+      });
+    }
+  }
+  return points;
+};
+
+// Cache key of a seat's visibility; a seat that moves needs checking again
+const visibilityKey = (seat) => {
+  const { x, y, z } = seat.coordinates;
+  return `${seat.id}@${x.toFixed(3)},${y.toFixed(3)},${z.toFixed(3)}`;
+};
+
+/**
+ * Load the cached visibility results of a model
+ * @param {string} modelKey - Path or URL of the model
+ * @returns {Object<string, number>} Share of the field each seat can see, by seat and position
+ */
+export const loadVisibilityCache = (modelKey) => {
+  try {
+    const saved = localStorage.getItem(VISIBILITY_CACHE_PREFIX + modelKey);
+    return saved ? JSON.parse(saved) : {};
+  } catch (e) {
+    console.error('Error loading view scores from localStorage:', e);
+    return {};
+  }
+};
+
+/**
+ * Cache visibility results for a model, keeping only the given seats
+ * @param {string} modelKey - Path or URL of the model
+ * @param {Array} seats
+ * @param {Array<number|null>} visibility - Results in seat order
+ */
+export const saveVisibilityCache = (modelKey, seats, visibility) => {
+  const cache = {};
+  seats.forEach((seat, index) => {
+    if (visibility[index] !== null) cache[visibilityKey(seat)] = visibility[index];
+  });
+  try {
+    localStorage.setItem(VISIBILITY_CACHE_PREFIX + modelKey, JSON.stringify(cache));
+  } catch (e) {
+    console.error('Error saving view scores to localStorage:', e);
+  }
+};
+
+/**
+ * Work out how much of the field each seat can see by casting rays from the
+ * seat to points spread over the field. Seats are checked in batches with a
+ * pause in between, so the page stays responsive on large models.
+ * @param {Array} seats - Seats in the model's frame
+ * @param {THREE.Object3D} object - Model prepared with prepareModelForRaycast
+ * @param {Object} modelSettings - The venue's model settings
+ * @param {Object} [options] - See DEFAULT_VISIBILITY_OPTIONS, plus:
+ * @param {Object<string, number>} [options.cache] - Earlier results (see loadVisibilityCache); cached seats aren't checked again
+ * @param {(done: number, total: number) => void} [options.onProgress] - Called after each batch
+ * @param {() => boolean} [options.shouldStop] - Stops checking when it returns true
+ * @returns {Promise<Array<number|null>>} Share of the field each seat can see, in seat order; null for seats not checked
+ */
+export const measureFieldVisibility = async (seats, object, modelSettings, options = {}) => {
+  const {
+    clearance,
+    batchSize,
+    cache = {},
+    onProgress = () => {},
+    shouldStop = () => false
+  } = { ...DEFAULT_VISIBILITY_OPTIONS, ...options };
+  const field = getFieldLayout(seats, modelSettings);
+  const targets = getFieldSamplePoints(seats, field, modelSettings, options);
+  const clearanceUnits = metersToModelUnits(clearance, modelSettings);
+  const raycaster = new THREE.Raycaster();
+
+  const visibility = seats.map(seat => {
+    const cached = cache[visibilityKey(seat)];
+    return cached !== undefined ? cached : null;
+  });
+  if (targets.length === 0) return visibility;
+
+  const unchecked = visibility
+    .map((share, index) => (share === null ? index : -1))
+    .filter(index => index !== -1);
+
+  for (let start = 0; start < unchecked.length; start += batchSize) {
+    if (shouldStop()) return visibility;
+
+    unchecked.slice(start, start + batchSize).forEach(index => {
+      const blocked = traceSightlines(raycaster, object, seats[index].coordinates, targets, clearanceUnits);
+      visibility[index] = blocked.filter(hit => hit === null).length / targets.length;
+    });
+    onProgress(Math.min(start + batchSize, unchecked.length), unchecked.length);
+
+    // Let the page handle input and render before the next batch
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return visibility;
+};
+
+/**
+ * Score the view from every seat. Distances are scored against the nearest
+ * and furthest seats of the venue, so scores compare seats within a venue.
+ * @param {Array} seats
+ * @param {Object} modelSettings - The venue's model settings
+ * @param {Array<number|null>} [visibility] - Share of the field each seat can see (see measureFieldVisibility)
+ * @returns {SeatViewScore[]} Scores in the same order as the seats
+ */
+export const scoreSeatViews = (seats, modelSettings, visibility = []) => {
+  const field = getFieldLayout(seats, modelSettings);
+
+  const measures = seats.map(seat => {
+    const dx = seat.coordinates.x - field.center.x;
+    const dz = seat.coordinates.z - field.center.z;
+    const distance = Math.hypot(dx, dz);
+    const along = distance > 0 ? Math.abs(dx * field.axis.x + dz * field.axis.z) / distance : 0;
+    return {
+      distance,
+      horizontalAngle: Math.acos(Math.min(1, along)) * 180 / Math.PI,
+      elevationAngle: Math.atan2(seat.coordinates.y - field.level, distance) * 180 / Math.PI
+    };
+  });
+
+  const nearest = Math.min(...measures.map(measure => measure.distance));
+  const furthest = Math.max(...measures.map(measure => measure.distance));
+
+  return measures.map((measure, index) => {
+    const seatVisibility = visibility[index] !== undefined ? visibility[index] : null;
+    const parts = {
+      distance: furthest > nearest ? 1 - (measure.distance - nearest) / (furthest - nearest) : 1,
+      angle: Math.sin(measure.horizontalAngle * Math.PI / 180),
+      elevation: clamp01(1 - Math.abs(measure.elevationAngle - IDEAL_ELEVATION_DEG) / IDEAL_ELEVATION_DEG),
+      visibility: seatVisibility
+    };
+    const weighted = Object.keys(parts).filter(part => parts[part] !== null);
+    const totalWeight = weighted.reduce((sum, part) => sum + VIEW_SCORE_WEIGHTS[part], 0);
+    const score = 100 * weighted.reduce((sum, part) => sum + VIEW_SCORE_WEIGHTS[part] * parts[part], 0) / totalWeight;
+    return { ...measure, visibility: seatVisibility, score: Math.round(score) };
+  });
+};
+
+export default {
+  VIEW_SCORE_WEIGHTS,
+  DEFAULT_VISIBILITY_OPTIONS,
+  getFieldLayout,
+  getFieldBounds,
+  getFieldSamplePoints,
+  loadVisibilityCache,
+  saveVisibilityCache,
+  measureFieldVisibility,
+  scoreSeatViews
+};